@@ -0,0 +1,133 @@
+import { describe, it, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import adminRoutes from '../routes/adminRoutes.js';
+import User, { PASSWORD_RESET_TTL_MS } from '../models/User.js';
+import { buildUserSearchFilter, parseUserUpdate, toAdminView, escapeRegex } from '../utils/users.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const buildUser = (extra = {}) => new User({
+  username: 'alice',
+  email: 'alice@example.com',
+  password: 'password123',
+  ...extra
+});
+
+describe('Admin Routes', () => {
+  it('should keep the user list behind authentication', async () => {
+    const response = await request(app).get('/api/admin/users');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject account changes from unauthenticated users', async () => {
+    const response = await request(app)
+      .patch('/api/admin/users/507f1f77bcf86cd799439011')
+      .send({ role: 'admin' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject unlocks and forced resets from unauthenticated users', async () => {
+    const unlock = await request(app).post('/api/admin/users/507f1f77bcf86cd799439011/unlock');
+    const reset = await request(app).post('/api/admin/users/507f1f77bcf86cd799439011/password-reset');
+
+    expect(unlock.status).toBe(401);
+    expect(reset.status).toBe(401);
+  });
+});
+
+describe('User Administration Utilities', () => {
+  describe('buildUserSearchFilter', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    it('should search usernames and emails literally and case-insensitively', () => {
+      const { filter } = buildUserSearchFilter({ q: 'a.b+' }, now);
+
+      expect(filter.$or).toHaveLength(2);
+      expect(filter.$or[0].username.test('xA.B+y')).toBe(true);
+      expect(filter.$or[0].username.test('aXbb')).toBe(false);
+    });
+
+    it('should filter by role, status and lock', () => {
+      expect(buildUserSearchFilter({ role: 'moderator', isActive: 'false', locked: 'true' }, now)).toEqual({
+        filter: { role: 'moderator', isActive: false, lockUntil: { $gt: now } }
+      });
+      expect(buildUserSearchFilter({}, now)).toEqual({ filter: {} });
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(buildUserSearchFilter({ role: 'owner' })).toHaveProperty('error');
+      expect(buildUserSearchFilter({ isActive: 'yes' })).toHaveProperty('error');
+      expect(buildUserSearchFilter({ locked: '1' })).toHaveProperty('error');
+      expect(buildUserSearchFilter({ q: ['a', 'b'] })).toHaveProperty('error');
+      expect(buildUserSearchFilter({ q: 'x'.repeat(101) })).toHaveProperty('error');
+    });
+  });
+
+  describe('parseUserUpdate', () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const target = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+    it('should accept role and status changes', () => {
+      expect(parseUserUpdate({ role: 'moderator' }, admin, target)).toEqual({ updates: { role: 'moderator' } });
+      expect(parseUserUpdate({ isActive: false }, admin, target)).toEqual({ updates: { isActive: false } });
+    });
+
+    it('should reject invalid or empty changes', () => {
+      expect(parseUserUpdate({ role: 'owner' }, admin, target)).toHaveProperty('error');
+      expect(parseUserUpdate({ isActive: 'false' }, admin, target)).toHaveProperty('error');
+      expect(parseUserUpdate({}, admin, target)).toHaveProperty('error');
+      expect(parseUserUpdate(undefined, admin, target)).toHaveProperty('error');
+    });
+
+    it('should stop admins demoting or deactivating themselves', () => {
+      expect(parseUserUpdate({ role: 'user' }, admin, admin)).toHaveProperty('error');
+      expect(parseUserUpdate({ isActive: false }, admin, admin)).toHaveProperty('error');
+      expect(parseUserUpdate({ role: 'admin', isActive: true }, admin, admin)).toHaveProperty('updates');
+    });
+  });
+
+  it('should escape regular expression metacharacters', () => {
+    expect(escapeRegex('(a|b)*')).toBe('\\(a\\|b\\)\\*');
+  });
+
+  it('should leave secrets out of the admin view', () => {
+    const user = buildUser();
+    user.requirePasswordReset();
+
+    const view = toAdminView(user);
+
+    expect(view).not.toHaveProperty('password');
+    expect(view).not.toHaveProperty('passwordResetToken');
+    expect(view).toMatchObject({ username: 'alice', isLocked: false, passwordResetRequired: true });
+  });
+});
+
+describe('Forced password reset', () => {
+  it('should store only a hash of the reset token, valid for a limited time', () => {
+    const user = buildUser();
+    const before = Date.now();
+
+    const token = user.requirePasswordReset();
+
+    expect(token).toEqual(expect.any(String));
+    expect(user.passwordResetRequired).toBe(true);
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThanOrEqual(before + PASSWORD_RESET_TTL_MS);
+  });
+
+  it('should issue a different token each time', () => {
+    const user = buildUser();
+    const first = user.requirePasswordReset();
+    const firstHash = user.passwordResetToken;
+
+    expect(user.requirePasswordReset()).not.toBe(first);
+    expect(user.passwordResetToken).not.toBe(firstHash);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildVoteTimeSeries } from '../utils/analytics.js';
+
+const poll = {
+  createdAt: new Date('2026-01-01T09:30:00Z'),
+  options: [{ text: 'Yes' }, { text: 'No' }]
+};
+
+const hour = (time) => new Date(`2026-01-01T${time}:00:00Z`);
+
+describe('Analytics Utilities', () => {
+  describe('buildVoteTimeSeries', () => {
+    const counts = {
+      options: [
+        { bucket: hour('10'), option: 0, votes: 2 },
+        { bucket: hour('10'), option: 1, votes: 1 },
+        { bucket: hour('12'), option: 1, votes: 4 }
+      ],
+      ballots: [
+        { bucket: hour('10'), ballots: 3 },
+        { bucket: hour('12'), ballots: 4 }
+      ],
+      firstVoteAt: new Date('2026-01-01T10:15:00Z'),
+      lastVoteAt: new Date('2026-01-01T12:40:00Z')
+    };
+
+    it('should fill the gaps between buckets with votes', () => {
+      const { series } = buildVoteTimeSeries(poll, counts, 'hour');
+
+      expect(series.buckets.map(bucket => bucket.start)).toEqual([hour('10'), hour('11'), hour('12')]);
+      expect(series.buckets[1]).toMatchObject({ ballots: 0, votes: [0, 0] });
+    });
+
+    it('should build cumulative curves', () => {
+      const { series } = buildVoteTimeSeries(poll, counts, 'hour');
+
+      expect(series.buckets.map(bucket => bucket.cumulativeVotes)).toEqual([[2, 1], [2, 1], [2, 5]]);
+      expect(series.buckets.map(bucket => bucket.cumulativeBallots)).toEqual([3, 3, 7]);
+      expect(series.totalBallots).toBe(7);
+    });
+
+    it('should measure the time to the first vote from the poll opening', () => {
+      const { series } = buildVoteTimeSeries(poll, counts, 'hour');
+
+      expect(series.timeToFirstVoteMs).toBe(45 * 60 * 1000);
+    });
+
+    it('should list the busiest buckets as peaks', () => {
+      const { series } = buildVoteTimeSeries(poll, counts, 'hour');
+
+      expect(series.peaks).toEqual([
+        { start: hour('12'), ballots: 4 },
+        { start: hour('10'), ballots: 3 }
+      ]);
+    });
+
+    it('should return an empty series for polls without votes', () => {
+      const { series } = buildVoteTimeSeries(poll, { options: [], ballots: [], firstVoteAt: null, lastVoteAt: null }, 'day');
+
+      expect(series).toMatchObject({ buckets: [], peaks: [], timeToFirstVoteMs: null, totalBallots: 0 });
+    });
+
+    it('should refuse series with too many buckets', () => {
+      const spread = {
+        ...counts,
+        ballots: [
+          { bucket: new Date('2026-01-01T00:00:00Z'), ballots: 1 },
+          { bucket: new Date('2026-01-03T00:00:00Z'), ballots: 1 }
+        ]
+      };
+
+      expect(buildVoteTimeSeries(poll, spread, 'minute')).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import auditRoutes from '../routes/auditRoutes.js';
+import AuditEntry, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditEntry.js';
+import { assignRequestId } from '../config/logger.js';
+import {
+  GENESIS_HASH,
+  canonicalize,
+  hashAuditEntry,
+  findChainProblem,
+  buildAuditFilter,
+  auditEntriesToCsv
+} from '../utils/audit.js';
+
+const app = express();
+app.use(assignRequestId);
+app.use('/api/admin/audit', auditRoutes);
+app.get('/ping', (req, res) => res.json({ id: req.id }));
+
+const allowed = { actions: AUDIT_ACTIONS, targetTypes: AUDIT_TARGET_TYPES };
+
+const actorId = new mongoose.Types.ObjectId();
+
+/**
+ * Build an entry linked to the previous one, as AuditEntry.append would
+ */
+const buildEntry = (previous, extra = {}) => {
+  const entry = new AuditEntry({
+    seq: previous ? previous.seq + 1 : 1,
+    action: 'user.updated',
+    actor: actorId,
+    actorUsername: 'admin',
+    targetType: 'user',
+    targetId: new mongoose.Types.ObjectId(),
+    targetLabel: 'alice',
+    before: { role: 'user' },
+    after: { role: 'moderator' },
+    ip: '127.0.0.1',
+    requestId: 'req-1',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    prevHash: previous ? previous.hash : GENESIS_HASH,
+    ...extra
+  });
+  entry.hash = hashAuditEntry(entry.toChainRecord(), entry.prevHash);
+  return entry;
+};
+
+describe('Audit Routes', () => {
+  it('should keep the audit log behind authentication', async () => {
+    const list = await request(app).get('/api/admin/audit');
+    const csv = await request(app).get('/api/admin/audit/export');
+    const verify = await request(app).get('/api/admin/audit/verify');
+
+    expect(list.status).toBe(401);
+    expect(csv.status).toBe(401);
+    expect(verify.status).toBe(401);
+  });
+
+  it('should give every response a request ID, keeping a valid incoming one', async () => {
+    const generated = await request(app).get('/ping');
+    const kept = await request(app).get('/ping').set('X-Request-Id', 'lb-1234.abc');
+    const replaced = await request(app).get('/ping').set('X-Request-Id', 'not valid<script>');
+
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(generated.body.id).toBe(generated.headers['x-request-id']);
+    expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+    expect(replaced.headers['x-request-id']).not.toBe('not valid<script>');
+  });
+});
+
+describe('Audit Entry Model', () => {
+  it('should validate a complete entry', () => {
+    expect(buildEntry(null).validateSync()).toBeUndefined();
+  });
+
+  it('should reject unknown actions and target types', () => {
+    const error = buildEntry(null, { action: 'poll.renamed', targetType: 'survey' }).validateSync();
+
+    expect(error.errors.action).toBeDefined();
+    expect(error.errors.targetType).toBeDefined();
+  });
+
+  it('should refuse to save changes to a stored entry', async () => {
+    const entry = buildEntry(null);
+    entry.isNew = false;
+    entry.after = { role: 'admin' };
+
+    await expect(entry.save()).rejects.toThrow('cannot be changed or removed');
+  });
+
+  it('should refuse updates and deletions through queries', async () => {
+    await expect(AuditEntry.updateMany({}, { targetLabel: 'x' })).rejects.toThrow('cannot be changed or removed');
+    await expect(AuditEntry.deleteMany({})).rejects.toThrow('cannot be changed or removed');
+    await expect(AuditEntry.findOneAndDelete({ seq: 1 })).rejects.toThrow('cannot be changed or removed');
+  });
+});
+
+describe('Audit Log Utilities', () => {
+  describe('canonicalize', () => {
+    it('should sort keys and drop empty fields at any depth', () => {
+      expect(JSON.stringify(canonicalize({ b: 1, a: { d: null, c: [2, { f: undefined, e: 3 }] } })))
+        .toBe('{"a":{"c":[2,{"e":3}]},"b":1}');
+    });
+
+    it('should write IDs and dates as strings', () => {
+      const id = new mongoose.Types.ObjectId();
+      const date = new Date('2026-01-01T00:00:00Z');
+
+      expect(canonicalize({ id, date })).toEqual({ date: '2026-01-01T00:00:00.000Z', id: id.toString() });
+    });
+  });
+
+  describe('hashAuditEntry', () => {
+    it('should hash the same contents the same way regardless of key order', () => {
+      const hash = hashAuditEntry({ seq: 1, action: 'auth.login' }, GENESIS_HASH);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashAuditEntry({ action: 'auth.login', seq: 1 }, GENESIS_HASH)).toBe(hash);
+    });
+
+    it('should depend on the previous hash', () => {
+      expect(hashAuditEntry({ seq: 1 }, GENESIS_HASH)).not.toBe(hashAuditEntry({ seq: 1 }, 'f'.repeat(64)));
+    });
+  });
+
+  describe('findChainProblem', () => {
+    const first = buildEntry(null);
+    const second = buildEntry(first);
+
+    it('should accept an intact chain', () => {
+      expect(findChainProblem(first, null)).toBeNull();
+      expect(findChainProblem(second, first)).toBeNull();
+    });
+
+    it('should detect edited contents', () => {
+      const tampered = buildEntry(first);
+      tampered.after = { role: 'admin' };
+
+      expect(findChainProblem(tampered, first)).toMatch(/do not match/);
+    });
+
+    it('should detect entries that do not link to the previous one', () => {
+      const relinked = buildEntry(first, { prevHash: 'f'.repeat(64) });
+
+      expect(findChainProblem(relinked, first)).toMatch(/does not link/i);
+    });
+
+    it('should detect removed and reordered entries', () => {
+      const third = buildEntry(second);
+
+      expect(findChainProblem(third, first)).toBe('Expected entry 2, found entry 3');
+      expect(findChainProblem(second, null)).toBe('Expected entry 1, found entry 2');
+    });
+  });
+
+  describe('buildAuditFilter', () => {
+    it('should filter by actor, action, target and time', () => {
+      const targetId = new mongoose.Types.ObjectId();
+      const { filter } = buildAuditFilter({
+        actor: actorId.toString(),
+        action: 'poll.deleted',
+        targetType: 'poll',
+        targetId: targetId.toString(),
+        from: '2026-01-01',
+        to: '2026-02-01'
+      }, allowed);
+
+      expect(filter).toEqual({
+        actor: actorId,
+        action: 'poll.deleted',
+        targetType: 'poll',
+        targetId,
+        createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+      });
+      expect(buildAuditFilter({}, allowed)).toEqual({ filter: {} });
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(buildAuditFilter({ actor: 'nope' }, allowed).error).toMatch(/actor/);
+      expect(buildAuditFilter({ action: 'poll.renamed' }, allowed).error).toMatch(/action/);
+      expect(buildAuditFilter({ targetType: 'survey' }, allowed).error).toMatch(/targetType/);
+      expect(buildAuditFilter({ from: 'yesterday' }, allowed).error).toMatch(/from/);
+    });
+  });
+
+  describe('auditEntriesToCsv', () => {
+    it('should write one row per entry with before and after values as JSON', () => {
+      const entry = buildEntry(null, { targetLabel: 'alice, "the admin"' });
+      const [header, row] = auditEntriesToCsv([entry]).split('\n');
+
+      expect(header).toBe(
+        'seq,createdAt,action,actorId,actorUsername,targetType,targetId,targetLabel,before,after,ip,requestId,prevHash,hash'
+      );
+      expect(row).toContain('"alice, ""the admin"""');
+      expect(row).toContain('"{""role"":""user""}"');
+      expect(row.endsWith(entry.hash)).toBe(true);
+    });
+  });
+});
@@ -79,4 +79,62 @@ describe('Auth Routes', () => {
       expect(response.body).toHaveProperty('message', 'Invalid credentials');
     }, 10000);
   });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject malformed refresh tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-refresh-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Session ended');
+    });
+  });
+
+  describe('Sessions', () => {
+    it('should keep session management behind authentication', async () => {
+      const list = await request(app).get('/api/auth/sessions');
+      const revokeOthers = await request(app).delete('/api/auth/sessions');
+      const revokeOne = await request(app).delete('/api/auth/sessions/507f1f77bcf86cd799439011');
+
+      expect(list.status).toBe(401);
+      expect(revokeOthers.status).toBe(401);
+      expect(revokeOne.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/auth/logout');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should require a reset token and a new password', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ password: 'newpassword' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject short passwords', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'abc', password: '123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('6 characters');
+    });
+  });
 });
@@ -0,0 +1,172 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseBallot,
+  getBallot,
+  getVoteValue,
+  buildCounterUpdate,
+  buildBallotUpdate,
+  normalizeWriteIn
+} from '../utils/ballots.js';
+
+const singlePoll = { type: 'single', options: [{ text: 'A' }, { text: 'B' }, { text: 'C' }] };
+const approvalPoll = {
+  type: 'approval',
+  minSelections: 1,
+  maxSelections: 2,
+  options: [{ text: 'Mon' }, { text: 'Tue' }, { text: 'Wed' }]
+};
+const writeInPoll = { ...singlePoll, allowWriteIn: true };
+const rankedPoll = { type: 'ranked', options: [{ text: 'A' }, { text: 'B' }, { text: 'C' }] };
+const scorePoll = { type: 'score', scoreMin: 1, scoreMax: 5, options: [{ text: 'Pizza' }, { text: 'Sushi' }] };
+
+describe('Ballot Utilities', () => {
+  describe('parseBallot', () => {
+    it('should accept a valid single-choice ballot', () => {
+      expect(parseBallot(singlePoll, { optionIndex: 2 })).toEqual({ ballot: { optionIndex: 2 } });
+    });
+
+    it('should reject an out-of-range option index', () => {
+      expect(parseBallot(singlePoll, { optionIndex: 3 })).toHaveProperty('error');
+    });
+
+    it('should accept a partial ranking', () => {
+      expect(parseBallot(rankedPoll, { rankings: [2, 0] })).toEqual({ ballot: { rankings: [2, 0] } });
+    });
+
+    it('should reject rankings with duplicates or invalid indices', () => {
+      expect(parseBallot(rankedPoll, { rankings: [0, 0] })).toHaveProperty('error');
+      expect(parseBallot(rankedPoll, { rankings: [0, 5] })).toHaveProperty('error');
+      expect(parseBallot(rankedPoll, { rankings: [] })).toHaveProperty('error');
+    });
+  });
+
+  describe('parseBallot for write-ins', () => {
+    it('should accept a write-in with a normalized grouping key', () => {
+      expect(parseBallot(writeInPoll, { writeIn: '  Café   au Lait ' })).toEqual({
+        ballot: { writeIn: 'Café au Lait', writeInKey: 'café au lait' }
+      });
+    });
+
+    it('should count a write-in matching an option as a vote for it', () => {
+      expect(parseBallot(writeInPoll, { writeIn: ' b ' })).toEqual({ ballot: { optionIndex: 1 } });
+    });
+
+    it('should reject write-ins on polls that do not accept them', () => {
+      expect(parseBallot(singlePoll, { writeIn: 'D' })).toHaveProperty('error', 'This poll does not accept write-in answers');
+    });
+
+    it('should reject empty, oversized and combined write-ins', () => {
+      expect(parseBallot(writeInPoll, { writeIn: '   ' })).toHaveProperty('error');
+      expect(parseBallot(writeInPoll, { writeIn: 'x'.repeat(101) })).toHaveProperty('error');
+      expect(parseBallot(writeInPoll, { writeIn: 'D', optionIndex: 0 })).toHaveProperty('error');
+    });
+  });
+
+  describe('normalizeWriteIn', () => {
+    it('should ignore case, surrounding and repeated whitespace and compatibility forms', () => {
+      expect(normalizeWriteIn('  Tea\tTime ')).toBe('tea time');
+      expect(normalizeWriteIn('ＴＥＡ')).toBe('tea');
+    });
+  });
+
+  describe('parseBallot for approval polls', () => {
+    it('should accept selections within the limits in option order', () => {
+      expect(parseBallot(approvalPoll, { selections: [2, 0] })).toEqual({ ballot: { selections: [0, 2] } });
+    });
+
+    it('should reject too few or too many selections', () => {
+      expect(parseBallot(approvalPoll, { selections: [] })).toHaveProperty('error', 'Select between 1 and 2 options');
+      expect(parseBallot(approvalPoll, { selections: [0, 1, 2] })).toHaveProperty('error');
+    });
+
+    it('should reject duplicate selections', () => {
+      expect(parseBallot(approvalPoll, { selections: [1, 1] })).toHaveProperty('error');
+    });
+  });
+
+  describe('parseBallot for score polls', () => {
+    it('should accept one score per option within the range', () => {
+      expect(parseBallot(scorePoll, { scores: [5, 1] })).toEqual({ ballot: { scores: [5, 1] } });
+    });
+
+    it('should reject missing, fractional or out-of-range scores', () => {
+      expect(parseBallot(scorePoll, { scores: [5] })).toHaveProperty('error');
+      expect(parseBallot(scorePoll, { scores: [2.5, 3] })).toHaveProperty('error');
+      expect(parseBallot(scorePoll, { scores: [0, 6] })).toHaveProperty('error', 'Each score must be a whole number between 1 and 5');
+    });
+  });
+
+  describe('getBallot', () => {
+    it('should extract the ballot field for the poll type', () => {
+      const vote = { optionIndex: undefined, rankings: [1, 0] };
+
+      expect(getBallot('ranked', vote)).toEqual({ rankings: [1, 0] });
+    });
+
+    it('should report a write-in as its text', () => {
+      const vote = { writeIn: 'Tea', writeInKey: 'tea' };
+
+      expect(getBallot('single', vote)).toEqual({ writeIn: 'Tea', writeInKey: 'tea' });
+      expect(getVoteValue('single', vote)).toBe('Tea');
+    });
+  });
+
+  describe('buildCounterUpdate', () => {
+    it('should increment the chosen option and total for a new vote', () => {
+      expect(buildCounterUpdate(singlePoll, null, { optionIndex: 1 })).toEqual({
+        $inc: { 'options.1.votes': 1, totalVotes: 1 }
+      });
+    });
+
+    it('should move a changed vote without touching the total', () => {
+      expect(buildCounterUpdate(singlePoll, { optionIndex: 0 }, { optionIndex: 2 })).toEqual({
+        $inc: { 'options.0.votes': -1, 'options.2.votes': 1 }
+      });
+    });
+
+    it('should count write-ins separately from the options', () => {
+      expect(buildCounterUpdate(writeInPoll, { optionIndex: 0 }, { writeIn: 'Tea', writeInKey: 'tea' })).toEqual({
+        $inc: { 'options.0.votes': -1, writeInVotes: 1 }
+      });
+      expect(buildCounterUpdate(writeInPoll, null, { writeIn: 'Tea', writeInKey: 'tea' })).toEqual({
+        $inc: { writeInVotes: 1, totalVotes: 1 }
+      });
+    });
+
+    it('should count approval ballots towards every selected option', () => {
+      expect(buildCounterUpdate(approvalPoll, { selections: [0, 1] }, { selections: [1, 2] })).toEqual({
+        $inc: { 'options.0.votes': -1, 'options.2.votes': 1 }
+      });
+    });
+
+    it('should count ranked ballots towards their first preference', () => {
+      expect(buildCounterUpdate(rankedPoll, { rankings: [0, 1] }, { rankings: [0, 2] })).toEqual({ $inc: {} });
+      expect(buildCounterUpdate(rankedPoll, null, { rankings: [2, 0] })).toEqual({
+        $inc: { 'options.2.votes': 1, totalVotes: 1 }
+      });
+    });
+
+    it('should move score totals and histogram buckets when scores change', () => {
+      expect(buildCounterUpdate(scorePoll, { scores: [4, 2] }, { scores: [5, 2] })).toEqual({
+        $inc: {
+          'options.0.scoreTotal': 1,
+          'options.0.histogram.3': -1,
+          'options.0.histogram.4': 1
+        }
+      });
+    });
+  });
+
+  describe('buildBallotUpdate', () => {
+    it('should clear the fields of the previous ballot', () => {
+      expect(buildBallotUpdate({ writeIn: 'Tea', writeInKey: 'tea' }, { optionIndex: 1 })).toEqual({
+        $set: { optionIndex: 1 },
+        $unset: { writeIn: 1, writeInKey: 1 }
+      });
+    });
+
+    it('should only set fields when the ballot keeps its shape', () => {
+      expect(buildBallotUpdate({ optionIndex: 0 }, { optionIndex: 1 })).toEqual({ $set: { optionIndex: 1 } });
+    });
+  });
+});
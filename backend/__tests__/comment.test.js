@@ -0,0 +1,169 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import pollRoutes from '../routes/pollRoutes.js';
+import Poll from '../models/Poll.js';
+import Comment, { EDIT_WINDOW_MS, MAX_COMMENT_LENGTH } from '../models/Comment.js';
+import { buildThreads } from '../utils/comments.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/polls', pollRoutes);
+
+describe('Comment Routes', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+
+  const buildPoll = (fields = {}) => new Poll({
+    question: 'Lunch?',
+    options: [{ text: 'Pizza' }, { text: 'Salad' }],
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not let outsiders comment on an organization poll', async () => {
+    const poll = buildPoll({ organization: organizationId });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    const create = jest.spyOn(Comment, 'create');
+
+    const response = await request(app)
+      .post(`/api/polls/${poll._id}/comments`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ body: 'Hello' });
+
+    expect(response.status).toBe(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should not let users comment on a private poll they are not allowed into', async () => {
+    const poll = buildPoll({ visibility: 'private', shareCode: 'invite-code' });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    const create = jest.spyOn(Comment, 'create');
+
+    const response = await request(app)
+      .post(`/api/polls/${poll._id}/comments`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ body: 'Hello' });
+
+    expect(response.status).toBe(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should only let the author edit a comment', async () => {
+    const poll = buildPoll();
+    const comment = new Comment({ poll: poll._id, author: new mongoose.Types.ObjectId(), body: 'Hi' });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    jest.spyOn(Comment, 'findOne').mockResolvedValue(comment);
+
+    const response = await request(app)
+      .patch(`/api/polls/${poll._id}/comments/${comment._id}`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ body: 'Edited' });
+
+    expect(response.status).toBe(403);
+    expect(comment.body).toBe('Hi');
+  });
+
+  it('should not let other users delete a comment', async () => {
+    const poll = buildPoll();
+    const comment = new Comment({ poll: poll._id, author: new mongoose.Types.ObjectId(), body: 'Hi' });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    jest.spyOn(Comment, 'findOne').mockResolvedValue(comment);
+
+    const response = await request(app)
+      .delete(`/api/polls/${poll._id}/comments/${comment._id}`)
+      .set('Authorization', loginAs(buildUser()));
+
+    expect(response.status).toBe(403);
+    expect(comment.deletedAt).toBeUndefined();
+  });
+
+  it('should reject an out-of-range page size', async () => {
+    const response = await request(app)
+      .get('/api/polls/507f1f77bcf86cd799439011/comments?limit=0');
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Comment Model', () => {
+  const author = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+  const buildComment = (createdAt = new Date()) => {
+    const comment = new Comment({ poll: new mongoose.Types.ObjectId(), author: author._id, body: 'Hi' });
+    comment.createdAt = createdAt;
+    return comment;
+  };
+
+  it('should reject comments over the length limit', () => {
+    const comment = new Comment({
+      poll: new mongoose.Types.ObjectId(),
+      author: author._id,
+      body: 'x'.repeat(MAX_COMMENT_LENGTH + 1)
+    });
+
+    expect(comment.validateSync().errors).toHaveProperty('body');
+  });
+
+  it('should let the author edit within the edit window', () => {
+    expect(buildComment().getEditError(author)).toBeNull();
+  });
+
+  it('should refuse edits by anyone but the author', () => {
+    expect(buildComment().getEditError(moderator)).toHaveProperty('status', 403);
+  });
+
+  it('should refuse edits once the edit window has passed', () => {
+    const now = new Date();
+    const comment = buildComment(new Date(now - EDIT_WINDOW_MS - 1000));
+
+    expect(comment.getEditError(author, now)).toHaveProperty('code', 'EDIT_WINDOW_CLOSED');
+  });
+
+  it('should hide the text and author of deleted comments', () => {
+    const comment = buildComment();
+    comment.deletedAt = new Date();
+    comment.deletedBy = moderator._id;
+
+    const serialized = comment.toObject();
+
+    expect(serialized).toMatchObject({ body: null, author: null, deleted: true });
+    expect(serialized).not.toHaveProperty('deletedBy');
+  });
+});
+
+describe('buildThreads', () => {
+  it('should nest replies under their parents in order', () => {
+    const threads = buildThreads(
+      [{ _id: 'a', body: 'root' }],
+      [
+        { _id: 'b', parent: 'a', body: 'first reply' },
+        { _id: 'c', parent: 'b', body: 'nested reply' },
+        { _id: 'd', parent: 'a', body: 'second reply' }
+      ]
+    );
+
+    expect(threads).toHaveLength(1);
+    expect(threads[0].replies.map(reply => reply._id)).toEqual(['b', 'd']);
+    expect(threads[0].replies[0].replies[0]._id).toBe('c');
+  });
+
+  it('should drop deleted comments without replies but keep those with replies', () => {
+    const threads = buildThreads(
+      [{ _id: 'a', deleted: true }, { _id: 'e', deleted: true }],
+      [
+        { _id: 'b', parent: 'a', body: 'reply' },
+        { _id: 'c', parent: 'b', deleted: true }
+      ]
+    );
+
+    expect(threads.map(thread => thread._id)).toEqual(['a']);
+    expect(threads[0].replies[0].replies).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildPollExport, escapeCsvValue, pollExportsToCsv } from '../utils/export.js';
+
+const exportedAt = new Date('2026-03-01T12:00:00Z');
+
+const poll = {
+  _id: '64b000000000000000000001',
+  question: 'Lunch, then?',
+  type: 'single',
+  status: 'closed',
+  createdBy: { username: 'alice' },
+  createdAt: new Date('2026-02-28T09:00:00Z'),
+  closedAt: new Date('2026-03-01T10:00:00Z'),
+  totalVotes: 4,
+  options: [
+    { text: 'Pizza', votes: 3 },
+    { text: '=SUM(A1)', votes: 1 }
+  ]
+};
+
+describe('Export Utilities', () => {
+  describe('buildPollExport', () => {
+    it('should include metadata, timestamps, totals and per-option results', () => {
+      const record = buildPollExport(poll, {}, exportedAt);
+
+      expect(record).toMatchObject({
+        id: poll._id,
+        createdBy: 'alice',
+        createdAt: '2026-02-28T09:00:00.000Z',
+        closedAt: '2026-03-01T10:00:00.000Z',
+        opensAt: null,
+        exportedAt: '2026-03-01T12:00:00.000Z',
+        totalVotes: 4,
+        voters: 4
+      });
+      expect(record.options[0]).toEqual({ index: 0, text: 'Pizza', votes: 3, percentage: 75 });
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should quote fields containing separators or quotes', () => {
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    });
+
+    it('should neutralise spreadsheet formulas in text', () => {
+      expect(escapeCsvValue('=SUM(A1)')).toBe('\'=SUM(A1)');
+      expect(escapeCsvValue(-1)).toBe('-1');
+    });
+
+    it('should leave missing values empty', () => {
+      expect(escapeCsvValue(null)).toBe('');
+    });
+  });
+
+  describe('pollExportsToCsv', () => {
+    it('should write a header and one row per option', () => {
+      const lines = pollExportsToCsv([buildPollExport(poll, {}, exportedAt)]).trimEnd().split('\r\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0].startsWith('poll_id,question,type,status')).toBe(true);
+      expect(lines[1]).toContain('"Lunch, then?"');
+      expect(lines[2]).toContain(',1,\'=SUM(A1),1,25,');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Test Authentication Helpers
+ *
+ * Lets route tests send authenticated requests without a database: the
+ * session of the access token is reported active and the user is returned
+ * by User.findById. Tests using these helpers restore the spies with
+ * jest.restoreAllMocks() after each test.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import Session from '../../models/Session.js';
+import { generateAccessToken } from '../../middleware/authMiddleware.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+/**
+ * Build a user document
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} - Unsaved user document
+ */
+export const buildUser = (fields = {}) => new User({
+  username: 'alice',
+  email: 'alice@example.com',
+  password: 'Password1!',
+  ...fields
+});
+
+/**
+ * Authenticate requests as a user
+ * Only the session of the returned token is active, and only for this user
+ * @param {Object} user - User document
+ * @returns {string} - Authorization header value
+ */
+export const loginAs = (user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+
+  jest.spyOn(Session, 'findActive').mockImplementation(async (id, userId) => (
+    String(id) === String(sessionId) && String(userId) === String(user._id) ? { _id: sessionId } : null
+  ));
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+  return `Bearer ${generateAccessToken(user._id, sessionId)}`;
+};
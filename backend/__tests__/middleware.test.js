@@ -1,6 +1,14 @@
-import { jest, describe, it, beforeEach, expect } from '@jest/globals';
+import { jest, describe, it, beforeEach, afterEach, expect } from '@jest/globals';
 import jwt from 'jsonwebtoken';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  protect,
+  optionalAuth,
+  streamAuth,
+  generateAccessToken,
+  generateStreamToken,
+  authorize
+} from '../middleware/authMiddleware.js';
+import Session from '../models/Session.js';
 
 // Set test environment variables
 process.env.JWT_SECRET = 'test-secret-key';
@@ -39,6 +47,7 @@ describe('Auth Middleware', () => {
   beforeEach(() => {
     req = {
       headers: {},
+      query: {},
       user: null
     };
     res = {
@@ -49,6 +58,10 @@ describe('Auth Middleware', () => {
     jest.clearAllMocks();
   });
 
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe('protect middleware', () => {
     it('should return 401 if no token provided', async () => {
       await protect(req, res, next);
@@ -68,6 +81,33 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should reject a stream token used as a session token', async () => {
+      req.headers.authorization = `Bearer ${generateStreamToken(mockUser._id)}`;
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token invalid' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token that does not belong to a session', async () => {
+      req.headers.authorization = `Bearer ${jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET)}`;
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Session ended' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should issue short-lived access tokens naming their session', () => {
+      const decoded = jwt.decode(generateAccessToken(mockUser._id, '507f1f77bcf86cd799439022'));
+
+      expect(decoded).toMatchObject({ id: mockUser._id, sid: '507f1f77bcf86cd799439022' });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
     it.skip('should call next() if token is valid and user exists', async () => {
       const token = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
       req.headers.authorization = `Bearer ${token}`;
@@ -94,6 +134,81 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('optionalAuth middleware', () => {
+    it('should continue anonymously if no token provided', async () => {
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should continue anonymously if token is invalid', async () => {
+      req.headers.authorization = 'Bearer invalid-token';
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('streamAuth middleware', () => {
+    it('should continue anonymously if no token provided', async () => {
+      await streamAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 if the stream token is invalid', async () => {
+      req.query.token = 'invalid-token';
+
+      await streamAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should issue stream tokens naming their session', () => {
+      const decoded = jwt.decode(generateStreamToken(mockUser._id, '507f1f77bcf86cd799439022'));
+
+      expect(decoded).toMatchObject({ id: mockUser._id, sid: '507f1f77bcf86cd799439022', purpose: 'stream' });
+    });
+
+    it('should reject the stream token of a revoked session', async () => {
+      const findActive = jest.spyOn(Session, 'findActive').mockResolvedValue(null);
+      req.query.token = generateStreamToken(mockUser._id, '507f1f77bcf86cd799439022');
+
+      await streamAuth(req, res, next);
+
+      expect(findActive).toHaveBeenCalledWith('507f1f77bcf86cd799439022', mockUser._id);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Session ended' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a stream token that does not belong to a session', async () => {
+      req.query.token = generateStreamToken(mockUser._id);
+
+      await streamAuth(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Session ended' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a session token in place of a stream token', async () => {
+      req.query.token = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
+
+      await streamAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token invalid' });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('authorize middleware', () => {
     it('should return 403 if user does not have required role', () => {
       req.user = { ...mockUser, hasAnyRole: jest.fn().mockReturnValue(false) };
@@ -0,0 +1,114 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import organizationRoutes from '../routes/organizationRoutes.js';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import {
+  getMembership,
+  isOrganizationAdmin,
+  getOrganizationIds,
+  canSeeOrganization,
+  slugify
+} from '../utils/organizations.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/organizations', organizationRoutes);
+
+describe('Organization Routes', () => {
+  const organization = new Organization({ name: 'Platform Team' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hide organizations from users outside them', async () => {
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+
+    const response = await request(app)
+      .get(`/api/organizations/${organization._id}`)
+      .set('Authorization', loginAs(buildUser()));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should not list the members of an organization to outsiders', async () => {
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+
+    const response = await request(app)
+      .get(`/api/organizations/${organization._id}/members`)
+      .set('Authorization', loginAs(buildUser()));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should only let organization admins add members', async () => {
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+    const addMember = jest.spyOn(User, 'findOneAndUpdate');
+    const member = buildUser({ memberships: [{ organization: organization._id, role: 'member' }] });
+
+    const response = await request(app)
+      .post(`/api/organizations/${organization._id}/members`)
+      .set('Authorization', loginAs(member))
+      .send({ username: 'mallory', role: 'admin' });
+
+    expect(response.status).toBe(403);
+    expect(addMember).not.toHaveBeenCalled();
+  });
+});
+
+describe('Organization Model', () => {
+  it('should derive the slug from the name', async () => {
+    const organization = new Organization({ name: 'Café Research Team' });
+    await organization.validate();
+
+    expect(organization.slug).toBe('cafe-research-team');
+  });
+
+  it('should reject a name without any letters or digits', () => {
+    const organization = new Organization({ name: '!!' });
+
+    expect(organization.validateSync().errors).toHaveProperty('slug');
+  });
+});
+
+describe('Organization Utilities', () => {
+  const organization = new mongoose.Types.ObjectId();
+  const user = {
+    role: 'user',
+    memberships: [{ organization, role: 'admin' }]
+  };
+
+  it('should find a membership by ID or populated organization', () => {
+    expect(getMembership(user, organization)).toHaveProperty('role', 'admin');
+    expect(getMembership(user, { _id: organization, name: 'Team' })).not.toBeNull();
+    expect(getMembership(user, new mongoose.Types.ObjectId())).toBeNull();
+    expect(getMembership(undefined, organization)).toBeNull();
+  });
+
+  it('should recognise organization admins', () => {
+    expect(isOrganizationAdmin(user, organization)).toBe(true);
+    expect(isOrganizationAdmin({ memberships: [{ organization, role: 'member' }] }, organization)).toBe(false);
+  });
+
+  it('should list the organization IDs of a user', () => {
+    expect(getOrganizationIds(user)).toEqual([organization]);
+    expect(getOrganizationIds(undefined)).toEqual([]);
+  });
+
+  it('should limit organization content to members and platform staff', () => {
+    const other = new mongoose.Types.ObjectId();
+
+    expect(canSeeOrganization(undefined, null)).toBe(true);
+    expect(canSeeOrganization(user, organization)).toBe(true);
+    expect(canSeeOrganization(user, other)).toBe(false);
+    expect(canSeeOrganization({ role: 'admin', memberships: [] }, other)).toBe(true);
+  });
+
+  it('should slugify names', () => {
+    expect(slugify('  Product & Design  ')).toBe('product-design');
+  });
+});
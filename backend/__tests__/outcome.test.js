@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import { getRequiredVoters, getQuorumProgress, determineOutcome } from '../utils/outcome.js';
+
+const now = new Date('2026-01-01T12:00:00Z');
+
+const buildPoll = (votes, extra = {}) => ({
+  type: 'single',
+  totalVotes: votes.reduce((sum, count) => sum + count, 0),
+  options: votes.map((count, index) => ({ text: `Option ${index}`, votes: count })),
+  ...extra
+});
+
+describe('Outcome Utilities', () => {
+  describe('getRequiredVoters', () => {
+    it('should return null for polls without a quorum', () => {
+      expect(getRequiredVoters(buildPoll([1, 1]))).toBeNull();
+    });
+
+    it('should apply the larger of the voter and member quorums', () => {
+      expect(getRequiredVoters(buildPoll([], { quorumVoters: 10, quorumPercent: 50 }), 30)).toBe(15);
+      expect(getRequiredVoters(buildPoll([], { quorumVoters: 10, quorumPercent: 50 }), 11)).toBe(10);
+    });
+
+    it('should round member quorums up', () => {
+      expect(getRequiredVoters(buildPoll([], { quorumPercent: 50 }), 7)).toBe(4);
+    });
+  });
+
+  describe('getQuorumProgress', () => {
+    it('should report the voters counted so far', () => {
+      expect(getQuorumProgress(buildPoll([3, 2], { quorumVoters: 10 }))).toEqual({
+        required: 10,
+        voters: 5,
+        met: false
+      });
+    });
+  });
+
+  describe('determineOutcome', () => {
+    it('should pass the leading option when no rules are set', () => {
+      expect(determineOutcome(buildPoll([3, 1]), {}, now)).toEqual({
+        result: 'passed',
+        winner: 0,
+        share: 75,
+        voters: 4,
+        requiredVoters: null,
+        decidedAt: now
+      });
+    });
+
+    it('should report no quorum before applying the threshold', () => {
+      const poll = buildPoll([6, 1], { quorumVoters: 10, passThreshold: 60 });
+
+      expect(determineOutcome(poll, {}, now).result).toBe('noQuorum');
+    });
+
+    it('should fail when the leading option stays below the threshold', () => {
+      const outcome = determineOutcome(buildPoll([11, 9], { passThreshold: 60 }), {}, now);
+
+      expect(outcome.result).toBe('failed');
+      expect(outcome.winner).toBeNull();
+      expect(outcome.share).toBe(55);
+    });
+
+    it('should report a tie between equally placed leaders', () => {
+      expect(determineOutcome(buildPoll([2, 2, 1]), {}, now).result).toBe('tie');
+    });
+
+    it('should fail polls without votes', () => {
+      expect(determineOutcome(buildPoll([0, 0]), {}, now).result).toBe('failed');
+    });
+
+    it('should decide ranked polls by their instant-runoff winner', () => {
+      const poll = buildPoll([3, 2, 1], { type: 'ranked', passThreshold: 60 });
+      const runoff = {
+        winner: 0,
+        tied: [],
+        rounds: [
+          { round: 1, counts: [3, 2, 1], exhausted: 0, eliminated: 2 },
+          { round: 2, counts: [4, 2, 0], exhausted: 0, eliminated: null }
+        ]
+      };
+
+      expect(determineOutcome(poll, { runoff }, now)).toMatchObject({
+        result: 'passed',
+        winner: 0,
+        share: 66.7
+      });
+    });
+
+    it('should decide score polls by the highest mean score', () => {
+      const poll = {
+        type: 'score',
+        scoreMin: 1,
+        scoreMax: 3,
+        totalVotes: 2,
+        options: [
+          { text: 'Pizza', votes: 2, histogram: [0, 1, 1] },
+          { text: 'Salad', votes: 2, histogram: [2, 0, 0] }
+        ]
+      };
+
+      expect(determineOutcome(poll, {}, now)).toMatchObject({ result: 'passed', winner: 0, share: null });
+    });
+  });
+});
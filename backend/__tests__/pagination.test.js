@@ -0,0 +1,83 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+
+const newest = { field: 'createdAt', order: -1, type: 'date' };
+const mostVotes = { field: 'totalVotes', order: -1, type: 'number' };
+const closingSoon = { field: 'closesAt', order: 1, type: 'date' };
+const byUsername = { field: 'username', order: 1, type: 'string' };
+
+/**
+ * Encode a cursor payload the way a client could forge it
+ * @param {*} value - Sort value
+ * @returns {string} - Cursor string
+ */
+const forgeCursor = (value) => Buffer.from(JSON.stringify({ value, id: new mongoose.Types.ObjectId().toString() }))
+  .toString('base64url');
+
+describe('Pagination Utilities', () => {
+  describe('Cursors', () => {
+    it('should round-trip a date cursor', () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-01-01T00:00:00Z') };
+
+      const cursor = decodeCursor(encodeCursor(doc, newest), newest);
+
+      expect(cursor.value).toEqual(doc.createdAt);
+      expect(cursor.id.equals(doc._id)).toBe(true);
+    });
+
+    it('should round-trip a numeric cursor', () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), totalVotes: 42 };
+
+      const cursor = decodeCursor(encodeCursor(doc, mostVotes), mostVotes);
+
+      expect(cursor.value).toBe(42);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor', newest)).toBeNull();
+      expect(decodeCursor(Buffer.from('{"value":1,"id":"x"}').toString('base64url'), mostVotes)).toBeNull();
+    });
+
+    it('should reject numeric cursors whose value is not a number', () => {
+      expect(decodeCursor(forgeCursor({ $gt: 0 }), mostVotes)).toBeNull();
+      expect(decodeCursor(forgeCursor('42'), mostVotes)).toBeNull();
+      expect(decodeCursor(forgeCursor([42]), mostVotes)).toBeNull();
+      expect(decodeCursor(forgeCursor(null), mostVotes).value).toBeNull();
+    });
+
+    it('should reject string cursors whose value is not a string', () => {
+      expect(decodeCursor(forgeCursor({ $ne: null }), byUsername)).toBeNull();
+      expect(decodeCursor(forgeCursor(7), byUsername)).toBeNull();
+      expect(decodeCursor(forgeCursor('alice'), byUsername).value).toBe('alice');
+    });
+
+    it('should reject date cursors whose value is not a date string', () => {
+      expect(decodeCursor(forgeCursor({ $exists: true }), newest)).toBeNull();
+      expect(decodeCursor(forgeCursor(true), newest)).toBeNull();
+    });
+  });
+
+  describe('Filters', () => {
+    it('should select documents after the cursor for descending sorts', () => {
+      const cursor = { value: 5, id: new mongoose.Types.ObjectId() };
+
+      expect(buildCursorFilter(mostVotes, cursor)).toEqual({
+        $or: [
+          { totalVotes: { $lt: 5 } },
+          { totalVotes: 5, _id: { $lt: cursor.id } }
+        ]
+      });
+    });
+
+    it('should select documents after the cursor for ascending sorts', () => {
+      const cursor = { value: new Date(), id: new mongoose.Types.ObjectId() };
+
+      expect(buildCursorFilter(closingSoon, cursor).$or[0]).toEqual({ closesAt: { $gt: cursor.value } });
+    });
+
+    it('should break sort ties by _id', () => {
+      expect(buildSortSpec(newest)).toEqual({ createdAt: -1, _id: -1 });
+    });
+  });
+});
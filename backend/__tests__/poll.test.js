@@ -0,0 +1,578 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import pollRoutes from '../routes/pollRoutes.js';
+import mongoose from 'mongoose';
+import Poll from '../models/Poll.js';
+import Vote from '../models/Vote.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/polls', pollRoutes);
+
+describe('Poll Routes', () => {
+  describe('GET /api/polls', () => {
+    it('should reject an unknown sort option', async () => {
+      const response = await request(app).get('/api/polls?sort=random');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Invalid sort option');
+    });
+
+    it('should reject sort options named after built-in object properties', async () => {
+      for (const sort of ['constructor', 'toString', '__proto__']) {
+        const response = await request(app).get(`/api/polls?sort=${sort}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty('message', 'Invalid sort option');
+      }
+    });
+
+    it('should reject an out-of-range limit', async () => {
+      const response = await request(app).get('/api/polls?limit=1000');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await request(app).get('/api/polls?cursor=garbage');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Invalid cursor');
+    });
+
+    it('should reject an invalid creator filter', async () => {
+      const response = await request(app).get('/api/polls?createdBy=nobody');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication for votedByMe', async () => {
+      const response = await request(app).get('/api/polls?votedByMe=true');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/polls/:id/analytics', () => {
+    it('should reject an unknown interval', async () => {
+      const response = await request(app).get('/api/polls/64b000000000000000000001/analytics?interval=week');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/polls/:id/write-ins/promote', () => {
+    it('should reject promotions from unauthenticated users', async () => {
+      const response = await request(app)
+        .post('/api/polls/64b000000000000000000001/write-ins/promote')
+        .send({ key: 'tea' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/polls/:id', () => {
+    it('should reject edits from unauthenticated users', async () => {
+      const response = await request(app)
+        .put('/api/polls/507f1f77bcf86cd799439011')
+        .send({ question: 'Q', options: ['A', 'B'] });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/polls/:id', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject edits from unauthenticated users', async () => {
+      const response = await request(app)
+        .patch('/api/polls/507f1f77bcf86cd799439011')
+        .send({ question: 'Q' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should not append options to a score poll that has votes', async () => {
+      const creator = buildUser();
+      const poll = new Poll({
+        question: 'Rate the venues',
+        type: 'score',
+        options: [{ text: 'Hall' }, { text: 'Park' }],
+        createdBy: creator._id
+      });
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      jest.spyOn(Vote, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const response = await request(app)
+        .patch(`/api/polls/${poll._id}`)
+        .set('Authorization', loginAs(creator))
+        .send({ options: ['Hall', 'Park', 'Beach'] });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('code', 'OPTIONS_LOCKED');
+      expect(poll.options).toHaveLength(2);
+    });
+  });
+
+  describe('DELETE /api/polls/:id', () => {
+    it('should reject deletion by unauthenticated users', async () => {
+      const response = await request(app)
+        .delete('/api/polls/507f1f77bcf86cd799439011');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/polls/:id/vote', () => {
+    it('should reject votes from unauthenticated users', async () => {
+      const response = await request(app)
+        .post('/api/polls/507f1f77bcf86cd799439011/vote')
+        .send({ optionIndex: 0 });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('message', 'Not authorized, no token');
+    });
+  });
+
+  describe('PUT /api/polls/:id/vote', () => {
+    it('should reject vote changes from unauthenticated users', async () => {
+      const response = await request(app)
+        .put('/api/polls/507f1f77bcf86cd799439011/vote')
+        .send({ optionIndex: 1 });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/polls/:id/vote', () => {
+    it('should reject vote withdrawal from unauthenticated users', async () => {
+      const response = await request(app)
+        .delete('/api/polls/507f1f77bcf86cd799439011/vote');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/polls/:id/reconcile', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app)
+        .post('/api/polls/507f1f77bcf86cd799439011/reconcile');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/polls/:id/share', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app)
+        .post('/api/polls/507f1f77bcf86cd799439011/share');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/polls/:id/join', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app)
+        .post('/api/polls/507f1f77bcf86cd799439011/join')
+        .send({ code: 'abc' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/polls?organization', () => {
+    it('should hide organizations the caller does not belong to', async () => {
+      const response = await request(app).get('/api/polls?organization=507f1f77bcf86cd799439011');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('message', 'Organization not found');
+    });
+  });
+
+  describe('POST /api/polls/stream-token', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app).post('/api/polls/stream-token');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/polls/stream', () => {
+    it('should reject an invalid stream token', async () => {
+      const response = await request(app).get('/api/polls/stream?token=garbage');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/polls/:id/stream', () => {
+    const pollId = '64b000000000000000000001';
+
+    const buildStreamPoll = (extra = {}) => new Poll({
+      _id: pollId,
+      question: 'Lunch?',
+      options: [{ text: 'Pizza' }, { text: 'Salad' }],
+      shareCode: 'share-code',
+      ...extra
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not open the stream of a private poll with the share code alone', async () => {
+      jest.spyOn(Poll, 'findById').mockResolvedValue(buildStreamPoll({ visibility: 'private' }));
+
+      const response = await request(app).get(`/api/polls/${pollId}/stream?code=share-code`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('message', 'Log in to open this poll');
+    });
+
+    it('should not open the stream of a hidden poll', async () => {
+      jest.spyOn(Poll, 'findById').mockResolvedValue(buildStreamPoll({ hiddenAt: new Date() }));
+
+      const response = await request(app).get(`/api/polls/${pollId}/stream`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not open the stream of an unlisted poll without the share code', async () => {
+      jest.spyOn(Poll, 'findById').mockResolvedValue(buildStreamPoll({ visibility: 'unlisted' }));
+
+      const response = await request(app).get(`/api/polls/${pollId}/stream?code=wrong`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/polls/:id', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should answer 404 for a malformed poll ID without querying it', async () => {
+      const findById = jest.spyOn(Poll, 'findById');
+
+      const response = await request(app).get('/api/polls/not-an-id');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('message', 'Poll not found');
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/polls/export', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app).get('/api/polls/export?mine=true&format=csv');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/polls/:id/export', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await request(app)
+        .get('/api/polls/507f1f77bcf86cd799439011/export?format=csv');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
+
+describe('Poll Model', () => {
+  describe('Voting window', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+
+    it('should allow voting on an open poll without a window', () => {
+      const poll = new Poll({ question: 'Q', options: [{ text: 'A' }] });
+
+      expect(poll.getVotingError(now)).toBeNull();
+    });
+
+    it('should reject voting on a draft poll', () => {
+      const poll = new Poll({ question: 'Q', status: 'draft' });
+
+      expect(poll.getVotingError(now)).toHaveProperty('code', 'POLL_NOT_OPEN');
+    });
+
+    it('should reject voting before opensAt', () => {
+      const poll = new Poll({ question: 'Q', opensAt: new Date('2026-01-02T00:00:00Z') });
+
+      expect(poll.getVotingError(now)).toHaveProperty('code', 'POLL_NOT_OPEN');
+    });
+
+    it('should reject voting after closesAt even if the poll is still open', () => {
+      const poll = new Poll({ question: 'Q', closesAt: new Date('2026-01-01T11:59:59Z') });
+
+      expect(poll.getVotingError(now)).toHaveProperty('code', 'POLL_CLOSED');
+    });
+
+    it('should reject voting on a closed poll', () => {
+      const poll = new Poll({ question: 'Q', status: 'closed' });
+
+      expect(poll.getVotingError(now)).toHaveProperty('code', 'POLL_CLOSED');
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject closesAt before opensAt', () => {
+      const poll = new Poll({
+        question: 'Q',
+        opensAt: new Date('2026-01-02T00:00:00Z'),
+        closesAt: new Date('2026-01-01T00:00:00Z')
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('closesAt');
+    });
+
+    it('should reject selection limits that exceed the number of options', () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'approval',
+        options: [{ text: 'A' }, { text: 'B' }],
+        maxSelections: 3
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('maxSelections');
+    });
+
+    it('should reject maxSelections below minSelections', () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'approval',
+        options: [{ text: 'A' }, { text: 'B' }, { text: 'C' }],
+        minSelections: 2,
+        maxSelections: 1
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('maxSelections');
+    });
+
+    it('should only accept write-ins on single-choice polls', () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'ranked',
+        options: [{ text: 'A' }, { text: 'B' }],
+        allowWriteIn: true
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('allowWriteIn');
+      expect(new Poll({ question: 'Q', options: [{ text: 'A' }, { text: 'B' }], allowWriteIn: true }).validateSync())
+        .toBeUndefined();
+    });
+
+    it('should reject a score range without at least two scores', () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'score',
+        options: [{ text: 'A' }, { text: 'B' }],
+        scoreMin: 3,
+        scoreMax: 3
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('scoreMax');
+    });
+
+    it('should give score poll options a zeroed histogram for the score range', async () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'score',
+        options: [{ text: 'A' }, { text: 'B' }],
+        scoreMin: 0,
+        scoreMax: 10
+      });
+
+      await poll.validate();
+
+      expect(poll.options[0].histogram).toHaveLength(11);
+      expect(poll.options[0].histogram.every(count => count === 0)).toBe(true);
+      expect(poll.options[1].scoreTotal).toBe(0);
+    });
+  });
+
+  describe('Visibility', () => {
+    const creator = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const member = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+    const buildPoll = (visibility) => new Poll({
+      question: 'Q',
+      options: [{ text: 'A' }, { text: 'B' }],
+      createdBy: creator._id,
+      visibility,
+      allowedUsers: [member._id]
+    });
+
+    it('should give non-public polls a share code on creation', async () => {
+      const poll = buildPoll('unlisted');
+      await poll.validate();
+
+      expect(poll.shareCode).toEqual(expect.any(String));
+    });
+
+    it('should open public polls to everyone', () => {
+      expect(buildPoll('public').canBeAccessedBy(undefined, undefined)).toBe(true);
+    });
+
+    it('should only open unlisted polls with the share code', async () => {
+      const poll = buildPoll('unlisted');
+      await poll.validate();
+
+      expect(poll.canBeAccessedBy(stranger, undefined)).toBe(false);
+      expect(poll.canBeAccessedBy(undefined, poll.shareCode)).toBe(true);
+      expect(poll.canBeAccessedBy(creator, undefined)).toBe(true);
+    });
+
+    it('should open private polls to allowed users, code holders and moderators', async () => {
+      const poll = buildPoll('private');
+      await poll.validate();
+
+      expect(poll.canBeAccessedBy(member, undefined)).toBe(true);
+      expect(poll.canBeAccessedBy(stranger, undefined)).toBe(false);
+      expect(poll.canBeAccessedBy(stranger, poll.shareCode)).toBe(true);
+      expect(poll.canBeAccessedBy(undefined, poll.shareCode)).toBe(false);
+      expect(poll.canBeAccessedBy(moderator, undefined)).toBe(true);
+    });
+
+    it('should stop accepting a revoked share code', async () => {
+      const poll = buildPoll('unlisted');
+      await poll.validate();
+      const code = poll.shareCode;
+      poll.shareCode = undefined;
+
+      expect(poll.canBeAccessedBy(undefined, code)).toBe(false);
+    });
+
+    it('should only open hidden polls to their creator and staff', async () => {
+      const poll = buildPoll('private');
+      await poll.validate();
+      poll.hiddenAt = new Date();
+
+      expect(poll.canBeAccessedBy(creator, undefined)).toBe(true);
+      expect(poll.canBeAccessedBy(moderator, undefined)).toBe(true);
+      expect(poll.canBeAccessedBy(member, undefined)).toBe(false);
+      expect(poll.canBeAccessedBy(stranger, poll.shareCode)).toBe(false);
+      expect(buildPoll('public').set('hiddenAt', new Date()).canBeAccessedBy(undefined, undefined)).toBe(false);
+    });
+
+    it('should leave sharing settings out of serialized polls', async () => {
+      const poll = buildPoll('private');
+      await poll.validate();
+
+      expect(poll.toObject()).not.toHaveProperty('shareCode');
+      expect(JSON.parse(JSON.stringify(poll))).not.toHaveProperty('allowedUsers');
+    });
+  });
+
+  describe('Organizations', () => {
+    const organization = new mongoose.Types.ObjectId();
+    const member = {
+      _id: new mongoose.Types.ObjectId(),
+      role: 'user',
+      memberships: [{ organization, role: 'member' }]
+    };
+    const outsider = {
+      _id: new mongoose.Types.ObjectId(),
+      role: 'user',
+      memberships: [{ organization: new mongoose.Types.ObjectId(), role: 'admin' }]
+    };
+    const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator', memberships: [] };
+
+    const buildPoll = (visibility) => new Poll({
+      question: 'Q',
+      options: [{ text: 'A' }, { text: 'B' }],
+      createdBy: outsider._id,
+      organization,
+      visibility
+    });
+
+    it('should only open organization polls to members', () => {
+      const poll = buildPoll('public');
+
+      expect(poll.canBeAccessedBy(member, undefined)).toBe(true);
+      expect(poll.canBeAccessedBy(outsider, undefined)).toBe(false);
+      expect(poll.canBeAccessedBy(undefined, undefined)).toBe(false);
+    });
+
+    it('should not let a share code reach across organizations', async () => {
+      const poll = buildPoll('unlisted');
+      await poll.validate();
+
+      expect(poll.canBeAccessedBy(member, poll.shareCode)).toBe(true);
+      expect(poll.canBeAccessedBy(outsider, poll.shareCode)).toBe(false);
+    });
+
+    it('should let platform moderators into every organization', () => {
+      expect(buildPoll('private').canBeAccessedBy(moderator, undefined)).toBe(true);
+    });
+  });
+
+  describe('Decision rules', () => {
+    it('should only accept member quorums on organization polls', () => {
+      const poll = new Poll({ question: 'Q', options: [{ text: 'A' }, { text: 'B' }], quorumPercent: 50 });
+
+      expect(poll.validateSync().errors).toHaveProperty('quorumPercent');
+
+      poll.organization = new mongoose.Types.ObjectId();
+      expect(poll.validateSync()).toBeUndefined();
+    });
+
+    it('should reject pass thresholds on score polls', () => {
+      const poll = new Poll({
+        question: 'Q',
+        type: 'score',
+        options: [{ text: 'A' }, { text: 'B' }],
+        passThreshold: 60
+      });
+
+      expect(poll.validateSync().errors).toHaveProperty('passThreshold');
+    });
+
+    it('should reject fractional voter quorums', () => {
+      const poll = new Poll({ question: 'Q', options: [{ text: 'A' }, { text: 'B' }], quorumVoters: 2.5 });
+
+      expect(poll.validateSync().errors).toHaveProperty('quorumVoters');
+    });
+  });
+
+  describe('Results visibility', () => {
+    const creator = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const voter = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+    const buildPoll = (resultsVisibility, status = 'open') => new Poll({
+      question: 'Q',
+      options: [{ text: 'A' }, { text: 'B' }],
+      createdBy: creator._id,
+      resultsVisibility,
+      status
+    });
+
+    it('should show results to everyone by default', () => {
+      expect(buildPoll(undefined).canShowResultsTo(undefined)).toBe(true);
+    });
+
+    it('should reject unknown results visibility policies', () => {
+      expect(buildPoll('sometimes').validateSync().errors).toHaveProperty('resultsVisibility');
+    });
+
+    it('should show after-vote results to voters and once closed', () => {
+      expect(buildPoll('afterVote').canShowResultsTo(voter, false)).toBe(false);
+      expect(buildPoll('afterVote').canShowResultsTo(voter, true)).toBe(true);
+      expect(buildPoll('afterVote', 'closed').canShowResultsTo(undefined)).toBe(true);
+    });
+
+    it('should keep creator-only results from voters even after closing', () => {
+      const poll = buildPoll('creatorOnly', 'closed');
+
+      expect(poll.canShowResultsTo(voter, true)).toBe(false);
+      expect(poll.canShowResultsTo(creator)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { EventEmitter } from 'events';
+import { jest, describe, it, expect } from '@jest/globals';
+import {
+  buildPollSnapshot,
+  getResultsPolicy,
+  publishPollUpdate,
+  publishPollDeleted,
+  publishPollHidden,
+  isListed,
+  getEventsSince,
+  formatEvent,
+  streamPollEvents,
+  closeStreams
+} from '../services/pollEvents.js';
+
+const poll = {
+  _id: '64b000000000000000000001',
+  status: 'open',
+  totalVotes: 3,
+  options: [
+    { text: 'Yes', votes: 2 },
+    { text: 'No', votes: 1 }
+  ]
+};
+
+/**
+ * Open a stream of the poll list for a user's session
+ * @param {string|null} sessionId - Session of the stream, null for anonymous streams
+ * @returns {Promise<Object>} - The stream's request and response
+ */
+const openStream = async (sessionId) => {
+  const req = new EventEmitter();
+  req.user = sessionId ? { _id: '64b000000000000000000009' } : null;
+  req.sessionId = sessionId;
+  req.query = {};
+  req.get = () => undefined;
+
+  const res = {
+    writableEnded: false,
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn(() => { res.writableEnded = true; })
+  };
+
+  await streamPollEvents(req, res, { filter: () => true, getSnapshot: async () => [] });
+  return { req, res };
+};
+
+describe('Poll Events', () => {
+  describe('buildPollSnapshot', () => {
+    it('should include the counters and computed results', () => {
+      const snapshot = buildPollSnapshot(poll);
+
+      expect(snapshot._id).toBe(poll._id);
+      expect(snapshot.options).toEqual([{ text: 'Yes', votes: 2 }, { text: 'No', votes: 1 }]);
+      expect(snapshot.results.options[0].percentage).toBe(66.7);
+    });
+  });
+
+  describe('getResultsPolicy', () => {
+    it('should only record the policy of polls with hidden results', () => {
+      expect(getResultsPolicy(poll)).toBeNull();
+      expect(getResultsPolicy({ ...poll, resultsVisibility: 'afterVote' })).toMatchObject({
+        resultsVisibility: 'afterVote',
+        status: 'open'
+      });
+      expect(getResultsPolicy({ ...poll, resultsVisibility: 'afterClose', status: 'closed' })).toBeNull();
+    });
+
+    it('should name the voter on tally events caused by a vote', () => {
+      const event = publishPollUpdate({ ...poll, resultsVisibility: 'afterVote' }, {
+        voter: '64b000000000000000000009',
+        voted: true
+      });
+
+      expect(event.voter).toBe('64b000000000000000000009');
+      expect(event.voted).toBe(true);
+      expect(event.resultsPolicy).not.toBeNull();
+    });
+  });
+
+  describe('publishPollHidden', () => {
+    it('should take hidden polls off the list feed and restrict their later updates', () => {
+      const hiddenPoll = { ...poll, visibility: 'public', hiddenAt: new Date() };
+
+      expect(publishPollHidden(hiddenPoll)).toMatchObject({ type: 'hidden', listed: true, hidden: false });
+      expect(publishPollHidden({ ...hiddenPoll, visibility: 'unlisted' }).listed).toBe(false);
+      expect(publishPollUpdate(hiddenPoll)).toMatchObject({ type: 'tally', listed: false, hidden: true });
+    });
+  });
+
+  describe('publishPollDeleted', () => {
+    it('should keep deletions of polls off the list feed unless they were listed', () => {
+      expect(publishPollDeleted(poll._id).listed).toBe(false);
+      expect(publishPollDeleted(poll._id, { listed: isListed({ ...poll, visibility: 'private' }) }).listed).toBe(false);
+      expect(publishPollDeleted(poll._id, { listed: isListed({ ...poll, hiddenAt: new Date() }) }).listed).toBe(false);
+      expect(publishPollDeleted(poll._id, { listed: isListed({ ...poll, visibility: 'public' }) }).listed).toBe(true);
+    });
+  });
+
+  describe('getEventsSince', () => {
+    it('should replay the events published after the given ID', () => {
+      const first = publishPollUpdate(poll);
+      const second = publishPollDeleted(poll._id);
+
+      expect(getEventsSince(first.id - 1)).toEqual([first, second]);
+      expect(getEventsSince(first.id)).toEqual([second]);
+      expect(getEventsSince(second.id)).toEqual([]);
+    });
+
+    it('should refuse IDs that cannot be replayed', () => {
+      const latest = publishPollUpdate(poll);
+
+      expect(getEventsSince('not-a-number')).toBeNull();
+      expect(getEventsSince(latest.id + 1)).toBeNull();
+    });
+  });
+
+  describe('closeStreams', () => {
+    it('should end the streams of a revoked session only', async () => {
+      const revoked = await openStream('64b000000000000000000021');
+      const other = await openStream('64b000000000000000000022');
+
+      closeStreams({ sessionId: '64b000000000000000000021' });
+
+      expect(revoked.res.end).toHaveBeenCalled();
+      expect(other.res.end).not.toHaveBeenCalled();
+      other.req.emit('close');
+    });
+
+    it('should end every stream of a user except the session kept open', async () => {
+      const kept = await openStream('64b000000000000000000021');
+      const revoked = await openStream('64b000000000000000000022');
+      const anonymous = await openStream(null);
+
+      closeStreams({ userId: '64b000000000000000000009', exceptSessionId: '64b000000000000000000021' });
+
+      expect(revoked.res.end).toHaveBeenCalled();
+      expect(kept.res.end).not.toHaveBeenCalled();
+      expect(anonymous.res.end).not.toHaveBeenCalled();
+
+      // An ended stream receives no further events
+      revoked.res.write.mockClear();
+      publishPollUpdate(poll);
+      expect(revoked.res.write).not.toHaveBeenCalled();
+      expect(kept.res.write).toHaveBeenCalled();
+
+      kept.req.emit('close');
+      anonymous.req.emit('close');
+    });
+  });
+
+  describe('formatEvent', () => {
+    it('should format events in the SSE wire format', () => {
+      expect(formatEvent({ id: 7, type: 'deleted', data: { _id: 'abc' } }))
+        .toBe('id: 7\nevent: deleted\ndata: {"_id":"abc"}\n\n');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import Poll from '../models/Poll.js';
+import logger from '../config/logger.js';
+import { runPollLifecycle } from '../services/pollScheduler.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+const buildPoll = (extra = {}) => new Poll({
+  question: 'Team offsite location?',
+  options: [{ text: 'Lisbon' }, { text: 'Berlin' }],
+  createdBy: new mongoose.Types.ObjectId(),
+  ...extra
+});
+
+/**
+ * Serve the polls due to open and due to close to the scheduler
+ * @param {Array} dueToOpen - Draft polls past their opensAt time
+ * @param {Array} dueToClose - Polls past their closesAt deadline
+ */
+const schedule = (dueToOpen, dueToClose) => {
+  jest.spyOn(Poll, 'find')
+    .mockResolvedValueOnce(dueToOpen)
+    .mockResolvedValueOnce(dueToClose);
+};
+
+describe('Poll Scheduler', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('runPollLifecycle', () => {
+    it('should keep opening polls after one of them fails to save', async () => {
+      const broken = buildPoll({ status: 'draft', opensAt: now });
+      const healthy = buildPoll({ status: 'draft', opensAt: now });
+      jest.spyOn(broken, 'save').mockRejectedValue(new Error('Validation failed'));
+      jest.spyOn(healthy, 'save').mockResolvedValue(healthy);
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => logger);
+      schedule([broken, healthy], []);
+
+      const result = await runPollLifecycle(now);
+
+      expect(result).toEqual({ opened: 1, closed: 0 });
+      expect(healthy.status).toBe('open');
+      expect(logError).toHaveBeenCalledWith(
+        'Poll scheduler could not update a poll',
+        expect.objectContaining({ pollId: broken._id, transition: 'open', error: 'Validation failed' })
+      );
+    });
+
+    it('should keep closing polls after one of them fails to close', async () => {
+      const broken = buildPoll({ status: 'open', closesAt: now });
+      const healthy = buildPoll({ status: 'open', closesAt: now });
+      jest.spyOn(broken, 'closePoll').mockRejectedValue(new Error('Validation failed'));
+      jest.spyOn(healthy, 'closePoll').mockImplementation(async () => {
+        healthy.status = 'closed';
+        healthy.outcome = { result: 'noQuorum', winner: null };
+        return healthy;
+      });
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => logger);
+      schedule([], [broken, healthy]);
+
+      const result = await runPollLifecycle(now);
+
+      expect(result).toEqual({ opened: 0, closed: 1 });
+      expect(healthy.status).toBe('closed');
+      expect(logError).toHaveBeenCalledWith(
+        'Poll scheduler could not update a poll',
+        expect.objectContaining({ pollId: broken._id, transition: 'close' })
+      );
+    });
+  });
+});
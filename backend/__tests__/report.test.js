@@ -0,0 +1,177 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import pollRoutes from '../routes/pollRoutes.js';
+import moderationRoutes from '../routes/moderationRoutes.js';
+import Report, { MAX_REPORT_DETAILS_LENGTH } from '../models/Report.js';
+import Poll from '../models/Poll.js';
+import AuditEntry from '../models/AuditEntry.js';
+import { publishPollUpdate, getEventsSince } from '../services/pollEvents.js';
+import { parseReport, parseResolution } from '../utils/reports.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/polls', pollRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+describe('Report Routes', () => {
+  const buildPoll = (fields = {}) => new Poll({
+    question: 'Lunch?',
+    options: [{ text: 'Pizza' }, { text: 'Salad' }],
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not take reports on polls the user cannot open', async () => {
+    const poll = buildPoll({ hiddenAt: new Date() });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    const file = jest.spyOn(Report, 'file');
+
+    const response = await request(app)
+      .post(`/api/polls/${poll._id}/reports`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ reason: 'spam' });
+
+    expect(response.status).toBe(404);
+    expect(file).not.toHaveBeenCalled();
+  });
+
+  it('should not let users report their own poll', async () => {
+    const user = buildUser();
+    const poll = buildPoll({ createdBy: user._id });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    const file = jest.spyOn(Report, 'file');
+
+    const response = await request(app)
+      .post(`/api/polls/${poll._id}/reports`)
+      .set('Authorization', loginAs(user))
+      .send({ reason: 'spam' });
+
+    expect(response.status).toBe(400);
+    expect(file).not.toHaveBeenCalled();
+  });
+
+  it('should keep the moderation queue to moderators', async () => {
+    const find = jest.spyOn(Report, 'find');
+
+    const response = await request(app)
+      .get('/api/moderation/reports')
+      .set('Authorization', loginAs(buildUser()));
+
+    expect(response.status).toBe(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('should hide a reported poll, announce it and record it in the audit log', async () => {
+    const moderator = buildUser({ username: 'mod', role: 'moderator' });
+    const poll = buildPoll({ visibility: 'public' });
+    const report = new Report({ targetType: 'poll', poll: poll._id, reportedBy: new mongoose.Types.ObjectId(), reason: 'spam' });
+    const lastEventId = publishPollUpdate(poll).id;
+
+    jest.spyOn(Report, 'findById')
+      .mockResolvedValueOnce(report)
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(report) });
+    jest.spyOn(Report, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+    const hide = jest.spyOn(Poll, 'findByIdAndUpdate')
+      .mockImplementation(async (id, update) => buildPoll({ _id: id, visibility: 'public', ...update }));
+    const append = jest.spyOn(AuditEntry, 'append').mockResolvedValue({});
+
+    const response = await request(app)
+      .post(`/api/moderation/reports/${report._id}/resolve`)
+      .set('Authorization', loginAs(moderator))
+      .send({ action: 'hide' });
+
+    expect(response.status).toBe(200);
+    expect(hide).toHaveBeenCalledWith(poll._id, expect.objectContaining({ hiddenBy: moderator._id }), { new: true });
+    expect(getEventsSince(lastEventId)).toEqual([
+      expect.objectContaining({ type: 'hidden', pollId: String(poll._id), listed: true })
+    ]);
+    expect(append).toHaveBeenCalledWith(expect.objectContaining({ action: 'poll.hidden', targetId: poll._id }));
+  });
+});
+
+describe('Report Utilities', () => {
+  describe('parseReport', () => {
+    it('should accept a reason with optional details', () => {
+      expect(parseReport({ reason: 'spam' })).toEqual({ report: { reason: 'spam', details: undefined } });
+      expect(parseReport({ reason: 'hate', details: '  slurs in option 2 ' }))
+        .toEqual({ report: { reason: 'hate', details: 'slurs in option 2' } });
+    });
+
+    it('should reject unknown or missing reasons', () => {
+      expect(parseReport({ reason: 'boring' })).toHaveProperty('error');
+      expect(parseReport({})).toHaveProperty('error');
+      expect(parseReport(undefined)).toHaveProperty('error');
+    });
+
+    it('should require details when the reason is other', () => {
+      expect(parseReport({ reason: 'other' })).toHaveProperty('error');
+      expect(parseReport({ reason: 'other', details: '   ' })).toHaveProperty('error');
+      expect(parseReport({ reason: 'other', details: 'Copies my poll' })).toHaveProperty('report');
+    });
+
+    it('should reject details that are not short text', () => {
+      expect(parseReport({ reason: 'spam', details: 42 })).toHaveProperty('error');
+      expect(parseReport({ reason: 'spam', details: 'x'.repeat(MAX_REPORT_DETAILS_LENGTH + 1) }))
+        .toHaveProperty('error');
+    });
+  });
+
+  describe('parseResolution', () => {
+    it('should accept each moderation action with an optional note', () => {
+      expect(parseResolution({ action: 'dismiss' })).toEqual({ resolution: { action: 'dismiss', note: undefined } });
+      expect(parseResolution({ action: 'hide', note: 'Spam link' }))
+        .toEqual({ resolution: { action: 'hide', note: 'Spam link' } });
+      expect(parseResolution({ action: 'deactivateAuthor' })).toHaveProperty('resolution');
+    });
+
+    it('should reject unknown actions and invalid notes', () => {
+      expect(parseResolution({ action: 'ban' })).toHaveProperty('error');
+      expect(parseResolution({})).toHaveProperty('error');
+      expect(parseResolution({ action: 'dismiss', note: ['x'] })).toHaveProperty('error');
+    });
+  });
+});
+
+describe('Report Model', () => {
+  const buildReport = (extra = {}) => new Report({
+    targetType: 'poll',
+    poll: new mongoose.Types.ObjectId(),
+    reportedBy: new mongoose.Types.ObjectId(),
+    reason: 'spam',
+    ...extra
+  });
+
+  it('should start open', () => {
+    const report = buildReport();
+
+    expect(report.validateSync()).toBeUndefined();
+    expect(report.status).toBe('open');
+  });
+
+  it('should name a comment on comment reports only', () => {
+    const comment = new mongoose.Types.ObjectId();
+
+    expect(buildReport({ targetType: 'comment' }).validateSync().errors).toHaveProperty('comment');
+    expect(buildReport({ comment }).validateSync().errors).toHaveProperty('comment');
+    expect(buildReport({ targetType: 'comment', comment }).validateSync()).toBeUndefined();
+  });
+
+  it('should reject unknown reasons and actions', () => {
+    expect(buildReport({ reason: 'boring' }).validateSync().errors).toHaveProperty('reason');
+    expect(buildReport({ action: 'ban' }).validateSync().errors).toHaveProperty('action');
+  });
+
+  it('should match every report on the same content', () => {
+    const report = buildReport();
+
+    expect(Report.sameTargetAs(report)).toEqual({ poll: report.poll, comment: null });
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  toPercentage,
+  summarizeScores,
+  buildResults,
+  canSeeResults,
+  hideResults
+} from '../utils/results.js';
+
+describe('Results Utilities', () => {
+  describe('toPercentage', () => {
+    it('should round to one decimal place', () => {
+      expect(toPercentage(1, 3)).toBe(33.3);
+      expect(toPercentage(2, 3)).toBe(66.7);
+    });
+
+    it('should return 0 when there are no votes', () => {
+      expect(toPercentage(0, 0)).toBe(0);
+    });
+  });
+
+  describe('buildResults', () => {
+    it('should compute totals and per-option percentages', () => {
+      const poll = {
+        options: [
+          { text: 'Yes', votes: 3 },
+          { text: 'No', votes: 1 }
+        ]
+      };
+
+      expect(buildResults(poll)).toEqual({
+        totalVotes: 4,
+        voters: 4,
+        options: [
+          { index: 0, text: 'Yes', votes: 3, percentage: 75 },
+          { index: 1, text: 'No', votes: 1, percentage: 25 }
+        ]
+      });
+    });
+
+    it('should report write-ins alongside the options', () => {
+      const poll = {
+        allowWriteIn: true,
+        writeInVotes: 1,
+        options: [
+          { text: 'Yes', votes: 2 },
+          { text: 'No', votes: 1 }
+        ]
+      };
+
+      const results = buildResults(poll);
+
+      expect(results.totalVotes).toBe(4);
+      expect(results.options.map(option => option.percentage)).toEqual([50, 25]);
+      expect(results.writeIns).toEqual({ votes: 1, percentage: 25 });
+    });
+
+    it('should report approval percentages as a share of voters', () => {
+      const poll = {
+        type: 'approval',
+        totalVotes: 4,
+        options: [
+          { text: 'Mon', votes: 4 },
+          { text: 'Tue', votes: 2 }
+        ]
+      };
+
+      const results = buildResults(poll);
+
+      expect(results.totalVotes).toBe(6);
+      expect(results.voters).toBe(4);
+      expect(results.options.map(option => option.percentage)).toEqual([100, 50]);
+    });
+
+    it('should report score statistics for score polls', () => {
+      const poll = {
+        type: 'score',
+        scoreMin: 1,
+        scoreMax: 3,
+        totalVotes: 2,
+        options: [{ text: 'Pizza', votes: 2, scoreTotal: 5, histogram: [0, 1, 1] }]
+      };
+
+      expect(buildResults(poll)).toEqual({
+        voters: 2,
+        scoreMin: 1,
+        scoreMax: 3,
+        options: [{
+          index: 0,
+          text: 'Pizza',
+          voters: 2,
+          mean: 2.5,
+          median: 2.5,
+          histogram: [{ score: 1, count: 0 }, { score: 2, count: 1 }, { score: 3, count: 1 }]
+        }]
+      });
+    });
+  });
+
+  describe('summarizeScores', () => {
+    it('should take the middle score of an odd number of ballots', () => {
+      const summary = summarizeScores([2, 0, 0, 1, 2], 1);
+
+      expect(summary.voters).toBe(5);
+      expect(summary.mean).toBe(3.2);
+      expect(summary.median).toBe(4);
+    });
+
+    it('should report no mean or median without ballots', () => {
+      expect(summarizeScores([0, 0, 0], 0)).toMatchObject({ voters: 0, mean: null, median: null });
+    });
+  });
+
+  describe('canSeeResults', () => {
+    const creator = { _id: '64b000000000000000000001', role: 'user' };
+    const voter = { _id: '64b000000000000000000002', role: 'user' };
+    const moderator = { _id: '64b000000000000000000003', role: 'moderator' };
+
+    const buildPoll = (resultsVisibility, extra = {}) => ({
+      resultsVisibility,
+      status: 'open',
+      createdBy: creator._id,
+      ...extra
+    });
+
+    it('should only reveal after-close results once the poll has closed', () => {
+      const now = new Date('2026-01-01T12:00:00Z');
+
+      expect(canSeeResults(buildPoll('afterClose'), voter, true, now)).toBe(false);
+      expect(canSeeResults(buildPoll('afterClose', { status: 'closed' }), voter, false, now)).toBe(true);
+      expect(canSeeResults(buildPoll('afterClose', { closesAt: '2026-01-01T11:00:00Z' }), undefined, false, now))
+        .toBe(true);
+    });
+
+    it('should always show results to the poll\'s managers', () => {
+      expect(canSeeResults(buildPoll('creatorOnly'), { _id: creator._id, role: 'user' })).toBe(true);
+      expect(canSeeResults(buildPoll('creatorOnly'), moderator)).toBe(true);
+      expect(canSeeResults(buildPoll('creatorOnly'), voter, true)).toBe(false);
+    });
+
+    it('should recognise a populated creator', () => {
+      const poll = buildPoll('afterClose', { createdBy: { _id: creator._id, username: 'alice' } });
+
+      expect(canSeeResults(poll, creator)).toBe(true);
+    });
+  });
+
+  describe('hideResults', () => {
+    it('should strip the option counters and computed results', () => {
+      const poll = {
+        _id: 'abc',
+        totalVotes: 3,
+        options: [{ text: 'Pizza', votes: 3, scoreTotal: 12, histogram: [0, 0, 3] }],
+        results: { voters: 3 }
+      };
+
+      expect(hideResults(poll)).toEqual({
+        _id: 'abc',
+        totalVotes: 3,
+        options: [{ text: 'Pizza' }],
+        resultsHidden: true
+      });
+      expect(poll.options[0].votes).toBe(3);
+    });
+  });
+});
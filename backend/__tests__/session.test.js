@@ -0,0 +1,236 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import authRoutes from '../routes/authRoutes.js';
+import Session, { REFRESH_TOKEN_TTL_MS, MAX_USER_AGENT_LENGTH } from '../models/Session.js';
+import User from '../models/User.js';
+import AuditEntry from '../models/AuditEntry.js';
+import { describeUserAgent, toSessionView } from '../utils/sessions.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Store a new session in place of the database, applying the atomic
+ * updates of Session.rotate to it
+ * @returns {Object} - { stored, refreshToken } with the stored fields and the first token
+ */
+const storeSession = () => {
+  const session = new Session({ user: userId });
+  const refreshToken = session.issueRefreshToken();
+  const stored = { _id: session._id, user: userId, tokenHash: session.tokenHash, previousTokenHashes: [], revokedAt: null };
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.revokedAt
+      || (filter.tokenHash && filter.tokenHash !== stored.tokenHash)
+      || (filter.previousTokenHashes && !stored.previousTokenHashes.includes(filter.previousTokenHashes))) {
+      return null;
+    }
+
+    Object.assign(stored, update.$set);
+    if (update.$push) {
+      const { $each, $slice } = update.$push.previousTokenHashes;
+      stored.previousTokenHashes = [...stored.previousTokenHashes, ...$each].slice($slice);
+    }
+
+    return { ...stored };
+  });
+
+  return { stored, refreshToken };
+};
+
+describe('Session Model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should validate a session with a refresh token', () => {
+    const session = new Session({ user: userId });
+    session.issueRefreshToken();
+
+    expect(session.validateSync()).toBeUndefined();
+  });
+
+  it('should require a user and a refresh token', () => {
+    const error = new Session({}).validateSync();
+
+    expect(error.errors.user).toBeDefined();
+    expect(error.errors.tokenHash).toBeDefined();
+    expect(error.errors.expiresAt).toBeDefined();
+  });
+
+  it('should reject unknown revoke reasons', () => {
+    const session = new Session({ user: userId, revokedAt: new Date(), revokedReason: 'bored' });
+    session.issueRefreshToken();
+
+    expect(session.validateSync().errors.revokedReason).toBeDefined();
+  });
+
+  it('should limit the stored user agent', () => {
+    const session = new Session({ user: userId, userAgent: 'x'.repeat(MAX_USER_AGENT_LENGTH + 1) });
+    session.issueRefreshToken();
+
+    expect(session.validateSync().errors.userAgent).toBeDefined();
+  });
+
+  describe('issueRefreshToken', () => {
+    it('should name the session in the token and store only a hash of the secret', () => {
+      const session = new Session({ user: userId });
+      const token = session.issueRefreshToken();
+      const [sessionId, secret] = token.split('.');
+
+      expect(sessionId).toBe(session._id.toString());
+      expect(secret.length).toBeGreaterThanOrEqual(43);
+      expect(session.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(session.tokenHash).not.toContain(secret);
+    });
+
+    it('should replace the token and extend the expiry on each call', () => {
+      const session = new Session({ user: userId });
+      const first = session.issueRefreshToken();
+      const firstHash = session.tokenHash;
+      const second = session.issueRefreshToken();
+
+      expect(second).not.toBe(first);
+      expect(session.tokenHash).not.toBe(firstHash);
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now() + REFRESH_TOKEN_TTL_MS - 60000);
+    });
+  });
+
+  describe('rotate', () => {
+    it('should reject malformed refresh tokens without looking them up', async () => {
+      await expect(Session.rotate(undefined)).resolves.toEqual({});
+      await expect(Session.rotate('no-dot')).resolves.toEqual({});
+      await expect(Session.rotate('nope.secret')).resolves.toEqual({});
+      await expect(Session.rotate(`${userId}.a.b`)).resolves.toEqual({});
+      await expect(Session.rotate(`${userId}.`)).resolves.toEqual({});
+    });
+
+    it('should revoke the session when a redeemed token is presented again', async () => {
+      const { stored, refreshToken } = storeSession();
+
+      const first = await Session.rotate(refreshToken);
+      expect(first.refreshToken).toBeDefined();
+
+      const replay = await Session.rotate(refreshToken);
+      expect(replay).toMatchObject({ reused: true, session: { revokedReason: 'tokenReused' } });
+      expect(stored.revokedAt).toBeInstanceOf(Date);
+
+      // The thief's copy and the owner's token both stop working
+      await expect(Session.rotate(first.refreshToken)).resolves.toEqual({});
+    });
+
+    it('should refuse an unknown secret without revoking the session', async () => {
+      const { stored, refreshToken } = storeSession();
+
+      await expect(Session.rotate(`${stored._id}.guessed-secret`)).resolves.toEqual({});
+      expect(stored.revokedAt).toBeNull();
+
+      const rotated = await Session.rotate(refreshToken);
+      expect(rotated.refreshToken).toBeDefined();
+      expect(rotated.reused).toBeUndefined();
+    });
+  });
+
+  it('should not look up sessions of malformed access tokens', async () => {
+    await expect(Session.findActive('nope', userId)).resolves.toBeNull();
+  });
+});
+
+describe('Session Routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should end the session and audit it when a redeemed refresh token is replayed', async () => {
+      const { stored, refreshToken } = storeSession();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(buildUser({ _id: userId })) });
+      const append = jest.spyOn(AuditEntry, 'append').mockResolvedValue({});
+
+      const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(first.status).toBe(200);
+
+      const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(replay.status).toBe(401);
+      expect(stored.revokedReason).toBe('tokenReused');
+      expect(append).toHaveBeenCalledWith(expect.objectContaining({ action: 'auth.refreshTokenReused', targetId: userId }));
+
+      // The tokens issued to whoever redeemed it first stop working too
+      const next = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+      expect(next.status).toBe(401);
+    });
+
+    it('should refuse an unknown refresh token without ending the session', async () => {
+      const { stored, refreshToken } = storeSession();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(buildUser({ _id: userId })) });
+      const append = jest.spyOn(AuditEntry, 'append').mockResolvedValue({});
+
+      const response = await request(app).post('/api/auth/refresh').send({ refreshToken: `${stored._id}.guessed-secret` });
+
+      expect(response.status).toBe(401);
+      expect(stored.revokedAt).toBeNull();
+      expect(append).not.toHaveBeenCalled();
+
+      // The owner's token still works
+      const owner = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(owner.status).toBe(200);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should not let users log out the sessions of other users', async () => {
+      const revoke = jest.spyOn(Session, 'revoke');
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', loginAs(buildUser()));
+
+      expect(response.status).toBe(404);
+      expect(revoke).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Session Utilities', () => {
+  describe('describeUserAgent', () => {
+    it('should name the browser and operating system', () => {
+      expect(describeUserAgent(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0'
+      )).toBe('Edge on Windows');
+      expect(describeUserAgent(
+        'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+      )).toBe('Chrome on Android');
+      expect(describeUserAgent(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+      )).toBe('Safari on iOS');
+      expect(describeUserAgent(
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.1; rv:120.0) Gecko/20100101 Firefox/120.0'
+      )).toBe('Firefox on macOS');
+    });
+
+    it('should name other clients by their product', () => {
+      expect(describeUserAgent('curl/8.4.0')).toBe('curl');
+      expect(describeUserAgent(undefined)).toBe('Unknown device');
+    });
+  });
+
+  describe('toSessionView', () => {
+    it('should mark the current session and leave out the token hash', () => {
+      const session = new Session({ user: userId, userAgent: 'curl/8.4.0', ip: '10.0.0.1' });
+      session.issueRefreshToken();
+
+      const view = toSessionView(session, session._id);
+
+      expect(view).toMatchObject({ device: 'curl', ip: '10.0.0.1', lastSeenAt: session.lastUsedAt, current: true });
+      expect(view).not.toHaveProperty('tokenHash');
+      expect(toSessionView(session, new mongoose.Types.ObjectId()).current).toBe(false);
+      expect(toSessionView(session).current).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import pollRoutes from '../routes/pollRoutes.js';
+import Poll from '../models/Poll.js';
+import Vote from '../models/Vote.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+import OptionSuggestion, { MAX_SUGGESTION_LENGTH } from '../models/OptionSuggestion.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/polls', pollRoutes);
+
+const buildPoll = (extra = {}) => new Poll({
+  question: 'Team offsite location?',
+  options: [{ text: 'Lisbon' }, { text: 'Berlin' }],
+  allowSuggestions: true,
+  ...extra
+});
+
+describe('Option Suggestion Routes', () => {
+  describe('POST /api/polls/:id/suggestions', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refuse suggestions beyond the per-user cap', async () => {
+      const poll = buildPoll({ maxSuggestionsPerUser: 2 });
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      jest.spyOn(OptionSuggestion, 'exists').mockResolvedValue(null);
+      jest.spyOn(OptionSuggestion, 'countDocuments').mockResolvedValue(2);
+      const create = jest.spyOn(OptionSuggestion, 'create');
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/suggestions`)
+        .set('Authorization', loginAs(buildUser()))
+        .send({ text: 'Porto' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('code', 'SUGGESTION_LIMIT');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should keep to the cap when a concurrent suggestion takes the last slot', async () => {
+      const poll = buildPoll({ maxSuggestionsPerUser: 2 });
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      jest.spyOn(OptionSuggestion, 'exists').mockResolvedValue(null);
+      jest.spyOn(OptionSuggestion, 'countDocuments').mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+      const create = jest.spyOn(OptionSuggestion, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/suggestions`)
+        .set('Authorization', loginAs(buildUser()))
+        .send({ text: 'Porto' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('code', 'SUGGESTION_LIMIT');
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not take suggestions on a private poll from users not allowed into it', async () => {
+      const poll = buildPoll({ visibility: 'private', shareCode: 'invite-code', createdBy: new mongoose.Types.ObjectId() });
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      const create = jest.spyOn(OptionSuggestion, 'create');
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/suggestions`)
+        .set('Authorization', loginAs(buildUser()))
+        .send({ text: 'Porto' });
+
+      expect(response.status).toBe(404);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/polls/:id/suggestions/:suggestionId/approve', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only let poll managers approve suggestions', async () => {
+      const poll = buildPoll({ createdBy: new mongoose.Types.ObjectId() });
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      const review = jest.spyOn(OptionSuggestion, 'findOneAndUpdate');
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/suggestions/${new mongoose.Types.ObjectId()}/approve`)
+        .set('Authorization', loginAs(buildUser()));
+
+      expect(response.status).toBe(403);
+      expect(review).not.toHaveBeenCalled();
+    });
+
+    it('should not add options to a score poll that has votes', async () => {
+      const creator = buildUser();
+      const poll = buildPoll({ type: 'score', createdBy: creator._id });
+      const suggestion = new OptionSuggestion({ poll: poll._id, suggestedBy: new mongoose.Types.ObjectId(), slot: 0, text: 'Porto' });
+
+      jest.spyOn(Poll, 'findById').mockResolvedValue(poll);
+      jest.spyOn(OptionSuggestion, 'findOne').mockResolvedValue(suggestion);
+      jest.spyOn(Vote, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      const review = jest.spyOn(OptionSuggestion, 'findOneAndUpdate');
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/suggestions/${suggestion._id}/approve`)
+        .set('Authorization', loginAs(creator));
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('code', 'OPTIONS_LOCKED');
+      expect(review).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Option Suggestion Model', () => {
+  const author = { _id: new mongoose.Types.ObjectId() };
+  const buildSuggestion = (extra = {}) => new OptionSuggestion({
+    poll: new mongoose.Types.ObjectId(),
+    suggestedBy: author._id,
+    slot: 0,
+    text: 'Porto',
+    ...extra
+  });
+
+  it('should start pending with a normalized comparison key', async () => {
+    const suggestion = buildSuggestion({ text: '  Porto   Old Town ' });
+
+    await suggestion.validate();
+
+    expect(suggestion.status).toBe('pending');
+    expect(suggestion.text).toBe('Porto   Old Town');
+    expect(suggestion.textKey).toBe('porto old town');
+  });
+
+  it('should reject oversized text', () => {
+    const suggestion = buildSuggestion({ text: 'x'.repeat(MAX_SUGGESTION_LENGTH + 1) });
+
+    expect(suggestion.validateSync().errors).toHaveProperty('text');
+  });
+
+  it('should know its author', () => {
+    const suggestion = buildSuggestion();
+
+    expect(suggestion.isSuggestedBy(author)).toBe(true);
+    expect(suggestion.isSuggestedBy({ _id: new mongoose.Types.ObjectId() })).toBe(false);
+    expect(suggestion.isSuggestedBy(undefined)).toBe(false);
+  });
+});
+
+describe('Poll suggestion settings', () => {
+  it('should default to no suggestions and three per user', () => {
+    const poll = new Poll({ question: 'Q', options: [{ text: 'A' }, { text: 'B' }] });
+
+    expect(poll.allowSuggestions).toBe(false);
+    expect(poll.maxSuggestionsPerUser).toBe(3);
+  });
+
+  it('should reject caps that are not a whole number from 1 to 20', () => {
+    expect(buildPoll({ maxSuggestionsPerUser: 0 }).validateSync().errors).toHaveProperty('maxSuggestionsPerUser');
+    expect(buildPoll({ maxSuggestionsPerUser: 21 }).validateSync().errors).toHaveProperty('maxSuggestionsPerUser');
+    expect(buildPoll({ maxSuggestionsPerUser: 2.5 }).validateSync().errors).toHaveProperty('maxSuggestionsPerUser');
+    expect(buildPoll({ maxSuggestionsPerUser: 10 }).validateSync()).toBeUndefined();
+  });
+
+  it('should only accept suggestions while enabled and not closed', () => {
+    const now = new Date();
+
+    expect(buildPoll().getSuggestionError(now)).toBeNull();
+    expect(buildPoll({ status: 'draft' }).getSuggestionError(now)).toBeNull();
+    expect(buildPoll({ allowSuggestions: false }).getSuggestionError(now))
+      .toMatchObject({ status: 403, code: 'SUGGESTIONS_DISABLED' });
+    expect(buildPoll({ status: 'closed' }).getSuggestionError(now))
+      .toMatchObject({ status: 409, code: 'POLL_CLOSED' });
+    expect(buildPoll({ closesAt: new Date(now - 1000) }).getSuggestionError(now))
+      .toMatchObject({ status: 409, code: 'POLL_CLOSED' });
+  });
+});
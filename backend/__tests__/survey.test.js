@@ -0,0 +1,284 @@
+import { jest, describe, it, afterEach, expect } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import surveyRoutes from '../routes/surveyRoutes.js';
+import Survey from '../models/Survey.js';
+import SurveyResponse from '../models/SurveyResponse.js';
+import {
+  parseSurveyQuestions,
+  parseSurveyAnswers,
+  summarizeSurvey,
+  surveyResponsesToCsv,
+  MAX_SURVEY_QUESTIONS
+} from '../utils/surveys.js';
+import { buildUser, loginAs } from './helpers/auth.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/surveys', surveyRoutes);
+
+const questions = [
+  { prompt: 'Team?', type: 'single', options: ['Red', 'Blue'] },
+  { prompt: 'Tools?', type: 'multiple', options: ['Git', 'Jira', 'Slack'], required: false },
+  { prompt: 'Happiness?', type: 'rating', ratingMin: 1, ratingMax: 5 },
+  { prompt: 'Comments?', type: 'text', required: false }
+];
+
+const buildSurvey = (extra = {}) => new Survey({ title: 'Quarterly', questions, ...extra });
+
+describe('Survey Routes', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+
+  /**
+   * Serve a survey from Survey.findById(...).populate(...)
+   * @param {Object} survey - Survey document
+   */
+  const serveSurvey = (survey) => {
+    jest.spyOn(Survey, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(survey) });
+  };
+
+  /**
+   * Build a complete set of answers to a survey
+   * @param {Object} survey - Survey document
+   * @returns {Object[]} - Answers to the required questions
+   */
+  const answersTo = (survey) => {
+    const [team, , happiness] = survey.questions.map(question => String(question._id));
+    return [{ question: team, choices: [0] }, { question: happiness, rating: 4 }];
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hide organization surveys from outsiders', async () => {
+    const survey = buildSurvey({ organization: organizationId, createdBy: new mongoose.Types.ObjectId() });
+    serveSurvey(survey);
+    const create = jest.spyOn(SurveyResponse, 'create');
+
+    const response = await request(app)
+      .post(`/api/surveys/${survey._id}/responses`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ answers: answersTo(survey) });
+
+    expect(response.status).toBe(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should keep the results to the survey managers', async () => {
+    const survey = buildSurvey({ organization: organizationId, createdBy: new mongoose.Types.ObjectId() });
+    serveSurvey(survey);
+    const find = jest.spyOn(SurveyResponse, 'find');
+    const member = buildUser({ memberships: [{ organization: organizationId, role: 'member' }] });
+
+    const response = await request(app)
+      .get(`/api/surveys/${survey._id}/results`)
+      .set('Authorization', loginAs(member));
+
+    expect(response.status).toBe(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('should refuse responses once the survey has closed', async () => {
+    const survey = buildSurvey({ status: 'closed' });
+    serveSurvey(survey);
+    const create = jest.spyOn(SurveyResponse, 'create');
+
+    const response = await request(app)
+      .post(`/api/surveys/${survey._id}/responses`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ answers: answersTo(survey) });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toHaveProperty('code', 'SURVEY_CLOSED');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should take one response per user without counting a second one', async () => {
+    const survey = buildSurvey();
+    serveSurvey(survey);
+    jest.spyOn(SurveyResponse, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const count = jest.spyOn(Survey, 'updateOne');
+
+    const response = await request(app)
+      .post(`/api/surveys/${survey._id}/responses`)
+      .set('Authorization', loginAs(buildUser()))
+      .send({ answers: answersTo(survey) });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toHaveProperty('message', 'You have already responded to this survey');
+    expect(count).not.toHaveBeenCalled();
+  });
+});
+
+describe('Survey Model', () => {
+  const creator = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const other = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+  it('should require at least one question', () => {
+    const survey = new Survey({ title: 'Empty', questions: [] });
+
+    expect(survey.validateSync().errors).toHaveProperty('questions');
+  });
+
+  it('should accept questions of mixed types', () => {
+    expect(buildSurvey().validateSync()).toBeUndefined();
+  });
+
+  it('should be managed by its creator and moderators only', () => {
+    const survey = buildSurvey({ createdBy: creator._id });
+
+    expect(survey.isManagedBy(creator)).toBe(true);
+    expect(survey.isManagedBy(moderator)).toBe(true);
+    expect(survey.isManagedBy(other)).toBe(false);
+  });
+
+  it('should reject responses once past its deadline', () => {
+    const now = new Date();
+    const survey = buildSurvey({ closesAt: new Date(now - 1000) });
+
+    expect(survey.getSubmissionError(now)).toHaveProperty('code', 'SURVEY_CLOSED');
+    expect(buildSurvey().getSubmissionError(now)).toBeNull();
+  });
+});
+
+describe('Survey Utilities', () => {
+  describe('parseSurveyQuestions', () => {
+    it('should accept and normalize valid questions', () => {
+      const { questions: parsed } = parseSurveyQuestions([
+        { prompt: '  Team? ', options: [' Red', 'Blue '] },
+        { prompt: 'Happiness?', type: 'rating' }
+      ]);
+
+      expect(parsed).toEqual([
+        { prompt: 'Team?', type: 'single', required: true, options: ['Red', 'Blue'] },
+        { prompt: 'Happiness?', type: 'rating', required: true, ratingMin: 1, ratingMax: 5 }
+      ]);
+    });
+
+    it('should reject empty and oversized surveys', () => {
+      expect(parseSurveyQuestions([]).error).toBeDefined();
+      expect(parseSurveyQuestions(new Array(MAX_SURVEY_QUESTIONS + 1).fill(questions[3])).error).toBeDefined();
+    });
+
+    it('should reject choice questions with fewer than two options', () => {
+      expect(parseSurveyQuestions([{ prompt: 'Team?', options: ['Red'] }]).error).toMatch(/Question 1/);
+    });
+
+    it('should reject options and ratings on questions that take none', () => {
+      expect(parseSurveyQuestions([{ prompt: 'Why?', type: 'text', options: ['a', 'b'] }]).error).toBeDefined();
+      expect(parseSurveyQuestions([{ prompt: 'Team?', options: ['a', 'b'], ratingMax: 3 }]).error).toBeDefined();
+    });
+
+    it('should reject inverted rating ranges', () => {
+      expect(parseSurveyQuestions([{ prompt: 'Rate', type: 'rating', ratingMin: 5, ratingMax: 1 }]).error)
+        .toBeDefined();
+    });
+  });
+
+  describe('parseSurveyAnswers', () => {
+    const survey = buildSurvey();
+    const [team, tools, happiness, comments] = survey.questions.map(question => String(question._id));
+
+    it('should accept a complete response and keep question order', () => {
+      const { answers } = parseSurveyAnswers(survey, [
+        { question: comments, text: ' Great ' },
+        { question: happiness, rating: 4 },
+        { question: tools, choices: [2, 0] },
+        { question: team, choices: [1] }
+      ]);
+
+      expect(answers.map(answer => String(answer.question))).toEqual([team, tools, happiness, comments]);
+      expect(answers[1].choices).toEqual([0, 2]);
+      expect(answers[3].text).toBe('Great');
+    });
+
+    it('should allow optional questions to be skipped', () => {
+      const { answers } = parseSurveyAnswers(survey, [
+        { question: team, choices: [0] },
+        { question: happiness, rating: 3 }
+      ]);
+
+      expect(answers).toHaveLength(2);
+    });
+
+    it('should reject responses missing a required question', () => {
+      expect(parseSurveyAnswers(survey, [{ question: team, choices: [0] }]).error).toBe('Question 3 is required');
+    });
+
+    it('should reject several choices on single-choice questions', () => {
+      const { error } = parseSurveyAnswers(survey, [
+        { question: team, choices: [0, 1] },
+        { question: happiness, rating: 3 }
+      ]);
+
+      expect(error).toMatch(/single option/);
+    });
+
+    it('should reject ratings out of range', () => {
+      const { error } = parseSurveyAnswers(survey, [
+        { question: team, choices: [0] },
+        { question: happiness, rating: 6 }
+      ]);
+
+      expect(error).toMatch(/between 1 and 5/);
+    });
+
+    it('should reject unknown and repeated questions', () => {
+      expect(parseSurveyAnswers(survey, [{ question: 'nope', text: 'x' }]).error).toMatch(/Unknown question/);
+      expect(parseSurveyAnswers(survey, [
+        { question: team, choices: [0] },
+        { question: team, choices: [1] }
+      ]).error).toMatch(/more than once/);
+    });
+  });
+
+  describe('summarizeSurvey and surveyResponsesToCsv', () => {
+    const survey = buildSurvey();
+    const [team, tools, happiness, comments] = survey.questions.map(question => question._id);
+    const responses = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        user: { username: 'alice' },
+        createdAt: new Date('2026-01-01T10:00:00Z'),
+        answers: [
+          { question: team, choices: [0] },
+          { question: tools, choices: [0, 1] },
+          { question: happiness, rating: 4 },
+          { question: comments, text: 'More coffee, please' }
+        ]
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        user: { username: 'bob' },
+        createdAt: new Date('2026-01-01T11:00:00Z'),
+        answers: [
+          { question: team, choices: [0] },
+          { question: happiness, rating: 2 }
+        ]
+      }
+    ];
+
+    it('should summarize every question type', () => {
+      const summary = summarizeSurvey(survey, responses);
+
+      expect(summary.responses).toBe(2);
+      expect(summary.questions[0].options.map(option => option.percentage)).toEqual([100, 0]);
+      expect(summary.questions[1]).toMatchObject({ answered: 1 });
+      expect(summary.questions[1].options.map(option => option.count)).toEqual([1, 1, 0]);
+      expect(summary.questions[2].mean).toBe(3);
+      expect(summary.questions[2].histogram).toContainEqual({ rating: 4, count: 1 });
+      expect(summary.questions[3].answers).toEqual(['More coffee, please']);
+    });
+
+    it('should write one row per respondent and one column per question', () => {
+      const [header, alice, bob] = surveyResponsesToCsv(survey, responses).trim().split('\r\n');
+
+      expect(header).toBe('response_id,respondent,submitted_at,Q1 Team?,Q2 Tools?,Q3 Happiness?,Q4 Comments?');
+      expect(alice.endsWith('alice,2026-01-01T10:00:00.000Z,Red,Git; Jira,4,"More coffee, please"')).toBe(true);
+      expect(bob.endsWith('bob,2026-01-01T11:00:00.000Z,Red,,2,')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { instantRunoff } from '../utils/tally.js';
+
+describe('Tally Utilities', () => {
+  describe('instantRunoff', () => {
+    it('should elect an option with a first-round majority', () => {
+      const result = instantRunoff(3, [[0, 1], [0], [1, 0]]);
+
+      expect(result.winner).toBe(0);
+      expect(result.rounds).toHaveLength(1);
+      expect(result.rounds[0].counts).toEqual([2, 1, 0]);
+    });
+
+    it('should transfer votes from eliminated options', () => {
+      // A: 2, B: 2, C: 1 first preferences; C's voter prefers B next
+      const ballots = [[0], [0], [1], [1], [2, 1]];
+
+      const result = instantRunoff(3, ballots);
+
+      expect(result.rounds[0].eliminated).toBe(2);
+      expect(result.rounds[1].counts).toEqual([2, 3, 0]);
+      expect(result.winner).toBe(1);
+    });
+
+    it('should count exhausted ballots separately', () => {
+      const ballots = [[0], [0], [1], [2], [2]];
+
+      const result = instantRunoff(3, ballots);
+
+      // B is eliminated and its only ballot has no further preference
+      expect(result.rounds[0].eliminated).toBe(1);
+      expect(result.rounds[1].exhausted).toBe(1);
+      expect(result.winner).toBeNull();
+      expect(result.tied).toEqual([0, 2]);
+    });
+
+    it('should break elimination ties using earlier rounds', () => {
+      // Round 1: A 3, B 2, C 2, D 1 -> D eliminated, transfers to C
+      // Round 2: A 3, B 2, C 3 -> B eliminated
+      const ballots = [[0], [0], [0], [1], [1], [2], [2], [3, 2]];
+
+      const result = instantRunoff(4, ballots);
+
+      expect(result.rounds[0].eliminated).toBe(3);
+      expect(result.rounds[1].eliminated).toBe(1);
+    });
+
+    it('should eliminate the option listed last when ties cannot be broken', () => {
+      const ballots = [[0], [0], [1], [2], [3]];
+
+      const result = instantRunoff(4, ballots);
+
+      expect(result.rounds[0].eliminated).toBe(3);
+    });
+
+    it('should report a tie when all remaining options are level', () => {
+      const result = instantRunoff(2, [[0], [1]]);
+
+      expect(result.winner).toBeNull();
+      expect(result.tied).toEqual([0, 1]);
+    });
+
+    it('should return no winner when there are no ballots', () => {
+      const result = instantRunoff(2, []);
+
+      expect(result.winner).toBeNull();
+      expect(result.rounds).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import Vote from '../models/Vote.js';
+
+describe('Vote Model', () => {
+  describe('Validation', () => {
+    it('should require poll and user', () => {
+      const vote = new Vote({});
+      const error = vote.validateSync();
+
+      expect(error.errors).toHaveProperty('poll');
+      expect(error.errors).toHaveProperty('user');
+    });
+
+    it('should reject a negative option index', () => {
+      const vote = new Vote({
+        poll: new mongoose.Types.ObjectId(),
+        user: new mongoose.Types.ObjectId(),
+        optionIndex: -1
+      });
+
+      expect(vote.validateSync().errors).toHaveProperty('optionIndex');
+    });
+
+    it('should not store rankings on single-choice votes', () => {
+      const vote = new Vote({
+        poll: new mongoose.Types.ObjectId(),
+        user: new mongoose.Types.ObjectId(),
+        optionIndex: 0
+      });
+
+      expect(vote.rankings).toBeUndefined();
+    });
+
+    it('should accept a valid vote', () => {
+      const vote = new Vote({
+        poll: new mongoose.Types.ObjectId(),
+        user: new mongoose.Types.ObjectId(),
+        optionIndex: 0
+      });
+
+      expect(vote.validateSync()).toBeUndefined();
+    });
+  });
+
+  describe('Indexes', () => {
+    it('should enforce one vote per user per poll', () => {
+      const indexes = Vote.schema.indexes();
+
+      expect(indexes).toContainEqual([{ poll: 1, user: 1 }, { unique: true, background: true }]);
+    });
+  });
+});
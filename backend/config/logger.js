@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import winston from 'winston';
 import DailyRotateFile from 'winston-daily-rotate-file';
 
@@ -85,6 +86,21 @@ export const morganStream = {
   }
 };
 
+// Request IDs supplied by a proxy are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Request ID middleware: tags each request with an ID (the X-Request-Id
+// header from a proxy, or a new UUID) for the logs and the audit log, and
+// returns it in the X-Request-Id response header
+export const assignRequestId = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
 // Logging middleware for Express
 export const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -92,6 +108,7 @@ export const requestLogger = (req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - start;
     const logData = {
+      requestId: req.id,
       method: req.method,
       url: req.url,
       status: res.statusCode,
@@ -113,13 +130,14 @@ export const requestLogger = (req, res, next) => {
 
 // Security event logger
 export const securityLogger = {
-  loginAttempt: (username, success, ip) => {
+  loginAttempt: (username, success, ip, sessionId) => {
     logger.info('Login attempt', {
       type: 'security',
       event: 'login_attempt',
       username,
       success,
-      ip
+      ip,
+      sessionId
     });
   },
 
@@ -149,6 +167,65 @@ export const securityLogger = {
       endpoint,
       reason
     });
+  },
+
+  userAdministered: (adminId, userId, action, changes) => {
+    logger.warn('User changed by admin', {
+      type: 'security',
+      event: 'user_administered',
+      adminId,
+      userId,
+      action,
+      changes
+    });
+  },
+
+  passwordResetCompleted: (username, ip) => {
+    logger.info('Password reset completed', {
+      type: 'security',
+      event: 'password_reset_completed',
+      username,
+      ip
+    });
+  },
+
+  refreshTokenReused: (userId, sessionId, ip) => {
+    logger.warn('Refresh token reused', {
+      type: 'security',
+      event: 'refresh_token_reused',
+      userId,
+      sessionId,
+      ip
+    });
+  },
+
+  sessionsRevoked: (userId, reason, count) => {
+    logger.info('Sessions revoked', {
+      type: 'security',
+      event: 'sessions_revoked',
+      userId,
+      reason,
+      count
+    });
+  },
+
+  auditLogExported: (adminId, filters, count) => {
+    logger.info('Audit log exported', {
+      type: 'security',
+      event: 'audit_log_exported',
+      adminId,
+      filters,
+      count
+    });
+  },
+
+  auditChainBroken: (seq, problem) => {
+    logger.error('Audit log chain broken', {
+      type: 'security',
+      event: 'audit_chain_broken',
+      seq,
+      problem
+    });
   }
 };
 
@@ -182,6 +259,196 @@ export const appLogger = {
     });
   },
 
+  pollVoteChanged: (pollId, userId, fromOption, toOption) => {
+    logger.info('Poll vote changed', {
+      type: 'application',
+      event: 'poll_vote_changed',
+      pollId,
+      userId,
+      fromOption,
+      toOption
+    });
+  },
+
+  pollVoteWithdrawn: (pollId, userId, option) => {
+    logger.info('Poll vote withdrawn', {
+      type: 'application',
+      event: 'poll_vote_withdrawn',
+      pollId,
+      userId,
+      option
+    });
+  },
+
+  pollUpdated: (pollId, userId) => {
+    logger.info('Poll updated', {
+      type: 'application',
+      event: 'poll_updated',
+      pollId,
+      userId
+    });
+  },
+
+  pollDeleted: (pollId, userId) => {
+    logger.info('Poll deleted', {
+      type: 'application',
+      event: 'poll_deleted',
+      pollId,
+      userId
+    });
+  },
+
+  pollStatusChanged: (pollId, fromStatus, toStatus) => {
+    logger.info('Poll status changed', {
+      type: 'application',
+      event: 'poll_status_changed',
+      pollId,
+      fromStatus,
+      toStatus
+    });
+  },
+
+  pollOutcomeDecided: (pollId, result, winner) => {
+    logger.info('Poll outcome decided', {
+      type: 'application',
+      event: 'poll_outcome_decided',
+      pollId,
+      result,
+      winner
+    });
+  },
+
+  pollWriteInPromoted: (pollId, userId, optionIndex, votes) => {
+    logger.info('Poll write-in promoted', {
+      type: 'application',
+      event: 'poll_write_in_promoted',
+      pollId,
+      userId,
+      optionIndex,
+      votes
+    });
+  },
+
+  pollsExported: (userId, pollIds, format) => {
+    logger.info('Polls exported', {
+      type: 'application',
+      event: 'polls_exported',
+      userId,
+      pollIds,
+      format
+    });
+  },
+
+  commentCreated: (commentId, pollId, userId) => {
+    logger.info('Comment created', {
+      type: 'application',
+      event: 'comment_created',
+      commentId,
+      pollId,
+      userId
+    });
+  },
+
+  commentDeleted: (commentId, userId, byModerator) => {
+    logger.info('Comment deleted', {
+      type: 'application',
+      event: 'comment_deleted',
+      commentId,
+      userId,
+      byModerator
+    });
+  },
+
+  optionSuggested: (suggestionId, pollId, userId) => {
+    logger.info('Option suggested', {
+      type: 'application',
+      event: 'option_suggested',
+      suggestionId,
+      pollId,
+      userId
+    });
+  },
+
+  optionSuggestionReviewed: (suggestionId, pollId, reviewerId, status) => {
+    logger.info('Option suggestion reviewed', {
+      type: 'application',
+      event: 'option_suggestion_reviewed',
+      suggestionId,
+      pollId,
+      reviewerId,
+      status
+    });
+  },
+
+  contentReported: (reportId, targetType, targetId, userId) => {
+    logger.info('Content reported', {
+      type: 'application',
+      event: 'content_reported',
+      reportId,
+      targetType,
+      targetId,
+      userId
+    });
+  },
+
+  reportResolved: (reportId, moderatorId, action, resolvedReports) => {
+    logger.info('Report resolved', {
+      type: 'application',
+      event: 'report_resolved',
+      reportId,
+      moderatorId,
+      action,
+      resolvedReports
+    });
+  },
+
+  surveyCreated: (surveyId, userId) => {
+    logger.info('Survey created', {
+      type: 'application',
+      event: 'survey_created',
+      surveyId,
+      userId
+    });
+  },
+
+  surveyResponded: (surveyId, userId) => {
+    logger.info('Survey response submitted', {
+      type: 'application',
+      event: 'survey_responded',
+      surveyId,
+      userId
+    });
+  },
+
+  surveyDeleted: (surveyId, userId) => {
+    logger.info('Survey deleted', {
+      type: 'application',
+      event: 'survey_deleted',
+      surveyId,
+      userId
+    });
+  },
+
+  organizationCreated: (organizationId, userId) => {
+    logger.info('Organization created', {
+      type: 'application',
+      event: 'organization_created',
+      organizationId,
+      userId
+    });
+  },
+
+  organizationMemberChanged: (organizationId, userId, memberId, role) => {
+    logger.info('Organization membership changed', {
+      type: 'application',
+      event: 'organization_member_changed',
+      organizationId,
+      userId,
+      memberId,
+      role
+    });
+  },
+
   databaseError: (operation, error) => {
     logger.error('Database error', {
       type: 'database',
@@ -8,6 +8,8 @@ export default {
     '**/__tests__/**/*.js',
     '**/?(*.)+(spec|test).js'
   ],
+  // Shared test helpers are not test suites
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
   collectCoverageFrom: [
     '**/*.js',
     '!**/node_modules/**',
@@ -4,12 +4,68 @@
  * Provides JWT-based authentication and authorization middleware functions.
  * Includes token verification, user validation, and role-based access control.
  *
+ * Access tokens are short-lived and name the session they belong to; a
+ * token stops working as soon as its session is revoked, even before it
+ * expires.
+ *
  * @author PulseVote Team
  * @version 1.0.0
  */
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+// Lifetime of an access token; clients renew it with their refresh token
+const ACCESS_TOKEN_EXPIRY = '15m';
+
+// Purpose claim of the short-lived tokens that authenticate event streams
+const STREAM_TOKEN_PURPOSE = 'stream';
+
+// Lifetime of a stream token; it only has to last until the stream connects
+const STREAM_TOKEN_EXPIRY = '1m';
+
+/**
+ * Verify a session token from the Authorization header
+ * Purpose-bound tokens (such as stream tokens) are rejected, so they cannot
+ * be used in place of a session token
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} - Decoded token payload
+ */
+const verifySessionToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Token cannot be used for this request');
+  }
+
+  return decoded;
+};
+
+/**
+ * Create an access token for a session
+ *
+ * @param {string} id - User ID
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {string} - Signed access token
+ */
+const generateAccessToken = (id, sessionId) => jwt.sign(
+  { id, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRY }
+);
+
+/**
+ * Check that the session an access token belongs to is still active
+ * Tokens without a session (issued before sessions existed) are rejected
+ *
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<Object|null>} - The session, or null if it has ended
+ */
+const findTokenSession = (decoded) => decoded.sid
+  ? Session.findActive(decoded.sid, decoded.id)
+  : Promise.resolve(null);
 
 /**
  * Authentication middleware to protect routes
@@ -30,7 +86,13 @@ const protect = async (req, res, next) => {
 
   try {
     // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifySessionToken(token);
+
+    // Logging out, or an admin deactivating the account, ends the session
+    const session = await findTokenSession(decoded);
+    if (!session) {
+      return res.status(401).json({ message: 'Session ended' });
+    }
 
     // Find user by ID, excluding password field
     const user = await User.findById(decoded.id).select('-password');
@@ -50,8 +112,14 @@ const protect = async (req, res, next) => {
       return res.status(423).json({ message: 'Account is temporarily locked' });
     }
 
-    // Add user to request object for use in route handlers
+    // A forced password reset ends every existing session
+    if (user.passwordResetRequired) {
+      return res.status(401).json({ code: 'PASSWORD_RESET_REQUIRED', message: 'Password reset required' });
+    }
+
+    // Add user and session to request object for use in route handlers
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (err) {
     // Handle different JWT errors
@@ -62,6 +130,101 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication middleware for public routes
+ * Attaches the user to the request when a valid token is supplied,
+ * otherwise continues anonymously instead of rejecting the request
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = verifySessionToken(token);
+    const session = await findTokenSession(decoded);
+    const user = session && await User.findById(decoded.id).select('-password');
+
+    // Only active, unlocked accounts are treated as authenticated
+    if (user && user.isActive && !user.isLocked && !user.passwordResetRequired) {
+      req.user = user;
+      req.sessionId = session._id;
+    }
+  } catch (err) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+
+  next();
+};
+
+/**
+ * Create a short-lived token that authenticates an event stream
+ * Browsers cannot send an Authorization header with EventSource, so the
+ * token is passed in the stream URL instead. Like an access token, it
+ * names its session and stops working once the session is revoked.
+ *
+ * @param {string} id - User ID
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {string} - Signed stream token
+ */
+const generateStreamToken = (id, sessionId) => jwt.sign(
+  { id, sid: sessionId, purpose: STREAM_TOKEN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_EXPIRY }
+);
+
+/**
+ * Authentication middleware for event streams
+ * Attaches the user when a valid stream token is supplied in the token
+ * query parameter, and continues anonymously when none is supplied.
+ * Invalid or expired tokens, and tokens of ended sessions, are rejected,
+ * so the client fetches a new one instead of silently streaming as an
+ * anonymous user.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const streamAuth = async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE) {
+      return res.status(401).json({ message: 'Token invalid' });
+    }
+
+    const session = await findTokenSession(decoded);
+    if (!session) {
+      return res.status(401).json({ message: 'Session ended' });
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive || user.isLocked || user.passwordResetRequired) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired' });
+    }
+    res.status(401).json({ message: 'Token invalid' });
+  }
+};
+
 /**
  * Authorization middleware factory
  * Creates middleware to check if user has required roles
@@ -102,5 +265,15 @@ const requireUser = authorize('user', 'moderator', 'admin');
 // EXPORTS
 // ============================================================================
 
-export { protect, authorize, requireAdmin, requireModerator, requireUser };
+export {
+  protect,
+  optionalAuth,
+  streamAuth,
+  generateAccessToken,
+  generateStreamToken,
+  authorize,
+  requireAdmin,
+  requireModerator,
+  requireUser
+};
 export default protect;
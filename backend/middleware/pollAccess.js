@@ -0,0 +1,110 @@
+/**
+ * Poll Access Middleware
+ *
+ * Loads the poll named in the route and checks that the requesting user
+ * may open it, taking the poll's visibility, share code and organization
+ * into account, or that the user manages it. Shared by the poll routes and
+ * the routes nested under a poll (such as its comments and option
+ * suggestions).
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Poll from '../models/Poll.js';
+import { requireModerator } from './authMiddleware.js';
+import { isOrganizationAdmin } from '../utils/organizations.js';
+
+/**
+ * Middleware that loads the poll named by the :id route parameter
+ * Responds with 404 if the poll does not exist, otherwise sets req.poll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const loadPoll = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Poll not found' });
+  }
+
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    req.poll = poll;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Check whether the requesting user may open a poll
+ * Polls the user cannot open are reported as not found, so their
+ * existence is not revealed; holders of the share code of a private or
+ * organization poll are asked to log in instead
+ *
+ * @param {Object} poll - Poll document
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {string|undefined} code - Share code supplied with the request
+ * @returns {Object|null} - Error with status and message, or null if allowed
+ */
+export const getAccessError = (poll, user, code) => {
+  if (poll.canBeAccessedBy(user, code)) {
+    return null;
+  }
+
+  if (!user && (poll.visibility === 'private' || poll.organization) && poll.isShareCode(code)) {
+    return { status: 401, message: 'Log in to open this poll' };
+  }
+
+  return { status: 404, message: 'Poll not found' };
+};
+
+/**
+ * Middleware that rejects requests for polls the user may not open
+ * The share code is read from the code query parameter
+ * Must run after loadPoll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requirePollAccess = (req, res, next) => {
+  const error = getAccessError(req.poll, req.user, req.query.code);
+  if (error) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  next();
+};
+
+/**
+ * Middleware that only lets the poll's creator (and, for organization
+ * polls, the organization's admins) through, falling back to
+ * requireModerator so moderators and admins can manage any poll
+ * Polls of organizations the user is not in are reported as not found
+ * Must run after protect and loadPoll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requirePollOwnerOrModerator = (req, res, next) => {
+  const { poll, user } = req;
+
+  if (!poll.isInTenancyOf(user)) {
+    return res.status(404).json({ message: 'Poll not found' });
+  }
+
+  if (poll.createdBy?.equals(user._id) || isOrganizationAdmin(user, poll.organization)) {
+    return next();
+  }
+
+  requireModerator(req, res, next);
+};
@@ -0,0 +1,224 @@
+/**
+ * Audit Entry Model
+ *
+ * Defines the AuditEntry schema for MongoDB: an append-only record of
+ * privileged and security-relevant actions (logins, account changes, poll
+ * deletions, moderation decisions). Unlike the winston logs, entries are
+ * kept indefinitely and can be queried from the admin API.
+ *
+ * Entries form a hash chain: each entry stores the hash of the previous
+ * one and a hash of its own contents, so editing, removing or reordering
+ * an entry breaks the chain from that point on.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { GENESIS_HASH, hashAuditEntry } from '../utils/audit.js';
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.loginFailed',
+  'auth.accountLocked',
+  'auth.passwordReset',
+  'auth.refreshTokenReused',
+  'user.updated',
+  'user.unlocked',
+  'user.passwordResetForced',
+  'poll.deleted',
+  'poll.hidden',
+  'comment.removed',
+  'report.resolved',
+  'organization.memberChanged'
+];
+
+// Kinds of records an audit entry can be about
+export const AUDIT_TARGET_TYPES = ['user', 'poll', 'comment', 'report', 'organization'];
+
+// Attempts at appending an entry while other entries are appended concurrently
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Audit Entry Schema Definition
+ *
+ * Fields:
+ * - seq: Position in the chain, starting at 1 (unique)
+ * - action: What happened (see AUDIT_ACTIONS)
+ * - actor: User who acted, if known
+ * - actorUsername: Username of the actor at the time, or the username
+ *   tried in a failed login
+ * - targetType / targetId / targetLabel: Record the action was about, with a
+ *   readable label (such as a username or poll question) kept for when the
+ *   record is gone
+ * - before / after: Values changed by the action
+ * - ip: IP address of the request
+ * - requestId: ID of the request (X-Request-Id), to find it in the logs
+ * - createdAt: Time of the action
+ * - prevHash: Hash of the previous entry (GENESIS_HASH for the first)
+ * - hash: Hash of this entry's contents and prevHash
+ */
+const auditEntrySchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorUsername: {
+    type: String
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  targetLabel: {
+    type: String
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  requestId: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  // Entries are never updated, so there is no version key; empty before and
+  // after values are kept as stored so the hash still matches
+  versionKey: false,
+  minimize: false
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// One entry per chain position; concurrent appends race on it and retry
+auditEntrySchema.index({ seq: 1 }, { unique: true });
+
+// Admin queries, newest first
+auditEntrySchema.index({ actor: 1, seq: -1 });
+auditEntrySchema.index({ action: 1, seq: -1 });
+auditEntrySchema.index({ targetType: 1, targetId: 1, seq: -1 });
+auditEntrySchema.index({ createdAt: -1 });
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Refuse any change to a stored entry
+ * @param {Function} next - Mongoose next function
+ */
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+// Entries are only ever inserted
+auditEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditEntrySchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Get the contents of the entry covered by its hash
+ * @returns {Object} - Every field except prevHash and hash
+ */
+auditEntrySchema.methods.toChainRecord = function() {
+  return {
+    seq: this.seq,
+    action: this.action,
+    actor: this.actor,
+    actorUsername: this.actorUsername,
+    targetType: this.targetType,
+    targetId: this.targetId,
+    targetLabel: this.targetLabel,
+    before: this.before,
+    after: this.after,
+    ip: this.ip,
+    requestId: this.requestId,
+    createdAt: this.createdAt
+  };
+};
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Append an entry to the end of the chain
+ * Concurrent appends compete for the same position; the loser retries
+ * after the winner's entry is in place
+ * @param {Object} fields - Entry fields (action, actor, target, before, after, ip, requestId)
+ * @returns {Promise<Object>} - The stored entry
+ */
+auditEntrySchema.statics.append = async function(fields) {
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await this.findOne().sort({ seq: -1 }).select('seq hash');
+
+    const entry = new this({
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      createdAt: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH
+    });
+    entry.hash = hashAuditEntry(entry.toChainRecord(), entry.prevHash);
+
+    try {
+      return await entry.save();
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  throw new Error('Could not append to the audit log: too many concurrent writes');
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,174 @@
+/**
+ * Comment Model
+ *
+ * Defines the Comment schema for MongoDB. Comments form threaded
+ * discussions on polls: top-level comments start a thread and replies point
+ * at the comment they answer. Deleted comments are kept (soft deletion) so
+ * the replies below them stay in place, but their text is no longer shown.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+// Longest comment body accepted, in characters
+export const MAX_COMMENT_LENGTH = 2000;
+
+// How many levels of replies a thread may have below its top-level comment
+export const MAX_REPLY_DEPTH = 5;
+
+// How long after posting a comment its author may still edit it
+export const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Comment Schema Definition
+ *
+ * Fields:
+ * - poll: Reference to the Poll being discussed
+ * - author: Reference to the User who wrote the comment
+ * - parent: Comment this one replies to (absent for top-level comments)
+ * - root: Top-level comment of the thread (absent for top-level comments)
+ * - depth: Reply level, 0 for top-level comments
+ * - body: Comment text
+ * - editedAt: Time of the latest edit
+ * - deletedAt: Time the comment was deleted; its text is hidden from then on
+ * - deletedBy: User who deleted the comment (the author or a moderator)
+ * - removedByModerator: Whether a moderator, rather than the author, deleted it
+ * - timestamps: Automatically adds createdAt and updatedAt fields
+ */
+const commentSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_REPLY_DEPTH
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_COMMENT_LENGTH
+  },
+  editedAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedByModerator: {
+    type: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Paging through the top-level comments of a poll, oldest first
+commentSchema.index({ poll: 1, parent: 1, createdAt: 1, _id: 1 });
+
+// Loading the replies of a page of threads
+commentSchema.index({ root: 1, createdAt: 1 });
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+// Deleted comments keep their place in the thread, but not their text or author
+const hideDeleted = (doc, ret) => {
+  delete ret.deletedBy;
+
+  if (ret.deletedAt) {
+    ret.body = null;
+    ret.author = null;
+    ret.deleted = true;
+  }
+  return ret;
+};
+
+commentSchema.set('toJSON', { transform: hideDeleted });
+commentSchema.set('toObject', { transform: hideDeleted });
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Check whether a user wrote the comment
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True for the comment's author
+ */
+commentSchema.methods.isAuthor = function(user) {
+  return !!user && !!this.author && (this.author._id ?? this.author).equals(user._id);
+};
+
+/**
+ * Check why the comment cannot be edited by a user
+ * Only the author may edit, within the edit window and before deletion
+ * @param {Object} user - Authenticated user
+ * @param {Date} now - Point in time to check against
+ * @returns {Object|null} - Error with status, message and optional code, or null if editable
+ */
+commentSchema.methods.getEditError = function(user, now = new Date()) {
+  if (!this.isAuthor(user)) {
+    return { status: 403, message: 'Only the author can edit a comment' };
+  }
+
+  if (this.deletedAt) {
+    return { status: 409, code: 'COMMENT_DELETED', message: 'Deleted comments cannot be edited' };
+  }
+
+  if (now - this.createdAt > EDIT_WINDOW_MS) {
+    return {
+      status: 409,
+      code: 'EDIT_WINDOW_CLOSED',
+      message: `Comments can only be edited within ${EDIT_WINDOW_MS / 60000} minutes of posting`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Soft-delete the comment, hiding its text while keeping its replies
+ * @param {Object} user - User deleting the comment
+ * @returns {Promise<Object>} - The saved comment document
+ */
+commentSchema.methods.softDelete = function(user) {
+  this.deletedAt = new Date();
+  this.deletedBy = user._id;
+  this.removedByModerator = !this.isAuthor(user);
+
+  return this.save();
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,123 @@
+/**
+ * Option Suggestion Model
+ *
+ * Defines the OptionSuggestion schema for MongoDB. Participants of polls
+ * that accept suggestions can propose new options; each suggestion waits
+ * in a queue until one of the poll's managers approves it, adding it to
+ * the poll's options, or rejects it.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { normalizeWriteIn } from '../utils/ballots.js';
+
+// Longest option text that can be suggested, in characters
+export const MAX_SUGGESTION_LENGTH = 200;
+
+// Review states of a suggestion
+export const SUGGESTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Option Suggestion Schema Definition
+ *
+ * Fields:
+ * - poll: Reference to the Poll the option is suggested for
+ * - suggestedBy: Reference to the User who made the suggestion
+ * - slot: Position of the suggestion among its author's suggestions on the
+ *   poll (0, 1, 2, ...); unique per author and poll, which keeps concurrent
+ *   submissions within the per-user cap
+ * - text: Suggested option text
+ * - textKey: Text normalized for comparison (case, spacing and compatibility
+ *   forms ignored), used to catch duplicates
+ * - status: pending, approved or rejected
+ * - reviewedBy: Manager who approved or rejected the suggestion
+ * - reviewedAt: Time of the review
+ * - optionIndex: Index of the option an approved suggestion became
+ * - timestamps: Automatically adds createdAt and updatedAt fields
+ */
+const optionSuggestionSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  suggestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_SUGGESTION_LENGTH
+  },
+  textKey: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: SUGGESTION_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  optionIndex: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Per-user cap: each author fills numbered slots on a poll, one suggestion each
+optionSuggestionSchema.index({ poll: 1, suggestedBy: 1, slot: 1 }, { unique: true });
+
+// Review queue of a poll, oldest first
+optionSuggestionSchema.index({ poll: 1, status: 1, createdAt: 1 });
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+// Keep the comparison key in step with the text
+optionSuggestionSchema.pre('validate', function(next) {
+  if (this.isModified('text') && typeof this.text === 'string') {
+    this.textKey = normalizeWriteIn(this.text);
+  }
+  next();
+});
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Check whether a user made the suggestion
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True for the suggestion's author
+ */
+optionSuggestionSchema.methods.isSuggestedBy = function(user) {
+  return !!user && (this.suggestedBy._id ?? this.suggestedBy).equals(user._id);
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('OptionSuggestion', optionSuggestionSchema);
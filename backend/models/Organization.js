@@ -0,0 +1,67 @@
+/**
+ * Organization Model
+ *
+ * Defines the Organization schema for MongoDB. Organizations are separate
+ * workspaces for teams: polls created in an organization are only visible
+ * to its members. Memberships and per-organization roles are stored on
+ * each user (see the User model).
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { slugify } from '../utils/organizations.js';
+
+/**
+ * Organization Schema Definition
+ *
+ * Fields:
+ * - name: Display name (2-60 characters)
+ * - slug: Unique URL-friendly identifier derived from the name
+ * - createdBy: Reference to the User who created the organization
+ * - timestamps: Automatically adds createdAt and updatedAt fields
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 60
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, digits and dashes']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Derive the slug from the name when none was given
+ */
+organizationSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+
+  next();
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Organization', organizationSchema);
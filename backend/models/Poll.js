@@ -3,21 +3,102 @@
  *
  * Defines the Poll schema for MongoDB with voting functionality.
  * Each poll contains a question, multiple options with vote counts,
- * and references the user who created it.
+ * a lifecycle status with an optional voting window, and references
+ * the user who created it.
  *
  * @author PulseVote Team
  * @version 1.0.0
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import Vote from './Vote.js';
+import User from './User.js';
+import { POLL_TYPES, getScoreRange, normalizeWriteIn } from '../utils/ballots.js';
+import { isPlatformStaff, canSeeOrganization } from '../utils/organizations.js';
+import { RESULTS_VISIBILITIES, canSeeResults } from '../utils/results.js';
+import { OUTCOME_RESULTS, determineOutcome, getQuorumProgress } from '../utils/outcome.js';
+import { instantRunoff } from '../utils/tally.js';
+
+// Who can find and open a poll
+export const POLL_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Largest number of distinct scores a score poll may offer
+const MAX_SCORE_STEPS = 100;
+
+// Most option suggestions a poll may let each user make
+export const MAX_SUGGESTIONS_PER_USER = 20;
+
+/**
+ * Outcome Schema Definition
+ *
+ * Fields:
+ * - result: passed, failed, noQuorum or tie
+ * - winner: Index of the winning option (passed polls only)
+ * - share: Percentage of the vote the leading option received
+ * - voters: Number of voters when the poll closed
+ * - requiredVoters: Voters the quorum required, if the poll had one
+ * - decidedAt: Time the outcome was determined
+ */
+const outcomeSchema = new mongoose.Schema({
+  result: {
+    type: String,
+    enum: OUTCOME_RESULTS,
+    required: true
+  },
+  winner: Number,
+  share: Number,
+  voters: Number,
+  requiredVoters: Number,
+  decidedAt: Date
+}, {
+  _id: false
+});
 
 /**
  * Poll Schema Definition
  *
  * Fields:
  * - question: The poll question (required)
- * - options: Array of poll options with text and vote counts
+ * - type: Voting method (single choice, ranked choice, approval or score); fixed at creation
+ * - minSelections / maxSelections: How many options an approval ballot may select
+ * - scoreMin / scoreMax: Range of whole-number scores a score ballot may give each option
+ * - options: Array of poll options with text and vote counts (derived from the Vote ledger);
+ *   options of score polls also keep the sum of their scores and a histogram
+ *   with the number of ballots giving each score, starting at scoreMin
+ * - totalVotes: Number of votes cast on the poll (derived from the Vote ledger)
+ * - allowWriteIn: Whether voters may write in an "Other" answer instead of
+ *   choosing an option (single-choice polls only)
+ * - writeInVotes: Number of write-in answers not yet promoted to an option
+ *   (derived from the Vote ledger)
+ * - allowSuggestions: Whether users may suggest new options, which join the
+ *   poll once its managers approve them
+ * - maxSuggestionsPerUser: How many options each user may suggest
  * - createdBy: Reference to the User who created the poll
+ * - organization: Organization the poll belongs to; only its members can see
+ *   the poll. Polls without one are open to every user, subject to visibility
+ * - visibility: public (listed), unlisted (anyone with the share link) or
+ *   private (users on the allowed list, or with the invite code)
+ * - shareCode: Secret carried by share links and used as the invite code;
+ *   removed when the creator revokes the link
+ * - allowedUsers: Users who may open a private poll without the invite code
+ * - allowVoteChange: Whether voters may change or withdraw their vote
+ * - resultsVisibility: When the results are shown to users other than the
+ *   poll's managers (always, after voting, after close, or never)
+ * - quorumVoters: Minimum number of voters for the poll to be decided
+ * - quorumPercent: Percentage of the organization's members who must vote
+ *   for the poll to be decided (organization polls only)
+ * - passThreshold: Percentage of the vote the leading option needs to pass
+ *   (not available for score polls)
+ * - outcome: Formal outcome determined when the poll closes (passed, failed,
+ *   no quorum or tie), with the winning option and the figures it was based on
+ * - status: Lifecycle state (draft, open, closed)
+ * - opensAt: Optional time at which a draft poll opens automatically
+ * - closesAt: Optional deadline after which votes are rejected and the poll is closed
+ * - closedAt: Time at which the poll was closed and its tallies finalised
+ * - hiddenAt: Time a moderator hid the poll after it was reported; hidden
+ *   polls are only open to their creator, moderators and admins
+ * - hiddenBy: Moderator who hid the poll
  * - timestamps: Automatically adds createdAt and updatedAt fields
  */
 const pollSchema = new mongoose.Schema({
@@ -25,19 +106,549 @@ const pollSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  type: {
+    type: String,
+    enum: POLL_TYPES,
+    default: 'single'
+  },
+  minSelections: {
+    type: Number,
+    min: 1,
+    validate: {
+      validator: function(value) {
+        return value == null || value <= this.options.length;
+      },
+      message: 'minSelections cannot exceed the number of options'
+    }
+  },
+  maxSelections: {
+    type: Number,
+    min: 1,
+    validate: {
+      validator: function(value) {
+        return value == null ||
+          (value <= this.options.length && value >= (this.minSelections ?? 1));
+      },
+      message: 'maxSelections must be between minSelections and the number of options'
+    }
+  },
+  scoreMin: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: 'scoreMin must be a whole number'
+    }
+  },
+  scoreMax: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        const min = this.scoreMin ?? 1;
+        return value == null ||
+          (Number.isInteger(value) && value > min && value - min < MAX_SCORE_STEPS);
+      },
+      message: `scoreMax must be a whole number above scoreMin, with at most ${MAX_SCORE_STEPS} scores in the range`
+    }
+  },
   options: [{
     text: String,
     votes: {
       type: Number,
       default: 0
+    },
+    scoreTotal: {
+      type: Number
+    },
+    histogram: {
+      type: [Number],
+      default: undefined
     }
   }],
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  allowWriteIn: {
+    type: Boolean,
+    default: false,
+    validate: {
+      validator: function(value) {
+        return !value || (this.type || 'single') === 'single';
+      },
+      message: 'Write-in answers are only available on single-choice polls'
+    }
+  },
+  writeInVotes: {
+    type: Number,
+    default: 0
+  },
+  allowSuggestions: {
+    type: Boolean,
+    default: false
+  },
+  maxSuggestionsPerUser: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: MAX_SUGGESTIONS_PER_USER,
+    validate: {
+      validator: Number.isInteger,
+      message: 'maxSuggestionsPerUser must be a whole number'
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  visibility: {
+    type: String,
+    enum: POLL_VISIBILITIES,
+    default: 'public'
+  },
+  shareCode: {
+    type: String
+  },
+  allowedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  allowVoteChange: {
+    type: Boolean,
+    default: true
+  },
+  resultsVisibility: {
+    type: String,
+    enum: RESULTS_VISIBILITIES,
+    default: 'always'
+  },
+  quorumVoters: {
+    type: Number,
+    min: 1,
+    validate: {
+      validator: value => value == null || Number.isInteger(value),
+      message: 'quorumVoters must be a whole number'
+    }
+  },
+  quorumPercent: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        return value == null || (value > 0 && value <= 100 && !!this.organization);
+      },
+      message: 'quorumPercent must be above 0 and at most 100, and only applies to organization polls'
+    }
+  },
+  passThreshold: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        return value == null || (value > 0 && value <= 100 && this.type !== 'score');
+      },
+      message: 'passThreshold must be above 0 and at most 100, and does not apply to score polls'
+    }
+  },
+  outcome: {
+    type: outcomeSchema,
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'closed'],
+    default: 'open'
+  },
+  opensAt: {
+    type: Date
+  },
+  closesAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.opensAt || value > this.opensAt;
+      },
+      message: 'closesAt must be later than opensAt'
+    }
+  },
+  closedAt: {
+    type: Date
+  },
+  hiddenAt: {
+    type: Date
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Used by the poll scheduler to find polls due to open or close
+pollSchema.index({ status: 1, opensAt: 1 });
+pollSchema.index({ status: 1, closesAt: 1 });
+
+// Keyset pagination for each supported list sort order
+pollSchema.index({ createdAt: -1, _id: -1 });
+pollSchema.index({ totalVotes: -1, _id: -1 });
+pollSchema.index({ closesAt: 1, _id: 1 });
+pollSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Listing the public feed and the private polls shared with a user
+pollSchema.index({ visibility: 1, createdAt: -1 });
+pollSchema.index({ allowedUsers: 1 });
+
+// Listing the polls of an organization
+pollSchema.index({ organization: 1, createdAt: -1 });
+
+// Full-text search over the question and option text
+pollSchema.index({ question: 'text', 'options.text': 'text' });
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Create non-public polls with a share link
+ * Only applies on creation, so a link the creator revoked stays revoked
+ */
+pollSchema.pre('validate', function(next) {
+  if (this.isNew && this.visibility !== 'public' && !this.shareCode) {
+    this.regenerateShareCode();
+  }
+
+  next();
+});
+
+/**
+ * Give every option of a score poll zeroed score counters
+ * Runs for new options and whenever the score range changed, which is only
+ * allowed before the first vote, so no recorded scores are discarded
+ */
+pollSchema.pre('validate', function(next) {
+  if (this.type !== 'score') {
+    return next();
+  }
+
+  const { min, max } = getScoreRange(this);
+  const steps = max - min + 1;
+
+  if (steps > 0 && steps <= MAX_SCORE_STEPS) {
+    this.options.forEach(option => {
+      if (!option.histogram || option.histogram.length !== steps) {
+        option.histogram = new Array(steps).fill(0);
+        option.scoreTotal = 0;
+      }
+    });
+  }
+
+  next();
+});
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+// The share code and allowed users are only revealed to the poll's managers,
+// through getSharing, never as part of the poll itself
+const hideSharing = (doc, ret) => {
+  delete ret.shareCode;
+  delete ret.allowedUsers;
+  return ret;
+};
+
+pollSchema.set('toJSON', { transform: hideSharing });
+pollSchema.set('toObject', { transform: hideSharing });
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Replace the share code with a new random one
+ * Links carrying the previous code stop working
+ * @returns {string} - The new share code
+ */
+pollSchema.methods.regenerateShareCode = function() {
+  this.shareCode = crypto.randomBytes(12).toString('base64url');
+  return this.shareCode;
+};
+
+/**
+ * Check whether a share code matches the poll's current one
+ * @param {*} code - Code supplied by the client
+ * @returns {boolean} - True if the code is valid
+ */
+pollSchema.methods.isShareCode = function(code) {
+  if (!this.shareCode || typeof code !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.shareCode);
+  const supplied = Buffer.from(code);
+
+  return expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied);
+};
+
+/**
+ * Check whether the poll is within reach of a user's organizations
+ * Polls outside any organization are; organization polls only for its
+ * members and platform moderators and admins
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True if the user's tenancy covers the poll
+ */
+pollSchema.methods.isInTenancyOf = function(user) {
+  return canSeeOrganization(user, this.organization);
+};
+
+/**
+ * Check whether a user may open the poll
+ * Organization polls are only ever open to the organization's members.
+ * Within that, creators, moderators and admins can open every poll, and
+ * polls hidden by a moderator are open to nobody else.
+ * Unlisted polls are open to anyone with the share code; private polls to
+ * signed-in users on the allowed list or holding the invite code.
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {string|undefined} code - Share code supplied with the request
+ * @returns {boolean} - True if the poll is accessible
+ */
+pollSchema.methods.canBeAccessedBy = function(user, code) {
+  if (!this.isInTenancyOf(user)) {
+    return false;
+  }
+
+  if (user && (this.createdBy?.equals(user._id) || isPlatformStaff(user))) {
+    return true;
+  }
+
+  if (this.hiddenAt) {
+    return false;
+  }
+
+  if (!this.visibility || this.visibility === 'public') {
+    return true;
+  }
+
+  if (this.visibility === 'unlisted') {
+    return this.isShareCode(code);
+  }
+
+  return !!user && (this.allowedUsers.some(id => id.equals(user._id)) || this.isShareCode(code));
+};
+
+/**
+ * Check whether a user may see the poll's results
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {boolean} hasVoted - Whether the user has voted on the poll
+ * @returns {boolean} - True if the results may be shown to the user
+ */
+pollSchema.methods.canShowResultsTo = function(user, hasVoted = false) {
+  return canSeeResults(this, user, hasVoted);
+};
+
+/**
+ * Get the sharing settings shown to the poll's managers
+ * @returns {Object} - { visibility, shareCode, allowedUsers }
+ */
+pollSchema.methods.getSharing = function() {
+  return {
+    visibility: this.visibility || 'public',
+    shareCode: this.shareCode || null,
+    allowedUsers: this.allowedUsers.map(user => (user.username ? { _id: user._id, username: user.username } : user))
+  };
+};
+
+/**
+ * Check whether the poll currently accepts votes
+ * Uses the voting window directly so late votes are rejected even before
+ * the scheduler has closed the poll
+ * @param {Date} now - Point in time to check against
+ * @returns {Object|null} - Error with code and message, or null if voting is allowed
+ */
+pollSchema.methods.getVotingError = function(now = new Date()) {
+  if (this.status === 'closed' || (this.closesAt && this.closesAt <= now)) {
+    return { code: 'POLL_CLOSED', message: 'This poll is closed and no longer accepts votes' };
+  }
+
+  if (this.status === 'draft' || (this.opensAt && this.opensAt > now)) {
+    return { code: 'POLL_NOT_OPEN', message: 'This poll is not open for voting yet' };
+  }
+
+  return null;
+};
+
+/**
+ * Check why users cannot suggest options for the poll right now
+ * Suggestions must be enabled, and are accepted until the poll closes
+ * (including while it is a draft)
+ * @param {Date} now - Point in time to check against
+ * @returns {Object|null} - Error with status, code and message, or null if suggestions are accepted
+ */
+pollSchema.methods.getSuggestionError = function(now = new Date()) {
+  if (!this.allowSuggestions) {
+    return { status: 403, code: 'SUGGESTIONS_DISABLED', message: 'This poll does not accept option suggestions' };
+  }
+
+  if (this.status === 'closed' || (this.closesAt && this.closesAt <= now)) {
+    return { status: 409, code: 'POLL_CLOSED', message: 'Closed polls do not accept option suggestions' };
+  }
+
+  return null;
+};
+
+/**
+ * Run the instant-runoff tally of a ranked poll over its recorded ballots
+ * @returns {Promise<Object>} - Runoff result from instantRunoff
+ */
+pollSchema.methods.runInstantRunoff = async function() {
+  const ballots = await Vote.find({ poll: this._id }).select('rankings').lean();
+  return instantRunoff(this.options.length, ballots.map(ballot => ballot.rankings));
+};
+
+/**
+ * Count the members of the poll's organization, for percentage quorums
+ * @returns {Promise<number>} - Member count, or 0 if no percentage quorum applies
+ */
+pollSchema.methods.countQuorumMembers = async function() {
+  if (this.quorumPercent == null || !this.organization) {
+    return 0;
+  }
+
+  return User.countDocuments({ 'memberships.organization': this.organization._id ?? this.organization });
+};
+
+/**
+ * Report the poll's progress toward its quorum
+ * @returns {Promise<Object|null>} - { required, voters, met }, or null if the poll has no quorum
+ */
+pollSchema.methods.getQuorumProgress = async function() {
+  return getQuorumProgress(this, await this.countQuorumMembers());
+};
+
+/**
+ * Close the poll, write its final tallies from the Vote ledger and record
+ * its formal outcome
+ * @param {Date} now - Closing time
+ * @returns {Promise<Object>} - The saved poll document
+ */
+pollSchema.methods.closePoll = async function(now = new Date()) {
+  this.status = 'closed';
+  this.closedAt = now;
+
+  await this.recountVotes();
+
+  this.outcome = determineOutcome(this, {
+    runoff: this.type === 'ranked' ? await this.runInstantRunoff() : null,
+    memberCount: await this.countQuorumMembers()
+  }, now);
+
+  return this.save();
+};
+
+/**
+ * Rebuild the option vote counters from the Vote ledger
+ * Corrects any drift between the cached counters and the recorded votes
+ * @returns {Promise<Object>} - The saved poll document
+ */
+pollSchema.methods.reconcileVoteCounts = async function() {
+  await this.recountVotes();
+
+  return this.save();
+};
+
+/**
+ * Recount the option vote counters from the Vote ledger, without saving
+ * @returns {Promise<void>}
+ */
+pollSchema.methods.recountVotes = async function() {
+  if (this.type === 'score') {
+    const scoreCounts = await Vote.countScores(this._id);
+    const { min, max } = getScoreRange(this);
+
+    this.options.forEach((option, index) => {
+      const counts = scoreCounts.get(index) || new Map();
+
+      option.histogram = Array.from({ length: max - min + 1 }, (_, step) => counts.get(min + step) || 0);
+      option.votes = option.histogram.reduce((sum, count) => sum + count, 0);
+      option.scoreTotal = option.histogram.reduce((sum, count, step) => sum + count * (min + step), 0);
+    });
+  } else {
+    const counts = await Vote.countByOption(this._id, this.type);
+
+    this.options.forEach((option, index) => {
+      option.votes = counts.get(index) || 0;
+    });
+    this.writeInVotes = await Vote.countDocuments({ poll: this._id, writeInKey: { $exists: true } });
+  }
+  this.totalVotes = await Vote.countDocuments({ poll: this._id });
+};
+
+/**
+ * Append an option to the poll in a single atomic update, so options
+ * added concurrently (or vote counters changing meanwhile) are not lost
+ * Options of score polls start with zeroed score counters
+ * @param {string} text - Text of the new option
+ * @returns {Promise<Object>} - { poll: updated poll document, optionIndex of the new option }
+ */
+pollSchema.methods.appendOption = async function(text) {
+  const option = { _id: new mongoose.Types.ObjectId(), text, votes: 0 };
+
+  if (this.type === 'score') {
+    const { min, max } = getScoreRange(this);
+    option.scoreTotal = 0;
+    option.histogram = new Array(max - min + 1).fill(0);
+  }
+
+  const poll = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $push: { options: option } },
+    { new: true }
+  );
+
+  return { poll, optionIndex: poll.options.findIndex(({ _id }) => _id.equals(option._id)) };
+};
+
+/**
+ * Promote a group of write-in answers to a real option, keeping their votes
+ * The answers join the option whose text matches them (case-insensitively),
+ * or a new option appended with the given text
+ * @param {string} key - Normalized write-in answer (see normalizeWriteIn)
+ * @param {string} text - Text of the new option
+ * @returns {Promise<Object>} - { poll: updated poll document, optionIndex, votes moved }
+ */
+pollSchema.methods.promoteWriteIn = async function(key, text) {
+  const Poll = this.constructor;
+  const matches = (option) => normalizeWriteIn(option.text) === key;
+
+  let optionIndex = this.options.findIndex(matches);
+
+  if (optionIndex === -1) {
+    ({ optionIndex } = await this.appendOption(text));
+  }
+
+  // Turn the write-ins into votes for the option, then move their count over
+  const { modifiedCount } = await Vote.updateMany(
+    { poll: this._id, writeInKey: key },
+    { $set: { optionIndex }, $unset: { writeIn: 1, writeInKey: 1 } }
+  );
+
+  const poll = await Poll.findByIdAndUpdate(
+    this._id,
+    { $inc: { [`options.${optionIndex}.votes`]: modifiedCount, writeInVotes: -modifiedCount } },
+    { new: true }
+  );
+
+  return { poll, optionIndex, votes: modifiedCount };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
 export default mongoose.model('Poll', pollSchema);
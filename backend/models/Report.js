@@ -0,0 +1,167 @@
+/**
+ * Report Model
+ *
+ * Defines the Report schema for MongoDB. Users flag polls and comments they
+ * find objectionable; each flag waits in the moderation queue until a
+ * moderator resolves it by dismissing it, hiding the content or
+ * deactivating its author. The resolution records the moderator and the
+ * time it was made.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+// What can be reported
+export const REPORT_TARGET_TYPES = ['poll', 'comment'];
+
+// Why content can be reported
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'misinformation', 'inappropriate', 'other'];
+
+// Longest explanation accepted from the reporter or the moderator, in characters
+export const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Ways a moderator can resolve a report: leave the content alone, hide the
+// poll (or remove the comment), or deactivate the content's author
+export const MODERATION_ACTIONS = ['dismiss', 'hide', 'deactivateAuthor'];
+
+/**
+ * Report Schema Definition
+ *
+ * Fields:
+ * - targetType: poll or comment
+ * - poll: Reference to the reported Poll, or to the Poll the reported comment is on
+ * - comment: Reference to the reported Comment (comment reports only)
+ * - author: User who created the reported content
+ * - reportedBy: User who filed the report
+ * - reason: Why the content was reported (see REPORT_REASONS)
+ * - details: Optional explanation from the reporter
+ * - status: open until a moderator acts on it, then resolved
+ * - action: How the report was resolved (see MODERATION_ACTIONS)
+ * - resolvedBy: Moderator who resolved the report
+ * - resolvedAt: Time the report was resolved
+ * - note: Optional explanation from the moderator
+ * - timestamps: Automatically adds createdAt and updatedAt fields
+ */
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: function() {
+      return this.targetType === 'comment';
+    },
+    validate: {
+      validator: function() {
+        return this.targetType === 'comment';
+      },
+      message: 'Only comment reports name a comment'
+    }
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REPORT_DETAILS_LENGTH
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REPORT_DETAILS_LENGTH
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// A user has at most one open report on the same poll or comment
+reportSchema.index(
+  { reportedBy: 1, poll: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Moderation queue: open reports oldest first, resolved ones newest first
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+reportSchema.index({ status: 1, resolvedAt: -1, _id: -1 });
+
+// Resolving every open report on the same content at once
+reportSchema.index({ poll: 1, comment: 1, status: 1 });
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * File a report, unless the user already has an open report on the same content
+ * @param {Object} fields - Report fields (targetType, poll, comment, author, reportedBy, reason, details)
+ * @returns {Promise<Object>} - { report } on success, or { error } with status, code and message
+ */
+reportSchema.statics.file = async function(fields) {
+  try {
+    return { report: await this.create(fields) };
+  } catch (err) {
+    if (err.code === 11000) {
+      return {
+        error: { status: 409, code: 'ALREADY_REPORTED', message: 'You have already reported this and it is awaiting review' }
+      };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Build the filter matching every report on the same content as a report
+ * @param {Object} report - Report document
+ * @returns {Object} - MongoDB filter on poll and comment
+ */
+reportSchema.statics.sameTargetAs = function(report) {
+  return { poll: report.poll._id ?? report.poll, comment: report.comment?._id ?? report.comment ?? null };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Report', reportSchema);
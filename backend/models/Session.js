@@ -0,0 +1,272 @@
+/**
+ * Session Model
+ *
+ * Defines the Session schema for MongoDB: one login of a user, kept alive
+ * by a refresh token. Access tokens are short-lived and name the session
+ * they belong to, so ending the session ends them too.
+ *
+ * Refresh tokens rotate: each one can be redeemed once, for a new access
+ * token and the next refresh token. Only hashes are stored: of the current
+ * refresh token, and of the few tokens it replaced. Presenting one of those
+ * earlier tokens means it was copied, so the whole session is revoked.
+ * Other tokens are simply refused.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// How long a refresh token stays valid without being used
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Number of redeemed refresh tokens remembered to detect their reuse
+export const PREVIOUS_TOKENS_KEPT = 20;
+
+// Longest user agent kept for a session
+export const MAX_USER_AGENT_LENGTH = 512;
+
+// Why a session was ended before it expired
+export const SESSION_REVOKE_REASONS = [
+  'logout',
+  'revokedByUser',
+  'tokenReused',
+  'accountDeactivated',
+  'accountLocked',
+  'passwordReset'
+];
+
+/**
+ * Session Schema Definition
+ *
+ * Fields:
+ * - user: User the session belongs to
+ * - tokenHash: SHA-256 hash of the current refresh token's secret
+ * - previousTokenHashes: Hashes of the latest redeemed refresh tokens,
+ *   newest last
+ * - expiresAt: Time the current refresh token stops being accepted;
+ *   expired sessions are removed by MongoDB
+ * - lastUsedAt: Time the session was started or last refreshed (last seen)
+ * - userAgent: Browser or client that logged in
+ * - ip: IP address of the login, then of the latest refresh
+ * - revokedAt / revokedReason: When and why the session was ended
+ * - createdAt: Time of the login
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    maxlength: MAX_USER_AGENT_LENGTH
+  },
+  ip: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Hash a refresh token secret for storage and comparison
+ * @param {string} secret - Secret part of a refresh token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split a refresh token into the session ID and the secret
+ * @param {*} token - Refresh token from the client
+ * @returns {Object|null} - { sessionId, secret }, or null if malformed
+ */
+const parseRefreshToken = (token) => {
+  const [sessionId, secret, ...rest] = typeof token === 'string' ? token.split('.') : [];
+
+  if (rest.length || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Listing and revoking the sessions of a user
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Issue a new refresh token for the session, replacing the current one
+ * The token is only returned here; the session keeps its hash
+ * @returns {string} - Refresh token ("<sessionId>.<secret>")
+ */
+sessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  this.tokenHash = hashSecret(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+  return `${this._id}.${secret}`;
+};
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Start a session for a user who has just logged in
+ * @param {string} userId - User ID
+ * @param {Object} [client] - Client that logged in ({ userAgent, ip })
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+sessionSchema.statics.start = async function(userId, { userAgent, ip } = {}) {
+  const session = new this({ user: userId, userAgent: userAgent?.slice(0, MAX_USER_AGENT_LENGTH), ip });
+  const refreshToken = session.issueRefreshToken();
+
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+/**
+ * Redeem a refresh token for the next one
+ * The swap is atomic, so a token can only be redeemed once. A token of a
+ * live session matching one it has already redeemed means someone else
+ * holds a copy: the session is revoked. Any other token is refused and
+ * leaves the session alone, so guessing cannot end someone's session.
+ * @param {*} token - Refresh token from the client
+ * @param {Object} [client] - Client refreshing the session ({ ip })
+ * @returns {Promise<Object>} - { session, refreshToken } when redeemed,
+ *   { session, reused: true } when reuse was detected, otherwise {}
+ */
+sessionSchema.statics.rotate = async function(token, { ip } = {}) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) {
+    return {};
+  }
+
+  const next = new this({ _id: parsed.sessionId });
+  const refreshToken = next.issueRefreshToken();
+
+  const tokenHash = hashSecret(parsed.secret);
+
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: next.tokenHash, lastUsedAt: next.lastUsedAt, expiresAt: next.expiresAt, ...(ip && { ip }) },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken };
+  }
+
+  const reused = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'tokenReused' } },
+    { new: true }
+  );
+
+  return reused ? { session: reused, reused: true } : {};
+};
+
+/**
+ * Find the active session an access token belongs to
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<Object|null>} - The session, or null if it has ended
+ */
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * End a session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session ends (see SESSION_REVOKE_REASONS)
+ * @returns {Promise<boolean>} - True if the session was active until now
+ */
+sessionSchema.statics.revoke = async function(sessionId, reason) {
+  const result = await this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} - Active sessions
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-tokenHash -previousTokenHashes')
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * End every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions end (see SESSION_REVOKE_REASONS)
+ * @param {string} [exceptSessionId] - Session to keep, such as the current one
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Session', sessionSchema);
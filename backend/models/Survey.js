@@ -0,0 +1,171 @@
+/**
+ * Survey Model
+ *
+ * Defines the Survey schema for MongoDB. A survey holds an ordered list of
+ * questions of mixed types (single choice, multiple choice, rating and free
+ * text) that users answer together in a single response (see the
+ * SurveyResponse model).
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { isPlatformStaff, isOrganizationAdmin, canSeeOrganization } from '../utils/organizations.js';
+import { SURVEY_QUESTION_TYPES, MAX_SURVEY_QUESTIONS } from '../utils/surveys.js';
+
+/**
+ * Question Schema Definition
+ *
+ * Fields:
+ * - prompt: The question text
+ * - type: single choice, multiple choice, rating or free text
+ * - options: Option texts of choice questions
+ * - required: Whether every response must answer the question
+ * - ratingMin / ratingMax: Range of whole-number ratings of rating questions
+ */
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: SURVEY_QUESTION_TYPES,
+    required: true
+  },
+  options: {
+    type: [{ type: String, trim: true, maxlength: 200 }],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  ratingMin: Number,
+  ratingMax: Number
+});
+
+/**
+ * Survey Schema Definition
+ *
+ * Fields:
+ * - title: The survey title (required)
+ * - description: Optional introduction shown above the questions
+ * - questions: Ordered list of questions; locked once responses exist
+ * - responseCount: Number of responses submitted (derived from SurveyResponse)
+ * - createdBy: Reference to the User who created the survey
+ * - organization: Organization the survey belongs to; only its members can
+ *   see and answer it. Surveys without one are open to every user
+ * - status: Lifecycle state (open, closed)
+ * - closesAt: Optional deadline after which responses are rejected
+ * - closedAt: Time at which the survey was closed
+ * - timestamps: Automatically adds createdAt and updatedAt fields
+ */
+const surveySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0 && questions.length <= MAX_SURVEY_QUESTIONS,
+      message: `A survey needs between 1 and ${MAX_SURVEY_QUESTIONS} questions`
+    }
+  },
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closesAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Keyset pagination of the survey list, newest first
+surveySchema.index({ createdAt: -1, _id: -1 });
+
+// Listing the surveys of an organization
+surveySchema.index({ organization: 1, createdAt: -1 });
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Check whether the survey is within reach of a user's organizations
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True if the user's tenancy covers the survey
+ */
+surveySchema.methods.isInTenancyOf = function(user) {
+  return canSeeOrganization(user, this.organization);
+};
+
+/**
+ * Check whether a user manages the survey (its creator, an admin of its
+ * organization, or a moderator or admin)
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True if the user may edit the survey and see its results
+ */
+surveySchema.methods.isManagedBy = function(user) {
+  if (!user || !this.isInTenancyOf(user)) {
+    return false;
+  }
+
+  return String(this.createdBy?._id ?? this.createdBy) === String(user._id) ||
+    isOrganizationAdmin(user, this.organization) ||
+    isPlatformStaff(user);
+};
+
+/**
+ * Check whether the survey currently accepts responses
+ * Uses the deadline directly, so late responses are rejected even before
+ * the survey has been closed
+ * @param {Date} now - Point in time to check against
+ * @returns {Object|null} - Error with code and message, or null if responses are accepted
+ */
+surveySchema.methods.getSubmissionError = function(now = new Date()) {
+  if (this.status === 'closed' || (this.closesAt && this.closesAt <= now)) {
+    return { code: 'SURVEY_CLOSED', message: 'This survey is closed and no longer accepts responses' };
+  }
+
+  return null;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Survey', surveySchema);
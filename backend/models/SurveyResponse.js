@@ -0,0 +1,77 @@
+/**
+ * Survey Response Model
+ *
+ * Defines the SurveyResponse schema for MongoDB. Each document is one
+ * user's complete set of answers to a survey, written in a single insert,
+ * so a response is either recorded with all its answers or not at all.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Answer Schema Definition
+ *
+ * Fields:
+ * - question: ID of the answered question within the survey
+ * - choices: Chosen option indices (choice questions)
+ * - rating: Rating given (rating questions)
+ * - text: Answer text (free-text questions)
+ */
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  choices: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  rating: Number,
+  text: String
+}, {
+  _id: false
+});
+
+/**
+ * Survey Response Schema Definition
+ *
+ * Fields:
+ * - survey: Reference to the Survey that was answered
+ * - user: Reference to the User who responded
+ * - answers: Answers in question order; optional questions may be missing
+ * - timestamps: Automatically adds createdAt (time of submission) and updatedAt fields
+ */
+const surveyResponseSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  answers: [answerSchema]
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// A user may only submit a single response per survey
+surveyResponseSchema.index({ survey: 1, user: 1 }, { unique: true });
+
+// Exporting a survey's responses in submission order
+surveyResponseSchema.index({ survey: 1, createdAt: 1 });
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('SurveyResponse', surveyResponseSchema);
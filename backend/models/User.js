@@ -10,6 +10,14 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { ORGANIZATION_ROLES } from '../utils/organizations.js';
+
+// Platform roles
+export const USER_ROLES = ['user', 'admin', 'moderator'];
+
+// How long a password reset token issued by an admin stays valid
+export const PASSWORD_RESET_TTL_MS = 24 * 60 * 60 * 1000;
 
 /**
  * User Schema Definition
@@ -23,6 +31,11 @@ import bcrypt from 'bcrypt';
  * - lastLogin: Timestamp of last successful login
  * - loginAttempts: Number of failed login attempts
  * - lockUntil: Account lock expiration timestamp
+ * - passwordResetRequired: Set when an admin forces a password reset; the
+ *   account cannot be used until a new password is chosen
+ * - passwordResetToken: SHA-256 hash of the one-time reset token
+ * - passwordResetExpires: Time the reset token stops being accepted
+ * - memberships: Organizations the user belongs to, with their role in each
  * - createdAt/updatedAt: Timestamps
  */
 const userSchema = new mongoose.Schema({
@@ -47,7 +60,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: USER_ROLES,
     default: 'user'
   },
   isActive: {
@@ -64,6 +77,33 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetToken: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  memberships: [{
+    _id: false,
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -74,6 +114,23 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Hash a password reset token for storage and lookup
+ * @param {string} token - Reset token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// Listing the members of an organization
+userSchema.index({ 'memberships.organization': 1 });
+
+// Redeeming password reset tokens
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -118,13 +175,55 @@ userSchema.methods.incrementLoginAttempts = function() {
   const updates = { $inc: { loginAttempts: 1 } };
 
   // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
+  if (this.isLastLoginAttempt()) {
     updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
   }
 
   return this.updateOne(updates);
 };
 
+/**
+ * Check whether one more failed login locks the account
+ * @returns {boolean} - True if the next failed attempt reaches the limit of 5
+ */
+userSchema.methods.isLastLoginAttempt = function() {
+  const lockExpired = !!(this.lockUntil && this.lockUntil < Date.now());
+  return !lockExpired && this.loginAttempts + 1 >= 5 && !this.isLocked;
+};
+
+/**
+ * Force a password reset: the current password stops working and a
+ * one-time token is issued for choosing a new one
+ * Only a hash of the token is stored; the token itself is returned once
+ * @returns {string} - The reset token to hand to the user
+ */
+userSchema.methods.requirePasswordReset = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  this.passwordResetRequired = true;
+  this.passwordResetToken = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+  return token;
+};
+
+/**
+ * Set a new password after a forced reset, clearing the reset token and
+ * any failed login attempts
+ * @param {string} password - New plain text password (hashed on save)
+ * @returns {Promise} - Save operation
+ */
+userSchema.methods.completePasswordReset = function(password) {
+  this.password = password;
+  this.passwordResetRequired = false;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+
+  return this.save();
+};
+
 /**
  * Check if user has a specific role
  * @param {string} role - Role to check for
@@ -143,6 +242,22 @@ userSchema.methods.hasAnyRole = function(roles) {
   return roles.includes(this.role);
 };
 
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Find the user a password reset token was issued to
+ * @param {string} token - Reset token from the user
+ * @returns {Promise<Object|null>} - User with a matching, unexpired token
+ */
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
 // ============================================================================
 // VIRTUAL PROPERTIES
 // ============================================================================
@@ -0,0 +1,221 @@
+/**
+ * Vote Model
+ *
+ * Defines the Vote schema for MongoDB. Every vote cast on a poll is recorded
+ * here as a ledger entry, which makes it possible to enforce one vote per
+ * user per poll and to rebuild a poll's vote counters at any time.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { MAX_WRITE_IN_LENGTH } from '../utils/ballots.js';
+
+/**
+ * Vote Schema Definition
+ *
+ * Fields:
+ * - poll: Reference to the Poll that was voted on
+ * - user: Reference to the User who cast the vote
+ * - optionIndex: Index of the chosen option (single-choice polls)
+ * - writeIn: Write-in "Other" answer as entered, instead of an option (single-choice polls)
+ * - writeInKey: Normalized write-in answer, grouping spelling variants together
+ * - rankings: Option indices in order of preference (ranked-choice polls)
+ * - selections: Approved option indices (approval polls)
+ * - scores: Score given to each option, indexed like the options (score polls)
+ * - timestamps: Automatically adds createdAt (time of voting) and updatedAt fields
+ */
+const voteSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  optionIndex: {
+    type: Number,
+    min: 0
+  },
+  writeIn: {
+    type: String,
+    trim: true,
+    maxlength: MAX_WRITE_IN_LENGTH
+  },
+  writeInKey: {
+    type: String
+  },
+  rankings: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  selections: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  scores: {
+    type: [Number],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+// A user may only hold a single vote per poll
+voteSchema.index({ poll: 1, user: 1 }, { unique: true });
+
+// Reviewing and promoting the write-in answers of a poll
+voteSchema.index({ poll: 1, writeInKey: 1 }, { partialFilterExpression: { writeInKey: { $exists: true } } });
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+// Options each ballot counts towards, per poll type (see utils/ballots.js)
+const COUNTED_OPTIONS = {
+  single: ['$optionIndex'],
+  ranked: { $slice: ['$rankings', 1] },
+  approval: '$selections',
+  score: { $range: [0, { $size: '$scores' }] }
+};
+
+/**
+ * Count the recorded votes for each option of a poll
+ * @param {string} pollId - Poll ID
+ * @param {string} type - Poll type, which decides how ballots are counted
+ * @returns {Promise<Map<number, number>>} - Vote count keyed by option index
+ */
+voteSchema.statics.countByOption = async function(pollId, type = 'single') {
+  const results = await this.aggregate([
+    { $match: { poll: new mongoose.Types.ObjectId(pollId) } },
+    { $project: { counted: COUNTED_OPTIONS[type] || COUNTED_OPTIONS.single } },
+    { $unwind: '$counted' },
+    { $group: { _id: '$counted', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(results.map(result => [result._id, result.count]));
+};
+
+/**
+ * Count how often each score was given to each option of a score poll
+ * @param {string} pollId - Poll ID
+ * @returns {Promise<Map<number, Map<number, number>>>} - Per option index, the
+ *   number of ballots keyed by score
+ */
+voteSchema.statics.countScores = async function(pollId) {
+  const results = await this.aggregate([
+    { $match: { poll: new mongoose.Types.ObjectId(pollId) } },
+    { $unwind: { path: '$scores', includeArrayIndex: 'option' } },
+    { $group: { _id: { option: '$option', score: '$scores' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  results.forEach(({ _id, count }) => {
+    if (!counts.has(_id.option)) {
+      counts.set(_id.option, new Map());
+    }
+    counts.get(_id.option).set(_id.score, count);
+  });
+
+  return counts;
+};
+
+/**
+ * Group the write-in answers of a poll
+ *
+ * Answers sharing a normalized key form one group, shown with its most
+ * common spelling (the earliest one among equally common spellings).
+ *
+ * @param {string} pollId - Poll ID
+ * @returns {Promise<Object[]>} - [{ key, text, votes, variants }], most votes first
+ */
+voteSchema.statics.listWriteIns = function(pollId) {
+  return this.aggregate([
+    { $match: { poll: new mongoose.Types.ObjectId(pollId), writeInKey: { $exists: true } } },
+    {
+      $group: {
+        _id: { key: '$writeInKey', text: '$writeIn' },
+        votes: { $sum: 1 },
+        firstAt: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { votes: -1, firstAt: 1 } },
+    {
+      $group: {
+        _id: '$_id.key',
+        text: { $first: '$_id.text' },
+        variants: { $push: '$_id.text' },
+        votes: { $sum: '$votes' },
+        firstAt: { $min: '$firstAt' }
+      }
+    },
+    { $sort: { votes: -1, firstAt: 1 } },
+    { $project: { _id: 0, key: '$_id', text: 1, variants: 1, votes: 1 } }
+  ]);
+};
+
+/**
+ * Count a poll's recorded votes over time
+ *
+ * Votes are grouped into buckets of a calendar unit (UTC) by the time they
+ * were cast. Changed votes stay in the bucket of their original casting,
+ * counted towards their current ballot; withdrawn votes are not counted.
+ *
+ * @param {string} pollId - Poll ID
+ * @param {string} type - Poll type, which decides how ballots are counted
+ * @param {string} unit - Bucket size (minute, hour or day)
+ * @returns {Promise<Object>} - { options: [{ bucket, option, votes }], ballots:
+ *   [{ bucket, ballots }], firstVoteAt, lastVoteAt }, ordered by bucket;
+ *   the times are null when no votes are recorded
+ */
+voteSchema.statics.countOverTime = async function(pollId, type = 'single', unit = 'hour') {
+  const [result] = await this.aggregate([
+    { $match: { poll: new mongoose.Types.ObjectId(pollId) } },
+    {
+      $project: {
+        createdAt: 1,
+        bucket: { $dateTrunc: { date: '$createdAt', unit } },
+        counted: COUNTED_OPTIONS[type] || COUNTED_OPTIONS.single
+      }
+    },
+    {
+      $facet: {
+        options: [
+          { $unwind: '$counted' },
+          { $group: { _id: { bucket: '$bucket', option: '$counted' }, votes: { $sum: 1 } } },
+          { $project: { _id: 0, bucket: '$_id.bucket', option: '$_id.option', votes: 1 } },
+          { $sort: { bucket: 1, option: 1 } }
+        ],
+        ballots: [
+          { $group: { _id: '$bucket', ballots: { $sum: 1 } } },
+          { $project: { _id: 0, bucket: '$_id', ballots: 1 } },
+          { $sort: { bucket: 1 } }
+        ],
+        range: [
+          { $group: { _id: null, firstVoteAt: { $min: '$createdAt' }, lastVoteAt: { $max: '$createdAt' } } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    options: result.options,
+    ballots: result.ballots,
+    firstVoteAt: result.range[0]?.firstVoteAt ?? null,
+    lastVoteAt: result.range[0]?.lastVoteAt ?? null
+  };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default mongoose.model('Vote', voteSchema);
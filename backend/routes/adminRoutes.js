@@ -0,0 +1,370 @@
+/**
+ * Admin Routes
+ *
+ * Handles user management for platform admins, so accounts can be
+ * administered without a database shell.
+ *
+ * Features:
+ * - Search users by username or email, filtered by role, status and lock
+ * - Change a user's platform role
+ * - Deactivate and reactivate accounts
+ * - Unlock accounts locked after failed logins before the lock expires
+ * - Force a password reset, issuing a one-time token for the user
+ * - Security logging of every change, also recorded in the audit log
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import protect, { requireAdmin } from '../middleware/authMiddleware.js';
+import { securityLogger } from '../config/logger.js';
+import { recordAudit } from '../services/auditLog.js';
+import { closeStreams } from '../services/pollEvents.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+import { buildUserSearchFilter, parseUserUpdate, toAdminView } from '../utils/users.js';
+
+// Create Express router
+const router = express.Router();
+
+// Page size limits for the user list
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Users are listed alphabetically
+const USER_SORT = { field: 'username', order: 1, type: 'string' };
+
+/**
+ * Describe a user as the target of an audit entry
+ * @param {Object} user - User document
+ * @returns {Object} - Audit target ({ type, id, label })
+ */
+const auditTarget = (user) => ({ type: 'user', id: user._id, label: user.username });
+
+/**
+ * Load the user named in the URL into req.targetUser
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadTargetUser = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ============================================================================
+// USER LIST ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     description: Lists user accounts alphabetically by username, with their role, status, lock and login details (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Case-insensitive text to find in the username or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: locked
+ *         schema:
+ *           type: boolean
+ *         description: Only accounts currently locked after failed logins (true), or not locked (false)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor value from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of users retrieved successfully, as { users, nextCursor }
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ */
+router.get('/users', protect, requireAdmin, async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  const { filter, error } = buildUserSearchFilter(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), USER_SORT);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const query = cursor ? { $and: [filter, buildCursorFilter(USER_SORT, cursor)] } : filter;
+
+    // Fetch one extra user to find out whether another page exists
+    const users = await User.find(query)
+      .select('-password -passwordResetToken')
+      .sort(buildSortSpec(USER_SORT))
+      .limit(limit + 1);
+
+    const hasMore = users.length > limit;
+    const page = hasMore ? users.slice(0, limit) : users;
+
+    res.json({
+      users: page.map(toAdminView),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], USER_SORT) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// USER UPDATE ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   patch:
+ *     summary: Change a user's role or status
+ *     description: Changes a user's platform role and/or deactivates or reactivates the account. Deactivated users cannot log in and all their sessions are revoked. Admins cannot change their own role or deactivate themselves (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Invalid change, or a change to the admin's own role or status
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/users/:id', protect, requireAdmin, loadTargetUser, async (req, res) => {
+  const { targetUser } = req;
+
+  const { updates, error } = parseUserUpdate(req.body, req.user, targetUser);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const before = Object.fromEntries(Object.keys(updates).map(field => [field, targetUser[field]]));
+
+    targetUser.set(updates);
+    await targetUser.save();
+
+    // A deactivated user is signed out everywhere
+    if (updates.isActive === false) {
+      const revoked = await Session.revokeAllForUser(targetUser._id, 'accountDeactivated');
+      securityLogger.sessionsRevoked(targetUser._id, 'accountDeactivated', revoked);
+      closeStreams({ userId: targetUser._id });
+    }
+
+    securityLogger.userAdministered(req.user._id, targetUser._id, 'update', updates);
+    await recordAudit(req, { action: 'user.updated', target: auditTarget(targetUser), before, after: updates });
+
+    res.json(toAdminView(targetUser));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// UNLOCK ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user's account
+ *     description: Lifts a lock after failed logins before it expires and clears the failed login count (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/users/:id/unlock', protect, requireAdmin, loadTargetUser, async (req, res) => {
+  const { targetUser } = req;
+
+  try {
+    const before = { loginAttempts: targetUser.loginAttempts, lockUntil: targetUser.lockUntil };
+
+    targetUser.loginAttempts = 0;
+    targetUser.lockUntil = undefined;
+    await targetUser.save();
+
+    securityLogger.userAdministered(req.user._id, targetUser._id, 'unlock');
+    await recordAudit(req, {
+      action: 'user.unlocked',
+      target: auditTarget(targetUser),
+      before,
+      after: { loginAttempts: 0, lockUntil: null }
+    });
+
+    res.json(toAdminView(targetUser));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// FORCED PASSWORD RESET ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: Stops the user's current password and sessions from working and issues a one-time reset token, valid for 24 hours, which the user redeems at /api/auth/reset-password to choose a new password. The token is only returned here, so hand it to the user. Forcing another reset replaces the previous token (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Reset forced; returns the user, resetToken and expiresAt
+ *       400:
+ *         description: Admins cannot force a reset of their own password
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/users/:id/password-reset', protect, requireAdmin, loadTargetUser, async (req, res) => {
+  const { targetUser } = req;
+
+  // Forcing a reset ends the admin's own session, locking them out of the console
+  if (req.user._id.equals(targetUser._id)) {
+    return res.status(400).json({ message: 'You cannot force a reset of your own password' });
+  }
+
+  try {
+    const resetToken = targetUser.requirePasswordReset();
+    await targetUser.save();
+
+    const revoked = await Session.revokeAllForUser(targetUser._id, 'passwordReset');
+    securityLogger.sessionsRevoked(targetUser._id, 'passwordReset', revoked);
+    closeStreams({ userId: targetUser._id });
+
+    securityLogger.userAdministered(req.user._id, targetUser._id, 'passwordReset');
+    await recordAudit(req, {
+      action: 'user.passwordResetForced',
+      target: auditTarget(targetUser),
+      after: { passwordResetRequired: true, expiresAt: targetUser.passwordResetExpires }
+    });
+
+    res.json({
+      user: toAdminView(targetUser),
+      resetToken,
+      expiresAt: targetUser.passwordResetExpires
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
@@ -0,0 +1,271 @@
+/**
+ * Audit Log Routes
+ *
+ * Handles admin access to the audit log of privileged and
+ * security-relevant actions.
+ *
+ * Features:
+ * - Newest-first query with filters on actor, action, target and time
+ * - CSV and JSON export of matching entries
+ * - Verification of the hash chain, reporting the first tampered entry
+ *
+ * The log can only be read here; entries are written by the routes that
+ * perform the audited actions (see services/auditLog.js).
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import AuditEntry, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditEntry.js';
+import protect, { requireAdmin } from '../middleware/authMiddleware.js';
+import { securityLogger } from '../config/logger.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+import { EXPORT_FORMATS } from '../utils/export.js';
+import { buildAuditFilter, auditEntriesToCsv, findChainProblem } from '../utils/audit.js';
+
+// Create Express router
+const router = express.Router();
+
+// Page size limits for the audit log
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Most entries exported at once
+const MAX_EXPORT_ENTRIES = 10000;
+
+// Entries are listed newest first, in chain order
+const AUDIT_SORT = { field: 'seq', order: -1, type: 'number' };
+
+/**
+ * Parse the audit log filters of a request, answering 400 when invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const parseAuditFilter = (req, res, next) => {
+  const { filter, error } = buildAuditFilter(req.query, { actions: AUDIT_ACTIONS, targetTypes: AUDIT_TARGET_TYPES });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  req.auditFilter = filter;
+  next();
+};
+
+// ============================================================================
+// AUDIT LOG QUERY ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditFilters:
+ *       in: query
+ *       name: filters
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         properties:
+ *           actor:
+ *             type: string
+ *             description: ID of the user who acted
+ *           action:
+ *             type: string
+ *             enum: [auth.login, auth.loginFailed, auth.accountLocked, auth.passwordReset, auth.refreshTokenReused, user.updated, user.unlocked, user.passwordResetForced, poll.deleted, poll.hidden, comment.removed, report.resolved, organization.memberChanged]
+ *           targetType:
+ *             type: string
+ *             enum: [user, poll, comment, report, organization]
+ *           targetId:
+ *             type: string
+ *           from:
+ *             type: string
+ *             format: date-time
+ *           to:
+ *             type: string
+ *             format: date-time
+ * /api/admin/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Lists audit entries newest first. Each entry records the action, the actor, the target, the values before and after, the IP address, the request ID and its place in the hash chain (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditFilters'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor value from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of entries retrieved successfully, as { entries, nextCursor }
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, requireAdmin, parseAuditFilter, async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), AUDIT_SORT);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const query = cursor ? { $and: [req.auditFilter, buildCursorFilter(AUDIT_SORT, cursor)] } : req.auditFilter;
+
+    // Fetch one extra entry to find out whether another page exists
+    const entries = await AuditEntry.find(query).sort(buildSortSpec(AUDIT_SORT)).limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    res.json({
+      entries: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], AUDIT_SORT) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// AUDIT LOG EXPORT ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/audit/export:
+ *   get:
+ *     summary: Export the audit log
+ *     description: Downloads the audit entries matching the filters in chain order (oldest first), as CSV with before and after values as JSON, or as JSON. At most 10000 entries are exported at once (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditFilters'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Export file (text/csv, or application/json as { exportedAt, count, entries })
+ *       400:
+ *         description: Invalid filter or format, or too many matching entries
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', protect, requireAdmin, parseAuditFilter, async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const entries = await AuditEntry.find(req.auditFilter).sort({ seq: 1 }).limit(MAX_EXPORT_ENTRIES + 1);
+
+    if (entries.length > MAX_EXPORT_ENTRIES) {
+      return res.status(400).json({
+        message: `More than ${MAX_EXPORT_ENTRIES} entries match; narrow the filters to export them`
+      });
+    }
+
+    const exportedAt = new Date();
+    securityLogger.auditLogExported(req.user._id, req.query, entries.length);
+
+    res.attachment(`audit-${exportedAt.toISOString().slice(0, 10)}.${format}`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(auditEntriesToCsv(entries));
+    }
+
+    res.json({ exportedAt: exportedAt.toISOString(), count: entries.length, entries });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// CHAIN VERIFICATION ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/admin/audit/verify:
+ *   get:
+ *     summary: Verify the audit log hash chain
+ *     description: Walks the whole chain, recomputing each entry's hash and checking its link to the previous entry. Reports the first entry that was altered, removed or reordered. Entries cut from the end of the chain leave no gap, so compare the returned head with a previously recorded one to detect truncation (admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result, as { valid, entries, head, brokenAt } where head is the last entry's { seq, hash } and brokenAt the first bad entry's { seq, problem }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ */
+router.get('/verify', protect, requireAdmin, async (req, res) => {
+  try {
+    let previous = null;
+    let count = 0;
+    let brokenAt = null;
+
+    // Stream the chain instead of loading it all into memory
+    for await (const entry of AuditEntry.find().sort({ seq: 1 }).cursor()) {
+      const problem = findChainProblem(entry, previous);
+      if (problem) {
+        brokenAt = { seq: entry.seq, problem };
+        break;
+      }
+
+      previous = { seq: entry.seq, hash: entry.hash };
+      count++;
+    }
+
+    if (brokenAt) {
+      securityLogger.auditChainBroken(brokenAt.seq, brokenAt.problem);
+    }
+
+    res.json({ valid: !brokenAt, entries: count, head: previous, brokenAt });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
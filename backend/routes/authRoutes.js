@@ -2,34 +2,61 @@
  * Authentication Routes
  *
  * Handles user authentication endpoints including registration, login,
- * profile management, and logout functionality.
+ * token refresh, profile management, and logout functionality.
  *
  * Features:
  * - User registration with validation
  * - Secure login with account locking
- * - JWT token generation
+ * - Short-lived JWT access tokens with rotating refresh tokens
+ * - Detection of reused refresh tokens, revoking the session
+ * - Logout revoking the session server-side
+ * - Listing the devices a user is logged in on, and revoking their sessions
  * - Profile management
- * - Security logging
+ * - Choosing a new password after a reset forced by an admin
+ * - Security logging, with logins recorded in the audit log
  *
  * @author PulseVote Team
  * @version 1.0.0
  */
 
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { protect } from '../middleware/authMiddleware.js';
+import Session from '../models/Session.js';
+import { protect, generateAccessToken } from '../middleware/authMiddleware.js';
 import { securityLogger, appLogger } from '../config/logger.js';
+import { recordAudit } from '../services/auditLog.js';
+import { closeStreams } from '../services/pollEvents.js';
+import { toSessionView } from '../utils/sessions.js';
 
 // Create Express router
 const router = express.Router();
 
 /**
- * Generate JWT token for authenticated user
- * @param {string} id - User ID
- * @returns {string} - JWT token
+ * Start a session for an authenticated user, recording the client
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object of the login
+ * @returns {Promise<Object>} - { sessionId, tokens } where tokens holds the
+ *   new session's token and refreshToken
  */
-const generateToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, { userAgent: req.get('User-Agent'), ip: req.ip });
+  return { sessionId: session._id, tokens: { token: generateAccessToken(user._id, session._id), refreshToken } };
+};
+
+/**
+ * Record a refused login in the audit log
+ * @param {Object} req - Express request object
+ * @param {Object|null} user - Account the login was for, if it exists
+ * @param {string} reason - Why the login was refused
+ * @returns {Promise} - Resolves once the entry is recorded
+ */
+const auditFailedLogin = (req, user, reason) => recordAudit(req, {
+  action: 'auth.loginFailed',
+  actor: null,
+  actorUsername: String(req.body.username),
+  target: user ? { type: 'user', id: user._id, label: user.username } : {},
+  after: { reason }
+});
 
 // ============================================================================
 // REGISTRATION ENDPOINT
@@ -64,7 +91,7 @@ const generateToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET, { expires
  *                 format: email
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully; returns the user with an access token (token) and a refresh token (refreshToken)
  *       400:
  *         description: Validation error or user already exists
  *       500:
@@ -96,16 +123,18 @@ router.post('/register', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
+    const { tokens } = await startSession(user, req);
+
     // Log successful registration
     appLogger.userRegistered(user._id, user.username);
 
-    // Return user data with JWT token
+    // Return user data with the tokens of a new session
     res.status(201).json({
       _id: user._id,
       username: user.username,
       email: user.email,
       role: user.role,
-      token: generateToken(user._id)
+      ...tokens
     });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -138,11 +167,13 @@ router.post('/register', async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful; returns the user with an access token (token, valid for 15 minutes) and a refresh token (refreshToken)
  *       400:
  *         description: Missing credentials
  *       401:
  *         description: Invalid credentials or account issues
+ *       403:
+ *         description: An admin has forced a password reset (PASSWORD_RESET_REQUIRED)
  *       423:
  *         description: Account locked
  *       500:
@@ -161,19 +192,31 @@ router.post('/login', async (req, res) => {
     const user = await User.findOne({ username });
 
     if (!user) {
+      await auditFailedLogin(req, null, 'unknownUser');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check if account is active
     if (!user.isActive) {
+      await auditFailedLogin(req, user, 'deactivated');
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
     // Check if account is locked
     if (user.isLocked) {
+      await auditFailedLogin(req, user, 'locked');
       return res.status(423).json({ message: 'Account is temporarily locked due to too many failed attempts' });
     }
 
+    // The old password stops working once an admin forces a reset
+    if (user.passwordResetRequired) {
+      await auditFailedLogin(req, user, 'passwordResetRequired');
+      return res.status(403).json({
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Your password must be reset. Use the reset token from your administrator to choose a new one.'
+      });
+    }
+
     // Verify password
     const isMatch = await user.matchPassword(password);
 
@@ -184,23 +227,44 @@ router.post('/login', async (req, res) => {
       user.lastLogin = new Date();
       await user.save();
 
+      const { sessionId, tokens } = await startSession(user, req);
+
       // Log successful login
-      securityLogger.loginAttempt(username, true, req.ip);
+      securityLogger.loginAttempt(username, true, req.ip, sessionId);
+      await recordAudit(req, { action: 'auth.login', actor: user, target: { type: 'user', id: user._id, label: user.username } });
 
-      // Return user data with JWT token
+      // Return user data with the tokens of a new session
       res.json({
         _id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        ...tokens
       });
     } else {
       // Increment login attempts for failed login
+      const locksAccount = user.isLastLoginAttempt();
       await user.incrementLoginAttempts();
 
       // Log failed login attempt
       securityLogger.loginAttempt(username, false, req.ip);
+      await auditFailedLogin(req, user, 'wrongPassword');
+
+      if (locksAccount) {
+        // A locked account is signed out everywhere
+        const revoked = await Session.revokeAllForUser(user._id, 'accountLocked');
+        securityLogger.sessionsRevoked(user._id, 'accountLocked', revoked);
+        closeStreams({ userId: user._id });
+
+        securityLogger.accountLocked(username, req.ip);
+        await recordAudit(req, {
+          action: 'auth.accountLocked',
+          actor: null,
+          target: { type: 'user', id: user._id, label: user.username },
+          before: { loginAttempts: user.loginAttempts },
+          after: { loginAttempts: user.loginAttempts + 1, locked: true }
+        });
+      }
 
       res.status(401).json({ message: 'Invalid credentials' });
     }
@@ -209,6 +273,144 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ============================================================================
+// TOKEN REFRESH ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Redeems a refresh token for a new access token and the next refresh token. Each refresh token can be used once and expires after 7 days without use. Reusing a refresh token that was already redeemed revokes its session, signing out whoever holds the tokens. Unknown tokens are refused without affecting the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens renewed, as { token, refreshToken }
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token, or the account can no longer be used
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Input validation
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const { session, refreshToken: nextRefreshToken, reused } = await Session.rotate(refreshToken, { ip: req.ip });
+
+    if (reused) {
+      securityLogger.refreshTokenReused(session.user, session._id, req.ip);
+      closeStreams({ sessionId: session._id });
+      await recordAudit(req, {
+        action: 'auth.refreshTokenReused',
+        actor: null,
+        target: { type: 'user', id: session.user },
+        after: { session: session._id, revokedReason: session.revokedReason }
+      });
+    }
+
+    if (!nextRefreshToken) {
+      return res.status(401).json({ message: 'Session ended' });
+    }
+
+    // The account may have been deactivated, locked or reset since the login
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive || user.isLocked || user.passwordResetRequired) {
+      return res.status(401).json(user?.passwordResetRequired
+        ? { code: 'PASSWORD_RESET_REQUIRED', message: 'Password reset required' }
+        : { message: 'Session ended' });
+    }
+
+    res.json({ token: generateAccessToken(user._id, session._id), refreshToken: nextRefreshToken });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// PASSWORD RESET ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password after a forced reset
+ *     description: Redeems the one-time reset token an admin issued when forcing a password reset, sets the new password and unlocks the account. The token expires after 24 hours.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed; the user can log in with it
+ *       400:
+ *         description: Missing fields, password too short, or invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  // Input validation
+  if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+    return res.status(400).json({ message: 'Reset token and new password are required' });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({ message: 'Password must be at least 6 characters' });
+  }
+
+  try {
+    const user = await User.findByResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    await user.completePasswordReset(password);
+
+    securityLogger.passwordResetCompleted(user.username, req.ip);
+    await recordAudit(req, {
+      action: 'auth.passwordReset',
+      actor: user,
+      target: { type: 'user', id: user._id, label: user.username }
+    });
+
+    res.json({ message: 'Password changed. You can now log in with your new password.' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // ============================================================================
 // PROFILE ENDPOINT
 // ============================================================================
@@ -218,7 +420,7 @@ router.post('/login', async (req, res) => {
  * /api/auth/profile:
  *   get:
  *     summary: Get user profile
- *     description: Returns the authenticated user's profile information
+ *     description: Returns the authenticated user's profile information, including the organizations they belong to and their role in each
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -231,6 +433,8 @@ router.post('/login', async (req, res) => {
  */
 router.get('/profile', protect, async (req, res) => {
   try {
+    await req.user.populate('memberships.organization', 'name slug');
+
     // Return user profile data (excluding sensitive information)
     res.json({
       _id: req.user._id,
@@ -239,13 +443,118 @@ router.get('/profile', protect, async (req, res) => {
       role: req.user.role,
       isActive: req.user.isActive,
       lastLogin: req.user.lastLogin,
-      createdAt: req.user.createdAt
+      createdAt: req.user.createdAt,
+      organizations: req.user.memberships
+        .filter(membership => membership.organization)
+        .map(({ organization, role, joinedAt }) => ({
+          _id: organization._id,
+          name: organization.name,
+          slug: organization.slug,
+          role,
+          joinedAt
+        }))
     });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// ============================================================================
+// SESSION ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List your sessions
+ *     description: Lists the devices you are logged in on, most recently used first, with the device, user agent, IP address, login and last-seen times (the last-seen time and IP are updated when the session's tokens are refreshed). The session of the request is marked as current.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Log out all other sessions
+ *     description: Revokes every session except the one of the request, signing you out on all other devices.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked; returns the number revoked as { revoked }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+    res.json(sessions.map(session => toSessionView(session, req.sessionId)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'revokedByUser', req.sessionId);
+    securityLogger.sessionsRevoked(req.user._id, 'revokedByUser', revoked);
+    closeStreams({ userId: req.user._id, exceptSessionId: req.sessionId });
+
+    res.json({ message: 'Other sessions logged out', revoked });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Log out a session
+ *     description: Revokes one of your sessions, so its tokens stop working. Revoking the session of the request logs you out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: No active session of yours with this ID
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    // Only the user's own active sessions can be found
+    const session = await Session.findActive(req.params.id, req.user._id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await Session.revoke(session._id, 'revokedByUser');
+    securityLogger.sessionsRevoked(req.user._id, 'revokedByUser', 1);
+    closeStreams({ sessionId: session._id });
+
+    res.json({ message: 'Session logged out', current: session._id.equals(req.sessionId) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // ============================================================================
 // LOGOUT ENDPOINT
 // ============================================================================
@@ -255,7 +564,7 @@ router.get('/profile', protect, async (req, res) => {
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
- *     description: Logs out the authenticated user
+ *     description: Ends the session of the access token, so neither it nor the session's refresh token can be used again
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -268,8 +577,9 @@ router.get('/profile', protect, async (req, res) => {
  */
 router.post('/logout', protect, async (req, res) => {
   try {
-    // Note: In a more sophisticated setup, you might want to blacklist the token
-    // For now, we rely on client-side token removal
+    await Session.revoke(req.sessionId, 'logout');
+    closeStreams({ sessionId: req.sessionId });
+
     res.json({ message: 'Logged out successfully' });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -0,0 +1,547 @@
+/**
+ * Comment Routes
+ *
+ * Handles the discussion threads on a poll. Mounted by the poll routes
+ * under /api/polls/:id/comments, so every endpoint applies to the poll
+ * named in the URL and requires access to it.
+ *
+ * Features:
+ * - Paginated threads: top-level comments with cursor pagination, each with its nested replies
+ * - Post comments and replies (authenticated users)
+ * - Edit a comment within a time window after posting (author only)
+ * - Soft deletion by the author, or removal by moderators and admins
+ * - Reporting comments to the moderators (see moderationRoutes.js for the queue)
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Comment, { MAX_COMMENT_LENGTH, MAX_REPLY_DEPTH } from '../models/Comment.js';
+import Report from '../models/Report.js';
+import protect, { optionalAuth, requireModerator } from '../middleware/authMiddleware.js';
+import { loadPoll, requirePollAccess } from '../middleware/pollAccess.js';
+import { appLogger } from '../config/logger.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+import { buildThreads } from '../utils/comments.js';
+import { parseReport } from '../utils/reports.js';
+import { recordAudit } from '../services/auditLog.js';
+import { isPlatformStaff } from '../utils/organizations.js';
+
+// Create Express router, with access to the poll ID of the parent route
+const router = express.Router({ mergeParams: true });
+
+// Page size limits for threads
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Threads are listed oldest first, so discussions read top to bottom
+const THREAD_SORT = { field: 'createdAt', order: 1, type: 'date' };
+
+/**
+ * Check a comment body from the request
+ * @param {*} body - Comment text from the request body
+ * @returns {string|null} - Error message, or null if the body is valid
+ */
+const getBodyError = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Comment body must be a non-empty string';
+  }
+
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comments cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Serialize a comment together with what the caller may do with it
+ * @param {Object} comment - Comment document
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {Object} - Plain comment object with canEdit, canDelete and canReport fields
+ */
+const withPermissions = (comment, user) => ({
+  ...comment.toObject(),
+  canEdit: !!user && !comment.getEditError(user),
+  canDelete: !!user && !comment.deletedAt && (comment.isAuthor(user) || isPlatformStaff(user)),
+  canReport: !!user && !comment.deletedAt && !comment.isAuthor(user)
+});
+
+/**
+ * Middleware that loads the comment named by the :commentId route parameter
+ * Responds with 404 unless it is a comment on the loaded poll, otherwise
+ * sets req.comment
+ * Must run after loadPoll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadComment = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.commentId)) {
+    return res.status(404).json({ message: 'Comment not found' });
+  }
+
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, poll: req.poll._id });
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    req.comment = comment;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Middleware that only lets the comment's author through, falling back to
+ * requireModerator so moderators and admins can remove any comment
+ * Must run after protect and loadComment
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireCommentAuthorOrModerator = (req, res, next) => {
+  if (req.comment.isAuthor(req.user)) {
+    return next();
+  }
+
+  requireModerator(req, res, next);
+};
+
+// ============================================================================
+// GET COMMENTS ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/comments:
+ *   get:
+ *     summary: Get a poll's comment threads
+ *     description: Retrieves a page of top-level comments on a poll, oldest first, each with its replies nested under replies. Every comment says whether the caller may edit (canEdit), delete (canDelete) or report (canReport) it. Deleted comments keep their place (with deleted set and no body or author) while they still have replies. Requires access to the poll.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of threads per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor value from the previous page
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     responses:
+ *       200:
+ *         description: Page of threads retrieved successfully, as { comments, nextCursor }
+ *       400:
+ *         description: Invalid query parameter
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       500:
+ *         description: Server error
+ */
+router.get('/', optionalAuth, (req, res, next) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  req.limit = limit;
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll, limit } = req;
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), THREAD_SORT);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const filter = { poll: poll._id, parent: null };
+    const query = cursor ? { $and: [filter, buildCursorFilter(THREAD_SORT, cursor)] } : filter;
+
+    // Fetch one extra thread to find out whether another page exists
+    const roots = await Comment.find(query)
+      .sort(buildSortSpec(THREAD_SORT))
+      .limit(limit + 1)
+      .populate('author', 'username');
+
+    const hasMore = roots.length > limit;
+    const page = hasMore ? roots.slice(0, limit) : roots;
+
+    const replies = await Comment.find({ root: { $in: page.map(root => root._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', 'username');
+
+    res.json({
+      comments: buildThreads(
+        page.map(comment => withPermissions(comment, req.user)),
+        replies.map(comment => withPermissions(comment, req.user))
+      ),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], THREAD_SORT) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// CREATE COMMENT ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/comments:
+ *   post:
+ *     summary: Comment on a poll
+ *     description: Posts a top-level comment on a poll, or a reply to one of its comments (authenticated users with access to the poll). Replies can be nested up to five levels deep.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parentId:
+ *                 type: string
+ *                 description: ID of the comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Invalid body, unknown or deleted parent, or replies nested too deeply
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, (req, res, next) => {
+  const error = getBodyError(req.body.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll } = req;
+  const { body, parentId } = req.body;
+
+  try {
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      parent = mongoose.isValidObjectId(parentId)
+        ? await Comment.findOne({ _id: parentId, poll: poll._id })
+        : null;
+
+      if (!parent) {
+        return res.status(400).json({ message: 'The comment being replied to does not exist' });
+      }
+      if (parent.deletedAt) {
+        return res.status(400).json({ message: 'Deleted comments cannot be replied to' });
+      }
+      if (parent.depth >= MAX_REPLY_DEPTH) {
+        return res.status(400).json({ message: `Replies cannot be nested more than ${MAX_REPLY_DEPTH} levels deep` });
+      }
+    }
+
+    const comment = await Comment.create({
+      poll: poll._id,
+      author: req.user._id,
+      parent: parent?._id,
+      root: parent ? (parent.root ?? parent._id) : undefined,
+      depth: parent ? parent.depth + 1 : 0,
+      body
+    });
+
+    appLogger.commentCreated(comment._id, poll._id, req.user._id);
+
+    await comment.populate('author', 'username');
+    res.status(201).json(withPermissions(comment, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EDIT / DELETE COMMENT ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment
+ *     description: Replaces the text of a comment (author only, within 15 minutes of posting). The comment is marked as edited.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment edited
+ *       400:
+ *         description: Invalid body
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the comment's author
+ *       404:
+ *         description: Poll or comment not found
+ *       409:
+ *         description: The edit window has passed (code EDIT_WINDOW_CLOSED) or the comment was deleted (code COMMENT_DELETED)
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Deletes a comment (its author, moderators and admins). The comment keeps its place in the thread so its replies remain, but its text and author are no longer shown.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the comment's author or a moderator
+ *       404:
+ *         description: Poll or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:commentId', protect, (req, res, next) => {
+  const error = getBodyError(req.body.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  next();
+}, loadPoll, requirePollAccess, loadComment, async (req, res) => {
+  const { comment } = req;
+
+  const error = comment.getEditError(req.user);
+  if (error) {
+    const { status, ...body } = error;
+    return res.status(status).json(body);
+  }
+
+  try {
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('author', 'username');
+    res.json(withPermissions(comment, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:commentId', protect, loadPoll, requirePollAccess, loadComment, requireCommentAuthorOrModerator, async (req, res) => {
+  const { comment } = req;
+
+  try {
+    // Deleting an already deleted comment changes nothing
+    if (!comment.deletedAt) {
+      await comment.softDelete(req.user);
+      appLogger.commentDeleted(comment._id, req.user._id, comment.removedByModerator);
+
+      // Authors deleting their own comments are not audited; moderator removals are
+      if (comment.removedByModerator) {
+        await recordAudit(req, {
+          action: 'comment.removed',
+          target: { type: 'comment', id: comment._id, label: comment.body },
+          before: { author: comment.author?._id ?? comment.author, poll: comment.poll }
+        });
+      }
+    }
+
+    res.json({ message: 'Comment deleted', commentId: comment._id });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// REPORT COMMENT ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/comments/{commentId}/reports:
+ *   post:
+ *     summary: Report a comment
+ *     description: Flags a comment for review by the moderators (authenticated users with access to the poll, other than the comment's author). Each user can have one open report per comment.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportRequest'
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *       400:
+ *         description: Invalid reason or details, or the caller wrote the comment
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Poll or comment not found
+ *       409:
+ *         description: The comment was deleted (COMMENT_DELETED), or the caller already has an open report on it (ALREADY_REPORTED)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:commentId/reports', protect, (req, res, next) => {
+  const { report, error } = parseReport(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  req.report = report;
+  next();
+}, loadPoll, requirePollAccess, loadComment, async (req, res) => {
+  const { poll, comment, user } = req;
+
+  if (comment.deletedAt) {
+    return res.status(409).json({ code: 'COMMENT_DELETED', message: 'Deleted comments cannot be reported' });
+  }
+
+  if (comment.isAuthor(user)) {
+    return res.status(400).json({ message: 'You cannot report your own comment' });
+  }
+
+  try {
+    const { report, error } = await Report.file({
+      ...req.report,
+      targetType: 'comment',
+      poll: poll._id,
+      comment: comment._id,
+      author: comment.author,
+      reportedBy: user._id
+    });
+
+    if (error) {
+      return res.status(error.status).json({ code: error.code, message: error.message });
+    }
+
+    appLogger.contentReported(report._id, 'comment', comment._id, user._id);
+
+    res.status(201).json(report);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
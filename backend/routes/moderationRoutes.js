@@ -0,0 +1,373 @@
+/**
+ * Moderation Routes
+ *
+ * Handles the moderation queue of reported polls and comments. Reports are
+ * filed through the poll and comment routes; these endpoints let
+ * moderators and admins work through them.
+ *
+ * Features:
+ * - Queue of open reports, oldest first, with cursor pagination
+ * - History of resolved reports, newest first
+ * - Resolutions: dismiss, hide the poll (or remove the comment), or
+ *   deactivate the content's author
+ * - Every open report on the same content is resolved together, recording
+ *   the moderator, the action and the time
+ * - Resolutions and the changes they make are recorded in the audit log
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Report, { REPORT_TARGET_TYPES } from '../models/Report.js';
+import Poll from '../models/Poll.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import protect, { requireModerator } from '../middleware/authMiddleware.js';
+import { appLogger, securityLogger } from '../config/logger.js';
+import { recordAudit } from '../services/auditLog.js';
+import { closeStreams, publishPollHidden } from '../services/pollEvents.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+import { parseResolution } from '../utils/reports.js';
+import { isPlatformStaff } from '../utils/organizations.js';
+
+// Create Express router
+const router = express.Router();
+
+// Page size limits for the queue
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Open reports are worked through oldest first; resolved ones are browsed newest first
+const QUEUE_SORTS = {
+  open: { field: 'createdAt', order: 1, type: 'date' },
+  resolved: { field: 'resolvedAt', order: -1, type: 'date' }
+};
+
+/**
+ * Populate what moderators need to judge a report
+ * @param {Object} query - Mongoose query or document
+ * @returns {Object} - The query or document, with its references populated
+ */
+const populateReport = (query) => query.populate([
+  { path: 'poll', select: 'question createdBy hiddenAt' },
+  { path: 'comment', select: 'body author deletedAt' },
+  { path: 'author', select: 'username role isActive' },
+  { path: 'reportedBy', select: 'username' },
+  { path: 'resolvedBy', select: 'username' }
+]);
+
+/**
+ * Count the open reports on the content of each report in a page, so
+ * moderators can see how often the same poll or comment has been flagged
+ * @param {Object[]} reports - Report documents
+ * @returns {Promise<Map>} - Open report count keyed by "pollId:commentId"
+ */
+const countOpenReports = async (reports) => {
+  const counts = await Report.aggregate([
+    { $match: { status: 'open', poll: { $in: reports.map(report => report.poll?._id ?? report.poll) } } },
+    { $group: { _id: { poll: '$poll', comment: '$comment' }, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [`${_id.poll}:${_id.comment ?? ''}`, count]));
+};
+
+/**
+ * Apply a moderation action to the content a report is about
+ * @param {Object} report - Report document (unpopulated)
+ * @param {string} action - Moderation action
+ * @param {Object} req - Express request of the moderator taking the action
+ * @returns {Promise<Object|null>} - Error with status and message, or null on success
+ */
+const applyAction = async (report, action, req) => {
+  const moderator = req.user;
+
+  if (action === 'hide') {
+    if (report.targetType === 'comment') {
+      const comment = await Comment.findById(report.comment);
+      if (!comment) {
+        return { status: 404, message: 'The reported comment no longer exists' };
+      }
+
+      // Removing an already deleted comment changes nothing
+      if (!comment.deletedAt) {
+        await comment.softDelete(moderator);
+        appLogger.commentDeleted(comment._id, moderator._id, true);
+        await recordAudit(req, {
+          action: 'comment.removed',
+          target: { type: 'comment', id: comment._id, label: comment.body },
+          before: { author: comment.author, poll: comment.poll },
+          after: { report: report._id }
+        });
+      }
+      return null;
+    }
+
+    const poll = await Poll.findById(report.poll);
+    if (!poll) {
+      return { status: 404, message: 'The reported poll no longer exists' };
+    }
+
+    // Hiding an already hidden poll changes nothing
+    if (!poll.hiddenAt) {
+      const hidden = await Poll.findByIdAndUpdate(
+        poll._id,
+        { hiddenAt: new Date(), hiddenBy: moderator._id },
+        { new: true }
+      );
+      publishPollHidden(hidden);
+      await recordAudit(req, {
+        action: 'poll.hidden',
+        target: { type: 'poll', id: poll._id, label: poll.question },
+        before: { createdBy: poll.createdBy, visibility: poll.visibility },
+        after: { report: report._id }
+      });
+    }
+    return null;
+  }
+
+  if (action === 'deactivateAuthor') {
+    const author = report.author ? await User.findById(report.author) : null;
+    if (!author) {
+      return { status: 404, message: 'The author of the reported content no longer exists' };
+    }
+
+    // Staff accounts are managed by admins, not through the report queue
+    if (isPlatformStaff(author)) {
+      return { status: 403, message: 'Moderators and admins cannot be deactivated from the moderation queue' };
+    }
+
+    const wasActive = author.isActive;
+    author.isActive = false;
+    await author.save();
+
+    const revoked = await Session.revokeAllForUser(author._id, 'accountDeactivated');
+    securityLogger.sessionsRevoked(author._id, 'accountDeactivated', revoked);
+    closeStreams({ userId: author._id });
+
+    await recordAudit(req, {
+      action: 'user.updated',
+      target: { type: 'user', id: author._id, label: author.username },
+      before: { isActive: wasActive },
+      after: { isActive: false, report: report._id }
+    });
+  }
+
+  return null;
+};
+
+// ============================================================================
+// MODERATION QUEUE ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportRequest:
+ *       type: object
+ *       required:
+ *         - reason
+ *       properties:
+ *         reason:
+ *           type: string
+ *           enum: [spam, harassment, hate, misinformation, inappropriate, other]
+ *         details:
+ *           type: string
+ *           maxLength: 1000
+ *           description: What is wrong with the content (required when the reason is other)
+ * /api/moderation/reports:
+ *   get:
+ *     summary: Get the moderation queue
+ *     description: Lists reports with the reported poll or comment, its author, the reporter and, for resolved reports, the resolution. Each report includes openReports, the number of open reports on the same content. Open reports are listed oldest first, resolved reports newest first (moderators and admins only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [poll, comment]
+ *         description: Only list reports on polls, or on comments
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor value from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of reports retrieved successfully, as { reports, nextCursor }
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a moderator or admin
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports', protect, requireModerator, async (req, res) => {
+  const status = req.query.status || 'open';
+  const { targetType } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!QUEUE_SORTS[status]) {
+    return res.status(400).json({ message: `status must be one of: ${Object.keys(QUEUE_SORTS).join(', ')}` });
+  }
+  if (targetType !== undefined && !REPORT_TARGET_TYPES.includes(targetType)) {
+    return res.status(400).json({ message: `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  const sort = QUEUE_SORTS[status];
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), sort);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const filter = { status, ...(targetType && { targetType }) };
+    const query = cursor ? { $and: [filter, buildCursorFilter(sort, cursor)] } : filter;
+
+    // Fetch one extra report to find out whether another page exists
+    const reports = await populateReport(Report.find(query).sort(buildSortSpec(sort)).limit(limit + 1));
+
+    const hasMore = reports.length > limit;
+    const page = hasMore ? reports.slice(0, limit) : reports;
+    const openCounts = await countOpenReports(page);
+
+    res.json({
+      reports: page.map(report => ({
+        ...report.toObject(),
+        openReports: openCounts.get(`${report.poll?._id ?? ''}:${report.comment?._id ?? ''}`) || 0
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// RESOLVE REPORT ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/moderation/reports/{id}/resolve:
+ *   post:
+ *     summary: Resolve a report
+ *     description: Acts on a report and resolves it together with every other open report on the same poll or comment, recording the moderator, the action and the time (moderators and admins only). dismiss leaves the content alone; hide hides a reported poll from everyone but its creator and staff, or removes a reported comment; deactivateAuthor deactivates the account of the content's author (not available for moderators and admins).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [dismiss, hide, deactivateAuthor]
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Moderator's explanation, kept with the resolution
+ *     responses:
+ *       200:
+ *         description: Report resolved; returns the report and the number of reports resolved with it (resolvedReports)
+ *       400:
+ *         description: Invalid action or note
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a moderator or admin, or the author is a moderator or admin
+ *       404:
+ *         description: Report, or the reported content or its author, not found
+ *       409:
+ *         description: The report has already been resolved (REPORT_RESOLVED)
+ *       500:
+ *         description: Server error
+ */
+router.post('/reports/:id/resolve', protect, requireModerator, async (req, res) => {
+  const { resolution, error } = parseResolution(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Report not found' });
+  }
+
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status === 'resolved') {
+      return res.status(409).json({ code: 'REPORT_RESOLVED', message: 'This report has already been resolved' });
+    }
+
+    const actionError = await applyAction(report, resolution.action, req);
+    if (actionError) {
+      return res.status(actionError.status).json({ message: actionError.message });
+    }
+
+    // Every open report on the same content is settled by the same decision
+    const { modifiedCount } = await Report.updateMany(
+      { ...Report.sameTargetAs(report), status: 'open' },
+      { status: 'resolved', ...resolution, resolvedBy: req.user._id, resolvedAt: new Date() }
+    );
+
+    appLogger.reportResolved(report._id, req.user._id, resolution.action, modifiedCount);
+    await recordAudit(req, {
+      action: 'report.resolved',
+      target: { type: 'report', id: report._id, label: `${report.targetType} reported for ${report.reason}` },
+      before: { status: 'open' },
+      after: { status: 'resolved', ...resolution, resolvedReports: modifiedCount }
+    });
+
+    const resolved = await populateReport(Report.findById(report._id));
+    res.json({ report: resolved, resolvedReports: modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
@@ -0,0 +1,624 @@
+/**
+ * Organization Routes
+ *
+ * Handles organization (team workspace) endpoints: creating organizations,
+ * listing the caller's organizations and managing their members.
+ *
+ * Features:
+ * - Create an organization (the creator becomes its first admin)
+ * - List the organizations the caller belongs to, with their role in each
+ * - Rename an organization (organization admins)
+ * - List members (organization members)
+ * - Add members, change their role and remove them (organization admins)
+ * - Leave an organization
+ * - Organizations always keep at least one admin
+ *
+ * Organizations the caller does not belong to are reported as not found.
+ * Platform admins can manage every organization.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import protect, { requireAdmin } from '../middleware/authMiddleware.js';
+import { appLogger } from '../config/logger.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  ORGANIZATION_ROLES,
+  getMembership,
+  isOrganizationAdmin,
+  getOrganizationIds,
+  canSeeOrganization
+} from '../utils/organizations.js';
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Serialize an organization together with the caller's role in it
+ * @param {Object} organization - Organization document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Plain organization object with a myRole field (null if not a member)
+ */
+const withUserRole = (organization, user) => ({
+  ...organization.toObject(),
+  myRole: getMembership(user, organization._id)?.role || null
+});
+
+/**
+ * Serialize a user as a member of an organization
+ * @param {Object} user - User document
+ * @param {*} organizationId - Organization ID
+ * @returns {Object} - { _id, username, role, joinedAt }
+ */
+const toMember = (user, organizationId) => {
+  const membership = getMembership(user, organizationId);
+
+  return {
+    _id: user._id,
+    username: user.username,
+    role: membership.role,
+    joinedAt: membership.joinedAt
+  };
+};
+
+/**
+ * Count the admins of an organization
+ * @param {*} organizationId - Organization ID
+ * @returns {Promise<number>} - Number of members holding the admin role
+ */
+const countAdmins = (organizationId) => User.countDocuments({
+  memberships: { $elemMatch: { organization: organizationId, role: 'admin' } }
+});
+
+/**
+ * Middleware that loads the organization named by the :id route parameter
+ * Responds with 404 if it does not exist or the caller cannot see it,
+ * otherwise sets req.organization
+ * Must run after protect
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadOrganization = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization || !canSeeOrganization(req.user, organization._id)) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Middleware that only lets the organization's admins through, falling
+ * back to requireAdmin so platform admins can manage every organization
+ * Must run after protect and loadOrganization
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireOrganizationAdmin = (req, res, next) => {
+  if (isOrganizationAdmin(req.user, req.organization._id)) {
+    return next();
+  }
+
+  requireAdmin(req, res, next);
+};
+
+/**
+ * Middleware that loads the member named by the :userId route parameter
+ * Responds with 404 if the user is not a member, otherwise sets req.member
+ * Must run after loadOrganization
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadMember = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    return res.status(404).json({ message: 'Member not found' });
+  }
+
+  try {
+    const member = await User.findOne({
+      _id: req.params.userId,
+      'memberships.organization': req.organization._id
+    }).select('username memberships');
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    req.member = member;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ============================================================================
+// ORGANIZATION ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: List my organizations
+ *     description: Returns the organizations the authenticated user belongs to, each with the user's role as myRole
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ _id: { $in: getOrganizationIds(req.user) } })
+      .sort({ name: 1 });
+
+    res.json(organizations.map(organization => withUserRole(organization, req.user)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization
+ *     description: Creates an organization with the authenticated user as its first admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 60
+ *               slug:
+ *                 type: string
+ *                 description: URL-friendly identifier (derived from the name by default)
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: Slug already in use
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, async (req, res) => {
+  const { name, slug } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ message: 'Organization name is required' });
+  }
+
+  try {
+    const organization = await Organization.create({ name, slug, createdBy: req.user._id });
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $push: { memberships: { organization: organization._id, role: 'admin' } } }
+    );
+
+    appLogger.organizationCreated(organization._id, req.user._id);
+
+    res.status(201).json({ ...organization.toObject(), myRole: 'admin' });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'An organization with this slug already exists' });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization
+ *     description: Returns an organization with its member count and the caller's role as myRole (members only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     responses:
+ *       200:
+ *         description: Organization retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Rename an organization
+ *     description: Changes an organization's name; its slug stays the same (organization admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization renamed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, loadOrganization, async (req, res) => {
+  try {
+    const memberCount = await User.countDocuments({ 'memberships.organization': req.organization._id });
+
+    res.json({ ...withUserRole(req.organization, req.user), memberCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.patch('/:id', protect, loadOrganization, requireOrganizationAdmin, async (req, res) => {
+  const { organization } = req;
+
+  if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+    return res.status(400).json({ message: 'Organization name is required' });
+  }
+
+  try {
+    organization.name = req.body.name;
+    await organization.save();
+
+    res.json(withUserRole(organization, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// MEMBER ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members:
+ *   get:
+ *     summary: List members
+ *     description: Lists an organization's members with their role and join date (members only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a member
+ *     description: Adds a user to an organization by username (organization admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       400:
+ *         description: Invalid role or unknown user
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       409:
+ *         description: The user is already a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/members', protect, loadOrganization, async (req, res) => {
+  try {
+    const members = await User.find({ 'memberships.organization': req.organization._id })
+      .select('username memberships')
+      .sort({ username: 1 });
+
+    res.json(members.map(member => toMember(member, req.organization._id)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/members', protect, loadOrganization, requireOrganizationAdmin, async (req, res) => {
+  const { organization } = req;
+  const { username, role = 'member' } = req.body;
+
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+  }
+
+  if (typeof username !== 'string' || !username.trim()) {
+    return res.status(400).json({ message: 'Username is required' });
+  }
+
+  try {
+    // Only adds the membership if the user does not have one yet
+    const member = await User.findOneAndUpdate(
+      { username, 'memberships.organization': { $ne: organization._id } },
+      { $push: { memberships: { organization: organization._id, role } } },
+      { new: true }
+    ).select('username memberships');
+
+    if (!member) {
+      const exists = await User.exists({ username });
+      return exists
+        ? res.status(409).json({ message: `${username} is already a member` })
+        : res.status(400).json({ message: `Unknown user: ${username}` });
+    }
+
+    appLogger.organizationMemberChanged(organization._id, req.user._id, member._id, role);
+    await recordAudit(req, {
+      action: 'organization.memberChanged',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      after: { member: member._id, username: member.username, role }
+    });
+
+    res.status(201).json(toMember(member, organization._id));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Promotes a member to organization admin or demotes them to member (organization admins). The last admin cannot be demoted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member's user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an organization admin
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Demoting the organization's last admin (code LAST_ADMIN)
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a member
+ *     description: Removes a member from an organization (organization admins), or leaves it when userId is the caller's own ID. The last admin cannot be removed. Removed members immediately lose access to the organization's polls.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member's user ID
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Removing another member without being an organization admin
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Removing the organization's last admin (code LAST_ADMIN)
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/members/:userId', protect, loadOrganization, requireOrganizationAdmin, loadMember, async (req, res) => {
+  const { organization, member } = req;
+  const { role } = req.body;
+
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+  }
+
+  try {
+    if (isOrganizationAdmin(member, organization._id) && role !== 'admin' &&
+        await countAdmins(organization._id) <= 1) {
+      return res.status(409).json({
+        code: 'LAST_ADMIN',
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    const previousRole = getMembership(member, organization._id).role;
+
+    await User.updateOne(
+      { _id: member._id, 'memberships.organization': organization._id },
+      { $set: { 'memberships.$.role': role } }
+    );
+    getMembership(member, organization._id).role = role;
+
+    appLogger.organizationMemberChanged(organization._id, req.user._id, member._id, role);
+    await recordAudit(req, {
+      action: 'organization.memberChanged',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      before: { member: member._id, username: member.username, role: previousRole },
+      after: { member: member._id, username: member.username, role }
+    });
+
+    res.json(toMember(member, organization._id));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id/members/:userId', protect, loadOrganization, (req, res, next) => {
+  // Any member may leave; removing someone else takes an organization admin
+  if (String(req.user._id) === req.params.userId) {
+    return next();
+  }
+  requireOrganizationAdmin(req, res, next);
+}, loadMember, async (req, res) => {
+  const { organization, member } = req;
+
+  try {
+    if (isOrganizationAdmin(member, organization._id) && await countAdmins(organization._id) <= 1) {
+      return res.status(409).json({
+        code: 'LAST_ADMIN',
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    await User.updateOne(
+      { _id: member._id },
+      { $pull: { memberships: { organization: organization._id } } }
+    );
+
+    appLogger.organizationMemberChanged(organization._id, req.user._id, member._id, null);
+    await recordAudit(req, {
+      action: 'organization.memberChanged',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      before: { member: member._id, username: member.username, role: getMembership(member, organization._id).role },
+      after: { member: member._id, username: member.username, role: null }
+    });
+
+    res.json({ message: 'Member removed', userId: member._id });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
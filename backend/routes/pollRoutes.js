@@ -5,9 +5,30 @@
  * Provides CRUD operations for poll management with proper authentication.
  *
  * Features:
- * - List all polls with creator information
+ * - List polls with cursor pagination, filters, sorting and text search
+ * - Include the caller's own vote on each poll
+ * - Single poll detail with computed results
  * - Create new polls (authenticated users only)
- * - Vote on poll options
+ * - Vote on poll options (one vote per user, recorded in the Vote ledger)
+ * - Single-choice, ranked-choice (instant-runoff), approval and score polls
+ * - Write-in "Other" answers on single-choice polls, reviewed by the poll's
+ *   managers and promotable to real options along with their votes
+ * - Change or withdraw a vote (unless the poll forbids it)
+ * - Poll lifecycle: drafts, scheduled opening, closing deadlines
+ * - Edit and delete polls (creator, or moderators and admins)
+ * - Reconcile vote counters against the ledger (moderators only)
+ * - Live tally streams over Server-Sent Events for a poll and for the poll list
+ * - Export results as CSV or JSON, per poll or in bulk (creator, or moderators and admins)
+ * - Public, unlisted (share link) and private (invite code or allowed users) polls
+ * - Organization polls, visible only to the organization's members
+ * - Vote time-series analytics (per minute, hour or day) from the Vote ledger
+ * - Quorum and pass thresholds, with a formal outcome recorded when a poll closes
+ * - Results visibility policy (always, after voting, after close, creator only),
+ *   enforced by stripping the results from every response and stream event
+ * - Comment threads on each poll (see commentRoutes.js)
+ * - Option suggestions from participants, approved by the poll's managers
+ *   (see suggestionRoutes.js)
+ * - Reporting polls to the moderators (see moderationRoutes.js for the queue)
  * - Input validation and error handling
  *
  * @author PulseVote Team
@@ -15,50 +36,2187 @@
  */
 
 import express from 'express';
-import Poll from '../models/Poll.js';
-import protect from '../middleware/authMiddleware.js';
+import mongoose from 'mongoose';
+import Poll, { POLL_VISIBILITIES } from '../models/Poll.js';
+import Vote from '../models/Vote.js';
+import Comment from '../models/Comment.js';
+import OptionSuggestion from '../models/OptionSuggestion.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import protect, {
+  optionalAuth,
+  streamAuth,
+  generateStreamToken,
+  requireModerator
+} from '../middleware/authMiddleware.js';
+import {
+  loadPoll,
+  getAccessError,
+  requirePollAccess,
+  requirePollOwnerOrModerator
+} from '../middleware/pollAccess.js';
+import { appLogger } from '../config/logger.js';
+import commentRoutes from './commentRoutes.js';
+import suggestionRoutes from './suggestionRoutes.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, buildSortSpec } from '../utils/pagination.js';
+import {
+  RESULTS_VISIBILITIES,
+  buildResults,
+  hideResults,
+  isPollManager
+} from '../utils/results.js';
+import { publishPollUpdate, publishPollDeleted, streamPollEvents, isListed } from '../services/pollEvents.js';
+import { EXPORT_FORMATS, buildPollExport, pollExportsToCsv } from '../utils/export.js';
+import { ANALYTICS_INTERVALS, buildVoteTimeSeries } from '../utils/analytics.js';
+import { parseReport } from '../utils/reports.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  isPlatformStaff,
+  getMembership,
+  getOrganizationIds,
+  canSeeOrganization
+} from '../utils/organizations.js';
+import {
+  POLL_TYPES,
+  parseBallot,
+  getBallot,
+  getVoteValue,
+  isSameBallot,
+  buildCounterUpdate,
+  buildBallotUpdate,
+  normalizeWriteIn
+} from '../utils/ballots.js';
 
 // Create Express router
 const router = express.Router();
 
+// Page size limits for the poll list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Most polls a single bulk export may contain
+const MAX_EXPORT_POLLS = 1000;
+
+// Supported sort orders for the poll list
+const LIST_SORTS = {
+  newest: { field: 'createdAt', order: -1, type: 'date' },
+  mostVotes: { field: 'totalVotes', order: -1, type: 'number' },
+  closingSoon: { field: 'closesAt', order: 1, type: 'date' }
+};
+
+/**
+ * Look up a list sort by name
+ * Only the sorts defined above count, not keys inherited from Object.prototype
+ * @param {string} name - Sort name from the query string
+ * @returns {Object|undefined} - Sort definition, or undefined if unknown
+ */
+const getListSort = (name) =>
+  (Object.hasOwn(LIST_SORTS, name) ? LIST_SORTS[name] : undefined);
+
+/**
+ * Serialize a poll together with the caller's own vote
+ * The option counters are removed when the poll's results visibility
+ * does not allow the caller to see them yet
+ * @param {Object} poll - Poll document
+ * @param {Object|null} vote - The caller's Vote document, if any
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {Object} - Plain poll object with a myVote field (option index for
+ *   single-choice polls, ranking for ranked polls, or null if not voted) and
+ *   a resultsHidden flag
+ */
+const withUserVote = (poll, vote, user) => {
+  const serialized = {
+    ...poll.toObject(),
+    myVote: getVoteValue(poll.type, vote),
+    resultsHidden: false
+  };
+
+  return poll.canShowResultsTo(user, !!vote) ? serialized : hideResults(serialized);
+};
+
+/**
+ * Apply a counter update to a poll and return the updated poll
+ * @param {Object} poll - Poll document
+ * @param {Object} update - MongoDB update built by buildCounterUpdate
+ * @returns {Promise<Object>} - Updated poll document
+ */
+const applyCounterUpdate = async (poll, update) => {
+  // Ballots that leave every counter unchanged need no write
+  if (Object.keys(update.$inc).length === 0) {
+    return poll;
+  }
+
+  return Poll.findByIdAndUpdate(poll._id, update, { new: true });
+};
+
+/**
+ * Send poll export records in the requested format as a file download
+ * @param {Object} res - Express response object
+ * @param {Object[]} records - Records built by buildPollExport
+ * @param {string} format - Export format (csv or json)
+ * @param {string} filename - Download file name without extension
+ * @param {Object|Object[]} json - Body sent for JSON exports
+ */
+const sendExport = (res, records, format, filename, json) => {
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'csv') {
+    return res.type('text/csv').send(pollExportsToCsv(records));
+  }
+
+  res.json(json);
+};
+
+/**
+ * Middleware for bulk operations over the poll list: lets any user through
+ * when limited to their own polls (mine=true), otherwise requires a
+ * moderator or admin
+ * Must run after protect
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireOwnPollsOrModerator = (req, res, next) => {
+  if (req.query.mine === 'true') {
+    return next();
+  }
+
+  requireModerator(req, res, next);
+};
+
+/**
+ * Check whether a user manages a poll (its creator, an admin of its
+ * organization, or a moderator or admin)
+ *
+ * @param {Object} poll - Poll document
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True if the user may see and change the poll's sharing settings
+ */
+const canManagePoll = (poll, user) => (
+  !!user && poll.isInTenancyOf(user) && isPollManager(poll, user)
+);
+
+/**
+ * Serialize a poll together with its sharing settings, for its managers
+ *
+ * @param {Object} poll - Poll document
+ * @returns {Promise<Object>} - Plain poll object with a sharing field
+ */
+const withSharing = async (poll) => {
+  await poll.populate('allowedUsers', 'username');
+
+  return { ...poll.toObject(), sharing: poll.getSharing() };
+};
+
+/**
+ * Look up the users named in an allowed-user list
+ *
+ * @param {*} usernames - Usernames from the request body
+ * @returns {Promise<Object>} - { ids } of the users, or { error } with a message
+ */
+const resolveAllowedUsers = async (usernames) => {
+  if (!Array.isArray(usernames) || usernames.some(name => typeof name !== 'string')) {
+    return { error: 'allowedUsers must be a list of usernames' };
+  }
+
+  const users = await User.find({ username: { $in: usernames } }).select('username');
+  const found = new Set(users.map(user => user.username));
+  const missing = usernames.filter(name => !found.has(name));
+
+  if (missing.length > 0) {
+    return { error: `Unknown users: ${missing.join(', ')}` };
+  }
+
+  return { ids: users.map(user => user._id) };
+};
+
+/**
+ * Apply requested edits to a poll
+ *
+ * Rules:
+ * - Closed polls cannot be edited
+ * - opensAt can only be changed while the poll is a draft
+ * - Once a vote has been cast, existing option text is locked and options
+ *   cannot be removed or reordered; new options may still be appended,
+ *   except to score polls, whose earlier ballots have no score for them
+ * - Approval selection limits, score ranges and the decision rules (quorum
+ *   and pass threshold) can only be changed before the first vote
+ * - Making a poll non-public gives it a share link if it has none
+ * - The results visibility can be changed until the poll closes
+ *
+ * @param {Object} poll - Poll document to modify (not saved)
+ * @param {Object} updates - Requested changes from the request body
+ * @param {boolean} hasVotes - Whether any vote has been recorded on the poll
+ * @returns {Object|null} - Error with status, message and optional code, or null on success
+ */
+const applyPollUpdates = (poll, updates, hasVotes) => {
+  const {
+    question, options, allowVoteChange, allowWriteIn, allowSuggestions, maxSuggestionsPerUser,
+    opensAt, closesAt, minSelections, maxSelections, scoreMin, scoreMax, visibility, allowedUserIds,
+    resultsVisibility, quorumVoters, quorumPercent, passThreshold
+  } = updates;
+
+  if (poll.status === 'closed') {
+    return { status: 409, code: 'POLL_CLOSED', message: 'Closed polls cannot be edited' };
+  }
+
+  if (question !== undefined) {
+    if (typeof question !== 'string' || !question.trim()) {
+      return { status: 400, message: 'Question must be a non-empty string' };
+    }
+    poll.question = question;
+  }
+
+  if (options !== undefined) {
+    if (!Array.isArray(options) ||
+        options.length < 2 ||
+        options.some(opt => typeof opt !== 'string' || !opt.trim())) {
+      return { status: 400, message: 'Options must be at least two non-empty strings' };
+    }
+
+    if (hasVotes) {
+      // Existing options must be kept verbatim and in order
+      const lockedChanged = options.length < poll.options.length ||
+        poll.options.some((option, index) => option.text !== options[index]);
+
+      if (lockedChanged) {
+        return {
+          status: 409,
+          code: 'OPTIONS_LOCKED',
+          message: 'Options cannot be changed or removed once votes have been cast; new options may only be appended'
+        };
+      }
+
+      // Earlier score ballots have no score for a new option, which would
+      // then be ranked on the later voters alone
+      if (poll.type === 'score' && options.length > poll.options.length) {
+        return {
+          status: 409,
+          code: 'OPTIONS_LOCKED',
+          message: 'Options cannot be added to score polls once votes have been cast'
+        };
+      }
+
+      options.slice(poll.options.length).forEach(text => poll.options.push({ text }));
+    } else {
+      poll.options = options.map(text => ({ text }));
+    }
+  }
+
+  if (allowVoteChange !== undefined) {
+    poll.allowVoteChange = allowVoteChange;
+  }
+
+  // Turning write-ins off keeps the write-in answers already given
+  if (allowWriteIn !== undefined) {
+    poll.allowWriteIn = allowWriteIn;
+  }
+
+  // Lowering the cap keeps the suggestions users have already made
+  if (allowSuggestions !== undefined) {
+    poll.allowSuggestions = allowSuggestions;
+  }
+  if (maxSuggestionsPerUser !== undefined) {
+    poll.maxSuggestionsPerUser = maxSuggestionsPerUser;
+  }
+
+  if (minSelections !== undefined || maxSelections !== undefined) {
+    if (poll.type !== 'approval') {
+      return { status: 400, message: 'Selection limits only apply to approval polls' };
+    }
+    if (hasVotes) {
+      return {
+        status: 409,
+        code: 'SELECTION_LIMITS_LOCKED',
+        message: 'Selection limits cannot be changed once votes have been cast'
+      };
+    }
+    if (minSelections !== undefined) poll.minSelections = minSelections;
+    if (maxSelections !== undefined) poll.maxSelections = maxSelections;
+  }
+
+  if (scoreMin !== undefined || scoreMax !== undefined) {
+    if (poll.type !== 'score') {
+      return { status: 400, message: 'Score ranges only apply to score polls' };
+    }
+    if (hasVotes) {
+      return {
+        status: 409,
+        code: 'SCORE_RANGE_LOCKED',
+        message: 'The score range cannot be changed once votes have been cast'
+      };
+    }
+    if (scoreMin !== undefined) poll.scoreMin = scoreMin;
+    if (scoreMax !== undefined) poll.scoreMax = scoreMax;
+  }
+
+  if (quorumVoters !== undefined || quorumPercent !== undefined || passThreshold !== undefined) {
+    if (hasVotes) {
+      return {
+        status: 409,
+        code: 'DECISION_RULES_LOCKED',
+        message: 'The quorum and pass threshold cannot be changed once votes have been cast'
+      };
+    }
+    if (quorumVoters !== undefined) poll.quorumVoters = quorumVoters;
+    if (quorumPercent !== undefined) poll.quorumPercent = quorumPercent;
+    if (passThreshold !== undefined) poll.passThreshold = passThreshold;
+  }
+
+  if (visibility !== undefined) {
+    if (!POLL_VISIBILITIES.includes(visibility)) {
+      return { status: 400, message: `Visibility must be one of: ${POLL_VISIBILITIES.join(', ')}` };
+    }
+    if (visibility !== 'public' && (poll.visibility || 'public') === 'public' && !poll.shareCode) {
+      poll.regenerateShareCode();
+    }
+    poll.visibility = visibility;
+  }
+
+  if (allowedUserIds !== undefined) {
+    poll.allowedUsers = allowedUserIds;
+  }
+
+  if (resultsVisibility !== undefined) {
+    if (!RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+      return { status: 400, message: `Results visibility must be one of: ${RESULTS_VISIBILITIES.join(', ')}` };
+    }
+    poll.resultsVisibility = resultsVisibility;
+  }
+
+  if (opensAt !== undefined) {
+    if (poll.status !== 'draft') {
+      return { status: 400, message: 'opensAt can only be changed while the poll is a draft' };
+    }
+    poll.opensAt = opensAt;
+  }
+
+  if (closesAt !== undefined) {
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      return { status: 400, message: 'closesAt must be in the future' };
+    }
+    poll.closesAt = closesAt;
+  }
+
+  return null;
+};
+
+/**
+ * Build the MongoDB filter for the poll list from query parameters
+ *
+ * @param {Object} query - Express query parameters
+ * @param {Object} sort - Selected sort definition
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {boolean} listedOnly - Only include polls the user would see in the feed:
+ *   public polls, their own polls and private polls they are allowed into,
+ *   within the user's organizations, leaving out polls hidden by moderators
+ * @returns {Promise<Object>} - { filter } on success, or { error: { status, message } }
+ */
+const buildListFilter = async (query, sort, user, listedOnly = true) => {
+  const { q, createdBy, status, createdFrom, createdTo, votedByMe, organization } = query;
+  const conditions = [];
+
+  if (organization) {
+    // Organizations the user cannot see are reported like unknown ones
+    if (!mongoose.isValidObjectId(organization) || !canSeeOrganization(user, organization)) {
+      return { error: { status: 404, message: 'Organization not found' } };
+    }
+    conditions.push({ organization });
+  } else if (listedOnly || !isPlatformStaff(user)) {
+    // Polls outside any organization, plus those of the user's organizations;
+    // only moderators exporting every poll reach beyond them
+    conditions.push({ organization: { $in: [null, ...getOrganizationIds(user)] } });
+  }
+
+  if (listedOnly) {
+    // Polls created before visibility levels existed are public
+    const listed = [{ visibility: { $in: ['public', null] } }];
+    if (user) {
+      listed.push({ createdBy: user._id }, { visibility: 'private', allowedUsers: user._id });
+    }
+    conditions.push({ $or: listed });
+
+    // Polls hidden by a moderator stay listed for their creator and staff only
+    if (!isPlatformStaff(user)) {
+      conditions.push({ $or: [{ hiddenAt: null }, ...(user ? [{ createdBy: user._id }] : [])] });
+    }
+  }
+
+  if (q) {
+    conditions.push({ $text: { $search: String(q) } });
+  }
+
+  if (createdBy) {
+    if (!mongoose.isValidObjectId(createdBy)) {
+      return { error: { status: 400, message: 'Invalid createdBy user ID' } };
+    }
+    conditions.push({ createdBy });
+  }
+
+  if (status) {
+    if (!Poll.schema.path('status').enumValues.includes(status)) {
+      return { error: { status: 400, message: 'Invalid status filter' } };
+    }
+    conditions.push({ status });
+  }
+
+  if (createdFrom || createdTo) {
+    const range = {};
+    if (createdFrom) range.$gte = new Date(createdFrom);
+    if (createdTo) range.$lte = new Date(createdTo);
+
+    if (Object.values(range).some(date => isNaN(date))) {
+      return { error: { status: 400, message: 'Invalid created date range' } };
+    }
+    conditions.push({ createdAt: range });
+  }
+
+  if (votedByMe === 'true') {
+    if (!user) {
+      return { error: { status: 401, message: 'Not authorized, no token' } };
+    }
+    const votedPollIds = await Vote.distinct('poll', { user: user._id });
+    conditions.push({ _id: { $in: votedPollIds } });
+  }
+
+  // Closing soon only lists polls that still have a deadline ahead of them
+  if (sort === LIST_SORTS.closingSoon) {
+    conditions.push({ status: { $ne: 'closed' }, closesAt: { $gt: new Date() } });
+  }
+
+  return { filter: conditions.length ? { $and: conditions } : {} };
+};
+
+// ============================================================================
+// GET ALL POLLS ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls:
+ *   get:
+ *     summary: Get polls
+ *     description: Retrieves a page of polls with creator and organization information, using cursor-based pagination. Polls of organizations the caller does not belong to are never listed. Only public polls are listed, plus, when a valid token is supplied, the caller's own polls and the private polls they are allowed into; each poll then includes the caller's own vote as myVote. Polls whose results visibility does not yet allow the caller to see their results are returned without option vote counters and with resultsHidden set.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of polls per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor value from the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, mostVotes, closingSoon]
+ *           default: newest
+ *         description: Sort order (closingSoon only lists polls with an upcoming deadline)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over the question and option text
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: Only polls created by this user ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, open, closed]
+ *         description: Only polls with this status
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only polls created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only polls created at or before this time
+ *       - in: query
+ *         name: votedByMe
+ *         schema:
+ *           type: boolean
+ *         description: Only polls the authenticated user has voted in (requires a token)
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Only polls of this organization ID (members only); by default, polls outside any organization and those of the caller's organizations are listed
+ *     responses:
+ *       200:
+ *         description: Page of polls retrieved successfully, as { polls, nextCursor }
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         description: votedByMe requested without authentication
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  const sort = getListSort(req.query.sort || 'newest');
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  // Validate pagination and sort parameters
+  if (!sort) {
+    return res.status(400).json({ message: 'Invalid sort option' });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), sort);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const { filter, error } = await buildListFilter(req.query, sort, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Continue after the last poll of the previous page
+    const query = cursor ? { $and: [filter, buildCursorFilter(sort, cursor)] } : filter;
+
+    // Fetch one extra poll to find out whether another page exists
+    const polls = await Poll.find(query)
+      .sort(buildSortSpec(sort))
+      .limit(limit + 1)
+      .populate('createdBy', 'username')
+      .populate('organization', 'name slug');
+
+    const hasMore = polls.length > limit;
+    const page = hasMore ? polls.slice(0, limit) : polls;
+
+    // Look up the caller's votes on these polls, if authenticated
+    const votes = req.user
+      ? await Vote.find({ user: req.user._id, poll: { $in: page.map(poll => poll._id) } })
+      : [];
+    const votesByPoll = new Map(votes.map(vote => [vote.poll.toString(), vote]));
+
+    res.json({
+      polls: page.map(poll => withUserVote(poll, votesByPoll.get(poll._id.toString()), req.user)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/export:
+ *   get:
+ *     summary: Export the results of many polls
+ *     description: |
+ *       Downloads the results of every poll matching the list filters (see GET /api/polls) as CSV (one row per option) or JSON. Users may export their own polls with mine=true, limited to polls outside any organization and those of their organizations; exporting other users' polls requires the moderator or admin role. At most 1000 polls can be exported at once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Export file format
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only export polls created by the authenticated user
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over the question and option text
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: Only polls created by this user ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, open, closed]
+ *         description: Only polls with this status
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only polls created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only polls created at or before this time
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Only polls of this organization ID (members, moderators and admins)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, mostVotes, closingSoon]
+ *           default: newest
+ *         description: Order of the exported polls
+ *     responses:
+ *       200:
+ *         description: Export file (text/csv, or application/json as { exportedAt, count, polls })
+ *       400:
+ *         description: Invalid format, filter, or too many matching polls
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Exporting other users' polls without the moderator role
+ *       404:
+ *         description: Organization not found, or the caller is not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', protect, requireOwnPollsOrModerator, async (req, res) => {
+  const format = req.query.format || 'json';
+  const sort = getListSort(req.query.sort || 'newest');
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  if (!sort) {
+    return res.status(400).json({ message: 'Invalid sort option' });
+  }
+
+  try {
+    // Moderators exporting every poll include unlisted and private ones
+    const { filter, error } = await buildListFilter(req.query, sort, req.user, false);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const query = req.query.mine === 'true'
+      ? { $and: [filter, { createdBy: req.user._id }] }
+      : filter;
+
+    const polls = await Poll.find(query)
+      .sort(buildSortSpec(sort))
+      .limit(MAX_EXPORT_POLLS + 1)
+      .populate('createdBy', 'username');
+
+    if (polls.length > MAX_EXPORT_POLLS) {
+      return res.status(400).json({
+        message: `More than ${MAX_EXPORT_POLLS} polls match; narrow the filters to export them`
+      });
+    }
+
+    const exportedAt = new Date();
+    const records = await Promise.all(polls.map(async poll => buildPollExport(
+      poll,
+      poll.type === 'ranked' && format === 'json' ? { runoff: await poll.runInstantRunoff() } : {},
+      exportedAt
+    )));
+
+    appLogger.pollsExported(req.user._id, records.map(record => record.id), format);
+
+    sendExport(res, records, format, `polls-${exportedAt.toISOString().slice(0, 10)}`, {
+      exportedAt: exportedAt.toISOString(),
+      count: records.length,
+      polls: records
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/export:
+ *   get:
+ *     summary: Export the results of a poll
+ *     description: Downloads a poll's metadata, timestamps, totals and per-option results (counts and percentages, or score statistics for score polls) as CSV or JSON. JSON exports of ranked polls include the instant-runoff rounds. Poll creator, moderators and admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Export file format
+ *     responses:
+ *       200:
+ *         description: Export file (text/csv or application/json)
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/export', protect, (req, res, next) => {
+  if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  next();
+}, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+  const format = req.query.format || 'json';
+
+  try {
+    await poll.populate('createdBy', 'username');
+
+    const record = buildPollExport(
+      poll,
+      poll.type === 'ranked' && format === 'json' ? { runoff: await poll.runInstantRunoff() } : {}
+    );
+
+    appLogger.pollsExported(req.user._id, [record.id], format);
+
+    sendExport(res, [record], format, `poll-${record.id}`, record);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// LIVE RESULTS STREAM ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/stream-token:
+ *   post:
+ *     summary: Get a stream token
+ *     description: Issues a token, valid for one minute, that authenticates the caller on the live results streams through their token query parameter. Browsers cannot send an Authorization header with EventSource. Stream tokens are not accepted by any other endpoint. A token belongs to the caller's session: it stops working, and streams opened with it are closed, once the session is logged out or revoked.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stream token issued, as { token }
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/stream-token', protect, (req, res) => {
+  res.json({ token: generateStreamToken(req.user._id, req.sessionId) });
+});
+
+/**
+ * @swagger
+ * /api/polls/stream:
+ *   get:
+ *     summary: Stream live poll list updates
+ *     description: |
+ *       Server-Sent Events feed of tally changes for every public poll, outside any organization or in the organizations of the user authenticated by the stream token. Each "tally" event carries a poll's ID, status, option counters and computed results, the latter two left out (with resultsHidden set) while the poll's results visibility hides them from the stream's user; "deleted" events carry the ID of a deleted poll, and "hidden" events the ID of a poll a moderator has hidden. A "ready" event marks the start of the live feed, and a "resync" event tells a reconnecting client that updates were missed and the list should be reloaded. Send Last-Event-ID (or the lastEventId query parameter) to resume after a dropped connection.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token from POST /api/polls/stream-token
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume from
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Invalid or expired stream token
+ *       500:
+ *         description: Server error
+ */
+router.get('/stream', streamAuth, async (req, res) => {
+  try {
+    // Results of polls revealed after voting are streamed to their voters
+    const votedPollIds = req.user ? await Vote.distinct('poll', { user: req.user._id }) : [];
+
+    streamPollEvents(req, res, {
+      // Unlisted and private polls stay off the shared feed, and organization
+      // polls off the feeds of everyone outside the organization
+      filter: event => event.listed && canSeeOrganization(req.user, event.organization),
+      // The list is loaded through GET /api/polls, so there is no snapshot
+      getSnapshot: async () => [],
+      votedPollIds
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/stream:
+ *   get:
+ *     summary: Stream live results of a poll
+ *     description: |
+ *       Server-Sent Events stream of a poll's tallies. New subscribers first receive a "tally" event with the current results, then one whenever a vote is recorded, changed or withdrawn, or the poll's status changes. Results hidden from the stream's user by the poll's results visibility are left out of the events, which then have resultsHidden set. A "deleted" event is sent if the poll is deleted, and a "hidden" event if a moderator hides it; after that, updates only reach the poll's creator and staff. Send Last-Event-ID (or the lastEventId query parameter) to receive the updates missed while disconnected. The stream is open to the same users as the poll itself: unlisted polls require their share code, private polls a stream token of an allowed user (or of a user holding the invite code), and organization polls a stream token of a member. Hidden polls only stream to their creator and staff.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token from POST /api/polls/stream-token
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume from
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Invalid or expired stream token, or a share code of a private or organization poll without a stream token
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/stream', streamAuth, loadPoll, requirePollAccess, async (req, res) => {
+  const pollId = String(req.poll._id);
+
+  try {
+    const hasVoted = !!req.user && !!(await Vote.exists({ poll: pollId, user: req.user._id }));
+
+    // Once a moderator hides the poll, only its creator and staff keep receiving updates
+    const managesPoll = !!req.user && (req.poll.createdBy?.equals(req.user._id) || isPlatformStaff(req.user));
+
+    streamPollEvents(req, res, {
+      filter: event => event.pollId === pollId && (!event.hidden || managesPoll),
+      // Reload so the snapshot reflects votes recorded since loadPoll ran
+      getSnapshot: async () => {
+        const poll = await Poll.findById(pollId);
+        return poll ? [poll] : [];
+      },
+      votedPollIds: hasVoted ? [pollId] : []
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// GET SINGLE POLL ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}:
+ *   get:
+ *     summary: Get a poll
+ *     description: Retrieves a single poll with creator information, computed results (total votes, distinct voters and per-option percentages, plus the round-by-round instant-runoff tally for ranked polls; for score polls, each option's voter count, mean and median score and score histogram) and, when a valid token is supplied, the caller's own vote as myVote. The poll's creator, admins of its organization, moderators and admins also receive its sharing settings (visibility, share code and allowed users). Organization polls are only open to the organization's members. Unlisted polls require the share code; private polls require an allowed user or the invite code. Polls with a quorum that are not closed yet include quorum progress as { required, voters, met }; closed polls include their outcome. When the poll's results visibility does not yet allow the caller to see the results, the option vote counters, computed results and outcome are left out and resultsHidden is set.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code from the poll's share link (unlisted and private polls)
+ *     responses:
+ *       200:
+ *         description: Poll retrieved successfully
+ *       401:
+ *         description: Private or organization poll opened with its share code but without logging in
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', optionalAuth, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll } = req;
+
+  // Checked before populating, while createdBy is still an ID
+  const canManage = canManagePoll(poll, req.user);
+
+  try {
+    await poll.populate([
+      { path: 'createdBy', select: 'username' },
+      { path: 'organization', select: 'name slug' }
+    ]);
+
+    const vote = req.user
+      ? await Vote.findOne({ poll: poll._id, user: req.user._id })
+      : null;
+
+    const serialized = withUserVote(poll, vote, req.user);
+
+    // Results are only computed for callers allowed to see them
+    let results;
+    if (!serialized.resultsHidden) {
+      results = buildResults(poll);
+
+      // Ranked polls are decided by an instant-runoff tally over all ballots
+      if (poll.type === 'ranked') {
+        results.runoff = await poll.runInstantRunoff();
+      }
+    }
+
+    // Progress toward quorum is shown until the outcome is decided
+    const quorum = poll.status !== 'closed' ? await poll.getQuorumProgress() : null;
+
+    res.json({
+      ...serialized,
+      ...(canManage && { sharing: (await withSharing(poll)).sharing }),
+      ...(results && { results }),
+      ...(quorum && { quorum })
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// ANALYTICS ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/analytics:
+ *   get:
+ *     summary: Get a poll's voting time series
+ *     description: |
+ *       Aggregates the poll's recorded votes into time buckets (UTC) by the time they were cast. Each bucket holds the ballots cast and the votes per option (first preferences for ranked polls, selections for approval polls, scored options for score polls), together with running totals for cumulative curves. Empty buckets between the first and last vote are included. Also reports the time from the poll's opening to the first vote and the busiest buckets as peak periods. Changed votes count towards their current ballot at the time they were first cast; withdrawn votes are not counted. Subject to the same access rules and results visibility as the poll's results.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day]
+ *           default: hour
+ *         description: Bucket size
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     responses:
+ *       200:
+ *         description: Time series as { interval, firstVoteAt, lastVoteAt, timeToFirstVoteMs, totalBallots, buckets, peaks }
+ *       400:
+ *         description: Invalid interval, or the votes span more than 1440 buckets of it
+ *       401:
+ *         description: Private or organization poll opened with its share code but without logging in
+ *       403:
+ *         description: The poll's results are not visible to the caller yet (code RESULTS_HIDDEN)
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/analytics', optionalAuth, (req, res, next) => {
+  if (req.query.interval !== undefined && !ANALYTICS_INTERVALS[req.query.interval]) {
+    return res.status(400).json({
+      message: `interval must be one of: ${Object.keys(ANALYTICS_INTERVALS).join(', ')}`
+    });
+  }
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll } = req;
+  const interval = req.query.interval || 'hour';
+
+  try {
+    // Votes per option over time reveal the results, so the same policy applies
+    const hasVoted = !!req.user && !!(await Vote.exists({ poll: poll._id, user: req.user._id }));
+    if (!poll.canShowResultsTo(req.user, hasVoted)) {
+      return res.status(403).json({
+        code: 'RESULTS_HIDDEN',
+        message: 'The results of this poll are not visible to you yet'
+      });
+    }
+
+    const counts = await Vote.countOverTime(poll._id, poll.type, interval);
+    const { series, error } = buildVoteTimeSeries(poll, counts, interval);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(series);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// CREATE POLL ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls:
+ *   post:
+ *     summary: Create a new poll
+ *     description: Creates a new poll (authenticated users only). The response includes the poll's sharing settings, with the share link code of unlisted and private polls.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question
+ *               - options
+ *             properties:
+ *               question:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               type:
+ *                 type: string
+ *                 enum: [single, ranked, approval, score]
+ *                 default: single
+ *                 description: Voting method; cannot be changed after creation
+ *               minSelections:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *                 description: Minimum number of options an approval ballot must select
+ *               maxSelections:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Maximum number of options an approval ballot may select (defaults to all options)
+ *               scoreMin:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Lowest score a score ballot may give an option
+ *               scoreMax:
+ *                 type: integer
+ *                 default: 5
+ *                 description: Highest score a score ballot may give an option (at most 100 distinct scores)
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *                 default: public
+ *                 description: Public polls are listed; unlisted polls open with the share link; private polls open for allowed users or with the invite code
+ *               allowedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Usernames allowed to open a private poll without the invite code
+ *               organization:
+ *                 type: string
+ *                 description: ID of an organization the creator belongs to; the poll is then only visible to its members. Cannot be changed after creation
+ *               allowVoteChange:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether voters may change or withdraw their vote
+ *               allowWriteIn:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Whether voters may write in an "Other" answer instead of choosing an option (single-choice polls only)
+ *               allowSuggestions:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Whether users may suggest new options, which join the poll once approved by its managers
+ *               maxSuggestionsPerUser:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 3
+ *                 description: How many options each user may suggest
+ *               quorumVoters:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Minimum number of voters for the poll to be decided
+ *               quorumPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 maximum: 100
+ *                 description: Percentage of the organization's members who must vote for the poll to be decided (organization polls only; with quorumVoters, the larger requirement applies)
+ *               passThreshold:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 maximum: 100
+ *                 description: Percentage of the vote the leading option needs to pass (share of voters for single-choice and approval polls, of the final instant-runoff round for ranked polls; not available for score polls). Without it the leading option passes unless tied
+ *               resultsVisibility:
+ *                 type: string
+ *                 enum: [always, afterVote, afterClose, creatorOnly]
+ *                 default: always
+ *                 description: When the results are shown to users other than the poll's creator, organization admins, moderators and admins (always, once they have voted or the poll has closed, once the poll has closed, or never)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, open]
+ *                 default: open
+ *                 description: Create the poll as a draft or open it immediately
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the poll to open at this time (created as a draft until then)
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deadline after which votes are rejected and the poll is closed
+ *     responses:
+ *       200:
+ *         description: Poll created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the organization
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, async (req, res) => {
+  const {
+    question, options, type, allowVoteChange, allowWriteIn, allowSuggestions, maxSuggestionsPerUser,
+    opensAt, closesAt, minSelections, maxSelections, scoreMin, scoreMax, visibility, allowedUsers,
+    organization, resultsVisibility, quorumVoters, quorumPercent, passThreshold
+  } = req.body;
+  const now = new Date();
+
+  if (type !== undefined && !POLL_TYPES.includes(type)) {
+    return res.status(400).json({ message: `Poll type must be one of: ${POLL_TYPES.join(', ')}` });
+  }
+
+  if ((minSelections !== undefined || maxSelections !== undefined) && type !== 'approval') {
+    return res.status(400).json({ message: 'Selection limits only apply to approval polls' });
+  }
+
+  if ((scoreMin !== undefined || scoreMax !== undefined) && type !== 'score') {
+    return res.status(400).json({ message: 'Score ranges only apply to score polls' });
+  }
+
+  if (visibility !== undefined && !POLL_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ message: `Visibility must be one of: ${POLL_VISIBILITIES.join(', ')}` });
+  }
+
+  if (resultsVisibility !== undefined && !RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+    return res.status(400).json({ message: `Results visibility must be one of: ${RESULTS_VISIBILITIES.join(', ')}` });
+  }
+
+  if (organization !== undefined && organization !== null) {
+    if (!mongoose.isValidObjectId(organization)) {
+      return res.status(400).json({ message: 'Invalid organization ID' });
+    }
+    if (!getMembership(req.user, organization)) {
+      return res.status(403).json({ message: 'You are not a member of this organization' });
+    }
+  }
+
+  // Validate the voting window
+  if (closesAt && new Date(closesAt) <= now) {
+    return res.status(400).json({ message: 'closesAt must be in the future' });
+  }
+
+  // Polls scheduled to open later start out as drafts
+  const status = req.body.status === 'draft' || (opensAt && new Date(opensAt) > now)
+    ? 'draft'
+    : 'open';
+
+  try {
+    let allowedUserIds;
+    if (allowedUsers !== undefined) {
+      const resolved = await resolveAllowedUsers(allowedUsers);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      allowedUserIds = resolved.ids;
+    }
+
+    // Create new poll with options
+    const poll = await Poll.create({
+      question,
+      options: options.map(opt => ({ text: opt })),
+      type,
+      minSelections,
+      maxSelections,
+      scoreMin,
+      scoreMax,
+      createdBy: req.user._id,
+      organization: organization || undefined,
+      visibility,
+      allowedUsers: allowedUserIds,
+      allowVoteChange,
+      allowWriteIn,
+      allowSuggestions,
+      maxSuggestionsPerUser,
+      resultsVisibility,
+      quorumVoters,
+      quorumPercent,
+      passThreshold,
+      status,
+      opensAt,
+      closesAt
+    });
+
+    // The creator gets the share link of unlisted and private polls
+    res.json(await withSharing(poll));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// OPEN / CLOSE POLL ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/open:
+ *   post:
+ *     summary: Open a poll
+ *     description: Opens a draft poll for voting immediately (poll creator, moderators and admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Poll opened successfully
+ *       400:
+ *         description: Poll is not a draft
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/open', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+
+  try {
+    if (poll.status !== 'draft') {
+      return res.status(400).json({ message: `Poll is already ${poll.status}` });
+    }
+
+    if (poll.closesAt && poll.closesAt <= new Date()) {
+      return res.status(400).json({ message: 'The closing deadline of this poll has already passed' });
+    }
+
+    // Open now, replacing any scheduled opening time
+    poll.status = 'open';
+    poll.opensAt = new Date();
+    await poll.save();
+
+    appLogger.pollStatusChanged(poll._id, 'draft', 'open');
+    publishPollUpdate(poll);
+
+    res.json(poll);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/close:
+ *   post:
+ *     summary: Close a poll
+ *     description: Closes a poll immediately, writes its final tallies and records its formal outcome (passed, failed, noQuorum or tie, with the winning option) under the poll's quorum and pass threshold (poll creator, moderators and admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Poll closed successfully
+ *       400:
+ *         description: Poll is already closed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/close', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+
+  try {
+    if (poll.status === 'closed') {
+      return res.status(400).json({ message: 'Poll is already closed' });
+    }
+
+    const previousStatus = poll.status;
+    await poll.closePoll();
+
+    appLogger.pollStatusChanged(poll._id, previousStatus, 'closed');
+    appLogger.pollOutcomeDecided(poll._id, poll.outcome.result, poll.outcome.winner);
+    publishPollUpdate(poll);
+
+    res.json(poll);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// UPDATE POLL ENDPOINTS
+// ============================================================================
+
+/**
+ * Shared handler for PUT and PATCH on a poll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePoll = async (req, res) => {
+  const { poll } = req;
+
+  try {
+    const hasVotes = !!(await Vote.exists({ poll: poll._id }));
+
+    const updates = { ...req.body, allowedUserIds: undefined };
+    if (req.body.allowedUsers !== undefined) {
+      const resolved = await resolveAllowedUsers(req.body.allowedUsers);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      updates.allowedUserIds = resolved.ids;
+    }
+
+    const error = applyPollUpdates(poll, updates, hasVotes);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    await poll.save();
+
+    appLogger.pollUpdated(poll._id, req.user._id);
+    publishPollUpdate(poll);
+
+    res.json(await withSharing(poll));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/polls/{id}:
+ *   put:
+ *     summary: Replace a poll
+ *     description: Replaces the question and options of a poll (poll creator, moderators and admins). Once votes have been cast, existing options are locked and new options may only be appended, except on score polls, whose options are then locked entirely.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question
+ *               - options
+ *             properties:
+ *               question:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowVoteChange:
+ *                 type: boolean
+ *               allowWriteIn:
+ *                 type: boolean
+ *                 description: Accept write-in answers (single-choice polls); write-ins already given are kept when turned off
+ *               allowSuggestions:
+ *                 type: boolean
+ *                 description: Accept option suggestions; suggestions already waiting can still be reviewed when turned off
+ *               maxSuggestionsPerUser:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               scoreMin:
+ *                 type: integer
+ *               scoreMax:
+ *                 type: integer
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *               allowedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Usernames allowed to open a private poll without the invite code
+ *               resultsVisibility:
+ *                 type: string
+ *                 enum: [always, afterVote, afterClose, creatorOnly]
+ *               quorumVoters:
+ *                 type: integer
+ *               quorumPercent:
+ *                 type: number
+ *               passThreshold:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Poll updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: Poll is closed (code POLL_CLOSED), or options (code OPTIONS_LOCKED), selection limits (code SELECTION_LIMITS_LOCKED) the score range (code SCORE_RANGE_LOCKED) or the quorum and pass threshold (code DECISION_RULES_LOCKED) are locked by existing votes
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Update a poll
+ *     description: Partially updates a poll (poll creator, moderators and admins). Accepts the same fields as PUT, all optional.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Poll updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: Poll is closed (code POLL_CLOSED), or options (code OPTIONS_LOCKED), selection limits (code SELECTION_LIMITS_LOCKED) the score range (code SCORE_RANGE_LOCKED) or the quorum and pass threshold (code DECISION_RULES_LOCKED) are locked by existing votes
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, (req, res, next) => {
+  // A full replacement must include both the question and the options
+  if (req.body.question === undefined || req.body.options === undefined) {
+    return res.status(400).json({ message: 'Question and options are required' });
+  }
+  next();
+}, loadPoll, requirePollOwnerOrModerator, updatePoll);
+
+router.patch('/:id', protect, loadPoll, requirePollOwnerOrModerator, updatePoll);
+
+// ============================================================================
+// SHARING ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/share:
+ *   post:
+ *     summary: Regenerate a poll's share link
+ *     description: Replaces the share code of a poll (poll creator, moderators and admins). Links and invite codes using the previous code stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Share code regenerated, returns the sharing settings
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Revoke a poll's share link
+ *     description: Removes the share code of a poll (poll creator, moderators and admins). Unlisted polls can then only be opened by their managers, and private polls only by allowed users, until a new link is generated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Share link revoked, returns the sharing settings
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/share', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+
+  try {
+    poll.regenerateShareCode();
+    await poll.save();
+
+    appLogger.pollUpdated(poll._id, req.user._id);
+
+    res.json((await withSharing(poll)).sharing);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id/share', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+
+  try {
+    poll.shareCode = undefined;
+    await poll.save();
+
+    appLogger.pollUpdated(poll._id, req.user._id);
+
+    res.json((await withSharing(poll)).sharing);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/join:
+ *   post:
+ *     summary: Join a private poll
+ *     description: Redeems a private poll's invite code, adding the authenticated user to the poll's allowed users so they can open it without the code.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Invite code
+ *     responses:
+ *       200:
+ *         description: Joined the poll
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Poll not found, or the invite code is invalid
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/join', protect, loadPoll, async (req, res) => {
+  const { poll } = req;
+
+  // A wrong code is reported like a missing poll, so codes cannot be probed
+  if (poll.visibility !== 'private' || !poll.isInTenancyOf(req.user) || !poll.isShareCode(req.body.code)) {
+    return res.status(404).json({ message: 'Poll not found' });
+  }
+
+  try {
+    await Poll.updateOne({ _id: poll._id }, { $addToSet: { allowedUsers: req.user._id } });
+
+    res.json({ message: 'Joined poll', pollId: poll._id });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// DELETE POLL ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}:
+ *   delete:
+ *     summary: Delete a poll
+ *     description: Deletes a poll together with all of its votes, comments, option suggestions and reports (poll creator, moderators and admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Poll deleted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+
+  try {
+    await Vote.deleteMany({ poll: poll._id });
+    await Comment.deleteMany({ poll: poll._id });
+    await OptionSuggestion.deleteMany({ poll: poll._id });
+    await Report.deleteMany({ poll: poll._id });
+    await poll.deleteOne();
+
+    appLogger.pollDeleted(poll._id, req.user._id);
+    await recordAudit(req, {
+      action: 'poll.deleted',
+      target: { type: 'poll', id: poll._id, label: poll.question },
+      before: { createdBy: poll.createdBy, organization: poll.organization, status: poll.status, totalVotes: poll.totalVotes }
+    });
+    publishPollDeleted(poll._id, { organization: poll.organization, listed: isListed(poll) });
+
+    res.json({ message: 'Poll deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// VOTE ON POLL ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Ballot:
+ *       type: object
+ *       description: Ballot format depends on the poll type
+ *       properties:
+ *         optionIndex:
+ *           type: number
+ *           description: Index of the chosen option (single-choice polls)
+ *         writeIn:
+ *           type: string
+ *           maxLength: 100
+ *           description: Write-in "Other" answer instead of optionIndex (single-choice polls accepting write-ins); an answer matching an option's text, ignoring case and spacing, counts for that option
+ *         rankings:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: Distinct option indices, most preferred first; unranked options may be left out (ranked polls)
+ *         selections:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: Distinct option indices the voter approves of, within the poll's selection limits (approval polls)
+ *         scores:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: One whole-number score per option, in option order and within the poll's score range (score polls)
+ */
+
+/**
+ * @swagger
+ * /api/polls/{id}/vote:
+ *   post:
+ *     summary: Vote on a poll
+ *     description: Casts the authenticated user's ballot on a poll. Each user may vote only once per poll.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ballot'
+ *     responses:
+ *       200:
+ *         description: Vote cast successfully
+ *       400:
+ *         description: Invalid ballot
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Poll is not open for voting (code POLL_NOT_OPEN or POLL_CLOSED)
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: User has already voted on this poll
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/vote', protect, loadPoll, async (req, res) => {
+  try {
+    const poll = req.poll;
+
+    // Only users who may open the poll can vote on it
+    const accessError = getAccessError(poll, req.user, req.query.code);
+    if (accessError) {
+      return res.status(accessError.status).json({ message: accessError.message });
+    }
+
+    // Reject votes outside the poll's voting window
+    const votingError = poll.getVotingError();
+    if (votingError) {
+      return res.status(403).json(votingError);
+    }
+
+    // Validate the ballot for this poll type
+    const { ballot, error } = parseBallot(poll, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Record the vote in the ledger; the unique index rejects a second vote
+    let vote;
+    try {
+      vote = await Vote.create({ poll: poll._id, user: req.user._id, ...ballot });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'You have already voted on this poll' });
+      }
+      throw err;
+    }
+
+    // Atomically increment the cached counters for the ballot
+    const updatedPoll = await applyCounterUpdate(poll, buildCounterUpdate(poll, null, ballot));
+
+    // Log the vote
+    appLogger.pollVoted(poll._id, req.user._id, getVoteValue(poll.type, vote));
+    publishPollUpdate(updatedPoll, { voter: req.user._id, voted: true });
+
+    res.json(withUserVote(updatedPoll, vote, req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // ============================================================================
-// GET ALL POLLS ENDPOINT
+// CHANGE VOTE ENDPOINT
 // ============================================================================
 
 /**
  * @swagger
- * /api/polls:
- *   get:
- *     summary: Get all polls
- *     description: Retrieves all polls with creator information
+ * /api/polls/{id}/vote:
+ *   put:
+ *     summary: Change a vote
+ *     description: Replaces the authenticated user's existing ballot with a new one
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ballot'
  *     responses:
  *       200:
- *         description: List of polls retrieved successfully
+ *         description: Vote changed successfully
+ *       400:
+ *         description: Invalid ballot
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Votes on this poll cannot be changed, or the poll is not open (code POLL_NOT_OPEN or POLL_CLOSED)
+ *       404:
+ *         description: Poll or vote not found
+ *       409:
+ *         description: Vote was modified concurrently
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.put('/:id/vote', protect, loadPoll, async (req, res) => {
   try {
-    // Find all polls and populate creator information
-    const polls = await Poll.find().populate('createdBy', 'username');
-    res.json(polls);
+    const poll = req.poll;
+
+    const accessError = getAccessError(poll, req.user, req.query.code);
+    if (accessError) {
+      return res.status(accessError.status).json({ message: accessError.message });
+    }
+
+    const votingError = poll.getVotingError();
+    if (votingError) {
+      return res.status(403).json(votingError);
+    }
+
+    if (!poll.allowVoteChange) {
+      return res.status(403).json({ message: 'Votes on this poll are final and cannot be changed' });
+    }
+
+    const { ballot, error } = parseBallot(poll, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existingVote = await Vote.findOne({ poll: poll._id, user: req.user._id });
+
+    if (!existingVote) {
+      return res.status(404).json({ message: 'You have not voted on this poll' });
+    }
+
+    // Nothing to do if the ballot is unchanged
+    const previousBallot = getBallot(poll.type, existingVote);
+    if (isSameBallot(previousBallot, ballot)) {
+      return res.json(withUserVote(poll, existingVote, req.user));
+    }
+
+    // Only replace the ballot if it has not changed since it was read
+    const vote = await Vote.findOneAndUpdate(
+      { _id: existingVote._id, updatedAt: existingVote.updatedAt },
+      buildBallotUpdate(previousBallot, ballot),
+      { new: true }
+    );
+
+    if (!vote) {
+      return res.status(409).json({ message: 'Your vote was changed by another request, please retry' });
+    }
+
+    // Move the counted votes from the previous ballot to the new one
+    const updatedPoll = await applyCounterUpdate(poll, buildCounterUpdate(poll, previousBallot, ballot));
+
+    appLogger.pollVoteChanged(
+      poll._id,
+      req.user._id,
+      getVoteValue(poll.type, existingVote),
+      getVoteValue(poll.type, vote)
+    );
+    publishPollUpdate(updatedPoll, { voter: req.user._id, voted: true });
+
+    res.json(withUserVote(updatedPoll, vote, req.user));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // ============================================================================
-// CREATE POLL ENDPOINT
+// WITHDRAW VOTE ENDPOINT
 // ============================================================================
 
 /**
  * @swagger
- * /api/polls:
+ * /api/polls/{id}/vote:
+ *   delete:
+ *     summary: Withdraw a vote
+ *     description: Removes the authenticated user's vote from a poll
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     responses:
+ *       200:
+ *         description: Vote withdrawn successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Votes on this poll cannot be changed
+ *       404:
+ *         description: Poll or vote not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/vote', protect, loadPoll, async (req, res) => {
+  try {
+    const poll = req.poll;
+
+    const accessError = getAccessError(poll, req.user, req.query.code);
+    if (accessError) {
+      return res.status(accessError.status).json({ message: accessError.message });
+    }
+
+    const votingError = poll.getVotingError();
+    if (votingError) {
+      return res.status(403).json(votingError);
+    }
+
+    if (!poll.allowVoteChange) {
+      return res.status(403).json({ message: 'Votes on this poll are final and cannot be withdrawn' });
+    }
+
+    const vote = await Vote.findOneAndDelete({ poll: poll._id, user: req.user._id });
+
+    if (!vote) {
+      return res.status(404).json({ message: 'You have not voted on this poll' });
+    }
+
+    // Remove the withdrawn ballot from the cached counters
+    const updatedPoll = await applyCounterUpdate(
+      poll,
+      buildCounterUpdate(poll, getBallot(poll.type, vote), null)
+    );
+
+    appLogger.pollVoteWithdrawn(poll._id, req.user._id, getVoteValue(poll.type, vote));
+    publishPollUpdate(updatedPoll, { voter: req.user._id, voted: false });
+
+    res.json(withUserVote(updatedPoll, null, req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// RECONCILE VOTE COUNTS ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/reconcile:
  *   post:
- *     summary: Create a new poll
- *     description: Creates a new poll (authenticated users only)
+ *     summary: Reconcile poll vote counts
+ *     description: Rebuilds the option vote counters of a poll from the Vote ledger (moderators and admins only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Vote counts reconciled successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reconcile', protect, requireModerator, loadPoll, async (req, res) => {
+  try {
+    const poll = req.poll;
+
+    // Replace cached counters with the counts recorded in the ledger
+    await poll.reconcileVoteCounts();
+    publishPollUpdate(poll);
+
+    res.json(poll);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// WRITE-IN ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/write-ins:
+ *   get:
+ *     summary: List write-in answers
+ *     description: Lists the write-in "Other" answers of a poll, grouped ignoring case, accents and spacing, most voted first (poll creator, moderators and admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     responses:
+ *       200:
+ *         description: Write-in groups ({ key, text, variants, votes }), where text is the most common spelling
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/write-ins', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  try {
+    res.json(await Vote.listWriteIns(req.poll._id));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/write-ins/promote:
+ *   post:
+ *     summary: Promote a write-in answer to an option
+ *     description: Adds a group of write-in answers to the poll as a regular option (or merges it into the option with the same text) and moves its votes over (poll creator, moderators and admins)
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
  *     requestBody:
  *       required: true
  *       content:
@@ -66,50 +2224,70 @@ router.get('/', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - question
- *               - options
+ *               - key
  *             properties:
- *               question:
+ *               key:
  *                 type: string
- *               options:
- *                 type: array
- *                 items:
- *                   type: string
+ *                 description: Key of the write-in group, as listed by GET /api/polls/{id}/write-ins
  *     responses:
  *       200:
- *         description: Poll created successfully
+ *         description: Write-in promoted; returns the updated poll with the option index and the number of votes moved
+ *       400:
+ *         description: Missing write-in key
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll or write-in not found
+ *       409:
+ *         description: Poll is closed (POLL_CLOSED)
  *       500:
  *         description: Server error
  */
-router.post('/', protect, async (req, res) => {
-  const { question, options } = req.body;
+router.post('/:id/write-ins/promote', protect, loadPoll, requirePollOwnerOrModerator, async (req, res) => {
+  const { poll } = req;
+  const key = typeof req.body.key === 'string' ? normalizeWriteIn(req.body.key) : '';
 
   try {
-    // Create new poll with options
-    const poll = await Poll.create({
-      question,
-      options: options.map(opt => ({ text: opt })),
-      createdBy: req.user._id
-    });
+    if (!key) {
+      return res.status(400).json({ message: 'A write-in key is required' });
+    }
 
-    res.json(poll);
+    // Final tallies and outcomes of closed polls stay as they were decided
+    if (poll.status === 'closed') {
+      return res.status(409).json({ code: 'POLL_CLOSED', message: 'Write-ins of closed polls cannot be promoted' });
+    }
+
+    const group = (await Vote.listWriteIns(poll._id)).find(writeIn => writeIn.key === key);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Write-in not found' });
+    }
+
+    const { poll: updatedPoll, optionIndex, votes } = await poll.promoteWriteIn(key, group.text);
+
+    appLogger.pollWriteInPromoted(poll._id, req.user._id, optionIndex, votes);
+    publishPollUpdate(updatedPoll);
+
+    res.json({ ...(await withSharing(updatedPoll)), optionIndex, votes });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // ============================================================================
-// VOTE ON POLL ENDPOINT
+// REPORT POLL ENDPOINT
 // ============================================================================
 
 /**
  * @swagger
- * /api/polls/{id}/vote:
+ * /api/polls/{id}/reports:
  *   post:
- *     summary: Vote on a poll
- *     description: Casts a vote for a specific option in a poll
+ *     summary: Report a poll
+ *     description: Flags a poll for review by the moderators (authenticated users with access to the poll, other than its creator). Each user can have one open report per poll.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -117,56 +2295,81 @@ router.post('/', protect, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - optionIndex
- *             properties:
- *               optionIndex:
- *                 type: number
- *                 description: Index of the option to vote for
+ *             $ref: '#/components/schemas/ReportRequest'
  *     responses:
- *       200:
- *         description: Vote cast successfully
+ *       201:
+ *         description: Report filed
  *       400:
- *         description: Invalid option index
+ *         description: Invalid reason or details, or the caller created the poll
+ *       401:
+ *         description: Not authenticated
  *       404:
- *         description: Poll not found
+ *         description: Poll not found, or not accessible to the caller
+ *       409:
+ *         description: The caller already has an open report on this poll (ALREADY_REPORTED)
  *       500:
  *         description: Server error
  */
-router.post('/:id/vote', async (req, res) => {
-  const { optionIndex } = req.body;
+router.post('/:id/reports', protect, (req, res, next) => {
+  const { report, error } = parseReport(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
-  try {
-    // Find poll by ID
-    const poll = await Poll.findById(req.params.id);
+  req.report = report;
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll, user } = req;
 
-    if (!poll) {
-      return res.status(404).json({ message: 'Poll not found' });
-    }
+  if (poll.createdBy?.equals(user._id)) {
+    return res.status(400).json({ message: 'You cannot report your own poll' });
+  }
+
+  try {
+    const { report, error } = await Report.file({
+      ...req.report,
+      targetType: 'poll',
+      poll: poll._id,
+      author: poll.createdBy,
+      reportedBy: user._id
+    });
 
-    // Validate option index
-    if (typeof optionIndex !== 'number' ||
-        optionIndex < 0 ||
-        optionIndex >= poll.options.length) {
-      return res.status(400).json({ message: 'Invalid option index' });
+    if (error) {
+      return res.status(error.status).json({ code: error.code, message: error.message });
     }
 
-    // Increment vote count for selected option
-    poll.options[optionIndex].votes += 1;
-    await poll.save();
+    appLogger.contentReported(report._id, 'poll', poll._id, user._id);
 
-    res.json(poll);
+    res.status(201).json(report);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// ============================================================================
+// COMMENT ENDPOINTS
+// ============================================================================
+
+// Discussion threads on a poll
+router.use('/:id/comments', commentRoutes);
+
+// ============================================================================
+// OPTION SUGGESTION ENDPOINTS
+// ============================================================================
+
+// Options suggested by participants, and their review queue
+router.use('/:id/suggestions', suggestionRoutes);
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -0,0 +1,454 @@
+/**
+ * Option Suggestion Routes
+ *
+ * Handles options suggested by participants of brainstorming polls.
+ * Mounted by the poll routes under /api/polls/:id/suggestions, so every
+ * endpoint applies to the poll named in the URL and requires access to it.
+ *
+ * Features:
+ * - Suggest a new option on polls that accept suggestions, up to the poll's per-user cap
+ * - Duplicates of existing options and pending suggestions are turned away
+ * - Review queue for the poll's creator, organization admins and moderators
+ * - Approval appends the option to the poll; rejection closes the suggestion
+ * - Participants see the status of their own suggestions
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import OptionSuggestion, { MAX_SUGGESTION_LENGTH, SUGGESTION_STATUSES } from '../models/OptionSuggestion.js';
+import Vote from '../models/Vote.js';
+import protect from '../middleware/authMiddleware.js';
+import { loadPoll, requirePollAccess, requirePollOwnerOrModerator } from '../middleware/pollAccess.js';
+import { appLogger } from '../config/logger.js';
+import { publishPollUpdate } from '../services/pollEvents.js';
+import { normalizeWriteIn } from '../utils/ballots.js';
+import { isPollManager } from '../utils/results.js';
+
+// Create Express router, with access to the poll ID of the parent route
+const router = express.Router({ mergeParams: true });
+
+// Response for suggestions another manager reviewed first
+const ALREADY_REVIEWED = { code: 'SUGGESTION_REVIEWED', message: 'This suggestion has already been reviewed' };
+
+/**
+ * Check the text of a suggested option from the request
+ * @param {*} text - Option text from the request body
+ * @returns {string|null} - Error message, or null if the text is valid
+ */
+const getTextError = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'Suggested option text must be a non-empty string';
+  }
+
+  if (text.trim().length > MAX_SUGGESTION_LENGTH) {
+    return `Suggested options cannot be longer than ${MAX_SUGGESTION_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a poll already has an option with the given text,
+ * ignoring case and spacing
+ * @param {Object} poll - Poll document
+ * @param {string} textKey - Normalized option text (see normalizeWriteIn)
+ * @returns {boolean} - True if a matching option exists
+ */
+const hasOption = (poll, textKey) => poll.options.some(option => normalizeWriteIn(option.text) === textKey);
+
+/**
+ * Middleware that loads the suggestion named by the :suggestionId route
+ * parameter
+ * Responds with 404 unless it is a suggestion for the loaded poll,
+ * otherwise sets req.suggestion
+ * Must run after loadPoll
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadSuggestion = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.suggestionId)) {
+    return res.status(404).json({ message: 'Suggestion not found' });
+  }
+
+  try {
+    const suggestion = await OptionSuggestion.findOne({ _id: req.params.suggestionId, poll: req.poll._id });
+
+    if (!suggestion) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    req.suggestion = suggestion;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Middleware that only lets pending suggestions through, for reviews
+ * Must run after loadSuggestion
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requirePendingSuggestion = (req, res, next) => {
+  if (req.suggestion.status !== 'pending') {
+    return res.status(409).json({
+      code: 'SUGGESTION_REVIEWED',
+      message: `This suggestion has already been ${req.suggestion.status}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Mark a pending suggestion as reviewed
+ * The update only applies while the suggestion is still pending, so a
+ * suggestion reviewed concurrently by another manager is left alone
+ * @param {Object} suggestion - Suggestion document
+ * @param {Object} user - Reviewing manager
+ * @param {string} status - approved or rejected
+ * @returns {Promise<Object|null>} - Updated suggestion, or null if it was no longer pending
+ */
+const markReviewed = (suggestion, user, status) => OptionSuggestion.findOneAndUpdate(
+  { _id: suggestion._id, status: 'pending' },
+  { status, reviewedBy: user._id, reviewedAt: new Date() },
+  { new: true }
+);
+
+// ============================================================================
+// GET SUGGESTIONS ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/suggestions:
+ *   get:
+ *     summary: Get a poll's option suggestions
+ *     description: The poll's creator, organization admins, moderators and admins get the review queue (pending suggestions by default, oldest first). Other users get their own suggestions on the poll. The response also says whether the caller may review suggestions (canReview) and how many more options they may suggest (remaining).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Only list suggestions in this state (pending by default for reviewers, any state otherwise)
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully, as { suggestions, canReview, remaining }
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, (req, res, next) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !SUGGESTION_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${SUGGESTION_STATUSES.join(', ')}` });
+  }
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll, user } = req;
+  const canReview = poll.isInTenancyOf(user) && isPollManager(poll, user);
+
+  try {
+    const filter = canReview
+      ? { poll: poll._id, status: req.query.status || 'pending' }
+      : { poll: poll._id, suggestedBy: user._id, ...(req.query.status && { status: req.query.status }) };
+
+    const [suggestions, made] = await Promise.all([
+      OptionSuggestion.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('suggestedBy', 'username')
+        .populate('reviewedBy', 'username'),
+      OptionSuggestion.countDocuments({ poll: poll._id, suggestedBy: user._id })
+    ]);
+
+    res.json({
+      suggestions,
+      canReview,
+      remaining: poll.allowSuggestions ? Math.max(0, poll.maxSuggestionsPerUser - made) : 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// SUGGEST OPTION ENDPOINT
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/suggestions:
+ *   post:
+ *     summary: Suggest an option
+ *     description: Suggests a new option for a poll that accepts suggestions (authenticated users with access to the poll). The suggestion waits for approval by the poll's managers. Each user may make up to the poll's maxSuggestionsPerUser suggestions, rejected ones included.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Share code of an unlisted or private poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Suggestion submitted for review
+ *       400:
+ *         description: Invalid text
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: The poll does not accept suggestions (code SUGGESTIONS_DISABLED)
+ *       404:
+ *         description: Poll not found, or not accessible to the caller
+ *       409:
+ *         description: Poll is closed (POLL_CLOSED), the option already exists (OPTION_EXISTS) or is already awaiting review (SUGGESTION_EXISTS), or the caller has reached the per-user cap (SUGGESTION_LIMIT)
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, (req, res, next) => {
+  const error = getTextError(req.body.text);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  next();
+}, loadPoll, requirePollAccess, async (req, res) => {
+  const { poll, user } = req;
+  const text = req.body.text.trim();
+  const textKey = normalizeWriteIn(text);
+
+  const error = poll.getSuggestionError();
+  if (error) {
+    return res.status(error.status).json({ code: error.code, message: error.message });
+  }
+
+  if (hasOption(poll, textKey)) {
+    return res.status(409).json({ code: 'OPTION_EXISTS', message: 'The poll already has this option' });
+  }
+
+  try {
+    if (await OptionSuggestion.exists({ poll: poll._id, textKey, status: 'pending' })) {
+      return res.status(409).json({ code: 'SUGGESTION_EXISTS', message: 'This option has already been suggested' });
+    }
+
+    // Claim the author's next slot; a concurrent suggestion taking the same
+    // slot makes the insert fail, and the next free slot is tried instead
+    for (;;) {
+      const slot = await OptionSuggestion.countDocuments({ poll: poll._id, suggestedBy: user._id });
+
+      if (slot >= poll.maxSuggestionsPerUser) {
+        return res.status(409).json({
+          code: 'SUGGESTION_LIMIT',
+          message: `You can suggest at most ${poll.maxSuggestionsPerUser} options on this poll`
+        });
+      }
+
+      try {
+        const suggestion = await OptionSuggestion.create({ poll: poll._id, suggestedBy: user._id, slot, text });
+
+        appLogger.optionSuggested(suggestion._id, poll._id, user._id);
+
+        await suggestion.populate('suggestedBy', 'username');
+        return res.status(201).json(suggestion);
+      } catch (err) {
+        if (err.code !== 11000) {
+          throw err;
+        }
+      }
+    }
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// REVIEW SUGGESTION ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/polls/{id}/suggestions/{suggestionId}/approve:
+ *   post:
+ *     summary: Approve an option suggestion
+ *     description: Appends the suggested option to the poll and marks the suggestion approved, recording the reviewer and the option's index (poll creator, organization admins, moderators and admins). Existing votes are kept. Score polls that have votes cannot take new options, as their earlier ballots have no score for them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion approved; returns the suggestion
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll or suggestion not found
+ *       409:
+ *         description: Poll is closed (POLL_CLOSED), the poll is a score poll with votes (OPTIONS_LOCKED), the option already exists (OPTION_EXISTS), or the suggestion has already been reviewed (SUGGESTION_REVIEWED)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:suggestionId/approve', protect, loadPoll, requirePollOwnerOrModerator, loadSuggestion, requirePendingSuggestion, async (req, res) => {
+  const { poll, suggestion, user } = req;
+
+  if (poll.status === 'closed') {
+    return res.status(409).json({ code: 'POLL_CLOSED', message: 'Options cannot be added to closed polls' });
+  }
+
+  if (hasOption(poll, suggestion.textKey)) {
+    return res.status(409).json({ code: 'OPTION_EXISTS', message: 'The poll already has this option; reject the suggestion instead' });
+  }
+
+  try {
+    // Earlier score ballots have no score for a new option
+    if (poll.type === 'score' && await Vote.exists({ poll: poll._id })) {
+      return res.status(409).json({
+        code: 'OPTIONS_LOCKED',
+        message: 'Options cannot be added to score polls once votes have been cast; reject the suggestion instead'
+      });
+    }
+
+    const approved = await markReviewed(suggestion, user, 'approved');
+    if (!approved) {
+      return res.status(409).json(ALREADY_REVIEWED);
+    }
+
+    const { poll: updatedPoll, optionIndex } = await poll.appendOption(suggestion.text);
+
+    approved.optionIndex = optionIndex;
+    await approved.save();
+
+    appLogger.optionSuggestionReviewed(approved._id, poll._id, user._id, 'approved');
+    publishPollUpdate(updatedPoll);
+
+    await approved.populate([
+      { path: 'suggestedBy', select: 'username' },
+      { path: 'reviewedBy', select: 'username' }
+    ]);
+    res.json(approved);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/polls/{id}/suggestions/{suggestionId}/reject:
+ *   post:
+ *     summary: Reject an option suggestion
+ *     description: Marks the suggestion rejected, recording the reviewer (poll creator, organization admins, moderators and admins). Rejected suggestions still count towards their author's cap.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion rejected; returns the suggestion
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the poll creator or a moderator
+ *       404:
+ *         description: Poll or suggestion not found
+ *       409:
+ *         description: The suggestion has already been reviewed (SUGGESTION_REVIEWED)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:suggestionId/reject', protect, loadPoll, requirePollOwnerOrModerator, loadSuggestion, requirePendingSuggestion, async (req, res) => {
+  const { poll, suggestion, user } = req;
+
+  try {
+    const rejected = await markReviewed(suggestion, user, 'rejected');
+    if (!rejected) {
+      return res.status(409).json(ALREADY_REVIEWED);
+    }
+
+    appLogger.optionSuggestionReviewed(rejected._id, poll._id, user._id, 'rejected');
+
+    await rejected.populate([
+      { path: 'suggestedBy', select: 'username' },
+      { path: 'reviewedBy', select: 'username' }
+    ]);
+    res.json(rejected);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default router;
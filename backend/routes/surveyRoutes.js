@@ -0,0 +1,757 @@
+/**
+ * Survey Routes
+ *
+ * Handles multi-question survey endpoints: building surveys, answering them
+ * and reading their results.
+ *
+ * Features:
+ * - Create surveys with an ordered list of single choice, multiple choice,
+ *   rating and free-text questions, optionally within an organization
+ * - List the surveys within the caller's organizations, with cursor pagination
+ * - Submit a single response per user, holding the answers to every question
+ * - Edit surveys (questions lock once responses exist), close and delete them
+ * - Per-question results and per-respondent CSV/JSON exports (survey managers)
+ *
+ * Surveys of organizations the caller does not belong to are reported as
+ * not found. Survey managers are the creator, admins of the survey's
+ * organization, moderators and admins.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Survey from '../models/Survey.js';
+import SurveyResponse from '../models/SurveyResponse.js';
+import protect from '../middleware/authMiddleware.js';
+import { appLogger } from '../config/logger.js';
+import { getMembership, getOrganizationIds, isPlatformStaff } from '../utils/organizations.js';
+import { EXPORT_FORMATS } from '../utils/export.js';
+import {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildSortSpec
+} from '../utils/pagination.js';
+import {
+  parseSurveyQuestions,
+  parseSurveyAnswers,
+  summarizeSurvey,
+  surveyResponsesToCsv
+} from '../utils/surveys.js';
+
+// Create Express router
+const router = express.Router();
+
+// Page size limits for the survey list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort order of the survey list
+const LIST_SORT = { field: 'createdAt', order: -1, type: 'date' };
+
+/**
+ * Serialize a survey together with the caller's own response
+ * @param {Object} survey - Survey document
+ * @param {Object|null} response - The caller's SurveyResponse document, if any
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Plain survey object with myResponse (the caller's
+ *   answers, or null if not responded) and canManage fields
+ */
+const withUserResponse = (survey, response, user) => ({
+  ...survey.toObject(),
+  myResponse: response ? { answers: response.answers, submittedAt: response.createdAt } : null,
+  canManage: survey.isManagedBy(user)
+});
+
+/**
+ * Middleware that loads the survey named by the :id route parameter
+ * Responds with 404 if it does not exist or lies outside the caller's
+ * organizations, otherwise sets req.survey
+ * Must run after protect
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadSurvey = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Survey not found' });
+  }
+
+  try {
+    const survey = await Survey.findById(req.params.id).populate('createdBy', 'username');
+
+    if (!survey || !survey.isInTenancyOf(req.user)) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    req.survey = survey;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Middleware that only lets the survey's managers through
+ * Must run after protect and loadSurvey
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSurveyManager = (req, res, next) => {
+  if (!req.survey.isManagedBy(req.user)) {
+    return res.status(403).json({ message: 'Only the survey creator, organization admins and moderators can do this' });
+  }
+
+  next();
+};
+
+/**
+ * Validate an optional closing deadline from a request body
+ * @param {*} closesAt - Deadline from the request body (null clears it)
+ * @param {Date} now - Current time
+ * @returns {string|null} - Error message, or null if valid
+ */
+const getClosesAtError = (closesAt, now) => {
+  if (closesAt === undefined || closesAt === null) {
+    return null;
+  }
+
+  const date = new Date(closesAt);
+  if (isNaN(date)) {
+    return 'closesAt must be a valid date';
+  }
+
+  return date <= now ? 'closesAt must be in the future' : null;
+};
+
+// ============================================================================
+// LIST / CREATE SURVEY ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/surveys:
+ *   get:
+ *     summary: List surveys
+ *     description: Retrieves a page of surveys, newest first, using cursor-based pagination. Surveys outside any organization and those of the caller's organizations are listed; moderators and admins see every survey. Each survey includes whether the caller has responded as responded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of surveys per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned as nextCursor by the previous page
+ *     responses:
+ *       200:
+ *         description: Surveys retrieved successfully ({ surveys, nextCursor })
+ *       400:
+ *         description: Invalid pagination parameters
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), LIST_SORT);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    const filter = isPlatformStaff(req.user)
+      ? {}
+      : { organization: { $in: [null, ...getOrganizationIds(req.user)] } };
+    const query = cursor ? { $and: [filter, buildCursorFilter(LIST_SORT, cursor)] } : filter;
+
+    // Fetch one extra survey to find out whether another page exists
+    const surveys = await Survey.find(query)
+      .sort(buildSortSpec(LIST_SORT))
+      .limit(limit + 1)
+      .select('-questions')
+      .populate('createdBy', 'username')
+      .populate('organization', 'name slug');
+
+    const hasMore = surveys.length > limit;
+    const page = hasMore ? surveys.slice(0, limit) : surveys;
+
+    const responded = await SurveyResponse.distinct('survey', {
+      user: req.user._id,
+      survey: { $in: page.map(survey => survey._id) }
+    });
+    const respondedIds = new Set(responded.map(String));
+
+    res.json({
+      surveys: page.map(survey => ({ ...survey.toObject(), responded: respondedIds.has(String(survey._id)) })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], LIST_SORT) : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SurveyQuestion:
+ *       type: object
+ *       required:
+ *         - prompt
+ *       properties:
+ *         prompt:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [single, multiple, rating, text]
+ *           default: single
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Option texts (single and multiple choice questions, at least two)
+ *         required:
+ *           type: boolean
+ *           default: true
+ *         ratingMin:
+ *           type: integer
+ *           default: 1
+ *           description: Lowest rating (rating questions)
+ *         ratingMax:
+ *           type: integer
+ *           default: 5
+ *           description: Highest rating (rating questions, at most 11 ratings in the range)
+ * /api/surveys:
+ *   post:
+ *     summary: Create a survey
+ *     description: Creates a survey with an ordered list of questions of mixed types
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - questions
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/SurveyQuestion'
+ *               organization:
+ *                 type: string
+ *                 description: ID of an organization the creator belongs to; the survey is then only visible to its members. Cannot be changed after creation
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deadline after which responses are rejected
+ *     responses:
+ *       201:
+ *         description: Survey created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the organization
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, async (req, res) => {
+  const { title, description, organization, closesAt } = req.body;
+
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ message: 'Survey title is required' });
+  }
+
+  const { questions, error } = parseSurveyQuestions(req.body.questions);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const closesAtError = getClosesAtError(closesAt, new Date());
+  if (closesAtError) {
+    return res.status(400).json({ message: closesAtError });
+  }
+
+  if (organization !== undefined && organization !== null) {
+    if (!mongoose.isValidObjectId(organization)) {
+      return res.status(400).json({ message: 'Invalid organization ID' });
+    }
+    if (!getMembership(req.user, organization)) {
+      return res.status(403).json({ message: 'You are not a member of this organization' });
+    }
+  }
+
+  try {
+    const survey = await Survey.create({
+      title,
+      description,
+      questions,
+      createdBy: req.user._id,
+      organization: organization || undefined,
+      closesAt: closesAt || undefined
+    });
+
+    appLogger.surveyCreated(survey._id, req.user._id);
+
+    res.status(201).json(withUserResponse(survey, null, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// SINGLE SURVEY ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/surveys/{id}:
+ *   get:
+ *     summary: Get a survey
+ *     description: Retrieves a survey with its questions, the caller's own response as myResponse ({ answers, submittedAt }, or null) and whether the caller manages the survey as canManage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     responses:
+ *       200:
+ *         description: Survey retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Edit a survey
+ *     description: Changes a survey's title, description, deadline or questions (survey managers). Closed surveys cannot be edited, and the questions are locked once the first response has been submitted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SurveyQuestion'
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Survey updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a survey manager
+ *       404:
+ *         description: Survey not found
+ *       409:
+ *         description: Survey is closed (SURVEY_CLOSED), or its questions are locked by existing responses (QUESTIONS_LOCKED)
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a survey
+ *     description: Deletes a survey together with all its responses (survey managers)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     responses:
+ *       200:
+ *         description: Survey deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a survey manager
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, loadSurvey, async (req, res) => {
+  try {
+    const response = await SurveyResponse.findOne({ survey: req.survey._id, user: req.user._id });
+
+    res.json(withUserResponse(req.survey, response, req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.patch('/:id', protect, loadSurvey, requireSurveyManager, async (req, res) => {
+  const { survey } = req;
+  const { title, description, closesAt } = req.body;
+
+  if (survey.status === 'closed') {
+    return res.status(409).json({ code: 'SURVEY_CLOSED', message: 'Closed surveys cannot be edited' });
+  }
+
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return res.status(400).json({ message: 'Survey title cannot be empty' });
+  }
+
+  const closesAtError = getClosesAtError(closesAt, new Date());
+  if (closesAtError) {
+    return res.status(400).json({ message: closesAtError });
+  }
+
+  if (req.body.questions !== undefined) {
+    if (survey.responseCount > 0) {
+      return res.status(409).json({
+        code: 'QUESTIONS_LOCKED',
+        message: 'Questions cannot be changed once responses have been submitted'
+      });
+    }
+
+    const { questions, error } = parseSurveyQuestions(req.body.questions);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    survey.questions = questions;
+  }
+
+  if (title !== undefined) survey.title = title;
+  if (description !== undefined) survey.description = description;
+  if (closesAt !== undefined) survey.closesAt = closesAt || undefined;
+
+  try {
+    await survey.save();
+
+    res.json(withUserResponse(survey, null, req.user));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', protect, loadSurvey, requireSurveyManager, async (req, res) => {
+  const { survey } = req;
+
+  try {
+    await SurveyResponse.deleteMany({ survey: survey._id });
+    await survey.deleteOne();
+
+    appLogger.surveyDeleted(survey._id, req.user._id);
+
+    res.json({ message: 'Survey deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}/close:
+ *   post:
+ *     summary: Close a survey
+ *     description: Stops a survey from accepting further responses (survey managers)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     responses:
+ *       200:
+ *         description: Survey closed
+ *       400:
+ *         description: Survey is already closed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a survey manager
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/close', protect, loadSurvey, requireSurveyManager, async (req, res) => {
+  const { survey } = req;
+
+  if (survey.status === 'closed') {
+    return res.status(400).json({ message: 'Survey is already closed' });
+  }
+
+  try {
+    survey.status = 'closed';
+    survey.closedAt = new Date();
+    await survey.save();
+
+    res.json(withUserResponse(survey, null, req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ============================================================================
+// RESPONSE ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/surveys/{id}/responses:
+ *   post:
+ *     summary: Respond to a survey
+ *     description: Submits the caller's answers to every question of a survey as a single response. The response is recorded with all its answers or not at all, and each user can respond once. Required questions must be answered; optional ones may be left out. Choice questions are answered with choices (option indices; exactly one for single choice), rating questions with rating and free-text questions with text.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - question
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                       description: Question ID
+ *                     choices:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     rating:
+ *                       type: integer
+ *                     text:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Response recorded
+ *       400:
+ *         description: Invalid or incomplete answers
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Survey not found
+ *       409:
+ *         description: Survey is closed (SURVEY_CLOSED), or the caller has already responded
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/responses', protect, loadSurvey, async (req, res) => {
+  const { survey } = req;
+
+  const submissionError = survey.getSubmissionError();
+  if (submissionError) {
+    return res.status(409).json(submissionError);
+  }
+
+  const { answers, error } = parseSurveyAnswers(survey, req.body.answers);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    let response;
+    try {
+      // The unique survey/user index makes a second response fail as a whole
+      response = await SurveyResponse.create({ survey: survey._id, user: req.user._id, answers });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'You have already responded to this survey' });
+      }
+      throw err;
+    }
+
+    await Survey.updateOne({ _id: survey._id }, { $inc: { responseCount: 1 } });
+
+    appLogger.surveyResponded(survey._id, req.user._id);
+
+    res.status(201).json({ answers: response.answers, submittedAt: response.createdAt });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}/results:
+ *   get:
+ *     summary: Get survey results
+ *     description: Summarizes the responses question by question (survey managers). Choice questions report each option's count and its percentage of the question's respondents, rating questions their mean and a histogram, and free-text questions every answer.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *     responses:
+ *       200:
+ *         description: Results retrieved successfully ({ responses, questions })
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a survey manager
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/results', protect, loadSurvey, requireSurveyManager, async (req, res) => {
+  try {
+    const responses = await SurveyResponse.find({ survey: req.survey._id }).select('answers').lean();
+
+    res.json(summarizeSurvey(req.survey, responses));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/surveys/{id}/export:
+ *   get:
+ *     summary: Export survey responses
+ *     description: Downloads every response to a survey (survey managers). CSV exports have one row per respondent and one column per question, so answers to different questions can be correlated; JSON exports contain the survey's questions and the raw responses.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Survey ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: Export format
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a survey manager
+ *       404:
+ *         description: Survey not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/export', protect, loadSurvey, requireSurveyManager, async (req, res) => {
+  const format = req.query.format || 'csv';
+  const { survey } = req;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const responses = await SurveyResponse.find({ survey: survey._id })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username')
+      .lean();
+
+    res.attachment(`survey-${survey._id}.${format}`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(surveyResponsesToCsv(survey, responses));
+    }
+
+    res.json({
+      survey: survey.toObject(),
+      responses: responses.map(response => ({
+        id: String(response._id),
+        respondent: response.user?.username ?? null,
+        submittedAt: response.createdAt,
+        answers: response.answers
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -34,8 +34,14 @@ import rateLimit from 'express-rate-limit';
 import connectDB from './config/db.js';
 import authRoutes from './routes/authRoutes.js';
 import pollRoutes from './routes/pollRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
+import surveyRoutes from './routes/surveyRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
 import setupSwagger from './config/swagger.js';
-import logger, { morganStream, requestLogger } from './config/logger.js';
+import startPollScheduler from './services/pollScheduler.js';
+import logger, { morganStream, requestLogger, assignRequestId } from './config/logger.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -46,6 +52,9 @@ const app = express();
 // Connect to MongoDB database
 connectDB();
 
+// Open and close scheduled polls in the background
+startPollScheduler(Number(process.env.POLL_SCHEDULER_INTERVAL_MS) || undefined);
+
 // ============================================================================
 // MIDDLEWARE CONFIGURATION
 // ============================================================================
@@ -80,6 +89,9 @@ app.use(cors({
   credentials: true
 }));
 
+// Tag every request with an ID for the logs and the audit log
+app.use(assignRequestId);
+
 // HTTP request logging using Morgan
 app.use(morgan('combined', { stream: morganStream }));
 
@@ -110,19 +122,35 @@ const authLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Apply auth rate limiting to authentication routes
-app.use('/api/auth', authLimiter);
+// Apply auth rate limiting to the routes that check credentials; token
+// refreshes and logouts only fall under the general limit
+app.use(['/api/auth/login', '/api/auth/register', '/api/auth/reset-password'], authLimiter);
 
 // ============================================================================
 // API ROUTES
 // ============================================================================
 
-// Authentication routes (login, register, profile)
+// Authentication routes (login, register, token refresh, logout, profile)
 app.use('/api/auth', authRoutes);
 
 // Poll management routes (create, vote, list polls)
 app.use('/api/polls', pollRoutes);
 
+// Organization routes (team workspaces and their members)
+app.use('/api/organizations', organizationRoutes);
+
+// Survey routes (multi-question surveys and their responses)
+app.use('/api/surveys', surveyRoutes);
+
+// Moderation routes (report queue and moderator actions)
+app.use('/api/moderation', moderationRoutes);
+
+// Audit log routes (admin query, export and chain verification)
+app.use('/api/admin/audit', auditRoutes);
+
+// Admin routes (user management)
+app.use('/api/admin', adminRoutes);
+
 // Setup Swagger API documentation
 setupSwagger(app);
 
@@ -0,0 +1,48 @@
+/**
+ * Audit Log Service
+ *
+ * Records privileged and security-relevant actions in the audit log,
+ * taking the actor, IP address and request ID from the request.
+ *
+ * Recording never fails the request it belongs to: if the entry cannot be
+ * stored, the failure is written to the error log instead.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import AuditEntry from '../models/AuditEntry.js';
+import { appLogger } from '../config/logger.js';
+
+/**
+ * Record an action in the audit log
+ *
+ * @param {Object} req - Express request the action was made in
+ * @param {Object} entry - What happened
+ * @param {string} entry.action - Audited action (see AUDIT_ACTIONS)
+ * @param {Object} [entry.actor] - User who acted (defaults to req.user)
+ * @param {string} [entry.actorUsername] - Username when there is no actor (failed logins)
+ * @param {Object} [entry.target] - Record acted on ({ type, id, label })
+ * @param {*} [entry.before] - Values before the action
+ * @param {*} [entry.after] - Values after the action
+ * @returns {Promise<Object|null>} - The stored entry, or null if it could not be stored
+ */
+export const recordAudit = async (req, { action, actor = req.user, actorUsername, target = {}, before, after }) => {
+  try {
+    return await AuditEntry.append({
+      action,
+      actor: actor?._id,
+      actorUsername: actor?.username ?? actorUsername,
+      targetType: target.type,
+      targetId: target.id,
+      targetLabel: target.label,
+      before,
+      after,
+      ip: req.ip,
+      requestId: req.id
+    });
+  } catch (err) {
+    appLogger.databaseError(`audit:${action}`, err);
+    return null;
+  }
+};
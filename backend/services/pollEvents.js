@@ -0,0 +1,404 @@
+/**
+ * Poll Events
+ *
+ * Publishes live poll updates to clients over Server-Sent Events (SSE).
+ * Routes publish a poll whenever its tallies or status change; every open
+ * stream subscribed to that poll (or to the poll list feed) receives the
+ * new tallies straight away.
+ *
+ * Recent events are kept in memory so clients that reconnect with a
+ * Last-Event-ID header receive the updates they missed. Events live in
+ * this process only, so every API instance streams the updates it
+ * recorded itself.
+ *
+ * Tally events of polls whose results are not public yet record the
+ * poll's results visibility policy, and each stream strips the results
+ * from them unless its user may see them.
+ *
+ * Streams opened with a stream token belong to a session; they are closed
+ * when the session is revoked, so a logged-out device stops receiving
+ * updates straight away.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { buildResults, canSeeResults, hideResults } from '../utils/results.js';
+import logger from '../config/logger.js';
+
+// Number of recent events kept for clients resuming with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 500;
+
+// Interval between heartbeat comments that keep idle connections open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Delay the browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const emitter = new EventEmitter();
+
+// Every open stream is a listener, so lift the default limit of 10
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+const recentEvents = [];
+
+/**
+ * Build the live tally snapshot of a poll sent to stream subscribers
+ *
+ * @param {Object} poll - Poll document
+ * @returns {Object} - Poll ID, type, status, counters, computed results and,
+ *   once the poll has closed, its outcome
+ */
+export const buildPollSnapshot = (poll) => ({
+  _id: String(poll._id),
+  type: poll.type,
+  status: poll.status,
+  closedAt: poll.closedAt,
+  totalVotes: poll.totalVotes,
+  ...(poll.allowWriteIn && { writeInVotes: poll.writeInVotes }),
+  options: poll.options.map(option => ({
+    text: option.text,
+    votes: option.votes,
+    ...(option.scoreTotal !== undefined && { scoreTotal: option.scoreTotal })
+  })),
+  results: buildResults(poll),
+  ...(poll.outcome && { outcome: poll.outcome }),
+  resultsHidden: false
+});
+
+/**
+ * Get what stream subscribers need to know to decide who sees a poll's results
+ *
+ * @param {Object} poll - Poll document
+ * @returns {Object|null} - Results visibility, status, deadline, creator and
+ *   organization of the poll, or null if its results are public
+ */
+export const getResultsPolicy = (poll) => {
+  if (canSeeResults(poll, null)) {
+    return null;
+  }
+
+  return {
+    resultsVisibility: poll.resultsVisibility,
+    status: poll.status,
+    closesAt: poll.closesAt,
+    createdBy: poll.createdBy ? String(poll.createdBy._id ?? poll.createdBy) : null,
+    organization: poll.organization?._id ?? poll.organization ?? null
+  };
+};
+
+/**
+ * Check whether a poll appears in the public poll list: public polls
+ * (including those created before visibility existed) not hidden by a moderator
+ *
+ * @param {Object} poll - Poll document
+ * @returns {boolean} - True if the poll is listed
+ */
+export const isListed = (poll) => (!poll.visibility || poll.visibility === 'public') && !poll.hiddenAt;
+
+/**
+ * Record an event and deliver it to every open stream
+ *
+ * @param {string} type - SSE event name
+ * @param {string} pollId - Poll the event is about
+ * @param {Object} data - Event payload
+ * @param {Object} scope - Who may receive the event
+ * @param {boolean} scope.listed - Whether the poll appears in the public poll list
+ * @param {*} scope.organization - Organization the poll belongs to, if any
+ * @param {Object|null} scope.resultsPolicy - Results policy from getResultsPolicy,
+ *   for events carrying results that are not public
+ * @param {*} scope.voter - User whose vote triggered the event, if any
+ * @param {boolean} scope.voted - Whether that user has a vote on the poll afterwards
+ * @param {boolean} scope.hidden - Whether a moderator has hidden the poll
+ * @returns {Object} - The recorded event ({ id, type, pollId, listed, hidden,
+ *   organization, resultsPolicy, voter, voted, data })
+ */
+const publish = (type, pollId, data, {
+  listed = true,
+  hidden = false,
+  organization = null,
+  resultsPolicy = null,
+  voter = null,
+  voted = false
+} = {}) => {
+  lastEventId += 1;
+  const event = {
+    id: lastEventId,
+    type,
+    pollId: String(pollId),
+    listed,
+    hidden,
+    organization: organization ? String(organization) : null,
+    resultsPolicy,
+    voter: voter ? String(voter) : null,
+    voted,
+    data
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * Publish a poll's current tallies and status
+ *
+ * Updates caused by a vote name the voter, so streams of that user can
+ * start (or stop) showing the results of polls revealed after voting.
+ *
+ * @param {Object} poll - Poll document after the change
+ * @param {Object} vote - The vote that changed the tallies, if any
+ * @param {*} vote.voter - ID of the user who voted
+ * @param {boolean} vote.voted - Whether the user has a vote on the poll afterwards
+ * @returns {Object} - The recorded event
+ */
+export const publishPollUpdate = (poll, { voter = null, voted = false } = {}) => publish(
+  'tally',
+  poll._id,
+  buildPollSnapshot(poll),
+  {
+    listed: isListed(poll),
+    hidden: !!poll.hiddenAt,
+    organization: poll.organization?._id ?? poll.organization,
+    resultsPolicy: getResultsPolicy(poll),
+    voter,
+    voted
+  }
+);
+
+/**
+ * Publish that a moderator has hidden a poll
+ *
+ * The poll list feed drops the poll if it was listed, and viewers of the
+ * poll learn it is no longer available; later updates only reach its
+ * creator and staff.
+ *
+ * @param {Object} poll - Poll document after it was hidden
+ * @returns {Object} - The recorded event
+ */
+export const publishPollHidden = (poll) => publish(
+  'hidden',
+  poll._id,
+  { _id: String(poll._id) },
+  {
+    listed: isListed({ visibility: poll.visibility }),
+    organization: poll.organization?._id ?? poll.organization
+  }
+);
+
+/**
+ * Publish that a poll has been deleted
+ *
+ * Deletions reach the poll list feed only for polls it listed; other
+ * polls' deletions only reach the streams of the poll itself.
+ *
+ * @param {string} pollId - ID of the deleted poll
+ * @param {Object} scope - Who may receive the event
+ * @param {*} scope.organization - Organization the poll belonged to, if any
+ * @param {boolean} scope.listed - Whether the poll appeared in the public
+ *   poll list (see isListed)
+ * @returns {Object} - The recorded event
+ */
+export const publishPollDeleted = (pollId, { organization = null, listed = false } = {}) => publish(
+  'deleted',
+  pollId,
+  { _id: String(pollId) },
+  { organization, listed }
+);
+
+/**
+ * Close the open streams of revoked sessions
+ *
+ * Either names one session, or every session of a user except, optionally,
+ * the one that stays logged in. Anonymous streams are left open.
+ *
+ * @param {Object} revoked - Sessions whose streams are closed
+ * @param {*} revoked.sessionId - Revoked session
+ * @param {*} revoked.userId - User whose sessions were all revoked
+ * @param {*} revoked.exceptSessionId - Session of that user kept open
+ */
+export const closeStreams = ({ sessionId = null, userId = null, exceptSessionId = null }) => {
+  emitter.emit('revoked', {
+    sessionId: sessionId ? String(sessionId) : null,
+    userId: userId ? String(userId) : null,
+    exceptSessionId: exceptSessionId ? String(exceptSessionId) : null
+  });
+};
+
+/**
+ * Get the buffered events published after a given event ID
+ *
+ * @param {*} sinceId - ID of the last event the client received
+ * @returns {Array|null} - Missed events, oldest first, or null if they can no
+ *   longer be replayed (unknown ID or events already dropped from the buffer)
+ */
+export const getEventsSince = (sinceId) => {
+  const id = Number(sinceId);
+
+  if (!Number.isInteger(id) || id < 0 || id > lastEventId) {
+    return null;
+  }
+
+  const oldestId = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+  if (id < oldestId - 1) {
+    return null;
+  }
+
+  return recentEvents.filter(event => event.id > id);
+};
+
+/**
+ * Format an event in the SSE wire format
+ *
+ * @param {Object} event - Event with id, type and data
+ * @returns {string} - SSE message
+ */
+export const formatEvent = (event) => (
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+);
+
+/**
+ * Serve a Server-Sent Events stream of poll updates
+ *
+ * Clients resuming with a Last-Event-ID header (or lastEventId query
+ * parameter) receive the events they missed. Other clients receive a
+ * "ready" event, preceded by a snapshot of the current tallies, and a
+ * "resync" event when the missed events are no longer buffered so they
+ * know to reload. Live events are then forwarded until the client
+ * disconnects, with a heartbeat comment sent periodically so proxies do
+ * not close idle connections.
+ *
+ * Results the stream's user may not see yet are stripped from tally
+ * events. The user's votes are tracked as they are published, so polls
+ * that reveal their results after voting are shown once the user votes.
+ * The stream ends when its session is revoked (see closeStreams).
+ *
+ * @param {Object} req - Express request (req.user and req.sessionId are the
+ *   stream's user and session, if any)
+ * @param {Object} res - Express response
+ * @param {Object} stream - Stream settings
+ * @param {Function} stream.filter - Receives an event, returns true to forward it
+ * @param {Function} stream.getSnapshot - Resolves to the polls whose tallies are sent to new subscribers
+ * @param {Array} stream.votedPollIds - IDs of the streamed polls the user had voted on when connecting
+ */
+export const streamPollEvents = async (req, res, { filter, getSnapshot, votedPollIds = [] }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Compression buffers output, so every message is flushed explicitly.
+  // Nothing is written once the stream has been ended.
+  const write = (chunk) => {
+    if (res.writableEnded) return;
+
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  const userId = req.user ? String(req.user._id) : null;
+  const voted = new Set(votedPollIds.map(String));
+
+  // Send an event, without the results if the user may not see them yet
+  const send = (event) => {
+    if (userId && event.voter === userId) {
+      if (event.voted) {
+        voted.add(event.pollId);
+      } else {
+        voted.delete(event.pollId);
+      }
+    }
+
+    if (event.resultsPolicy && !canSeeResults(event.resultsPolicy, req.user, voted.has(event.pollId))) {
+      return write(formatEvent({ ...event, data: hideResults(event.data) }));
+    }
+
+    write(formatEvent(event));
+  };
+
+  // Live events published while the snapshot loads are queued and sent
+  // after it, so none are lost or delivered out of order
+  let pending = [];
+  const onEvent = (event) => {
+    if (!filter(event)) return;
+
+    if (pending) {
+      pending.push(event);
+    } else {
+      send(event);
+    }
+  };
+  emitter.on('event', onEvent);
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    emitter.off('event', onEvent);
+    emitter.off('revoked', onRevoked);
+  };
+
+  // End the stream once its session has been revoked
+  const sessionId = req.sessionId ? String(req.sessionId) : null;
+  const onRevoked = (revoked) => {
+    if (!sessionId) return;
+
+    const ended = revoked.sessionId
+      ? revoked.sessionId === sessionId
+      : revoked.userId === userId && revoked.exceptSessionId !== sessionId;
+
+    if (ended) {
+      stop();
+      res.end();
+    }
+  };
+  emitter.on('revoked', onRevoked);
+
+  req.on('close', stop);
+
+  write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Snapshot events carry the ID of the latest event already reflected in
+  // the database, so a client reconnecting later resumes from there
+  const snapshotId = lastEventId;
+  const resumeFrom = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const missed = resumeFrom !== undefined ? getEventsSince(resumeFrom) : null;
+
+  try {
+    if (missed) {
+      missed.filter(filter).forEach(send);
+    } else {
+      const polls = await getSnapshot();
+
+      polls.forEach(poll => send({
+        id: snapshotId,
+        type: 'tally',
+        pollId: String(poll._id),
+        resultsPolicy: getResultsPolicy(poll),
+        data: buildPollSnapshot(poll)
+      }));
+
+      const type = resumeFrom !== undefined ? 'resync' : 'ready';
+      write(formatEvent({ id: snapshotId, type, data: {} }));
+    }
+
+    pending.forEach(send);
+    pending = null;
+  } catch (err) {
+    logger.error('Poll event stream failed', {
+      type: 'stream',
+      event: 'poll_stream_failed',
+      error: err.message
+    });
+    res.end();
+  }
+};
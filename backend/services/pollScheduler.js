@@ -0,0 +1,114 @@
+/**
+ * Poll Scheduler
+ *
+ * Background job that drives the poll lifecycle. Draft polls with an
+ * opensAt time are opened once that time is reached, and open polls are
+ * closed (with their final tallies written) once their closesAt deadline
+ * has passed.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import Poll from '../models/Poll.js';
+import logger, { appLogger } from '../config/logger.js';
+import { publishPollUpdate } from './pollEvents.js';
+
+// Default interval between scheduler runs
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Log a poll that could not be moved to its scheduled status
+ *
+ * @param {Object} poll - Poll document
+ * @param {string} transition - Transition that failed ('open' or 'close')
+ * @param {Error} err - Error thrown by the transition
+ */
+const logTransitionFailure = (poll, transition, err) => {
+  logger.error('Poll scheduler could not update a poll', {
+    type: 'scheduler',
+    event: 'poll_transition_failed',
+    pollId: poll._id,
+    transition,
+    error: err.message,
+    stack: err.stack
+  });
+};
+
+/**
+ * Open and close all polls whose scheduled times have been reached
+ *
+ * @param {Date} now - Point in time to evaluate the schedule against
+ * @returns {Promise<Object>} - Number of polls opened and closed
+ */
+export const runPollLifecycle = async (now = new Date()) => {
+  let opened = 0;
+  let closed = 0;
+
+  // Open scheduled drafts
+  const dueToOpen = await Poll.find({ status: 'draft', opensAt: { $lte: now } });
+
+  for (const poll of dueToOpen) {
+    try {
+      poll.status = 'open';
+      await poll.save();
+      appLogger.pollStatusChanged(poll._id, 'draft', 'open');
+      publishPollUpdate(poll);
+      opened++;
+    } catch (err) {
+      // One failing poll must not hold back the rest of the batch
+      logTransitionFailure(poll, 'open', err);
+    }
+  }
+
+  // Close polls past their deadline, including drafts that never opened
+  const dueToClose = await Poll.find({
+    status: { $in: ['draft', 'open'] },
+    closesAt: { $lte: now }
+  });
+
+  for (const poll of dueToClose) {
+    try {
+      const previousStatus = poll.status;
+      await poll.closePoll(now);
+      appLogger.pollStatusChanged(poll._id, previousStatus, 'closed');
+      appLogger.pollOutcomeDecided(poll._id, poll.outcome.result, poll.outcome.winner);
+      publishPollUpdate(poll);
+      closed++;
+    } catch (err) {
+      logTransitionFailure(poll, 'close', err);
+    }
+  }
+
+  return { opened, closed };
+};
+
+/**
+ * Start running the poll lifecycle on a fixed interval
+ *
+ * @param {number} intervalMs - Milliseconds between runs
+ * @returns {Object} - Interval handle, which can be passed to clearInterval
+ */
+export const startPollScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = async () => {
+    try {
+      await runPollLifecycle();
+    } catch (err) {
+      logger.error('Poll scheduler run failed', {
+        type: 'scheduler',
+        event: 'poll_scheduler_failed',
+        error: err.message,
+        stack: err.stack
+      });
+    }
+  };
+
+  const handle = setInterval(run, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  handle.unref();
+
+  return handle;
+};
+
+export default startPollScheduler;
@@ -0,0 +1,113 @@
+/**
+ * Vote Analytics Utilities
+ *
+ * Turns the per-bucket vote counts aggregated from the Vote ledger into a
+ * poll's voting time series: votes per option and bucket, cumulative
+ * curves, time to first vote and the busiest periods.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+// Supported bucket sizes and their length in milliseconds (UTC buckets)
+export const ANALYTICS_INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Most buckets a single time series may span
+export const MAX_BUCKETS = 1440;
+
+// Number of busiest buckets reported as peak periods
+const PEAK_COUNT = 3;
+
+/**
+ * Build a poll's voting time series
+ *
+ * Buckets run from the first to the last bucket with votes, with empty
+ * buckets in between filled in so the curves can be drawn directly.
+ * Time to first vote is measured from the poll's opening time, or its
+ * creation if it opened on creation.
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @param {Object} counts - Result of Vote.countOverTime
+ * @param {string} interval - Bucket size (a key of ANALYTICS_INTERVALS)
+ * @returns {Object} - { series } with { interval, firstVoteAt, lastVoteAt,
+ *   timeToFirstVoteMs, totalBallots, buckets: [{ start, ballots, votes,
+ *   cumulativeBallots, cumulativeVotes }], peaks: [{ start, ballots }] },
+ *   or { error } with a message if the series would be too long
+ */
+export const buildVoteTimeSeries = (poll, counts, interval) => {
+  const step = ANALYTICS_INTERVALS[interval];
+  const optionCount = poll.options.length;
+
+  const series = {
+    interval,
+    firstVoteAt: counts.firstVoteAt,
+    lastVoteAt: counts.lastVoteAt,
+    timeToFirstVoteMs: null,
+    totalBallots: 0,
+    buckets: [],
+    peaks: []
+  };
+
+  if (counts.ballots.length === 0) {
+    return { series };
+  }
+
+  const first = new Date(counts.ballots[0].bucket).getTime();
+  const last = new Date(counts.ballots[counts.ballots.length - 1].bucket).getTime();
+  const bucketCount = Math.round((last - first) / step) + 1;
+
+  if (bucketCount > MAX_BUCKETS) {
+    return { error: `The votes span more than ${MAX_BUCKETS} ${interval} buckets; choose a longer interval` };
+  }
+
+  // Empty buckets from the first to the last bucket with votes
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    start: new Date(first + index * step),
+    ballots: 0,
+    votes: new Array(optionCount).fill(0)
+  }));
+  const bucketAt = (date) => buckets[Math.round((new Date(date).getTime() - first) / step)];
+
+  counts.ballots.forEach(({ bucket, ballots }) => {
+    bucketAt(bucket).ballots = ballots;
+  });
+  counts.options.forEach(({ bucket, option, votes }) => {
+    // Write-in answers have no option to count towards
+    if (Number.isInteger(option) && option >= 0 && option < optionCount) {
+      bucketAt(bucket).votes[option] = votes;
+    }
+  });
+
+  // Running totals for the cumulative curves
+  let cumulativeBallots = 0;
+  const cumulativeVotes = new Array(optionCount).fill(0);
+
+  buckets.forEach(bucket => {
+    cumulativeBallots += bucket.ballots;
+    bucket.votes.forEach((votes, option) => {
+      cumulativeVotes[option] += votes;
+    });
+
+    bucket.cumulativeBallots = cumulativeBallots;
+    bucket.cumulativeVotes = [...cumulativeVotes];
+  });
+
+  const openedAt = new Date(poll.opensAt ?? poll.createdAt);
+
+  series.timeToFirstVoteMs = Math.max(0, new Date(counts.firstVoteAt) - openedAt);
+  series.totalBallots = cumulativeBallots;
+  series.buckets = buckets;
+
+  // Busiest buckets first; equally busy buckets in time order
+  series.peaks = buckets
+    .filter(bucket => bucket.ballots > 0)
+    .sort((a, b) => b.ballots - a.ballots || a.start - b.start)
+    .slice(0, PEAK_COUNT)
+    .map(({ start, ballots }) => ({ start, ballots }));
+
+  return { series };
+};
@@ -0,0 +1,163 @@
+/**
+ * Audit Log Utilities
+ *
+ * Hash chaining of audit entries, verification of the chain, query
+ * parameter validation and CSV export for the audit log.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { escapeCsvValue } from './export.js';
+
+// prevHash of the first entry in the chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Convert a value to a JSON-compatible form with a fixed key order, so the
+ * same contents always hash the same way, before and after a round trip
+ * through MongoDB (ObjectIds become strings, dates ISO strings, and null and
+ * undefined object fields are left out)
+ *
+ * @param {*} value - Value to convert
+ * @returns {*} - Canonical JSON-compatible value
+ */
+export const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => value[key] !== null && value[key] !== undefined)
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: canonicalize(value[key]) }), {});
+  }
+  return value;
+};
+
+/**
+ * Hash an audit entry's contents together with the previous entry's hash
+ *
+ * @param {Object} record - Entry contents (see AuditEntry#toChainRecord)
+ * @param {string} prevHash - Hash of the previous entry
+ * @returns {string} - Hex SHA-256 digest
+ */
+export const hashAuditEntry = (record, prevHash) => crypto
+  .createHash('sha256')
+  .update(`${prevHash}\n${JSON.stringify(canonicalize(record))}`)
+  .digest('hex');
+
+/**
+ * Check an audit entry against the entry before it in the chain
+ *
+ * @param {Object} entry - Audit entry document
+ * @param {Object|null} previous - Previous entry ({ seq, hash }), or null for the first
+ * @returns {string|null} - What is wrong with the entry, or null if it is intact
+ */
+export const findChainProblem = (entry, previous) => {
+  const expectedSeq = previous ? previous.seq + 1 : 1;
+  if (entry.seq !== expectedSeq) {
+    return `Expected entry ${expectedSeq}, found entry ${entry.seq}`;
+  }
+
+  if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+    return 'Does not link to the previous entry';
+  }
+
+  if (entry.hash !== hashAuditEntry(entry.toChainRecord(), entry.prevHash)) {
+    return 'Contents do not match the entry hash';
+  }
+
+  return null;
+};
+
+/**
+ * Build the audit log filter from query parameters
+ *
+ * @param {Object} query - Query parameters ({ actor, action, targetType, targetId, from, to })
+ * @param {Object} allowed - Valid values ({ actions, targetTypes })
+ * @returns {Object} - { filter } when valid, otherwise { error } with a message
+ */
+export const buildAuditFilter = (query, { actions, targetTypes }) => {
+  const { actor, action, targetType, targetId, from, to } = query;
+  const filter = {};
+
+  for (const [field, value] of [['actor', actor], ['targetId', targetId]]) {
+    if (value !== undefined) {
+      if (!mongoose.isValidObjectId(value)) {
+        return { error: `${field} must be a valid ID` };
+      }
+      filter[field] = new mongoose.Types.ObjectId(String(value));
+    }
+  }
+
+  if (action !== undefined) {
+    if (!actions.includes(action)) {
+      return { error: `action must be one of: ${actions.join(', ')}` };
+    }
+    filter.action = action;
+  }
+
+  if (targetType !== undefined) {
+    if (!targetTypes.includes(targetType)) {
+      return { error: `targetType must be one of: ${targetTypes.join(', ')}` };
+    }
+    filter.targetType = targetType;
+  }
+
+  for (const [bound, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+    if (value !== undefined) {
+      const date = new Date(String(value));
+      if (isNaN(date)) {
+        return { error: `${bound} must be a valid date` };
+      }
+      filter.createdAt = { ...filter.createdAt, [operator]: date };
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Write audit entries as CSV, one row per entry
+ * Before and after values are written as JSON
+ *
+ * @param {Object[]} entries - Audit entry documents
+ * @returns {string} - CSV document with a header row
+ */
+export const auditEntriesToCsv = (entries) => {
+  const header = [
+    'seq', 'createdAt', 'action', 'actorId', 'actorUsername', 'targetType', 'targetId', 'targetLabel',
+    'before', 'after', 'ip', 'requestId', 'prevHash', 'hash'
+  ];
+
+  const rows = entries.map(entry => [
+    entry.seq,
+    entry.createdAt?.toISOString(),
+    entry.action,
+    entry.actor?.toString(),
+    entry.actorUsername,
+    entry.targetType,
+    entry.targetId?.toString(),
+    entry.targetLabel,
+    entry.before === undefined ? undefined : JSON.stringify(canonicalize(entry.before)),
+    entry.after === undefined ? undefined : JSON.stringify(canonicalize(entry.after)),
+    entry.ip,
+    entry.requestId,
+    entry.prevHash,
+    entry.hash
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\n');
+};
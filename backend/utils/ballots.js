@@ -0,0 +1,336 @@
+/**
+ * Ballot Utilities
+ *
+ * Validates ballots for each poll type and translates them into updates of
+ * a poll's cached option counters. A ballot is the type-specific part of a
+ * Vote document:
+ * - single: { optionIndex } - one chosen option, or { writeIn, writeInKey } -
+ *   a write-in "Other" answer on polls that accept them
+ * - ranked: { rankings } - option indices in order of preference
+ * - approval: { selections } - every option the voter approves of
+ * - score: { scores } - a score for every option, indexed like the options
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+// Supported poll types
+export const POLL_TYPES = ['single', 'ranked', 'approval', 'score'];
+
+// Longest write-in answer accepted, in characters
+export const MAX_WRITE_IN_LENGTH = 100;
+
+// Vote document fields that hold the ballot for each poll type
+const BALLOT_FIELDS = {
+  single: 'optionIndex',
+  ranked: 'rankings',
+  approval: 'selections',
+  score: 'scores'
+};
+
+/**
+ * Check whether a value is a valid option index of a poll
+ *
+ * @param {Object} poll - Poll document
+ * @param {*} index - Value to check
+ * @returns {boolean} - True if the value indexes an existing option
+ */
+const isOptionIndex = (poll, index) => (
+  Number.isInteger(index) && index >= 0 && index < poll.options.length
+);
+
+/**
+ * Check whether a value is a list of distinct option indices of a poll
+ *
+ * @param {Object} poll - Poll document
+ * @param {*} list - Value to check
+ * @returns {boolean} - True if the value is an array of distinct option indices
+ */
+const isOptionIndexList = (poll, list) => (
+  Array.isArray(list) &&
+  list.every(index => isOptionIndex(poll, index)) &&
+  new Set(list).size === list.length
+);
+
+/**
+ * Normalize a write-in answer so spelling variants are grouped together
+ * Differences in case, Unicode form and whitespace are ignored
+ *
+ * @param {string} text - Write-in text
+ * @returns {string} - Normalized key
+ */
+export const normalizeWriteIn = (text) => String(text)
+  .normalize('NFKC')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+/**
+ * Validate a write-in answer to a single-choice poll
+ * A write-in matching an existing option is counted as a vote for that option
+ *
+ * @param {Object} poll - Poll being voted on
+ * @param {*} writeIn - Write-in text from the request body
+ * @returns {Object} - { ballot } when valid, otherwise { error } with a message
+ */
+const parseWriteIn = (poll, writeIn) => {
+  if (!poll.allowWriteIn) {
+    return { error: 'This poll does not accept write-in answers' };
+  }
+
+  const text = typeof writeIn === 'string' ? writeIn.trim().replace(/\s+/g, ' ') : '';
+
+  if (!text) {
+    return { error: 'Write-in answers must be non-empty text' };
+  }
+  if (text.length > MAX_WRITE_IN_LENGTH) {
+    return { error: `Write-in answers can be at most ${MAX_WRITE_IN_LENGTH} characters` };
+  }
+
+  const writeInKey = normalizeWriteIn(text);
+  const optionIndex = poll.options.findIndex(option => normalizeWriteIn(option.text) === writeInKey);
+
+  return optionIndex === -1
+    ? { ballot: { writeIn: text, writeInKey } }
+    : { ballot: { optionIndex } };
+};
+
+/**
+ * Get the selection limits of an approval poll
+ *
+ * @param {Object} poll - Poll document
+ * @returns {Object} - { min, max } number of options a voter may select
+ */
+export const getSelectionLimits = (poll) => ({
+  min: poll.minSelections ?? 1,
+  max: poll.maxSelections ?? poll.options.length
+});
+
+/**
+ * Get the score range of a score poll
+ *
+ * @param {Object} poll - Poll document
+ * @returns {Object} - { min, max } lowest and highest allowed score
+ */
+export const getScoreRange = (poll) => ({
+  min: poll.scoreMin ?? 1,
+  max: poll.scoreMax ?? 5
+});
+
+/**
+ * Validate a ballot submitted in a request body
+ *
+ * @param {Object} poll - Poll being voted on
+ * @param {Object} body - Request body
+ * @returns {Object} - { ballot } when valid, otherwise { error } with a message
+ */
+export const parseBallot = (poll, body) => {
+  if (poll.type === 'ranked') {
+    const { rankings } = body;
+
+    if (!isOptionIndexList(poll, rankings) || rankings.length === 0) {
+      return { error: 'Rankings must be a non-empty list of distinct option indices' };
+    }
+
+    return { ballot: { rankings } };
+  }
+
+  if (poll.type === 'approval') {
+    const { selections } = body;
+    const { min, max } = getSelectionLimits(poll);
+
+    if (!isOptionIndexList(poll, selections)) {
+      return { error: 'Selections must be a list of distinct option indices' };
+    }
+
+    if (selections.length < min || selections.length > max) {
+      return {
+        error: min === max
+          ? `Select exactly ${min} option${min === 1 ? '' : 's'}`
+          : `Select between ${min} and ${max} options`
+      };
+    }
+
+    // Store selections in option order so identical ballots compare equal
+    return { ballot: { selections: [...selections].sort((a, b) => a - b) } };
+  }
+
+  if (poll.type === 'score') {
+    const { scores } = body;
+    const { min, max } = getScoreRange(poll);
+
+    if (!Array.isArray(scores) || scores.length !== poll.options.length) {
+      return { error: 'Scores must contain one score for every option' };
+    }
+
+    if (!scores.every(score => Number.isInteger(score) && score >= min && score <= max)) {
+      return { error: `Each score must be a whole number between ${min} and ${max}` };
+    }
+
+    return { ballot: { scores } };
+  }
+
+  const { optionIndex, writeIn } = body;
+
+  if (writeIn !== undefined) {
+    if (optionIndex !== undefined) {
+      return { error: 'Choose an option or write in an answer, not both' };
+    }
+    return parseWriteIn(poll, writeIn);
+  }
+
+  if (!isOptionIndex(poll, optionIndex)) {
+    return { error: 'Invalid option index' };
+  }
+
+  return { ballot: { optionIndex } };
+};
+
+/**
+ * Extract the ballot from a Vote document
+ *
+ * @param {string} type - Poll type
+ * @param {Object} vote - Vote document
+ * @returns {Object} - Ballot object
+ */
+export const getBallot = (type, vote) => {
+  if ((type || 'single') === 'single' && vote.writeInKey) {
+    return { writeIn: vote.writeIn, writeInKey: vote.writeInKey };
+  }
+
+  const field = BALLOT_FIELDS[type] || BALLOT_FIELDS.single;
+  const value = vote[field];
+
+  return { [field]: Array.isArray(value) ? [...value] : value };
+};
+
+/**
+ * Get the value reported to a voter as their own vote
+ * (the option index for single-choice polls, or the text of a write-in
+ * answer; the ranking for ranked polls; the selected option indices for
+ * approval polls; the scores for score polls)
+ *
+ * @param {string} type - Poll type
+ * @param {Object|null} vote - Vote document, if any
+ * @returns {*} - The voter's ballot value, or null if they have not voted
+ */
+export const getVoteValue = (type, vote) => {
+  if (!vote) {
+    return null;
+  }
+
+  return Object.values(getBallot(type, vote))[0];
+};
+
+/**
+ * Check whether two ballots are identical
+ *
+ * @param {Object} a - First ballot
+ * @param {Object} b - Second ballot
+ * @returns {boolean} - True if both ballots hold the same choices
+ */
+export const isSameBallot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * List the options whose cached counter a ballot contributes to
+ * Ranked ballots count towards their first preference only, approval
+ * ballots towards every selected option and score ballots towards every
+ * option they rate
+ *
+ * @param {string} type - Poll type
+ * @param {Object} ballot - Ballot object
+ * @returns {number[]} - Option indices, one per counted vote
+ */
+export const getCountedOptions = (type, ballot) => {
+  if (type === 'ranked') {
+    return ballot.rankings.slice(0, 1);
+  }
+
+  if (type === 'approval') {
+    return ballot.selections;
+  }
+
+  if (type === 'score') {
+    return ballot.scores.map((_, index) => index);
+  }
+
+  // Write-in answers count towards the poll's write-in counter instead
+  return ballot.writeInKey ? [] : [ballot.optionIndex];
+};
+
+/**
+ * List the cached counters a ballot adds to, with the amount for each
+ * Score ballots also add to each option's score total and histogram bucket,
+ * and write-in answers to the poll's write-in counter
+ *
+ * @param {Object} poll - Poll the ballot belongs to
+ * @param {Object} ballot - Ballot object
+ * @returns {Array<[string, number]>} - Pairs of counter path and amount
+ */
+const getCounterIncrements = (poll, ballot) => {
+  const increments = getCountedOptions(poll.type, ballot)
+    .map(index => [`options.${index}.votes`, 1]);
+
+  if (poll.type === 'score') {
+    const { min } = getScoreRange(poll);
+
+    ballot.scores.forEach((score, index) => {
+      increments.push([`options.${index}.scoreTotal`, score]);
+      increments.push([`options.${index}.histogram.${score - min}`, 1]);
+    });
+  }
+
+  if (ballot.writeInKey) {
+    increments.push(['writeInVotes', 1]);
+  }
+
+  return increments;
+};
+
+/**
+ * Build the MongoDB $inc update that replaces one ballot with another
+ *
+ * @param {Object} poll - Poll the ballots belong to
+ * @param {Object|null} removed - Ballot being removed, if any
+ * @param {Object|null} added - Ballot being added, if any
+ * @returns {Object} - MongoDB update document
+ */
+export const buildCounterUpdate = (poll, removed, added) => {
+  const inc = {};
+  const adjust = (key, amount) => {
+    inc[key] = (inc[key] || 0) + amount;
+  };
+
+  if (removed) {
+    getCounterIncrements(poll, removed).forEach(([key, amount]) => adjust(key, -amount));
+    adjust('totalVotes', -1);
+  }
+
+  if (added) {
+    getCounterIncrements(poll, added).forEach(([key, amount]) => adjust(key, amount));
+    adjust('totalVotes', 1);
+  }
+
+  // Leave out counters whose changes cancel out
+  return {
+    $inc: Object.fromEntries(Object.entries(inc).filter(([, amount]) => amount !== 0))
+  };
+};
+
+/**
+ * Build the MongoDB update that replaces a vote's ballot with another
+ * Ballot fields the new ballot does not use (such as the write-in text when
+ * switching to a listed option) are removed
+ *
+ * @param {Object} previous - Ballot being replaced
+ * @param {Object} next - New ballot
+ * @returns {Object} - MongoDB update document
+ */
+export const buildBallotUpdate = (previous, next) => {
+  const cleared = Object.keys(previous).filter(field => !(field in next));
+
+  return {
+    $set: next,
+    ...(cleared.length > 0 && { $unset: Object.fromEntries(cleared.map(field => [field, 1])) })
+  };
+};
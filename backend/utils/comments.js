@@ -0,0 +1,39 @@
+/**
+ * Comment Thread Utilities
+ *
+ * Assembles the flat list of comments loaded for a page of threads into
+ * nested reply trees.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+/**
+ * Nest replies under the comments they answer
+ *
+ * Replies are attached to their parent in the order given, so passing them
+ * oldest first keeps every reply list in chronological order. Deleted
+ * comments that have no remaining replies are left out, as there is
+ * nothing left to show for them.
+ *
+ * @param {Object[]} roots - Top-level comments (plain objects)
+ * @param {Object[]} replies - Replies in those threads (plain objects)
+ * @returns {Object[]} - Top-level comments, each with a nested replies array
+ */
+export const buildThreads = (roots, replies) => {
+  const byId = new Map();
+
+  [...roots, ...replies].forEach(comment => {
+    byId.set(String(comment._id), { ...comment, replies: [] });
+  });
+
+  replies.forEach(reply => {
+    byId.get(String(reply.parent))?.replies.push(byId.get(String(reply._id)));
+  });
+
+  const prune = (comments) => comments
+    .map(comment => ({ ...comment, replies: prune(comment.replies) }))
+    .filter(comment => !comment.deleted || comment.replies.length > 0);
+
+  return prune(roots.map(root => byId.get(String(root._id))));
+};
@@ -0,0 +1,139 @@
+/**
+ * Poll Export Utilities
+ *
+ * Turns polls into export records (poll metadata, timestamps, totals and
+ * per-option results) and writes them as CSV for spreadsheets. JSON
+ * exports use the records as they are.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { buildResults } from './results.js';
+
+// Supported export formats
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// CSV columns: poll metadata repeated on one row per option
+const CSV_COLUMNS = [
+  'poll_id',
+  'question',
+  'type',
+  'status',
+  'created_by',
+  'created_at',
+  'opens_at',
+  'closes_at',
+  'closed_at',
+  'total_votes',
+  'voters',
+  'option_index',
+  'option_text',
+  'votes',
+  'percentage',
+  'mean_score',
+  'median_score',
+  'exported_at'
+];
+
+/**
+ * Format an optional date as an ISO 8601 timestamp
+ *
+ * @param {Date|string|undefined} date - Date to format
+ * @returns {string|null} - ISO timestamp, or null if there is no date
+ */
+const toTimestamp = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Build the export record of a poll
+ *
+ * @param {Object} poll - Poll document, with createdBy populated where possible
+ * @param {Object} extras - Additional results to include
+ * @param {Object} extras.runoff - Instant-runoff tally of a ranked poll
+ * @param {Date} exportedAt - Time of the export
+ * @returns {Object} - Poll metadata, timestamps, totals, per-option results and,
+ *   for closed polls, the outcome
+ */
+export const buildPollExport = (poll, { runoff } = {}, exportedAt = new Date()) => {
+  const results = buildResults(poll);
+
+  return {
+    id: String(poll._id),
+    question: poll.question,
+    type: poll.type || 'single',
+    status: poll.status,
+    createdBy: poll.createdBy?.username ?? (poll.createdBy ? String(poll.createdBy) : null),
+    allowVoteChange: poll.allowVoteChange,
+    createdAt: toTimestamp(poll.createdAt),
+    updatedAt: toTimestamp(poll.updatedAt),
+    opensAt: toTimestamp(poll.opensAt),
+    closesAt: toTimestamp(poll.closesAt),
+    closedAt: toTimestamp(poll.closedAt),
+    exportedAt: exportedAt.toISOString(),
+    totalVotes: results.totalVotes ?? poll.totalVotes,
+    voters: results.voters,
+    ...(results.scoreMin !== undefined && { scoreMin: results.scoreMin, scoreMax: results.scoreMax }),
+    options: results.options,
+    ...(results.writeIns && { writeIns: results.writeIns }),
+    ...(runoff && { runoff }),
+    ...(poll.outcome?.result && { outcome: poll.outcome })
+  };
+};
+
+/**
+ * Escape a single CSV field
+ *
+ * Fields containing separators, quotes or line breaks are quoted, and text
+ * starting with a formula character is prefixed with an apostrophe so
+ * spreadsheets do not evaluate it.
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write poll export records as CSV, one row per poll option
+ *
+ * @param {Object[]} records - Records built by buildPollExport
+ * @returns {string} - CSV document with a header row
+ */
+export const pollExportsToCsv = (records) => {
+  const rows = records.flatMap(record => record.options.map(option => [
+    record.id,
+    record.question,
+    record.type,
+    record.status,
+    record.createdBy,
+    record.createdAt,
+    record.opensAt,
+    record.closesAt,
+    record.closedAt,
+    record.totalVotes,
+    record.voters,
+    option.index,
+    option.text,
+    // Score results count the voters who scored each option
+    option.votes ?? option.voters,
+    option.percentage,
+    option.mean,
+    option.median,
+    record.exportedAt
+  ]));
+
+  return [CSV_COLUMNS, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n';
+};
@@ -0,0 +1,101 @@
+/**
+ * Organization Utilities
+ *
+ * Helpers for working with organization memberships, which are stored on
+ * each user as { organization, role, joinedAt } entries. They accept user
+ * documents as well as plain objects, and organizations given as IDs or
+ * populated documents.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+// Roles a user can hold within an organization
+export const ORGANIZATION_ROLES = ['member', 'admin'];
+
+// Platform roles that can see into every organization
+export const PLATFORM_STAFF_ROLES = ['moderator', 'admin'];
+
+/**
+ * Get the ID of an organization given as an ID or a populated document
+ *
+ * @param {*} organization - Organization ID or document
+ * @returns {string|null} - Organization ID as a string, or null if none
+ */
+const toOrganizationId = (organization) => (
+  organization ? String(organization._id ?? organization) : null
+);
+
+/**
+ * Check whether a user holds a platform-wide moderator or admin role
+ *
+ * @param {Object|undefined} user - User, if any
+ * @returns {boolean} - True for moderators and admins
+ */
+export const isPlatformStaff = (user) => !!user && PLATFORM_STAFF_ROLES.includes(user.role);
+
+/**
+ * Find a user's membership of an organization
+ *
+ * @param {Object|undefined} user - User, if any
+ * @param {*} organization - Organization ID or document
+ * @returns {Object|null} - The membership entry, or null if not a member
+ */
+export const getMembership = (user, organization) => {
+  const organizationId = toOrganizationId(organization);
+
+  if (!user || !organizationId) {
+    return null;
+  }
+
+  return (user.memberships || []).find(
+    membership => toOrganizationId(membership.organization) === organizationId
+  ) || null;
+};
+
+/**
+ * Check whether a user is an admin of an organization
+ *
+ * @param {Object|undefined} user - User, if any
+ * @param {*} organization - Organization ID or document
+ * @returns {boolean} - True if the user holds the organization's admin role
+ */
+export const isOrganizationAdmin = (user, organization) => (
+  getMembership(user, organization)?.role === 'admin'
+);
+
+/**
+ * List the organizations a user belongs to
+ *
+ * @param {Object|undefined} user - User, if any
+ * @returns {Object[]} - Organization IDs (empty for anonymous users)
+ */
+export const getOrganizationIds = (user) => (
+  (user?.memberships || []).map(membership => membership.organization._id ?? membership.organization)
+);
+
+/**
+ * Check whether a user may see into an organization's content
+ * Content outside any organization is open to everyone; organization
+ * content is limited to its members and platform staff
+ *
+ * @param {Object|undefined} user - User, if any
+ * @param {*} organization - Organization ID or document, or null for none
+ * @returns {boolean} - True if the organization's content is visible to the user
+ */
+export const canSeeOrganization = (user, organization) => (
+  !organization || isPlatformStaff(user) || !!getMembership(user, organization)
+);
+
+/**
+ * Turn an organization name into a URL-friendly slug
+ *
+ * @param {string} name - Organization name
+ * @returns {string} - Lowercase slug of letters, digits and dashes
+ */
+export const slugify = (name) => String(name)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
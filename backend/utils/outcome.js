@@ -0,0 +1,152 @@
+/**
+ * Poll Outcome Utilities
+ *
+ * Applies a poll's decision rules (quorum and pass threshold) to its
+ * results. Used to report progress toward quorum while a poll is open and
+ * to determine the formal outcome when it closes.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { buildResults } from './results.js';
+
+// Formal outcomes recorded on a poll when it closes
+export const OUTCOME_RESULTS = ['passed', 'failed', 'noQuorum', 'tie'];
+
+/**
+ * Check whether a poll defines a quorum
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @returns {boolean} - True if a voter count or member percentage quorum is set
+ */
+export const hasQuorum = (poll) => poll.quorumVoters != null || poll.quorumPercent != null;
+
+/**
+ * Work out how many voters a poll needs to reach its quorum
+ *
+ * A poll may require a minimum number of voters, a percentage of its
+ * organization's members, or both; the larger requirement applies.
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @param {number} memberCount - Members of the poll's organization (for percentage quorums)
+ * @returns {number|null} - Voters required, or null if the poll has no quorum
+ */
+export const getRequiredVoters = (poll, memberCount = 0) => {
+  if (!hasQuorum(poll)) {
+    return null;
+  }
+
+  const byMembers = poll.quorumPercent != null
+    ? Math.ceil((memberCount * poll.quorumPercent) / 100)
+    : 0;
+
+  return Math.max(poll.quorumVoters ?? 0, byMembers);
+};
+
+/**
+ * Report a poll's progress toward its quorum
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @param {number} memberCount - Members of the poll's organization (for percentage quorums)
+ * @returns {Object|null} - { required, voters, met }, or null if the poll has no quorum
+ */
+export const getQuorumProgress = (poll, memberCount = 0) => {
+  const required = getRequiredVoters(poll, memberCount);
+
+  if (required === null) {
+    return null;
+  }
+
+  return { required, voters: poll.totalVotes, met: poll.totalVotes >= required };
+};
+
+/**
+ * Find the leading options of a poll and the leader's share of the vote
+ *
+ * Single-choice and approval polls are led by the options with the most
+ * votes, their share being the percentage of voters backing them. Ranked
+ * polls are led by the instant-runoff winner (or the options tied in the
+ * final round), with their share of the final round's ballots. Score polls
+ * are led by the highest mean score and report no share.
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @param {Object|null} runoff - Instant-runoff tally of a ranked poll
+ * @returns {Object} - { leaders: option indices, share: percentage or null }
+ */
+const findLeaders = (poll, runoff) => {
+  if (poll.type === 'ranked') {
+    const final = runoff?.rounds[runoff.rounds.length - 1];
+    const leaders = runoff?.winner != null ? [runoff.winner] : (runoff?.tied ?? []);
+    const counted = final ? final.counts.reduce((sum, count) => sum + count, 0) : 0;
+
+    return {
+      leaders,
+      share: leaders.length > 0 && counted > 0
+        ? Math.round((final.counts[leaders[0]] / counted) * 1000) / 10
+        : null
+    };
+  }
+
+  const results = buildResults(poll);
+
+  if (poll.type === 'score') {
+    const scored = results.options.filter(option => option.mean !== null);
+    const best = Math.max(...scored.map(option => option.mean));
+
+    return {
+      leaders: scored.filter(option => option.mean === best).map(option => option.index),
+      share: null
+    };
+  }
+
+  const most = Math.max(...results.options.map(option => option.votes));
+
+  return {
+    leaders: most > 0
+      ? results.options.filter(option => option.votes === most).map(option => option.index)
+      : [],
+    share: most > 0 ? results.options.find(option => option.votes === most).percentage : null
+  };
+};
+
+/**
+ * Determine the formal outcome of a poll
+ *
+ * In order: a poll that fell short of its quorum has no quorum; a poll
+ * without votes, or whose leading option stayed below the pass threshold,
+ * failed; a poll led by several options is a tie; otherwise it passed,
+ * won by the leading option.
+ *
+ * @param {Object} poll - Poll document or plain poll object with its final counters
+ * @param {Object} context - Data the rules need beyond the poll itself
+ * @param {Object|null} context.runoff - Instant-runoff tally of a ranked poll
+ * @param {number} context.memberCount - Members of the poll's organization
+ * @param {Date} now - Time of the decision
+ * @returns {Object} - { result, winner, share, voters, requiredVoters, decidedAt }
+ */
+export const determineOutcome = (poll, { runoff = null, memberCount = 0 } = {}, now = new Date()) => {
+  const requiredVoters = getRequiredVoters(poll, memberCount);
+  const { leaders, share } = findLeaders(poll, runoff);
+
+  const outcome = {
+    result: 'passed',
+    winner: null,
+    share,
+    voters: poll.totalVotes,
+    requiredVoters,
+    decidedAt: now
+  };
+
+  if (requiredVoters !== null && poll.totalVotes < requiredVoters) {
+    outcome.result = 'noQuorum';
+  } else if (leaders.length === 0 || (poll.passThreshold != null && (share ?? 0) < poll.passThreshold)) {
+    outcome.result = 'failed';
+  } else if (leaders.length > 1) {
+    outcome.result = 'tie';
+  } else {
+    outcome.winner = leaders[0];
+  }
+
+  return outcome;
+};
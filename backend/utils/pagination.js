@@ -0,0 +1,101 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Helpers for keyset (cursor-based) pagination over MongoDB collections.
+ * A cursor encodes the sort value and _id of the last item on a page, so the
+ * next page can be fetched with an indexed range query instead of skip().
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Encode the position of a document as an opaque cursor string
+ *
+ * @param {Object} doc - Last document of the current page
+ * @param {Object} sort - Sort definition ({ field, order })
+ * @returns {string} - Base64url-encoded cursor
+ */
+export const encodeCursor = (doc, sort) => {
+  const payload = { value: doc[sort.field] ?? null, id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Check that a decoded cursor value has the type of its sort field
+ * Cursors come from clients, so anything else (such as an object holding
+ * query operators) must not reach the filter
+ *
+ * @param {*} value - Sort value from the cursor
+ * @param {string} [type] - Sort field type: 'date', 'number' or 'string' (default)
+ * @returns {boolean} - True if the value can be used in the cursor filter
+ */
+const isValidCursorValue = (value, type) => {
+  if (value === null) {
+    return true;
+  }
+
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  // Dates are encoded as ISO strings
+  return typeof value === 'string';
+};
+
+/**
+ * Decode a cursor string produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - Sort definition ({ field, order, type }), where type
+ *   is 'date', 'number' or 'string' (default)
+ * @returns {Object|null} - Decoded { value, id }, or null if the cursor is
+ *   malformed or its value does not match the sort field's type
+ */
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.isValidObjectId(id) || !isValidCursorValue(value, sort.type)) {
+      return null;
+    }
+
+    const decodedValue = sort.type === 'date' && value !== null ? new Date(value) : value;
+    if (decodedValue instanceof Date && isNaN(decodedValue)) {
+      return null;
+    }
+
+    return { value: decodedValue, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Build the MongoDB filter selecting documents after a cursor position
+ * Ties on the sort field are broken by _id in the same direction
+ *
+ * @param {Object} sort - Sort definition ({ field, order })
+ * @param {Object} cursor - Decoded cursor ({ value, id })
+ * @returns {Object} - MongoDB filter
+ */
+export const buildCursorFilter = (sort, cursor) => {
+  const op = sort.order === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [sort.field]: { [op]: cursor.value } },
+      { [sort.field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+/**
+ * Build the MongoDB sort specification for a sort definition
+ *
+ * @param {Object} sort - Sort definition ({ field, order })
+ * @returns {Object} - MongoDB sort specification
+ */
+export const buildSortSpec = (sort) => ({ [sort.field]: sort.order, _id: sort.order });
@@ -0,0 +1,78 @@
+/**
+ * Report Utilities
+ *
+ * Validation of content reports filed by users and of the resolutions
+ * moderators apply to them.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { REPORT_REASONS, MODERATION_ACTIONS, MAX_REPORT_DETAILS_LENGTH } from '../models/Report.js';
+
+/**
+ * Check an optional free-text explanation
+ * @param {*} text - Text from the request body
+ * @param {string} field - Field name, for the error message
+ * @returns {Object} - { text } (undefined when blank) when valid, otherwise { error }
+ */
+const parseExplanation = (text, field) => {
+  if (text === undefined || text === null) {
+    return { text: undefined };
+  }
+
+  if (typeof text !== 'string') {
+    return { error: `${field} must be a string` };
+  }
+
+  if (text.trim().length > MAX_REPORT_DETAILS_LENGTH) {
+    return { error: `${field} cannot be longer than ${MAX_REPORT_DETAILS_LENGTH} characters` };
+  }
+
+  return { text: text.trim() || undefined };
+};
+
+/**
+ * Validate a report from the request body
+ * @param {Object} body - Request body ({ reason, details })
+ * @returns {Object} - { report: { reason, details } } when valid, otherwise { error } with a message
+ */
+export const parseReport = (body) => {
+  const { reason, details } = body || {};
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${REPORT_REASONS.join(', ')}` };
+  }
+
+  const parsed = parseExplanation(details, 'details');
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  // "Other" needs an explanation for the moderator to act on
+  if (reason === 'other' && !parsed.text) {
+    return { error: 'Please describe the problem when the reason is "other"' };
+  }
+
+  return { report: { reason, details: parsed.text } };
+};
+
+/**
+ * Validate a moderator's resolution of a report from the request body
+ * @param {Object} body - Request body ({ action, note })
+ * @returns {Object} - { resolution: { action, note } } when valid, otherwise { error } with a message
+ */
+export const parseResolution = (body) => {
+  const { action, note } = body || {};
+
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` };
+  }
+
+  const parsed = parseExplanation(note, 'note');
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  return { resolution: { action, note: parsed.text } };
+};
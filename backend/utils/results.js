@@ -0,0 +1,197 @@
+/**
+ * Poll Results Utilities
+ *
+ * Computes presentable results (totals and percentages, or score statistics
+ * for score polls) from a poll's option vote counters, and decides who may
+ * see them under the poll's results visibility policy.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { isPlatformStaff, isOrganizationAdmin } from './organizations.js';
+
+// When a poll's results are shown to the users who may open it
+export const RESULTS_VISIBILITIES = ['always', 'afterVote', 'afterClose', 'creatorOnly'];
+
+/**
+ * Express a count as a percentage of a total, rounded to one decimal place
+ *
+ * @param {number} count - Part of the total
+ * @param {number} total - Total count
+ * @returns {number} - Percentage between 0 and 100 (0 when the total is 0)
+ */
+export const toPercentage = (count, total) => (
+  total > 0 ? Math.round((count / total) * 1000) / 10 : 0
+);
+
+/**
+ * Summarise the scores given to one option from its histogram
+ *
+ * The median of an even number of scores is the mean of the two middle ones.
+ *
+ * @param {number[]} histogram - Number of ballots giving each score, starting at min
+ * @param {number} min - Score counted by the first histogram entry
+ * @returns {Object} - { voters, mean, median, histogram: [{ score, count }] };
+ *   mean and median are null when nobody has scored the option
+ */
+export const summarizeScores = (histogram, min) => {
+  const voters = histogram.reduce((sum, count) => sum + count, 0);
+  const total = histogram.reduce((sum, count, step) => sum + count * (min + step), 0);
+
+  // Score at a zero-based position of the sorted list of scores
+  const scoreAt = (position) => {
+    let seen = 0;
+    const step = histogram.findIndex(count => (seen += count) > position);
+    return min + step;
+  };
+
+  let median = null;
+  if (voters > 0) {
+    median = voters % 2 === 1
+      ? scoreAt((voters - 1) / 2)
+      : (scoreAt(voters / 2 - 1) + scoreAt(voters / 2)) / 2;
+  }
+
+  return {
+    voters,
+    mean: voters > 0 ? Math.round((total / voters) * 100) / 100 : null,
+    median,
+    histogram: histogram.map((count, step) => ({ score: min + step, count }))
+  };
+};
+
+/**
+ * Build the results summary of a poll
+ *
+ * For approval polls a voter can back several options, so percentages are
+ * the share of voters approving each option rather than a share of all votes.
+ * Write-in answers of single-choice polls count towards the total and are
+ * reported together as writeIns.
+ * Score polls report score statistics for each option instead of percentages.
+ *
+ * @param {Object} poll - Poll document or plain poll object
+ * @returns {Object} - { totalVotes, voters, options: [{ index, text, votes, percentage }] }
+ *   plus writeIns: { votes, percentage } on polls accepting write-ins,
+ *   or for score polls { voters, scoreMin, scoreMax, options: [{ index, text, voters,
+ *   mean, median, histogram }] }
+ */
+export const buildResults = (poll) => {
+  if (poll.type === 'score') {
+    const scoreMin = poll.scoreMin ?? 1;
+    const scoreMax = poll.scoreMax ?? 5;
+    const emptyHistogram = new Array(scoreMax - scoreMin + 1).fill(0);
+
+    return {
+      voters: poll.totalVotes,
+      scoreMin,
+      scoreMax,
+      options: poll.options.map((option, index) => ({
+        index,
+        text: option.text,
+        ...summarizeScores(option.histogram?.length ? option.histogram : emptyHistogram, scoreMin)
+      }))
+    };
+  }
+
+  const writeInVotes = poll.writeInVotes ?? 0;
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, writeInVotes);
+  const voters = poll.type === 'approval' ? poll.totalVotes : totalVotes;
+
+  return {
+    totalVotes,
+    voters,
+    options: poll.options.map((option, index) => ({
+      index,
+      text: option.text,
+      votes: option.votes,
+      percentage: toPercentage(option.votes, voters)
+    })),
+    ...((poll.allowWriteIn || writeInVotes > 0) && {
+      writeIns: { votes: writeInVotes, percentage: toPercentage(writeInVotes, voters) }
+    })
+  };
+};
+
+/**
+ * Check whether a user manages a poll (its creator, an admin of its
+ * organization, or a moderator or admin)
+ *
+ * @param {Object} poll - Poll document or plain object with createdBy and organization
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @returns {boolean} - True for the poll's managers
+ */
+export const isPollManager = (poll, user) => {
+  if (!user) {
+    return false;
+  }
+
+  const creatorId = poll.createdBy?._id ?? poll.createdBy;
+
+  return (!!creatorId && String(creatorId) === String(user._id)) ||
+    isPlatformStaff(user) ||
+    isOrganizationAdmin(user, poll.organization);
+};
+
+/**
+ * Check whether a user may see a poll's results
+ *
+ * The poll's managers always see them. Everyone else depends on the poll's
+ * results visibility: always, once they have voted (or the poll has
+ * closed), once the poll has closed, or never (creatorOnly). Polls created
+ * before the policy existed show their results to everyone.
+ *
+ * @param {Object} poll - Poll document or plain object with resultsVisibility,
+ *   status, closesAt, createdBy and organization
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {boolean} hasVoted - Whether the user has a vote recorded on the poll
+ * @param {Date} now - Point in time to check against
+ * @returns {boolean} - True if the results may be shown
+ */
+export const canSeeResults = (poll, user, hasVoted = false, now = new Date()) => {
+  const visibility = poll.resultsVisibility || 'always';
+
+  if (visibility === 'always' || isPollManager(poll, user)) {
+    return true;
+  }
+
+  // The voting deadline reveals results even before the scheduler closes the poll
+  const closed = poll.status === 'closed' || (!!poll.closesAt && new Date(poll.closesAt) <= now);
+
+  if (visibility === 'afterVote') {
+    return hasVoted || closed;
+  }
+
+  // Results of creator-only polls stay with the poll's managers
+  return visibility === 'afterClose' && closed;
+};
+
+/**
+ * Remove the results from a serialized poll
+ *
+ * Strips every option's counters (votes, and the score total and histogram
+ * of score polls), the write-in counter, the computed results and the outcome of a closed poll,
+ * and marks the poll with resultsHidden. The overall number of votes cast is kept, as it only
+ * shows turnout.
+ *
+ * @param {Object} poll - Plain poll object (or live tally snapshot)
+ * @returns {Object} - Copy of the poll without its results
+ */
+export const hideResults = (poll) => {
+  const hidden = {
+    ...poll,
+    options: poll.options.map(option => {
+      const stripped = { ...option };
+      delete stripped.votes;
+      delete stripped.scoreTotal;
+      delete stripped.histogram;
+      return stripped;
+    }),
+    resultsHidden: true
+  };
+
+  delete hidden.writeInVotes;
+  delete hidden.results;
+  delete hidden.outcome;
+  return hidden;
+};
@@ -0,0 +1,78 @@
+/**
+ * Session Utilities
+ *
+ * Readable descriptions of the devices users are logged in on, and the
+ * view of a session shown to its user.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+// Browsers, checked in order: many user agents also name the browsers
+// they are derived from (Edge and Opera mention Chrome, Chrome mentions Safari)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+// Operating systems, checked in order (Android user agents mention Linux)
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Find the first name whose pattern matches
+ * @param {Array[]} candidates - [name, pattern] pairs
+ * @param {string} userAgent - User agent to test
+ * @returns {string|undefined} - Matching name
+ */
+const findName = (candidates, userAgent) => candidates.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+/**
+ * Describe the device behind a user agent, such as "Firefox on Windows"
+ * Clients other than browsers are named by their product (such as "curl")
+ *
+ * @param {string} [userAgent] - User-Agent header of the login
+ * @returns {string} - Readable description
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = findName(BROWSERS, userAgent);
+  const os = findName(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+
+  return browser || os || userAgent.split(/[/\s]/)[0] || 'Unknown device';
+};
+
+/**
+ * Build the view of a session shown to its user
+ *
+ * @param {Object} session - Session document
+ * @param {string} [currentSessionId] - Session of the request
+ * @returns {Object} - Session without its token hash, with the device
+ *   description and whether it is the current session
+ */
+export const toSessionView = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeUserAgent(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
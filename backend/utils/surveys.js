@@ -0,0 +1,346 @@
+/**
+ * Survey Utilities
+ *
+ * Validates survey questions and responses, and turns the responses to a
+ * survey into per-question results and per-respondent exports. Each
+ * question has one of four types, answered as:
+ * - single: { choices } - exactly one option index
+ * - multiple: { choices } - one or more distinct option indices
+ * - rating: { rating } - a whole number within the question's range
+ * - text: { text } - free text
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { escapeCsvValue } from './export.js';
+
+// Supported question types
+export const SURVEY_QUESTION_TYPES = ['single', 'multiple', 'rating', 'text'];
+
+// Most questions a single survey may hold
+export const MAX_SURVEY_QUESTIONS = 50;
+
+// Longest free-text answer accepted, in characters
+export const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+// Question types answered by picking options
+const CHOICE_TYPES = ['single', 'multiple'];
+
+// Largest number of distinct ratings a rating question may offer
+const MAX_RATING_STEPS = 11;
+
+/**
+ * Get the rating range of a rating question
+ *
+ * @param {Object} question - Survey question
+ * @returns {Object} - { min, max } lowest and highest allowed rating
+ */
+export const getRatingRange = (question) => ({
+  min: question.ratingMin ?? 1,
+  max: question.ratingMax ?? 5
+});
+
+/**
+ * Validate a single question from a request body
+ *
+ * @param {*} question - Question to check
+ * @param {number} number - Position of the question, starting at 1 (for messages)
+ * @returns {Object} - { question } normalized when valid, otherwise { error } with a message
+ */
+const parseQuestion = (question, number) => {
+  if (!question || typeof question !== 'object') {
+    return { error: `Question ${number} is invalid` };
+  }
+
+  const { prompt, type = 'single', options, required = true, ratingMin, ratingMax } = question;
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return { error: `Question ${number} needs a prompt` };
+  }
+
+  if (!SURVEY_QUESTION_TYPES.includes(type)) {
+    return { error: `Question ${number} type must be one of: ${SURVEY_QUESTION_TYPES.join(', ')}` };
+  }
+
+  if (typeof required !== 'boolean') {
+    return { error: `Question ${number} required must be true or false` };
+  }
+
+  const parsed = { prompt: prompt.trim(), type, required };
+
+  if (CHOICE_TYPES.includes(type)) {
+    if (!Array.isArray(options) || options.some(option => typeof option !== 'string' || !option.trim())) {
+      return { error: `Question ${number} options must be a list of non-empty texts` };
+    }
+    if (options.length < 2) {
+      return { error: `Question ${number} needs at least two options` };
+    }
+    parsed.options = options.map(option => option.trim());
+  } else if (options !== undefined) {
+    return { error: `Question ${number} is a ${type} question and takes no options` };
+  }
+
+  if (type === 'rating') {
+    const { min, max } = getRatingRange({ ratingMin, ratingMax });
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || max <= min || max - min >= MAX_RATING_STEPS) {
+      return { error: `Question ${number} rating range must be whole numbers with at most ${MAX_RATING_STEPS} ratings` };
+    }
+    parsed.ratingMin = min;
+    parsed.ratingMax = max;
+  } else if (ratingMin !== undefined || ratingMax !== undefined) {
+    return { error: `Question ${number}: rating ranges only apply to rating questions` };
+  }
+
+  return { question: parsed };
+};
+
+/**
+ * Validate the questions of a survey submitted in a request body
+ *
+ * @param {*} questions - Questions from the request body, in survey order
+ * @returns {Object} - { questions } normalized when valid, otherwise { error } with a message
+ */
+export const parseSurveyQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'A survey needs at least one question' };
+  }
+
+  if (questions.length > MAX_SURVEY_QUESTIONS) {
+    return { error: `A survey can hold at most ${MAX_SURVEY_QUESTIONS} questions` };
+  }
+
+  const parsed = [];
+
+  for (const [index, question] of questions.entries()) {
+    const result = parseQuestion(question, index + 1);
+    if (result.error) {
+      return result;
+    }
+    parsed.push(result.question);
+  }
+
+  return { questions: parsed };
+};
+
+/**
+ * Validate the answer to a single question
+ *
+ * @param {Object} question - Survey question
+ * @param {Object} answer - Answer from the request body
+ * @param {number} number - Position of the question, starting at 1 (for messages)
+ * @returns {Object} - { answer } as stored when valid, otherwise { error } with a message
+ */
+const parseAnswer = (question, answer, number) => {
+  if (CHOICE_TYPES.includes(question.type)) {
+    const { choices } = answer;
+    const valid = Array.isArray(choices) &&
+      choices.every(index => Number.isInteger(index) && index >= 0 && index < question.options.length) &&
+      new Set(choices).size === choices.length;
+
+    if (!valid || choices.length === 0) {
+      return { error: `Question ${number}: choices must be a non-empty list of distinct option indices` };
+    }
+    if (question.type === 'single' && choices.length > 1) {
+      return { error: `Question ${number}: choose a single option` };
+    }
+
+    // Store choices in option order so identical answers compare equal
+    return { answer: { question: question._id, choices: [...choices].sort((a, b) => a - b) } };
+  }
+
+  if (question.type === 'rating') {
+    const { rating } = answer;
+    const { min, max } = getRatingRange(question);
+
+    if (!Number.isInteger(rating) || rating < min || rating > max) {
+      return { error: `Question ${number}: the rating must be a whole number between ${min} and ${max}` };
+    }
+
+    return { answer: { question: question._id, rating } };
+  }
+
+  const text = typeof answer.text === 'string' ? answer.text.trim() : '';
+
+  if (!text) {
+    return { error: `Question ${number}: the answer must be a non-empty text` };
+  }
+  if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+    return { error: `Question ${number}: answers can be at most ${MAX_TEXT_ANSWER_LENGTH} characters` };
+  }
+
+  return { answer: { question: question._id, text } };
+};
+
+/**
+ * Validate a complete response to a survey
+ *
+ * Every required question must be answered and every answer must belong to
+ * a question of the survey; optional questions may be left out.
+ *
+ * @param {Object} survey - Survey being answered
+ * @param {*} answers - Answers from the request body ({ question, choices|rating|text })
+ * @returns {Object} - { answers } in question order when valid, otherwise { error } with a message
+ */
+export const parseSurveyAnswers = (survey, answers) => {
+  if (!Array.isArray(answers) || answers.some(answer => !answer || typeof answer !== 'object')) {
+    return { error: 'Answers must be a list of { question, ... } objects' };
+  }
+
+  const byQuestion = new Map();
+
+  for (const answer of answers) {
+    const id = String(answer.question);
+
+    if (!survey.questions.some(question => String(question._id) === id)) {
+      return { error: `Unknown question: ${id}` };
+    }
+    if (byQuestion.has(id)) {
+      return { error: `Question ${id} is answered more than once` };
+    }
+    byQuestion.set(id, answer);
+  }
+
+  const parsed = [];
+
+  for (const [index, question] of survey.questions.entries()) {
+    const answer = byQuestion.get(String(question._id));
+
+    if (!answer) {
+      if (question.required) {
+        return { error: `Question ${index + 1} is required` };
+      }
+      continue;
+    }
+
+    const result = parseAnswer(question, answer, index + 1);
+    if (result.error) {
+      return result;
+    }
+    parsed.push(result.answer);
+  }
+
+  return { answers: parsed };
+};
+
+/**
+ * Index the answers of a response by question ID
+ *
+ * @param {Object} response - Survey response
+ * @returns {Map<string, Object>} - Answers keyed by question ID
+ */
+const answersByQuestion = (response) => new Map(
+  response.answers.map(answer => [String(answer.question), answer])
+);
+
+/**
+ * Compute the results of a survey, question by question
+ *
+ * Choice questions report how often each option was chosen, as a count and
+ * a percentage of the question's respondents; rating questions their mean
+ * and a histogram; text questions every answer given.
+ *
+ * @param {Object} survey - Survey document or plain survey object
+ * @param {Object[]} responses - The survey's responses
+ * @returns {Object} - { responses, questions: [{ _id, prompt, type, answered, ... }] }
+ */
+export const summarizeSurvey = (survey, responses) => {
+  const indexed = responses.map(answersByQuestion);
+
+  const questions = survey.questions.map(question => {
+    const answers = indexed
+      .map(answers => answers.get(String(question._id)))
+      .filter(Boolean);
+    const summary = {
+      _id: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      answered: answers.length
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      const counts = new Array(question.options.length).fill(0);
+      answers.forEach(answer => answer.choices.forEach(index => {
+        counts[index] += 1;
+      }));
+
+      summary.options = question.options.map((text, index) => ({
+        index,
+        text,
+        count: counts[index],
+        percentage: answers.length > 0 ? Math.round((counts[index] / answers.length) * 1000) / 10 : 0
+      }));
+    } else if (question.type === 'rating') {
+      const { min, max } = getRatingRange(question);
+      const histogram = new Array(max - min + 1).fill(0);
+      answers.forEach(answer => {
+        histogram[answer.rating - min] += 1;
+      });
+
+      const total = answers.reduce((sum, answer) => sum + answer.rating, 0);
+
+      summary.ratingMin = min;
+      summary.ratingMax = max;
+      summary.mean = answers.length > 0 ? Math.round((total / answers.length) * 100) / 100 : null;
+      summary.histogram = histogram.map((count, step) => ({ rating: min + step, count }));
+    } else {
+      summary.answers = answers.map(answer => answer.text);
+    }
+
+    return summary;
+  });
+
+  return { responses: responses.length, questions };
+};
+
+/**
+ * Write the answer to a question as a single CSV field value
+ *
+ * @param {Object} question - Survey question
+ * @param {Object|undefined} answer - Answer given, if any
+ * @returns {string|number|null} - Chosen option texts, rating or text
+ */
+const formatAnswer = (question, answer) => {
+  if (!answer) {
+    return null;
+  }
+  if (CHOICE_TYPES.includes(question.type)) {
+    return answer.choices.map(index => question.options[index]).join('; ');
+  }
+  return question.type === 'rating' ? answer.rating : answer.text;
+};
+
+/**
+ * Write the responses to a survey as CSV, one row per respondent
+ *
+ * Every question gets its own column, so the answers one respondent gave
+ * to different questions can be correlated.
+ *
+ * @param {Object} survey - Survey document or plain survey object
+ * @param {Object[]} responses - The survey's responses, with user populated where possible
+ * @returns {string} - CSV document with a header row
+ */
+export const surveyResponsesToCsv = (survey, responses) => {
+  const header = [
+    'response_id',
+    'respondent',
+    'submitted_at',
+    ...survey.questions.map((question, index) => `Q${index + 1} ${question.prompt}`)
+  ];
+
+  const rows = responses.map(response => {
+    const answers = answersByQuestion(response);
+
+    return [
+      String(response._id),
+      response.user?.username ?? (response.user ? String(response.user) : null),
+      new Date(response.createdAt).toISOString(),
+      ...survey.questions.map(question => formatAnswer(question, answers.get(String(question._id))))
+    ];
+  });
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n';
+};
@@ -0,0 +1,98 @@
+/**
+ * Tally Utilities
+ *
+ * Vote counting methods that cannot be expressed as simple per-option
+ * counters. Ranked-choice polls are tallied with instant-runoff voting.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+/**
+ * Choose which of the lowest-placed options to eliminate
+ *
+ * Ties are broken deterministically: the option with fewer votes in the
+ * most recent earlier round where the tied options differ is eliminated;
+ * if they were tied in every round, the option listed last is eliminated.
+ *
+ * @param {number[]} tied - Option indices sharing the lowest count
+ * @param {number[][]} history - Vote counts of each round so far, oldest first
+ * @returns {number} - Option index to eliminate
+ */
+const chooseElimination = (tied, history) => {
+  let remaining = tied;
+
+  for (let round = history.length - 2; round >= 0 && remaining.length > 1; round--) {
+    const counts = history[round];
+    const lowest = Math.min(...remaining.map(index => counts[index]));
+    remaining = remaining.filter(index => counts[index] === lowest);
+  }
+
+  return Math.max(...remaining);
+};
+
+/**
+ * Run an instant-runoff tally over ranked ballots
+ *
+ * Each round, every ballot counts towards its highest-ranked option that is
+ * still in the running; ballots with no such option are exhausted. An option
+ * with more than half of the non-exhausted ballots wins. If every remaining
+ * option has the same count, the result is a tie between them. Otherwise the
+ * lowest-placed option is eliminated and another round is run.
+ *
+ * @param {number} optionCount - Number of options in the poll
+ * @param {number[][]} ballots - Rankings of option indices, most preferred first
+ * @returns {Object} - { rounds, winner, tied } where each round holds
+ *   { round, counts, exhausted, eliminated }; winner is an option index or
+ *   null, and tied lists the option indices of a final tie
+ */
+export const instantRunoff = (optionCount, ballots) => {
+  const continuing = new Set(Array.from({ length: optionCount }, (_, index) => index));
+  const rounds = [];
+  const history = [];
+
+  while (continuing.size > 0) {
+    const counts = new Array(optionCount).fill(0);
+    let exhausted = 0;
+
+    ballots.forEach(rankings => {
+      const choice = rankings.find(index => continuing.has(index));
+      if (choice === undefined) {
+        exhausted += 1;
+      } else {
+        counts[choice] += 1;
+      }
+    });
+
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: null };
+    rounds.push(round);
+    history.push(counts);
+
+    const active = ballots.length - exhausted;
+    if (active === 0) {
+      return { rounds, winner: null, tied: [] };
+    }
+
+    const candidates = [...continuing];
+    const highest = Math.max(...candidates.map(index => counts[index]));
+    const leaders = candidates.filter(index => counts[index] === highest);
+
+    // Majority of the remaining ballots wins
+    if (leaders.length === 1 && highest * 2 > active) {
+      return { rounds, winner: leaders[0], tied: [] };
+    }
+
+    // Every remaining option is level: nobody can be eliminated fairly
+    if (leaders.length === candidates.length) {
+      return { rounds, winner: null, tied: leaders };
+    }
+
+    const lowest = Math.min(...candidates.map(index => counts[index]));
+    const trailing = candidates.filter(index => counts[index] === lowest);
+
+    round.eliminated = chooseElimination(trailing, history);
+    continuing.delete(round.eliminated);
+  }
+
+  return { rounds, winner: null, tied: [] };
+};
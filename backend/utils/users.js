@@ -0,0 +1,131 @@
+/**
+ * User Administration Utilities
+ *
+ * Validation of the user search and account changes available to admins,
+ * and the view of an account shown in the admin console.
+ *
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { USER_ROLES } from '../models/User.js';
+
+// Longest search text accepted, in characters
+export const MAX_USER_SEARCH_LENGTH = 100;
+
+/**
+ * Escape text for literal use inside a regular expression
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Text with regular expression metacharacters escaped
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the filter for the admin user search from query parameters
+ *
+ * @param {Object} query - Query parameters ({ q, role, isActive, locked })
+ * @param {Date} now - Current time, for deciding which accounts are locked
+ * @returns {Object} - { filter } when valid, otherwise { error } with a message
+ */
+export const buildUserSearchFilter = (query, now = new Date()) => {
+  const { q, role, isActive, locked } = query;
+  const filter = {};
+
+  if (q !== undefined && q !== '') {
+    if (typeof q !== 'string' || q.length > MAX_USER_SEARCH_LENGTH) {
+      return { error: `q must be text of at most ${MAX_USER_SEARCH_LENGTH} characters` };
+    }
+
+    // Case-insensitive match anywhere in the username or email
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+
+  if (role !== undefined) {
+    if (!USER_ROLES.includes(role)) {
+      return { error: `role must be one of: ${USER_ROLES.join(', ')}` };
+    }
+    filter.role = role;
+  }
+
+  if (isActive !== undefined) {
+    if (isActive !== 'true' && isActive !== 'false') {
+      return { error: 'isActive must be true or false' };
+    }
+    filter.isActive = isActive === 'true';
+  }
+
+  if (locked !== undefined) {
+    if (locked !== 'true' && locked !== 'false') {
+      return { error: 'locked must be true or false' };
+    }
+    filter.lockUntil = locked === 'true' ? { $gt: now } : { $not: { $gt: now } };
+  }
+
+  return { filter };
+};
+
+/**
+ * Validate an admin's change to a user's role or active status
+ * Admins cannot demote or deactivate themselves, so the platform always
+ * keeps the admin making the change
+ *
+ * @param {Object} body - Request body ({ role, isActive })
+ * @param {Object} admin - Admin making the change
+ * @param {Object} target - User being changed
+ * @returns {Object} - { updates } when valid, otherwise { error } with a message
+ */
+export const parseUserUpdate = (body, admin, target) => {
+  const { role, isActive } = body || {};
+  const updates = {};
+
+  if (role !== undefined) {
+    if (!USER_ROLES.includes(role)) {
+      return { error: `role must be one of: ${USER_ROLES.join(', ')}` };
+    }
+    updates.role = role;
+  }
+
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      return { error: 'isActive must be true or false' };
+    }
+    updates.isActive = isActive;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update: provide role and/or isActive' };
+  }
+
+  if (admin._id.equals(target._id)) {
+    if (updates.role !== undefined && updates.role !== admin.role) {
+      return { error: 'You cannot change your own role' };
+    }
+    if (updates.isActive === false) {
+      return { error: 'You cannot deactivate your own account' };
+    }
+  }
+
+  return { updates };
+};
+
+/**
+ * Serialize a user for the admin console
+ *
+ * @param {Object} user - User document
+ * @returns {Object} - Account details without the password or reset token
+ */
+export const toAdminView = (user) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  isLocked: user.isLocked,
+  loginAttempts: user.loginAttempts,
+  lockUntil: user.lockUntil,
+  passwordResetRequired: user.passwordResetRequired,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
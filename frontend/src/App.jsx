@@ -6,18 +6,33 @@
  * 
  * Features:
  * - React Router for client-side routing
- * - Navigation bar with links to all pages
+ * - Navigation bar with links to all pages (the moderation queue only for
+ *   moderators and admins, the user admin console only for admins)
+ * - Profile page and logout, ending the session on the server
  * - Route definitions for all application pages
  * 
  * @author PulseVote Team
  * @version 1.0.0
  */
 
-import { Routes, Route, Link } from 'react-router-dom';
+import { Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom';
+import API, { clearTokens } from './api';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import PollList from './pages/PollList';
+import PollDetail from './pages/PollDetail';
 import CreatePoll from './pages/CreatePoll';
+import Organizations from './pages/Organizations';
+import OrganizationDetail from './pages/OrganizationDetail';
+import SurveyList from './pages/SurveyList';
+import SurveyBuilder from './pages/SurveyBuilder';
+import SurveyDetail from './pages/SurveyDetail';
+import ModerationQueue from './pages/ModerationQueue';
+import AdminUsers from './pages/AdminUsers';
+import AdminAudit from './pages/AdminAudit';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import ProfilePage from './pages/ProfilePage';
+import { useProfile, isStaff, isAdmin } from './profile';
 
 /**
  * Main App Component
@@ -25,14 +40,47 @@ import CreatePoll from './pages/CreatePoll';
  * @returns {JSX.Element} - The main application component
  */
 export default function App() {
+  // Re-render on navigation so the profile follows logins and logouts
+  useLocation();
+  const profile = useProfile();
+  const nav = useNavigate();
+  
+  /**
+   * Log out, revoking the session so its tokens stop working
+   */
+  const handleLogout = async () => {
+    try {
+      await API.post('/auth/logout');
+    } catch (err) {
+      // The tokens are forgotten either way
+    }
+    
+    clearTokens();
+    nav('/login');
+  };
+  
   return (
     <div>
       {/* Navigation Bar */}
       <nav>
         <Link to='/'>Polls</Link> | 
         <Link to='/create'>Create Poll</Link> | 
-        <Link to='/login'>Login</Link> | 
-        <Link to='/register'>Register</Link>
+        <Link to='/surveys'>Surveys</Link> | 
+        <Link to='/organizations'>Organizations</Link> | 
+        {isStaff(profile) && <><Link to='/moderation'>Moderation</Link> | </>}
+        {isAdmin(profile) && <><Link to='/admin/users'>Users</Link> | </>}
+        {isAdmin(profile) && <><Link to='/admin/audit'>Audit log</Link> | </>}
+        {profile ? (
+          <>
+            <Link to='/profile'>Profile</Link> | 
+            <button onClick={handleLogout}>Logout</button>
+          </>
+        ) : (
+          <>
+            <Link to='/login'>Login</Link> | 
+            <Link to='/register'>Register</Link>
+          </>
+        )}
       </nav>
       
       {/* Route Definitions */}
@@ -40,12 +88,45 @@ export default function App() {
         {/* Home page - displays list of polls */}
         <Route path='/' element={<PollList />} />
         
+        {/* Poll detail page - results for a single poll */}
+        <Route path='/polls/:id' element={<PollDetail />} />
+        
         {/* Create poll page - authenticated users can create new polls */}
         <Route path='/create' element={<CreatePoll />} />
         
+        {/* Surveys page - multi-question surveys the user can answer */}
+        <Route path='/surveys' element={<SurveyList />} />
+        
+        {/* Survey builder - authenticated users compose new surveys */}
+        <Route path='/surveys/new' element={<SurveyBuilder />} />
+        
+        {/* Survey page - answer a survey, results for its managers */}
+        <Route path='/surveys/:id' element={<SurveyDetail />} />
+        
+        {/* Organizations page - the user's team workspaces */}
+        <Route path='/organizations' element={<Organizations />} />
+        
+        {/* Organization page - members and roles */}
+        <Route path='/organizations/:id' element={<OrganizationDetail />} />
+        
+        {/* Moderation page - report queue for moderators and admins */}
+        <Route path='/moderation' element={<ModerationQueue />} />
+        
+        {/* Admin console - user management for admins */}
+        <Route path='/admin/users' element={<AdminUsers />} />
+        
+        {/* Audit log - privileged actions, for admins */}
+        <Route path='/admin/audit' element={<AdminAudit />} />
+        
+        {/* Profile page - account details and active sessions */}
+        <Route path='/profile' element={<ProfilePage />} />
+        
         {/* Login page - user authentication */}
         <Route path='/login' element={<LoginPage />} />
         
+        {/* Password reset page - new password after a reset forced by an admin */}
+        <Route path='/reset-password' element={<ResetPasswordPage />} />
+        
         {/* Registration page - new user signup */}
         <Route path='/register' element={<RegisterPage />} />
       </Routes>
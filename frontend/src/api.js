@@ -5,8 +5,10 @@
  * Includes authentication token handling and automatic error management.
  * 
  * Features:
- * - Automatic JWT token attachment to requests
- * - Token expiration handling with automatic logout
+ * - Automatic JWT access token attachment to requests
+ * - Transparent renewal of expired access tokens with the refresh token,
+ *   repeating the failed request, one tab at a time
+ * - Logout when the session has ended
  * - Request/response interceptors for error handling
  * - Configurable base URL and timeout
  * 
@@ -30,6 +32,80 @@ const API = axios.create({
   withCredentials: true
 });
 
+// ============================================================================
+// TOKEN STORAGE
+// ============================================================================
+
+/**
+ * Store the tokens of a session
+ * 
+ * @param {Object} tokens - { token, refreshToken } from login, registration or refresh
+ */
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+/**
+ * Forget the tokens of the session
+ */
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Requests whose 401 means wrong credentials rather than an expired token
+const CREDENTIAL_PATHS = ['/auth/login', '/auth/register', '/auth/reset-password'];
+
+// Refresh in progress, shared by every request that fails while it runs:
+// a refresh token works only once, so concurrent refreshes would end the session
+let refreshing = null;
+
+// Web Lock held while refreshing, so tabs sharing the tokens take turns
+const REFRESH_LOCK = 'pulsevote-token-refresh';
+
+/**
+ * Run a function while holding the refresh lock of this browser
+ * 
+ * Browsers without the Web Locks API run it straight away.
+ * 
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<*>} - Result of the function
+ */
+const withRefreshLock = (callback) => navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK, callback)
+  : callback();
+
+/**
+ * Exchange the refresh token for a new access token and refresh token
+ * 
+ * Sent without the API instance so its interceptors are not involved.
+ * Other tabs share the stored tokens, so the refresh waits for theirs to
+ * finish and is skipped when one of them has already replaced the token.
+ * 
+ * @returns {Promise<string>} - The new access token, also stored
+ */
+const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    
+    refreshing = withRefreshLock(async () => {
+      // Another tab renewed the tokens (or logged out) while this one waited
+      if (localStorage.getItem('refreshToken') !== refreshToken) {
+        return localStorage.getItem('token');
+      }
+      
+      const res = await axios.post(`${API.defaults.baseURL}/auth/refresh`, { refreshToken });
+      storeTokens(res.data);
+      return res.data.token;
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  
+  return refreshing;
+};
+
 // ============================================================================
 // REQUEST INTERCEPTOR
 // ============================================================================
@@ -65,22 +141,56 @@ API.interceptors.request.use(
  * Response interceptor to handle authentication errors
  * 
  * Automatically handles 401 (Unauthorized) responses by:
- * - Removing expired/invalid token from localStorage
- * - Redirecting user to login page
+ * - Renewing the access token with the refresh token once and repeating
+ *   the request, when a refresh token is stored
+ * - Otherwise, or when the session has ended, removing the tokens from
+ *   localStorage and redirecting the user to the login page, or to the
+ *   password reset page when an admin has forced a password reset
  */
 API.interceptors.response.use(
   response => response,
-  error => {
-    // Handle 401 Unauthorized responses
-    if (error.response?.status === 401) {
-      // Remove invalid token from localStorage
-      localStorage.removeItem('token');
-      
-      // Redirect to login page
-      window.location.href = '/login';
+  async error => {
+    const { config, response } = error;
+    
+    // Only 401 Unauthorized responses are handled here
+    if (response?.status !== 401) {
+      return Promise.reject(error);
     }
     
-    return Promise.reject(error);
+    let failure = error;
+    
+    // Renew the access token and repeat the request, at most once
+    const renewable = !config.retried && !CREDENTIAL_PATHS.includes(config.url)
+      && response.data?.code !== 'PASSWORD_RESET_REQUIRED' && localStorage.getItem('refreshToken');
+    
+    if (renewable) {
+      try {
+        // Another tab sharing the tokens may have renewed them already
+        if (config.headers.Authorization === `Bearer ${localStorage.getItem('token')}`) {
+          await refreshTokens();
+        }
+        
+        // The request interceptor attaches the new access token
+        return await API({ ...config, retried: true });
+      } catch (err) {
+        // A failed retry was handled by its own pass through this interceptor,
+        // and a refresh that failed without a 401 does not end the session
+        if (err.config?.retried || err.response?.status !== 401) {
+          return Promise.reject(err);
+        }
+        failure = err;
+      }
+    }
+    
+    // The session has ended: remove the tokens from localStorage
+    clearTokens();
+    
+    // Redirect to login page, or straight to choosing a new password
+    window.location.href = failure.response.data?.code === 'PASSWORD_RESET_REQUIRED'
+      ? '/reset-password'
+      : '/login';
+    
+    return Promise.reject(failure);
   }
 );
 
@@ -0,0 +1,68 @@
+/**
+ * Animated Count Component
+ * 
+ * Displays a number that counts up or down to its new value and briefly
+ * highlights itself whenever the value changes, so live result updates
+ * stand out on projected screens.
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Length of the count animation
+const ANIMATION_MS = 600;
+
+/**
+ * Animated Count Component
+ * 
+ * @param {Object} props - Component props
+ * @param {number} props.value - Number to display
+ * @returns {JSX.Element} - The animated number
+ */
+export default function AnimatedCount({ value }) {
+  // Number currently shown, which trails value while animating
+  const [shown, setShown] = useState(value);
+  const [changed, setChanged] = useState(false);
+  const shownRef = useRef(value);
+  
+  useEffect(() => {
+    const from = shownRef.current;
+    if (from === value) return;
+    
+    const start = performance.now();
+    let frame;
+    
+    /**
+     * Advance the animation by one frame
+     * 
+     * @param {number} now - Current animation timestamp
+     */
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / ANIMATION_MS);
+      shownRef.current = progress === 1 ? value : Math.round(from + (value - from) * progress);
+      setShown(shownRef.current);
+      
+      if (progress < 1) {
+        frame = requestAnimationFrame(step);
+      }
+    };
+    
+    setChanged(true);
+    frame = requestAnimationFrame(step);
+    const highlight = setTimeout(() => setChanged(false), ANIMATION_MS * 2);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(highlight);
+    };
+  }, [value]);
+  
+  return <span className={changed ? 'count count-changed' : 'count'}>{shown}</span>;
+}
+
+AnimatedCount.propTypes = {
+  value: PropTypes.number.isRequired
+};
@@ -0,0 +1,97 @@
+/**
+ * Approval Ballot Component
+ * 
+ * Lets a voter tick every option they approve of in approval
+ * (multi-select) polls, within the poll's selection limits.
+ * 
+ * Features:
+ * - Checkbox per option
+ * - Enforces the minimum and maximum number of selections
+ * - Submits the selection as a list of option indices
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Approval Ballot Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Poll options ({ text, votes })
+ * @param {Array|null} props.initialSelections - The voter's current selections, if any
+ * @param {number} props.minSelections - Minimum number of options to select
+ * @param {number} props.maxSelections - Maximum number of options to select
+ * @param {Function} props.onSubmit - Called with the selections (array of option indices)
+ * @param {string} props.submitLabel - Text of the submit button
+ * @returns {JSX.Element} - The approval ballot component
+ */
+export default function ApprovalBallot({
+  options,
+  initialSelections = null,
+  minSelections = 1,
+  maxSelections = options.length,
+  onSubmit,
+  submitLabel = 'Submit'
+}) {
+  // Selected option indices
+  const [selections, setSelections] = useState(initialSelections || []);
+
+  /**
+   * Tick or untick an option
+   * 
+   * @param {number} index - Option index
+   */
+  const toggle = (index) => {
+    setSelections(selections.includes(index)
+      ? selections.filter(selected => selected !== index)
+      : [...selections, index]);
+  };
+  
+  const isValid = selections.length >= minSelections && selections.length <= maxSelections;
+
+  return (
+    <div>
+      <small>
+        {minSelections === maxSelections
+          ? `Select ${minSelections}`
+          : `Select ${minSelections} to ${maxSelections}`}
+      </small>
+      
+      {/* One checkbox per option; further options are disabled at the maximum */}
+      <ul>
+        {options.map((option, index) => (
+          <li key={index}>
+            <label>
+              <input 
+                type='checkbox' 
+                checked={selections.includes(index)} 
+                disabled={!selections.includes(index) && selections.length >= maxSelections} 
+                onChange={() => toggle(index)} 
+              />
+              {option.text} — {option.votes} approvals
+            </label>
+          </li>
+        ))}
+      </ul>
+      
+      <button type='button' onClick={() => onSubmit(selections)} disabled={!isValid}>
+        {submitLabel}
+      </button>
+    </div>
+  );
+}
+
+ApprovalBallot.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string,
+    votes: PropTypes.number
+  })).isRequired,
+  initialSelections: PropTypes.arrayOf(PropTypes.number),
+  minSelections: PropTypes.number,
+  maxSelections: PropTypes.number,
+  onSubmit: PropTypes.func.isRequired,
+  submitLabel: PropTypes.string
+};
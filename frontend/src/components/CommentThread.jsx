@@ -0,0 +1,280 @@
+/**
+ * Comment Thread Component
+ * 
+ * Shows the discussion on a poll as threaded comments and lets users post,
+ * reply to, edit and delete comments.
+ * 
+ * Features:
+ * - Top-level comments loaded page by page, each with its nested replies
+ * - New comment form and inline reply forms
+ * - Editing within the edit window (author only) and deletion (author or moderators)
+ * - Reporting other users' comments to the moderators
+ * - Deleted comments keep their place while they still have replies
+ * - Sends the share code of unlisted and private polls with every request
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import API from '../api';
+import ReportButton from './ReportButton';
+
+// Number of threads requested per page
+const PAGE_SIZE = 20;
+
+// Largest number of threads the API returns in one page
+const MAX_PAGE_SIZE = 100;
+
+// Replies can be nested this many levels below a top-level comment
+const MAX_REPLY_DEPTH = 5;
+
+/**
+ * Single comment with its replies
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.comment - Comment with nested replies
+ * @param {Function} props.onSubmit - Called with (method, path, body) to change comments
+ * @param {string} props.reportUrl - Report endpoint of the poll's comments
+ * @param {string} props.shareCode - Share code the poll was opened with, if any
+ * @returns {JSX.Element} - The comment component
+ */
+function CommentItem({ comment, onSubmit, reportUrl, shareCode = null }) {
+  // Which inline form is open ('reply' or 'edit') and its text
+  const [mode, setMode] = useState(null);
+  const [text, setText] = useState('');
+
+  /**
+   * Open an inline form, prefilled with the comment text when editing
+   * 
+   * @param {string} nextMode - Form to open
+   */
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setText(nextMode === 'edit' ? comment.body : '');
+  };
+
+  /**
+   * Submit the open reply or edit form
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const done = mode === 'edit'
+      ? await onSubmit('patch', `/${comment._id}`, { body: text })
+      : await onSubmit('post', '', { body: text, parentId: comment._id });
+
+    if (done) setMode(null);
+  };
+
+  /**
+   * Delete the comment after confirmation
+   */
+  const handleDelete = () => {
+    if (window.confirm('Delete this comment?')) {
+      onSubmit('delete', `/${comment._id}`);
+    }
+  };
+
+  return (
+    <li className='comment'>
+      {comment.deleted ? (
+        <p><em>{comment.removedByModerator ? '[removed by a moderator]' : '[deleted]'}</em></p>
+      ) : (
+        <>
+          <p>
+            <strong>{comment.author?.username || 'unknown'}</strong>{' '}
+            <small>
+              {new Date(comment.createdAt).toLocaleString()}
+              {comment.editedAt && ' (edited)'}
+            </small>
+          </p>
+          <p className='comment-body'>{comment.body}</p>
+          <div className='no-print'>
+            {comment.depth < MAX_REPLY_DEPTH && (
+              <button onClick={() => openForm('reply')}>Reply</button>
+            )}
+            {comment.canEdit && <button onClick={() => openForm('edit')}>Edit</button>}
+            {comment.canDelete && <button onClick={handleDelete}>Delete</button>}
+            {comment.canReport && <ReportButton url={`${reportUrl}/${comment._id}/reports`} shareCode={shareCode} />}
+          </div>
+        </>
+      )}
+
+      {/* Inline reply or edit form */}
+      {mode && (
+        <form onSubmit={handleSubmit} className='no-print'>
+          <textarea value={text} onChange={e => setText(e.target.value)} required />
+          <button type='submit'>{mode === 'edit' ? 'Save' : 'Reply'}</button>
+          <button type='button' onClick={() => setMode(null)}>Cancel</button>
+        </form>
+      )}
+
+      {/* Nested replies */}
+      {comment.replies.length > 0 && (
+        <ul>
+          {comment.replies.map(reply => (
+            <CommentItem 
+              key={reply._id} 
+              comment={reply} 
+              onSubmit={onSubmit} 
+              reportUrl={reportUrl} 
+              shareCode={shareCode} 
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+CommentItem.propTypes = {
+  comment: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    body: PropTypes.string,
+    author: PropTypes.shape({ username: PropTypes.string }),
+    depth: PropTypes.number,
+    createdAt: PropTypes.string,
+    editedAt: PropTypes.string,
+    deleted: PropTypes.bool,
+    removedByModerator: PropTypes.bool,
+    canEdit: PropTypes.bool,
+    canDelete: PropTypes.bool,
+    canReport: PropTypes.bool,
+    replies: PropTypes.arrayOf(PropTypes.object).isRequired
+  }).isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  reportUrl: PropTypes.string.isRequired,
+  shareCode: PropTypes.string
+};
+
+/**
+ * Comment Thread Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.pollId - ID of the poll being discussed
+ * @param {string} props.shareCode - Share code the poll was opened with, if any
+ * @returns {JSX.Element} - The comment thread component
+ */
+export default function CommentThread({ pollId, shareCode = null }) {
+  // State for the loaded threads and the cursor of the next page
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // State for the new comment form
+  const [text, setText] = useState('');
+
+  // Share code sent along with every request on unlisted and private polls
+  const params = shareCode ? { code: shareCode } : {};
+
+  /**
+   * Fetch a page of threads from the API
+   * 
+   * Without a cursor the threads are replaced with the first page; with a
+   * cursor the next page is appended.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load
+   * @param {number} limit - Number of threads to load
+   */
+  const fetchComments = useCallback(async (cursor = null, limit = PAGE_SIZE) => {
+    setLoading(true);
+
+    try {
+      const res = await API.get(`/polls/${pollId}/comments`, {
+        params: { limit, ...(cursor && { cursor }), ...(shareCode && { code: shareCode }) }
+      });
+
+      setComments(prev => cursor ? [...prev, ...res.data.comments] : res.data.comments);
+      setNextCursor(res.data.nextCursor);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Error fetching comments:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [pollId, shareCode]);
+
+  // Load the first page whenever the poll changes
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  /**
+   * Send a change to the comments API, then reload the threads on screen
+   * 
+   * @param {string} method - HTTP method (post, patch or delete)
+   * @param {string} path - Path below the poll's comments endpoint
+   * @param {Object} body - Request body
+   * @returns {Promise<boolean>} - True if the change succeeded
+   */
+  const submitChange = async (method, path, body) => {
+    try {
+      await API.request({ method, url: `/polls/${pollId}/comments${path}`, params, data: body });
+
+      // Reload as many threads as are already shown
+      fetchComments(null, Math.min(Math.max(comments.length, PAGE_SIZE), MAX_PAGE_SIZE));
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || 'Updating the comment failed');
+      return false;
+    }
+  };
+
+  /**
+   * Handle new comment form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (await submitChange('post', '', { body: text })) {
+      setText('');
+    }
+  };
+
+  return (
+    <div className='comment-thread'>
+      <h3>Discussion</h3>
+
+      {/* New comment form */}
+      <form onSubmit={handleSubmit} className='no-print'>
+        <textarea
+          placeholder='Add a comment'
+          value={text}
+          onChange={e => setText(e.target.value)}
+          required
+        />
+        <button type='submit'>Comment</button>
+      </form>
+
+      {/* Threads */}
+      <ul>
+        {comments.map(comment => (
+          <CommentItem 
+            key={comment._id} 
+            comment={comment} 
+            onSubmit={submitChange} 
+            reportUrl={`/polls/${pollId}/comments`} 
+            shareCode={shareCode} 
+          />
+        ))}
+      </ul>
+
+      {loading && <p>Loading...</p>}
+      {!loading && comments.length === 0 && <p>No comments yet.</p>}
+      {!loading && nextCursor && (
+        <button className='no-print' onClick={() => fetchComments(nextCursor)}>Load more comments</button>
+      )}
+    </div>
+  );
+}
+
+CommentThread.propTypes = {
+  pollId: PropTypes.string.isRequired,
+  shareCode: PropTypes.string
+};
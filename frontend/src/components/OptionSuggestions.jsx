@@ -0,0 +1,149 @@
+/**
+ * Option Suggestions Component
+ * 
+ * Lets participants of a poll suggest new options and lets the poll's
+ * managers work through the queue of pending suggestions.
+ * 
+ * Features:
+ * - Suggestion form with the number of suggestions the user has left
+ * - Status of the user's own suggestions (pending, approved or rejected)
+ * - Review queue with approve and reject actions for the poll's managers
+ * - Sends the share code of unlisted and private polls with every request
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import API from '../api';
+
+/**
+ * Option Suggestions Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.pollId - Poll the options are suggested for
+ * @param {boolean} props.acceptsSuggestions - Whether the poll currently takes new suggestions
+ * @param {string} props.shareCode - Share code of unlisted and private polls
+ * @param {Function} props.onApprove - Called after a suggestion joined the poll's options
+ * @returns {JSX.Element|null} - The option suggestions component, or nothing for logged-out users
+ */
+export default function OptionSuggestions({ pollId, acceptsSuggestions, shareCode = null, onApprove }) {
+  // State for the listed suggestions and what the user may do
+  const [suggestions, setSuggestions] = useState([]);
+  const [canReview, setCanReview] = useState(false);
+  const [remaining, setRemaining] = useState(0);
+  const [loaded, setLoaded] = useState(false);
+
+  // State for the suggestion being typed
+  const [text, setText] = useState('');
+
+  // Share code sent along with every request
+  const params = shareCode ? { code: shareCode } : {};
+
+  /**
+   * Fetch the review queue (managers) or the user's own suggestions
+   */
+  const fetchSuggestions = useCallback(async () => {
+    try {
+      const res = await API.get(`/polls/${pollId}/suggestions`, { params: shareCode ? { code: shareCode } : {} });
+      setSuggestions(res.data.suggestions);
+      setCanReview(res.data.canReview);
+      setRemaining(res.data.remaining);
+      setLoaded(true);
+    } catch (err) {
+      // Logged-out users cannot suggest options, so nothing is shown
+      setLoaded(false);
+    }
+  }, [pollId, shareCode]);
+
+  // Fetch the suggestions whenever the poll changes
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions]);
+
+  /**
+   * Submit a new option suggestion
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await API.post(`/polls/${pollId}/suggestions`, { text }, { params });
+      setText('');
+      fetchSuggestions();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Suggesting the option failed');
+    }
+  };
+
+  /**
+   * Approve or reject a pending suggestion
+   * 
+   * @param {string} suggestionId - Suggestion ID
+   * @param {string} action - 'approve' or 'reject'
+   */
+  const review = async (suggestionId, action) => {
+    try {
+      await API.post(`/polls/${pollId}/suggestions/${suggestionId}/${action}`);
+      fetchSuggestions();
+      if (action === 'approve') onApprove();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Reviewing the suggestion failed');
+    }
+  };
+
+  if (!loaded || (!acceptsSuggestions && suggestions.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className='no-print'>
+      <h3>{canReview ? 'Suggested options awaiting review' : 'Suggest an option'}</h3>
+
+      {/* Suggestion form, while the poll takes suggestions */}
+      {acceptsSuggestions && remaining > 0 && (
+        <form onSubmit={handleSubmit}>
+          <input
+            placeholder='New option'
+            value={text}
+            maxLength={200}
+            onChange={e => setText(e.target.value)}
+            required
+          />
+          <button type='submit'>Suggest</button>
+          <small> {remaining} suggestions left</small>
+        </form>
+      )}
+      {acceptsSuggestions && remaining === 0 && <p><small>You have used all your suggestions on this poll.</small></p>}
+
+      {/* Review queue for managers, the user's own suggestions otherwise */}
+      {canReview && suggestions.length === 0 && <p><small>No suggestions waiting.</small></p>}
+      <ul>
+        {suggestions.map(suggestion => (
+          <li key={suggestion._id}>
+            {suggestion.text}
+            {canReview && <small> — by {suggestion.suggestedBy?.username || 'unknown'}</small>}
+            {canReview ? (
+              <>
+                <button onClick={() => review(suggestion._id, 'approve')}>Approve</button>
+                <button onClick={() => review(suggestion._id, 'reject')}>Reject</button>
+              </>
+            ) : (
+              <em> ({suggestion.status})</em>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+OptionSuggestions.propTypes = {
+  pollId: PropTypes.string.isRequired,
+  acceptsSuggestions: PropTypes.bool.isRequired,
+  shareCode: PropTypes.string,
+  onApprove: PropTypes.func.isRequired
+};
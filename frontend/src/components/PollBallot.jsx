@@ -0,0 +1,318 @@
+/**
+ * Poll Ballot Component
+ * 
+ * Shows a poll's options with vote counts and lets the user vote using the
+ * poll's voting method. Used by the poll list and the poll detail page.
+ * 
+ * Features:
+ * - Ballot per poll type (single choice, ranking, approval checkboxes or scores)
+ * - Write-in "Other" answer on single-choice polls that accept one
+ * - Highlights the current user's vote and allows changing or withdrawing it
+ * - Voting is disabled outside the poll's voting window
+ * - Sends the share code of unlisted and private polls with every vote
+ * - Animated vote counts, left out while the poll's results are hidden
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import API from '../api';
+import RankedBallot from './RankedBallot';
+import ApprovalBallot from './ApprovalBallot';
+import ScoreBallot from './ScoreBallot';
+import AnimatedCount from './AnimatedCount';
+
+// Explanations shown while a poll's results are hidden, by results visibility
+const HIDDEN_RESULTS_NOTICES = {
+  afterVote: 'Results are shown once you vote or the poll closes.',
+  afterClose: 'Results are shown once the poll closes.',
+  creatorOnly: 'Results are only visible to the poll creator.'
+};
+
+/**
+ * Poll Ballot Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.poll - Poll with the current user's vote as myVote
+ * @param {Function} props.onUpdate - Called with the updated poll after voting
+ * @param {string} props.shareCode - Share code the poll was opened with, if any
+ * @returns {JSX.Element} - The poll ballot component
+ */
+export default function PollBallot({ poll, onUpdate, shareCode = null }) {
+  // Share code sent along with votes on unlisted and private polls
+  const params = shareCode ? { code: shareCode } : {};
+
+  // State for the write-in answer being typed
+  const [writeIn, setWriteIn] = useState('');
+
+  /**
+   * Submit a ballot for a poll
+   * 
+   * Casts a new vote, or replaces the user's existing ballot.
+   * Passes the poll with the new vote counts to onUpdate.
+   * 
+   * @param {Object} ballot - { optionIndex } or { writeIn }, { rankings }, { selections } or { scores }, depending on the poll type
+   */
+  const vote = async (ballot) => {
+    try {
+      const res = poll.myVote === null
+        ? await API.post(`/polls/${poll._id}/vote`, ballot, { params })
+        : await API.put(`/polls/${poll._id}/vote`, ballot, { params });
+      
+      setWriteIn('');
+      onUpdate(res.data);
+    } catch (err) {
+      // Display error message to user
+      alert(err.response?.data?.message || 'Vote failed');
+    }
+  };
+
+  /**
+   * Withdraw the user's vote from the poll
+   */
+  const withdrawVote = async () => {
+    try {
+      const res = await API.delete(`/polls/${poll._id}/vote`, { params });
+      onUpdate(res.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Withdraw failed');
+    }
+  };
+
+  /**
+   * Check whether the poll currently accepts votes
+   * 
+   * Mirrors the server-side voting window so buttons disappear as soon as
+   * the deadline passes, even before the poll is refreshed.
+   * 
+   * @returns {boolean} - True if votes can be cast or changed
+   */
+  const isVotingOpen = () => {
+    const now = new Date();
+    return poll.status === 'open' &&
+      (!poll.opensAt || new Date(poll.opensAt) <= now) &&
+      (!poll.closesAt || new Date(poll.closesAt) > now);
+  };
+
+  /**
+   * Render the voting control for a single option
+   * 
+   * @param {number} index - Option index
+   * @returns {JSX.Element|null} - Vote button, or nothing if no action is available
+   */
+  const renderVoteButton = (index) => {
+    if (!isVotingOpen()) {
+      return null;
+    }
+    
+    // Not voted yet - any option can be chosen
+    if (poll.myVote === null) {
+      return <button onClick={() => vote({ optionIndex: index })}>Vote</button>;
+    }
+    
+    // Already voted - allow switching only if the poll permits changes
+    if (poll.myVote !== index && poll.allowVoteChange) {
+      return <button onClick={() => vote({ optionIndex: index })}>Change to this</button>;
+    }
+    
+    return null;
+  };
+
+  /**
+   * Render the write-in "Other" answer and the field to submit one
+   * 
+   * @returns {JSX.Element|null} - Write-in entry, or nothing if the poll takes no write-ins
+   */
+  const renderWriteIn = () => {
+    const wroteIn = typeof poll.myVote === 'string';
+    const canWriteIn = poll.allowWriteIn && isVotingOpen() && (poll.myVote === null || poll.allowVoteChange);
+
+    if (!wroteIn && !canWriteIn) {
+      return null;
+    }
+
+    /**
+     * Submit the typed write-in answer
+     * 
+     * @param {Event} e - Form submission event
+     */
+    const submitWriteIn = (e) => {
+      e.preventDefault();
+      vote({ writeIn });
+    };
+
+    return (
+      <li>
+        Other{poll.writeInVotes !== undefined && renderCount(poll.writeInVotes, 'write-ins')}
+        {wroteIn && <em> (you wrote in &quot;{poll.myVote}&quot;)</em>}
+        {canWriteIn && (
+          <form onSubmit={submitWriteIn} className='write-in'>
+            <input
+              placeholder='Your answer'
+              value={writeIn}
+              maxLength={100}
+              onChange={e => setWriteIn(e.target.value)}
+              required
+            />
+            <button type='submit'>{poll.myVote === null ? 'Vote' : 'Change to this'}</button>
+          </form>
+        )}
+      </li>
+    );
+  };
+
+  /**
+   * Render an option's vote count, unless the results are hidden
+   * 
+   * @param {number} count - Vote count
+   * @param {string} label - What is counted (e.g. 'votes')
+   * @returns {JSX.Element|null} - The count, or nothing while results are hidden
+   */
+  const renderCount = (count, label) => (
+    poll.resultsHidden ? null : <> — <AnimatedCount value={count} /> {label}</>
+  );
+
+  /**
+   * Render the options and voting controls for the poll's voting method
+   * 
+   * @returns {JSX.Element} - Options with vote counts and ballot controls
+   */
+  const renderBallot = () => {
+    // Ballots stay editable while the poll is open and changes are allowed
+    const canSubmit = isVotingOpen() && (poll.myVote === null || poll.allowVoteChange);
+    
+    switch (poll.type) {
+      case 'ranked':
+        return (
+          <>
+            <ul>
+              {poll.options.map((option, index) => (
+                <li key={index}>
+                  {option.text}{renderCount(option.votes, 'first choices')}
+                  {poll.myVote?.[0] === index && <em> (your first choice)</em>}
+                </li>
+              ))}
+            </ul>
+            
+            {canSubmit && (
+              <RankedBallot 
+                options={poll.options} 
+                initialRanking={poll.myVote} 
+                onSubmit={rankings => vote({ rankings })} 
+                submitLabel={poll.myVote === null ? 'Submit ranking' : 'Update ranking'} 
+              />
+            )}
+          </>
+        );
+      
+      case 'approval':
+        return canSubmit ? (
+          <ApprovalBallot 
+            options={poll.options} 
+            initialSelections={poll.myVote} 
+            minSelections={poll.minSelections ?? 1} 
+            maxSelections={poll.maxSelections ?? poll.options.length} 
+            onSubmit={selections => vote({ selections })} 
+            submitLabel={poll.myVote === null ? 'Submit' : 'Update selection'} 
+          />
+        ) : (
+          <ul>
+            {poll.options.map((option, index) => (
+              <li key={index}>
+                {option.text}{renderCount(option.votes, 'approvals')}
+                {poll.myVote?.includes(index) && <em> (selected)</em>}
+              </li>
+            ))}
+          </ul>
+        );
+      
+      case 'score':
+        return canSubmit ? (
+          <ScoreBallot 
+            options={poll.options} 
+            initialScores={poll.myVote} 
+            scoreMin={poll.scoreMin ?? 1} 
+            scoreMax={poll.scoreMax ?? 5} 
+            onSubmit={scores => vote({ scores })} 
+            submitLabel={poll.myVote === null ? 'Submit scores' : 'Update scores'} 
+          />
+        ) : (
+          <ul>
+            {poll.options.map((option, index) => (
+              <li key={index}>
+                {option.text}
+                {!poll.resultsHidden && (option.votes > 0
+                  ? ` — average ${Math.round((option.scoreTotal / option.votes) * 100) / 100} from ${option.votes} votes`
+                  : ' — no scores yet')}
+                {poll.myVote?.[index] !== undefined && <em> (you gave {poll.myVote[index]})</em>}
+              </li>
+            ))}
+          </ul>
+        );
+      
+      default:
+        return (
+          <ul>
+            {poll.options.map((option, index) => (
+              <li key={index}>
+                {option.text}{renderCount(option.votes, 'votes')}
+                {poll.myVote === index && <em> (your vote)</em>}
+                {renderVoteButton(index)}
+              </li>
+            ))}
+            {renderWriteIn()}
+          </ul>
+        );
+    }
+  };
+
+  return (
+    <>
+      {/* Poll options with vote counts and voting buttons */}
+      {renderBallot()}
+      
+      {/* Why the vote counts are missing */}
+      {poll.resultsHidden && (
+        <p><small>{HIDDEN_RESULTS_NOTICES[poll.resultsVisibility] || 'Results are hidden.'}</small></p>
+      )}
+      
+      {/* Vote withdrawal, or a notice when votes are final */}
+      {poll.myVote !== null && isVotingOpen() && (poll.allowVoteChange ? (
+        <button onClick={withdrawVote}>
+          Withdraw vote
+        </button>
+      ) : (
+        <small>Votes on this poll are final.</small>
+      ))}
+    </>
+  );
+}
+
+PollBallot.propTypes = {
+  poll: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    status: PropTypes.string,
+    opensAt: PropTypes.string,
+    closesAt: PropTypes.string,
+    allowVoteChange: PropTypes.bool,
+    allowWriteIn: PropTypes.bool,
+    writeInVotes: PropTypes.number,
+    resultsVisibility: PropTypes.string,
+    resultsHidden: PropTypes.bool,
+    minSelections: PropTypes.number,
+    maxSelections: PropTypes.number,
+    scoreMin: PropTypes.number,
+    scoreMax: PropTypes.number,
+    options: PropTypes.arrayOf(PropTypes.shape({
+      text: PropTypes.string,
+      votes: PropTypes.number,
+      scoreTotal: PropTypes.number
+    })).isRequired,
+    myVote: PropTypes.oneOfType([PropTypes.number, PropTypes.string, PropTypes.arrayOf(PropTypes.number)])
+  }).isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  shareCode: PropTypes.string
+};
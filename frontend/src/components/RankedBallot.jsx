@@ -0,0 +1,89 @@
+/**
+ * Ranked Ballot Component
+ * 
+ * Lets a voter put poll options in order of preference for ranked-choice
+ * polls. Options can be left unranked.
+ * 
+ * Features:
+ * - Add options to the ranking and remove them again
+ * - Move ranked options up and down
+ * - Submits the ranking as a list of option indices
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Ranked Ballot Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Poll options ({ text })
+ * @param {Array|null} props.initialRanking - The voter's current ranking, if any
+ * @param {Function} props.onSubmit - Called with the ranking (array of option indices)
+ * @param {string} props.submitLabel - Text of the submit button
+ * @returns {JSX.Element} - The ranked ballot component
+ */
+export default function RankedBallot({ options, initialRanking = null, onSubmit, submitLabel = 'Submit ranking' }) {
+  // Option indices in order of preference
+  const [ranking, setRanking] = useState(initialRanking || []);
+  
+  // Options not yet placed in the ranking
+  const unranked = options.map((_, index) => index).filter(index => !ranking.includes(index));
+
+  /**
+   * Swap a ranked option with its neighbour
+   * 
+   * @param {number} position - Position in the ranking
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const move = (position, offset) => {
+    const target = position + offset;
+    if (target < 0 || target >= ranking.length) return;
+    
+    const updated = [...ranking];
+    [updated[position], updated[target]] = [updated[target], updated[position]];
+    setRanking(updated);
+  };
+
+  return (
+    <div>
+      {/* Ranked options, most preferred first */}
+      <ol>
+        {ranking.map((optionIndex, position) => (
+          <li key={optionIndex}>
+            {options[optionIndex].text}
+            <button type='button' onClick={() => move(position, -1)} disabled={position === 0}>Up</button>
+            <button type='button' onClick={() => move(position, 1)} disabled={position === ranking.length - 1}>Down</button>
+            <button type='button' onClick={() => setRanking(ranking.filter(index => index !== optionIndex))}>Remove</button>
+          </li>
+        ))}
+      </ol>
+      
+      {/* Options that can still be ranked */}
+      {unranked.length > 0 && (
+        <div>
+          <small>Not ranked:</small>
+          {unranked.map(optionIndex => (
+            <button key={optionIndex} type='button' onClick={() => setRanking([...ranking, optionIndex])}>
+              + {options[optionIndex].text}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      <button type='button' onClick={() => onSubmit(ranking)} disabled={ranking.length === 0}>
+        {submitLabel}
+      </button>
+    </div>
+  );
+}
+
+RankedBallot.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.shape({ text: PropTypes.string })).isRequired,
+  initialRanking: PropTypes.arrayOf(PropTypes.number),
+  onSubmit: PropTypes.func.isRequired,
+  submitLabel: PropTypes.string
+};
@@ -0,0 +1,84 @@
+/**
+ * Report Button Component
+ * 
+ * Lets users report a poll or a comment to the moderators with a reason
+ * and an optional explanation.
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import API from '../api';
+
+// Reasons a report can give, with their labels
+const REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'misinformation', label: 'Misinformation' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Report Button Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.url - Report endpoint of the poll or comment
+ * @param {string} props.shareCode - Share code of unlisted and private polls
+ * @returns {JSX.Element} - The report button, or the report form while open
+ */
+export default function ReportButton({ url, shareCode = null }) {
+  // Whether the form is open, and its fields
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('spam');
+  const [details, setDetails] = useState('');
+
+  /**
+   * Send the report to the moderators
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await API.post(url, { reason, details }, { params: shareCode ? { code: shareCode } : {} });
+      setOpen(false);
+      setDetails('');
+      alert('Thank you, the moderators will review your report');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Reporting failed');
+    }
+  };
+
+  if (!open) {
+    return <button onClick={() => setOpen(true)}>Report</button>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className='report-form no-print'>
+      <select value={reason} onChange={e => setReason(e.target.value)}>
+        {REASONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <textarea
+        placeholder={reason === 'other' ? 'What is wrong?' : 'Details (optional)'}
+        value={details}
+        maxLength={1000}
+        onChange={e => setDetails(e.target.value)}
+        required={reason === 'other'}
+      />
+      <button type='submit'>Send report</button>
+      <button type='button' onClick={() => setOpen(false)}>Cancel</button>
+    </form>
+  );
+}
+
+ReportButton.propTypes = {
+  url: PropTypes.string.isRequired,
+  shareCode: PropTypes.string
+};
@@ -0,0 +1,286 @@
+/**
+ * Results Chart Components
+ * 
+ * Lightweight SVG/CSS charts for displaying poll results without
+ * pulling in a charting library.
+ * 
+ * Features:
+ * - Horizontal bar chart with vote counts and percentages, animating live changes
+ * - Pie chart with a colour legend
+ * - Score chart with mean, median and score histogram per option
+ * - Timeline chart of the cumulative votes per option over time
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import PropTypes from 'prop-types';
+import AnimatedCount from './AnimatedCount';
+
+// Colours cycled through for chart segments
+const COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7'];
+
+// Shape of a single result option shared by both charts
+const resultOptionShape = PropTypes.shape({
+  index: PropTypes.number.isRequired,
+  text: PropTypes.string.isRequired,
+  votes: PropTypes.number.isRequired,
+  percentage: PropTypes.number.isRequired
+});
+
+/**
+ * Get the chart colour for an option
+ * 
+ * @param {number} index - Option index
+ * @returns {string} - CSS colour
+ */
+const colorFor = (index) => COLORS[index % COLORS.length];
+
+/**
+ * Bar Chart Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Result options ({ index, text, votes, percentage })
+ * @returns {JSX.Element} - Horizontal bar chart
+ */
+export function BarChart({ options }) {
+  return (
+    <div className='bar-chart'>
+      {options.map(option => (
+        <div key={option.index} className='bar-row'>
+          <span className='bar-label'>{option.text}</span>
+          <div className='bar-track'>
+            <div 
+              className='bar-fill' 
+              style={{ width: `${option.percentage}%`, background: colorFor(option.index) }} 
+            />
+          </div>
+          <span className='bar-value'><AnimatedCount value={option.votes} /> ({option.percentage}%)</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Pie Chart Component
+ * 
+ * Draws each option as an SVG arc proportional to its share of the votes.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Result options ({ index, text, votes, percentage })
+ * @param {number} props.size - Diameter of the chart in pixels
+ * @returns {JSX.Element} - Pie chart with legend
+ */
+export function PieChart({ options, size = 200 }) {
+  const total = options.reduce((sum, option) => sum + option.votes, 0);
+  const radius = size / 2;
+  
+  /**
+   * Convert an angle (0 = top, clockwise) to an SVG coordinate
+   * 
+   * @param {number} angle - Angle in radians
+   * @returns {string} - "x y" coordinate
+   */
+  const point = (angle) => `${radius + radius * Math.sin(angle)} ${radius - radius * Math.cos(angle)}`;
+  
+  let startAngle = 0;
+  const slices = options.filter(option => option.votes > 0).map(option => {
+    const sweep = (option.votes / total) * 2 * Math.PI;
+    const endAngle = startAngle + sweep;
+    
+    // A single option with every vote is drawn as a full circle
+    const path = sweep >= 2 * Math.PI
+      ? null
+      : `M ${radius} ${radius} L ${point(startAngle)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(endAngle)} Z`;
+    
+    startAngle = endAngle;
+    return { option, path };
+  });
+  
+  return (
+    <div className='pie-chart'>
+      {total === 0 ? (
+        <p>No votes yet.</p>
+      ) : (
+        <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+          {slices.map(({ option, path }) => (
+            path
+              ? <path key={option.index} d={path} fill={colorFor(option.index)} />
+              : <circle key={option.index} cx={radius} cy={radius} r={radius} fill={colorFor(option.index)} />
+          ))}
+        </svg>
+      )}
+      
+      {/* Legend */}
+      <ul className='chart-legend'>
+        {options.map(option => (
+          <li key={option.index}>
+            <span className='legend-swatch' style={{ background: colorFor(option.index) }} />
+            {option.text} — {option.percentage}%
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Score Chart Component
+ * 
+ * Shows each option's mean score as a bar across the score range, with its
+ * median, voter count and a histogram of the scores given.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Score results ({ index, text, voters, mean, median, histogram })
+ * @param {number} props.scoreMin - Lowest possible score
+ * @param {number} props.scoreMax - Highest possible score
+ * @returns {JSX.Element} - Score chart
+ */
+export function ScoreChart({ options, scoreMin, scoreMax }) {
+  return (
+    <div className='bar-chart'>
+      {options.map(option => {
+        const mostCommon = Math.max(1, ...option.histogram.map(bucket => bucket.count));
+        
+        return (
+          <div key={option.index}>
+            <div className='bar-row'>
+              <span className='bar-label'>{option.text}</span>
+              <div className='bar-track'>
+                {option.mean !== null && (
+                  <div 
+                    className='bar-fill' 
+                    style={{
+                      width: `${((option.mean - scoreMin) / (scoreMax - scoreMin)) * 100}%`,
+                      background: colorFor(option.index)
+                    }} 
+                  />
+                )}
+              </div>
+              <span className='bar-value'>
+                {option.mean === null
+                  ? 'No scores yet'
+                  : `mean ${option.mean}, median ${option.median} (${option.voters} voters)`}
+              </span>
+            </div>
+            
+            {/* Number of voters giving each score */}
+            <div className='score-histogram'>
+              {option.histogram.map(bucket => (
+                <div key={bucket.score} className='score-bucket' title={`${bucket.count} × ${bucket.score}`}>
+                  <div 
+                    className='score-bucket-fill' 
+                    style={{ height: `${(bucket.count / mostCommon) * 100}%`, background: colorFor(option.index) }} 
+                  />
+                  <small>{bucket.score}</small>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Timeline Chart Component
+ * 
+ * Draws each option's cumulative votes as an SVG line across the buckets
+ * of a poll's voting time series.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.buckets - Time series buckets ({ start, cumulativeVotes })
+ * @param {Array} props.labels - Option texts, by option index
+ * @param {number} props.width - Width of the chart in pixels
+ * @param {number} props.height - Height of the chart in pixels
+ * @returns {JSX.Element} - Line chart with legend
+ */
+export function TimelineChart({ buckets, labels, width = 480, height = 200 }) {
+  const most = Math.max(1, ...buckets.flatMap(bucket => bucket.cumulativeVotes));
+  
+  /**
+   * Get the SVG coordinates of a bucket's count
+   * 
+   * @param {number} index - Bucket index
+   * @param {number} count - Cumulative votes in the bucket
+   * @returns {string} - "x,y" coordinate
+   */
+  const point = (index, count) => {
+    const x = buckets.length > 1 ? (index / (buckets.length - 1)) * width : width / 2;
+    return `${x},${height - (count / most) * height}`;
+  };
+  
+  return (
+    <div className='timeline-chart'>
+      {buckets.length === 0 ? (
+        <p>No votes yet.</p>
+      ) : (
+        <>
+          <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+            {labels.map((label, option) => (
+              <polyline 
+                key={option} 
+                fill='none' 
+                stroke={colorFor(option)} 
+                strokeWidth='2' 
+                points={buckets.map((bucket, index) => point(index, bucket.cumulativeVotes[option])).join(' ')} 
+              />
+            ))}
+          </svg>
+          <p>
+            <small>
+              {new Date(buckets[0].start).toLocaleString()} — {new Date(buckets[buckets.length - 1].start).toLocaleString()}
+            </small>
+          </p>
+        </>
+      )}
+      
+      {/* Legend */}
+      <ul className='chart-legend'>
+        {labels.map((label, option) => (
+          <li key={option}>
+            <span className='legend-swatch' style={{ background: colorFor(option) }} />
+            {label} — {buckets.length > 0 ? buckets[buckets.length - 1].cumulativeVotes[option] : 0}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+BarChart.propTypes = {
+  options: PropTypes.arrayOf(resultOptionShape).isRequired
+};
+
+PieChart.propTypes = {
+  options: PropTypes.arrayOf(resultOptionShape).isRequired,
+  size: PropTypes.number
+};
+
+ScoreChart.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.shape({
+    index: PropTypes.number.isRequired,
+    text: PropTypes.string.isRequired,
+    voters: PropTypes.number.isRequired,
+    mean: PropTypes.number,
+    median: PropTypes.number,
+    histogram: PropTypes.arrayOf(PropTypes.shape({
+      score: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired
+    })).isRequired
+  })).isRequired,
+  scoreMin: PropTypes.number.isRequired,
+  scoreMax: PropTypes.number.isRequired
+};
+
+TimelineChart.propTypes = {
+  buckets: PropTypes.arrayOf(PropTypes.shape({
+    start: PropTypes.string.isRequired,
+    cumulativeVotes: PropTypes.arrayOf(PropTypes.number).isRequired
+  })).isRequired,
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  width: PropTypes.number,
+  height: PropTypes.number
+};
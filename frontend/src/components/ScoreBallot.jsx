@@ -0,0 +1,94 @@
+/**
+ * Score Ballot Component
+ * 
+ * Lets a voter give every option a score within the poll's
+ * score range in score (rating) polls.
+ * 
+ * Features:
+ * - Score picker per option, covering the whole score range
+ * - Requires every option to be scored before submitting
+ * - Submits the scores as a list indexed like the options
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Score Ballot Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Poll options ({ text, votes })
+ * @param {Array|null} props.initialScores - The voter's current scores, if any
+ * @param {number} props.scoreMin - Lowest allowed score
+ * @param {number} props.scoreMax - Highest allowed score
+ * @param {Function} props.onSubmit - Called with the scores (array of numbers, one per option)
+ * @param {string} props.submitLabel - Text of the submit button
+ * @returns {JSX.Element} - The score ballot component
+ */
+export default function ScoreBallot({
+  options,
+  initialScores = null,
+  scoreMin = 1,
+  scoreMax = 5,
+  onSubmit,
+  submitLabel = 'Submit scores'
+}) {
+  // Score per option index (null until the voter picks one)
+  const [scores, setScores] = useState(() => options.map((_, index) => initialScores?.[index] ?? null));
+  
+  // Every score the voter may choose from
+  const range = Array.from({ length: scoreMax - scoreMin + 1 }, (_, step) => scoreMin + step);
+
+  /**
+   * Set the score of an option
+   * 
+   * @param {number} index - Option index
+   * @param {string} value - Selected score ('' clears it)
+   */
+  const setScore = (index, value) => {
+    setScores(scores.map((score, i) => (i === index ? (value === '' ? null : Number(value)) : score)));
+  };
+  
+  const isComplete = scores.every(score => score !== null);
+
+  return (
+    <div>
+      <small>Score every option from {scoreMin} to {scoreMax}</small>
+      
+      <ul>
+        {options.map((option, index) => (
+          <li key={index}>
+            <label>
+              {option.text}
+              <select value={scores[index] ?? ''} onChange={e => setScore(index, e.target.value)}>
+                <option value=''>—</option>
+                {range.map(score => (
+                  <option key={score} value={score}>{score}</option>
+                ))}
+              </select>
+            </label>
+          </li>
+        ))}
+      </ul>
+      
+      <button type='button' onClick={() => onSubmit(scores)} disabled={!isComplete}>
+        {submitLabel}
+      </button>
+    </div>
+  );
+}
+
+ScoreBallot.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string,
+    votes: PropTypes.number
+  })).isRequired,
+  initialScores: PropTypes.arrayOf(PropTypes.number),
+  scoreMin: PropTypes.number,
+  scoreMax: PropTypes.number,
+  onSubmit: PropTypes.func.isRequired,
+  submitLabel: PropTypes.string
+};
@@ -0,0 +1,94 @@
+/**
+ * Write-In Review Component
+ * 
+ * Lists the write-in "Other" answers of a poll for its managers and lets
+ * them promote an answer to a regular option.
+ * 
+ * Features:
+ * - Answers grouped regardless of case and spacing, most voted first
+ * - The different spellings behind each group
+ * - Promotion moves the group's votes to the new (or matching) option
+ * - Reloads as new votes are counted
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import API from '../api';
+
+/**
+ * Write-In Review Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.pollId - Poll whose write-ins are reviewed
+ * @param {number} props.writeInVotes - Write-ins counted so far; the list reloads when it changes
+ * @param {boolean} props.canPromote - Whether answers can still be promoted (the poll is not closed)
+ * @param {Function} props.onPromote - Called after an answer has been promoted
+ * @returns {JSX.Element} - The write-in review component
+ */
+export default function WriteInReview({ pollId, writeInVotes, canPromote, onPromote }) {
+  const [writeIns, setWriteIns] = useState([]);
+  const [error, setError] = useState('');
+
+  // Load the write-ins whenever new ones are counted
+  useEffect(() => {
+    let cancelled = false;
+
+    API.get(`/polls/${pollId}/write-ins`)
+      .then(res => {
+        if (cancelled) return;
+        setWriteIns(res.data);
+        setError('');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.response?.data?.message || 'Failed to load write-ins');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pollId, writeInVotes]);
+
+  /**
+   * Promote a group of write-ins to an option
+   * 
+   * @param {Object} writeIn - Write-in group ({ key, text, votes })
+   */
+  const promote = async (writeIn) => {
+    if (!window.confirm(`Add "${writeIn.text}" as an option and move its ${writeIn.votes} votes to it?`)) return;
+
+    try {
+      await API.post(`/polls/${pollId}/write-ins/promote`, { key: writeIn.key });
+      onPromote();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Promoting the write-in failed');
+    }
+  };
+
+  return (
+    <div className='no-print'>
+      <h3>Write-in answers</h3>
+      {error && <p>{error}</p>}
+      {!error && writeIns.length === 0 && <p><small>No write-ins yet.</small></p>}
+      <ul>
+        {writeIns.map(writeIn => (
+          <li key={writeIn.key}>
+            {writeIn.text} — {writeIn.votes} votes
+            {writeIn.variants.length > 1 && <small> (also written as {writeIn.variants.filter(variant => variant !== writeIn.text).join(', ')})</small>}
+            {canPromote && <button onClick={() => promote(writeIn)}>Promote to option</button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+WriteInReview.propTypes = {
+  pollId: PropTypes.string.isRequired,
+  writeInVotes: PropTypes.number,
+  canPromote: PropTypes.bool.isRequired,
+  onPromote: PropTypes.func.isRequired
+};
@@ -0,0 +1,33 @@
+/**
+ * File Download Helper
+ * 
+ * Downloads files from authenticated API endpoints. Plain links cannot
+ * send the JWT, so the file is fetched through the API client and handed
+ * to the browser as a local object URL.
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import API from './api';
+
+/**
+ * Download a file from the API
+ * 
+ * @param {string} path - Endpoint path relative to the API base URL
+ * @param {Object} params - Query parameters
+ * @param {string} filename - Name to save the file under
+ * @returns {Promise<void>} - Resolves once the download has been started
+ */
+export const downloadFile = async (path, params, filename) => {
+  const res = await API.get(path, { params, responseType: 'blob' });
+  
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,34 @@
+/**
+ * Organization Helpers
+ * 
+ * Loads the organizations (team workspaces) the logged-in user belongs to,
+ * for organization pickers and filters.
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import API from './api';
+
+/**
+ * Hook returning the logged-in user's organizations
+ * 
+ * @returns {Object[]} - Organizations with the user's role as myRole (empty when logged out)
+ */
+export const useMyOrganizations = () => {
+  const [organizations, setOrganizations] = useState([]);
+  
+  useEffect(() => {
+    if (!localStorage.getItem('token')) return;
+    
+    API.get('/organizations')
+      .then(res => setOrganizations(res.data))
+      .catch(err => {
+        // eslint-disable-next-line no-console
+        console.error('Error fetching organizations:', err);
+      });
+  }, []);
+  
+  return organizations;
+};
@@ -0,0 +1,58 @@
+/**
+ * Poll Outcome Helpers
+ * 
+ * Describes the formal outcome recorded on closed polls and the progress
+ * of open polls toward their quorum.
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+/**
+ * Describe a closed poll's outcome
+ * 
+ * @param {Object} poll - Poll with its outcome and options
+ * @returns {string|null} - Human readable outcome, or null if none has been recorded
+ */
+export const describeOutcome = (poll) => {
+  const { outcome } = poll;
+  
+  if (!outcome) {
+    return null;
+  }
+  
+  switch (outcome.result) {
+    case 'passed': {
+      // Score polls are won on mean score, without a share of the vote
+      const share = typeof outcome.share === 'number' ? ` (${outcome.share}%)` : '';
+      return `Passed: ${poll.options[outcome.winner]?.text}${share}`;
+    }
+    case 'tie':
+      return 'Tied';
+    case 'noQuorum':
+      return `No quorum (${outcome.voters} of ${outcome.requiredVoters} voters required)`;
+    default:
+      return 'Failed';
+  }
+};
+
+/**
+ * Describe an open poll's progress toward its quorum
+ * 
+ * Uses the poll's live vote count, so the progress follows streamed updates.
+ * 
+ * @param {Object} poll - Poll with quorum progress ({ required }) and totalVotes
+ * @returns {string|null} - Human readable progress, or null if the poll has no quorum
+ */
+export const describeQuorum = (poll) => {
+  if (!poll.quorum) {
+    return null;
+  }
+  
+  const { required } = poll.quorum;
+  const voters = poll.totalVotes;
+  
+  return voters >= required
+    ? `Quorum reached (${voters} of ${required} voters)`
+    : `Quorum: ${voters} of ${required} voters (${required - voters} more needed)`;
+};
@@ -0,0 +1,271 @@
+/**
+ * Admin Audit Log Component
+ * 
+ * Admin view of the audit log of privileged and security-relevant actions.
+ * 
+ * Features:
+ * - Entries newest first, filtered by action, target, actor and time
+ * - Before and after values of each change
+ * - CSV export of the filtered entries
+ * - Hash chain verification, showing the first tampered entry
+ * - Entries loaded page by page
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import API from '../api';
+import { downloadFile } from '../downloads';
+
+// Audited actions, as recorded by the API
+const ACTIONS = [
+  'auth.login',
+  'auth.loginFailed',
+  'auth.accountLocked',
+  'auth.passwordReset',
+  'auth.refreshTokenReused',
+  'user.updated',
+  'user.unlocked',
+  'user.passwordResetForced',
+  'poll.deleted',
+  'poll.hidden',
+  'comment.removed',
+  'report.resolved',
+  'organization.memberChanged'
+];
+
+// Kinds of records an entry can be about
+const TARGET_TYPES = ['user', 'poll', 'comment', 'report', 'organization'];
+
+// Filters before any are chosen
+const EMPTY_FILTERS = { action: '', targetType: '', actor: '', targetId: '', from: '', to: '' };
+
+/**
+ * Convert the chosen filters to query parameters, leaving out empty ones
+ * Dates cover whole days: "to" runs until the end of the chosen day
+ * 
+ * @param {Object} filters - Chosen filters
+ * @returns {Object} - Query parameters
+ */
+const toParams = (filters) => ({
+  ...(filters.action && { action: filters.action }),
+  ...(filters.targetType && { targetType: filters.targetType }),
+  ...(filters.actor && { actor: filters.actor }),
+  ...(filters.targetId && { targetId: filters.targetId }),
+  ...(filters.from && { from: new Date(`${filters.from}T00:00:00`).toISOString() }),
+  ...(filters.to && { to: new Date(`${filters.to}T23:59:59.999`).toISOString() })
+});
+
+/**
+ * Show a before or after value
+ * 
+ * @param {*} value - Recorded value
+ * @returns {string} - Value as formatted JSON, or an empty string
+ */
+const formatValue = (value) => value === undefined || value === null ? '' : JSON.stringify(value, null, 1);
+
+/**
+ * Admin Audit Log Component
+ * 
+ * @returns {JSX.Element} - The audit log component
+ */
+export default function AdminAudit() {
+  // Filters being edited, and the filters applied to the list
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  // State for the loaded entries and the cursor of the next page
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Result of the last chain verification
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  /**
+   * Fetch a page of entries from the API
+   * 
+   * Without a cursor the entries are replaced with the first page; with a
+   * cursor the next page is appended.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load
+   */
+  const fetchEntries = useCallback(async (cursor = null) => {
+    setLoading(true);
+
+    try {
+      const res = await API.get('/admin/audit', {
+        params: { ...toParams(filters), ...(cursor && { cursor }) }
+      });
+
+      setEntries(prev => cursor ? [...prev, ...res.data.entries] : res.data.entries);
+      setNextCursor(res.data.nextCursor);
+      setError('');
+    } catch (err) {
+      if (err.response?.status === 400) {
+        alert(err.response.data.message);
+      } else {
+        setError(err.response?.status === 403
+          ? 'Only admins can view the audit log'
+          : err.response?.data?.message || 'Failed to load the audit log');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  // Reload the first page whenever the filters change
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  /**
+   * Update one of the filters being edited
+   * 
+   * @param {Event} e - Change event of a filter field
+   */
+  const handleChange = (e) => {
+    setDraft(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  /**
+   * Apply the edited filters
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleFilter = (e) => {
+    e.preventDefault();
+    setFilters({ ...draft, actor: draft.actor.trim(), targetId: draft.targetId.trim() });
+  };
+
+  /**
+   * Download the entries matching the filters as CSV
+   */
+  const downloadCsv = async () => {
+    try {
+      await downloadFile('/admin/audit/export', { ...toParams(filters), format: 'csv' }, 'audit-log.csv');
+    } catch (err) {
+      // Blob responses carry no parsed error body, so fall back to the status
+      alert(err.response?.status === 400
+        ? 'Too many entries to export; narrow the filters'
+        : 'Export failed');
+    }
+  };
+
+  /**
+   * Check the hash chain of the whole log
+   */
+  const verifyChain = async () => {
+    setVerifying(true);
+
+    try {
+      const res = await API.get('/admin/audit/verify');
+      setVerification(res.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Verification failed');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  if (error) {
+    return <p>{error}</p>;
+  }
+
+  return (
+    <div>
+      <h2>Audit log</h2>
+
+      {/* Filters */}
+      <form onSubmit={handleFilter}>
+        <select name='action' value={draft.action} onChange={handleChange}>
+          <option value=''>All actions</option>
+          {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select name='targetType' value={draft.targetType} onChange={handleChange}>
+          <option value=''>Any target</option>
+          {TARGET_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input name='actor' placeholder='Actor ID' value={draft.actor} onChange={handleChange} />
+        <input name='targetId' placeholder='Target ID' value={draft.targetId} onChange={handleChange} />
+        <label>
+          From <input type='date' name='from' value={draft.from} onChange={handleChange} />
+        </label>
+        <label>
+          To <input type='date' name='to' value={draft.to} onChange={handleChange} />
+        </label>
+        <button type='submit'>Filter</button>
+      </form>
+
+      <p>
+        <button onClick={downloadCsv}>Download CSV</button>
+        <button onClick={verifyChain} disabled={verifying}>
+          {verifying ? 'Verifying...' : 'Verify chain'}
+        </button>
+      </p>
+
+      {/* Result of the chain verification */}
+      {verification && (
+        <div className='admin-notice'>
+          {verification.valid ? (
+            <p>
+              Chain intact: {verification.entries} entries
+              {verification.head && <>, last entry {verification.head.seq} with hash <code>{verification.head.hash}</code></>}.
+              Keep the last hash to detect entries later removed from the end.
+            </p>
+          ) : (
+            <p>
+              <strong>Chain broken at entry {verification.brokenAt.seq}:</strong> {verification.brokenAt.problem}.
+              The {verification.entries} entries before it are intact.
+            </p>
+          )}
+          <button onClick={() => setVerification(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Entries */}
+      <table className='admin-users audit-log'>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Time</th>
+            <th>Action</th>
+            <th>Actor</th>
+            <th>Target</th>
+            <th>Before</th>
+            <th>After</th>
+            <th>IP / request</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry._id}>
+              <td>{entry.seq}</td>
+              <td>{new Date(entry.createdAt).toLocaleString()}</td>
+              <td>{entry.action}</td>
+              <td title={entry.actor}>{entry.actorUsername || entry.actor || '—'}</td>
+              <td title={entry.targetId}>
+                {entry.targetType ? `${entry.targetType}: ${entry.targetLabel || entry.targetId}` : '—'}
+              </td>
+              <td><pre>{formatValue(entry.before)}</pre></td>
+              <td><pre>{formatValue(entry.after)}</pre></td>
+              <td>
+                {entry.ip}
+                {entry.requestId && <><br /><small>{entry.requestId}</small></>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {loading && <p>Loading...</p>}
+      {!loading && entries.length === 0 && <p>No entries found.</p>}
+      {!loading && nextCursor && (
+        <button onClick={() => fetchEntries(nextCursor)}>Load more entries</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+/**
+ * Admin Users Component
+ * 
+ * Admin console for managing user accounts.
+ * 
+ * Features:
+ * - Search by username or email, filtered by role, status and lock
+ * - Role changes and account deactivation / reactivation
+ * - Early unlock of accounts locked after failed logins
+ * - Forced password resets, showing the one-time token to hand to the user
+ * - Users loaded page by page
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import API from '../api';
+import { useProfile } from '../profile';
+
+// Platform roles an admin can assign
+const ROLES = ['user', 'moderator', 'admin'];
+
+/**
+ * Admin Users Component
+ * 
+ * @returns {JSX.Element} - The admin console component
+ */
+export default function AdminUsers() {
+  // The logged-in admin, who cannot demote or deactivate themselves
+  const profile = useProfile();
+
+  // Search text and filters
+  const [q, setQ] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+
+  // State for the loaded users and the cursor of the next page
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reset token issued by the last forced reset, shown once
+  const [issuedReset, setIssuedReset] = useState(null);
+
+  /**
+   * Fetch a page of users from the API
+   * 
+   * Without a cursor the users are replaced with the first page; with a
+   * cursor the next page is appended.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load
+   */
+  const fetchUsers = useCallback(async (cursor = null) => {
+    setLoading(true);
+
+    try {
+      const res = await API.get('/admin/users', {
+        params: {
+          ...(search && { q: search }),
+          ...(role && { role }),
+          ...(status === 'active' && { isActive: true }),
+          ...(status === 'inactive' && { isActive: false }),
+          ...(status === 'locked' && { locked: true }),
+          ...(cursor && { cursor })
+        }
+      });
+
+      setUsers(prev => cursor ? [...prev, ...res.data.users] : res.data.users);
+      setNextCursor(res.data.nextCursor);
+      setError('');
+    } catch (err) {
+      setError(err.response?.status === 403
+        ? 'Only admins can manage users'
+        : err.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, role, status]);
+
+  // Reload the first page whenever the search or filters change
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  /**
+   * Replace a user in the list with the version returned by the API
+   * 
+   * @param {Object} updated - Updated user
+   */
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(user => user._id === updated._id ? updated : user));
+  };
+
+  /**
+   * Change a user's role or active status
+   * 
+   * @param {Object} user - User being changed
+   * @param {Object} changes - { role } and/or { isActive }
+   */
+  const updateUser = async (user, changes) => {
+    if (changes.isActive === false && !window.confirm(`Deactivate ${user.username}?`)) {
+      return;
+    }
+
+    try {
+      const res = await API.patch(`/admin/users/${user._id}`, changes);
+      replaceUser(res.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Updating the user failed');
+    }
+  };
+
+  /**
+   * Unlock an account locked after failed logins
+   * 
+   * @param {Object} user - Locked user
+   */
+  const unlockUser = async (user) => {
+    try {
+      const res = await API.post(`/admin/users/${user._id}/unlock`);
+      replaceUser(res.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Unlocking the account failed');
+    }
+  };
+
+  /**
+   * Force a password reset and show the token to hand to the user
+   * 
+   * @param {Object} user - User whose password is reset
+   */
+  const forceReset = async (user) => {
+    if (!window.confirm(`Force ${user.username} to choose a new password? Their current password and sessions stop working.`)) {
+      return;
+    }
+
+    try {
+      const res = await API.post(`/admin/users/${user._id}/password-reset`);
+      replaceUser(res.data.user);
+      setIssuedReset({ username: user.username, token: res.data.resetToken, expiresAt: res.data.expiresAt });
+    } catch (err) {
+      alert(err.response?.data?.message || 'Forcing the password reset failed');
+    }
+  };
+
+  /**
+   * Handle search form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(q.trim());
+  };
+
+  if (error) {
+    return <p>{error}</p>;
+  }
+
+  return (
+    <div>
+      <h2>Users</h2>
+
+      {/* Search and filters */}
+      <form onSubmit={handleSearch}>
+        <input placeholder='Username or email' value={q} onChange={e => setQ(e.target.value)} />
+        <select value={role} onChange={e => setRole(e.target.value)}>
+          <option value=''>All roles</option>
+          {ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+        <select value={status} onChange={e => setStatus(e.target.value)}>
+          <option value=''>Any status</option>
+          <option value='active'>Active</option>
+          <option value='inactive'>Deactivated</option>
+          <option value='locked'>Locked</option>
+        </select>
+        <button type='submit'>Search</button>
+      </form>
+
+      {/* Token from the last forced reset; it is not shown again */}
+      {issuedReset && (
+        <div className='admin-notice'>
+          <p>
+            Reset token for <strong>{issuedReset.username}</strong>, valid until{' '}
+            {new Date(issuedReset.expiresAt).toLocaleString()}:
+          </p>
+          <input
+            readOnly
+            value={`${window.location.origin}/reset-password?token=${encodeURIComponent(issuedReset.token)}`}
+            onFocus={e => e.target.select()}
+          />
+          <small>Share this link with the user; it will not be shown again.</small>
+          <button onClick={() => setIssuedReset(null)}>Done</button>
+        </div>
+      )}
+
+      {/* Users */}
+      <table className='admin-users'>
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Email</th>
+            <th>Role</th>
+            <th>Status</th>
+            <th>Last login</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => {
+            const isSelf = profile?._id === user._id;
+
+            return (
+              <tr key={user._id}>
+                <td>{user.username}</td>
+                <td>{user.email}</td>
+                <td>
+                  <select
+                    value={user.role}
+                    disabled={isSelf}
+                    onChange={e => updateUser(user, { role: e.target.value })}
+                  >
+                    {ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                </td>
+                <td>
+                  {user.isActive ? 'Active' : 'Deactivated'}
+                  {user.isLocked && ` — locked until ${new Date(user.lockUntil).toLocaleString()}`}
+                  {user.passwordResetRequired && ' — password reset pending'}
+                </td>
+                <td>{user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'never'}</td>
+                <td>
+                  {!isSelf && (
+                    <button onClick={() => updateUser(user, { isActive: !user.isActive })}>
+                      {user.isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  )}
+                  {user.isLocked && <button onClick={() => unlockUser(user)}>Unlock</button>}
+                  {!isSelf && <button onClick={() => forceReset(user)}>Force password reset</button>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {loading && <p>Loading...</p>}
+      {!loading && users.length === 0 && <p>No users found.</p>}
+      {!loading && nextCursor && (
+        <button onClick={() => fetchUsers(nextCursor)}>Load more users</button>
+      )}
+    </div>
+  );
+}
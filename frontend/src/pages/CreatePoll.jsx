@@ -8,9 +8,20 @@
  * - Poll question input field
  * - Dynamic option inputs (minimum 2 options)
  * - Add/remove option functionality
+ * - Voting method selection (single choice, ranked choice, approval or score)
+ * - Selection limits for approval polls
+ * - Score range for score polls
+ * - Visibility (public, unlisted or private) and allowed users of private polls
+ * - Organization the poll belongs to (visible to its members only)
+ * - Setting to allow or forbid vote changes
+ * - Setting to accept write-in "Other" answers on single-choice polls
+ * - Setting to let users suggest new options, with a per-user cap
+ * - When the results are shown (always, after voting, after close or creator only)
+ * - Decision rules: voter or member quorum and pass threshold
+ * - Optional draft mode, scheduled opening and closing deadline
  * - Form validation and submission
  * - Error handling and user feedback
- * - Automatic navigation to home page on success
+ * - Automatic navigation to home page (or to the new poll if it is not public) on success
  * 
  * @author PulseVote Team
  * @version 1.0.0
@@ -19,6 +30,7 @@
 import { useState } from 'react';
 import API from '../api';
 import { useNavigate } from 'react-router-dom';
+import { useMyOrganizations } from '../organizations';
 
 /**
  * Create Poll Component
@@ -32,6 +44,48 @@ export default function CreatePoll() {
   // State for poll options (starts with 2 empty options)
   const [options, setOptions] = useState(['', '']);
   
+  // State for the voting method
+  const [type, setType] = useState('single');
+  
+  // State for approval poll selection limits (blank maximum means no limit)
+  const [minSelections, setMinSelections] = useState(1);
+  const [maxSelections, setMaxSelections] = useState('');
+  
+  // State for the score range of score polls
+  const [scoreMin, setScoreMin] = useState(1);
+  const [scoreMax, setScoreMax] = useState(5);
+  
+  // State for who can find the poll, and the usernames allowed into private polls
+  const [visibility, setVisibility] = useState('public');
+  const [allowedUsers, setAllowedUsers] = useState('');
+  
+  // State for the organization the poll belongs to (blank for none)
+  const [organization, setOrganization] = useState('');
+  const organizations = useMyOrganizations();
+  
+  // State for whether voters may change or withdraw their vote
+  const [allowVoteChange, setAllowVoteChange] = useState(true);
+  
+  // State for accepting write-in "Other" answers (single-choice polls)
+  const [allowWriteIn, setAllowWriteIn] = useState(false);
+  
+  // State for option suggestions from users and how many each may make
+  const [allowSuggestions, setAllowSuggestions] = useState(false);
+  const [maxSuggestionsPerUser, setMaxSuggestionsPerUser] = useState(3);
+  
+  // State for when the results are shown to voters
+  const [resultsVisibility, setResultsVisibility] = useState('always');
+  
+  // State for the decision rules (blank for none)
+  const [quorumVoters, setQuorumVoters] = useState('');
+  const [quorumPercent, setQuorumPercent] = useState('');
+  const [passThreshold, setPassThreshold] = useState('');
+  
+  // State for the poll lifecycle (draft flag and optional voting window)
+  const [isDraft, setIsDraft] = useState(false);
+  const [opensAt, setOpensAt] = useState('');
+  const [closesAt, setClosesAt] = useState('');
+  
   // Navigation hook for programmatic routing
   const nav = useNavigate();
 
@@ -39,7 +93,8 @@ export default function CreatePoll() {
    * Handle poll creation form submission
    * 
    * Validates form data, filters out empty options, and submits to API.
-   * On success, shows confirmation and redirects to home page.
+   * On success, shows confirmation and redirects to home page, or to the
+   * new poll for unlisted and private polls so the share link can be copied.
    * On failure, displays error message to user.
    * 
    * @param {Event} e - Form submission event
@@ -52,11 +107,40 @@ export default function CreatePoll() {
       const validOptions = options.filter(opt => opt.trim());
       
       // Send poll creation request to API
-      await API.post('/polls', { question, options: validOptions });
+      const res = await API.post('/polls', {
+        question,
+        options: validOptions,
+        type,
+        ...(type === 'approval' && {
+          minSelections: Number(minSelections),
+          maxSelections: maxSelections ? Number(maxSelections) : undefined
+        }),
+        ...(type === 'score' && {
+          scoreMin: Number(scoreMin),
+          scoreMax: Number(scoreMax)
+        }),
+        visibility,
+        ...(visibility === 'private' && {
+          allowedUsers: allowedUsers.split(',').map(name => name.trim()).filter(Boolean)
+        }),
+        organization: organization || undefined,
+        allowVoteChange,
+        allowWriteIn: type === 'single' ? allowWriteIn : undefined,
+        allowSuggestions,
+        maxSuggestionsPerUser: allowSuggestions ? Number(maxSuggestionsPerUser) : undefined,
+        resultsVisibility,
+        quorumVoters: quorumVoters ? Number(quorumVoters) : undefined,
+        quorumPercent: organization && quorumPercent ? Number(quorumPercent) : undefined,
+        passThreshold: type !== 'score' && passThreshold ? Number(passThreshold) : undefined,
+        status: isDraft ? 'draft' : 'open',
+        // Convert local date-time inputs to ISO timestamps
+        opensAt: opensAt ? new Date(opensAt).toISOString() : undefined,
+        closesAt: closesAt ? new Date(closesAt).toISOString() : undefined
+      });
       
       // Show success message and redirect to home page
       alert('Poll created');
-      nav('/');
+      nav(visibility === 'public' ? '/' : `/polls/${res.data._id}`);
     } catch (err) {
       // Display error message from API or generic error
       alert(err.response?.data?.message || 'Create failed');
@@ -108,6 +192,219 @@ export default function CreatePoll() {
         />
       ))}
       
+      {/* Voting method */}
+      <label>
+        Voting method
+        <select value={type} onChange={e => setType(e.target.value)}>
+          <option value='single'>Single choice</option>
+          <option value='ranked'>Ranked choice (instant runoff)</option>
+          <option value='approval'>Approval (select several)</option>
+          <option value='score'>Score (rate every option)</option>
+        </select>
+      </label>
+      
+      {/* Selection limits for approval polls */}
+      {type === 'approval' && (
+        <>
+          <label>
+            Minimum selections
+            <input 
+              type='number' 
+              min='1' 
+              value={minSelections} 
+              onChange={e => setMinSelections(e.target.value)} 
+            />
+          </label>
+          <label>
+            Maximum selections (blank for no limit)
+            <input 
+              type='number' 
+              min='1' 
+              value={maxSelections} 
+              onChange={e => setMaxSelections(e.target.value)} 
+            />
+          </label>
+        </>
+      )}
+      
+      {/* Score range for score polls */}
+      {type === 'score' && (
+        <>
+          <label>
+            Lowest score
+            <input 
+              type='number' 
+              step='1' 
+              value={scoreMin} 
+              onChange={e => setScoreMin(e.target.value)} 
+            />
+          </label>
+          <label>
+            Highest score
+            <input 
+              type='number' 
+              step='1' 
+              value={scoreMax} 
+              onChange={e => setScoreMax(e.target.value)} 
+            />
+          </label>
+        </>
+      )}
+      
+      {/* Visibility */}
+      <label>
+        Visibility
+        <select value={visibility} onChange={e => setVisibility(e.target.value)}>
+          <option value='public'>Public (listed for everyone)</option>
+          <option value='unlisted'>Unlisted (anyone with the link)</option>
+          <option value='private'>Private (invited users only)</option>
+        </select>
+      </label>
+      
+      {/* Users allowed into a private poll without the invite code */}
+      {visibility === 'private' && (
+        <label>
+          Allowed usernames (comma separated)
+          <input 
+            value={allowedUsers} 
+            onChange={e => setAllowedUsers(e.target.value)} 
+          />
+        </label>
+      )}
+      
+      {/* Organization, for members-only polls */}
+      {organizations.length > 0 && (
+        <label>
+          Organization
+          <select value={organization} onChange={e => setOrganization(e.target.value)}>
+            <option value=''>None (open to every user)</option>
+            {organizations.map(org => (
+              <option key={org._id} value={org._id}>{org.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      
+      {/* Vote change setting */}
+      <label>
+        <input 
+          type='checkbox' 
+          checked={allowVoteChange} 
+          onChange={e => setAllowVoteChange(e.target.checked)} 
+        />
+        Allow voters to change their vote
+      </label>
+      
+      {/* Write-in setting, for single-choice polls */}
+      {type === 'single' && (
+        <label>
+          <input 
+            type='checkbox' 
+            checked={allowWriteIn} 
+            onChange={e => setAllowWriteIn(e.target.checked)} 
+          />
+          Allow write-in &quot;Other&quot; answers
+        </label>
+      )}
+      
+      {/* Option suggestion settings */}
+      <label>
+        <input 
+          type='checkbox' 
+          checked={allowSuggestions} 
+          onChange={e => setAllowSuggestions(e.target.checked)} 
+        />
+        Let users suggest new options (you approve them)
+      </label>
+      {allowSuggestions && (
+        <label>
+          Suggestions per user
+          <input 
+            type='number' 
+            min='1' 
+            max='20' 
+            step='1' 
+            value={maxSuggestionsPerUser} 
+            onChange={e => setMaxSuggestionsPerUser(e.target.value)} 
+          />
+        </label>
+      )}
+      
+      {/* Results visibility */}
+      <label>
+        Show results
+        <select value={resultsVisibility} onChange={e => setResultsVisibility(e.target.value)}>
+          <option value='always'>Always</option>
+          <option value='afterVote'>After voting</option>
+          <option value='afterClose'>After the poll closes</option>
+          <option value='creatorOnly'>Only to me</option>
+        </select>
+      </label>
+      
+      {/* Decision rules applied when the poll closes */}
+      <label>
+        Quorum: minimum voters (blank for none)
+        <input 
+          type='number' 
+          min='1' 
+          step='1' 
+          value={quorumVoters} 
+          onChange={e => setQuorumVoters(e.target.value)} 
+        />
+      </label>
+      {organization && (
+        <label>
+          Quorum: % of organization members (blank for none)
+          <input 
+            type='number' 
+            min='1' 
+            max='100' 
+            value={quorumPercent} 
+            onChange={e => setQuorumPercent(e.target.value)} 
+          />
+        </label>
+      )}
+      {type !== 'score' && (
+        <label>
+          % of the vote needed to pass (blank for the most votes)
+          <input 
+            type='number' 
+            min='1' 
+            max='100' 
+            value={passThreshold} 
+            onChange={e => setPassThreshold(e.target.value)} 
+          />
+        </label>
+      )}
+      
+      {/* Lifecycle settings */}
+      <label>
+        <input 
+          type='checkbox' 
+          checked={isDraft} 
+          onChange={e => setIsDraft(e.target.checked)} 
+        />
+        Save as draft
+      </label>
+      
+      <label>
+        Opens at (optional)
+        <input 
+          type='datetime-local' 
+          value={opensAt} 
+          onChange={e => setOpensAt(e.target.value)} 
+        />
+      </label>
+      
+      <label>
+        Closes at (optional)
+        <input 
+          type='datetime-local' 
+          value={closesAt} 
+          onChange={e => setClosesAt(e.target.value)} 
+        />
+      </label>
+      
       {/* Add option button */}
       <button type='button' onClick={addOption}>
         Add option
@@ -7,8 +7,9 @@
  * Features:
  * - Username and password input fields
  * - Form submission with API call
- * - JWT token storage on successful login
+ * - Access and refresh token storage on successful login
  * - Error handling and user feedback
+ * - Redirect to the password reset page when an admin has forced a reset
  * - Automatic navigation to home page on success
  * 
  * @author PulseVote Team
@@ -16,7 +17,7 @@
  */
 
 import { useState } from 'react';
-import API from '../api';
+import API, { storeTokens } from '../api';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -36,7 +37,7 @@ export default function LoginPage() {
    * Handle login form submission
    * 
    * Sends login credentials to the API and handles the response.
-   * On success, stores JWT token and redirects to home page.
+   * On success, stores the tokens and redirects to home page.
    * On failure, displays error message to user.
    * 
    * @param {Event} e - Form submission event
@@ -48,13 +49,20 @@ export default function LoginPage() {
       // Send login request to API
       const res = await API.post('/auth/login', { username, password });
       
-      // Store JWT token in localStorage for future requests
-      localStorage.setItem('token', res.data.token);
+      // Store the session's tokens in localStorage for future requests
+      storeTokens(res.data);
       
       // Show success message and redirect to home page
       alert('Login successful');
       nav('/');
     } catch (err) {
+      // A forced reset is completed with the token from the admin
+      if (err.response?.data?.code === 'PASSWORD_RESET_REQUIRED') {
+        alert(err.response.data.message);
+        nav('/reset-password');
+        return;
+      }
+      
       // Display error message from API or generic error
       alert(err.response?.data?.message || 'Login failed');
     }
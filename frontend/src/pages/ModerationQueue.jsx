@@ -0,0 +1,201 @@
+/**
+ * Moderation Queue Component
+ * 
+ * Lets moderators and admins work through the polls and comments users
+ * have reported.
+ * 
+ * Features:
+ * - Open reports, oldest first, and the history of resolved reports
+ * - Filter by polls or comments
+ * - Reported content, its author, the reporter's reason and how often the
+ *   same content has been reported
+ * - Dismiss, hide (remove for comments) or deactivate the author, with an
+ *   optional note kept with the resolution
+ * - Reports loaded page by page
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import API from '../api';
+
+// Labels of the moderation actions
+const ACTION_LABELS = {
+  dismiss: 'Dismissed',
+  hide: 'Hidden',
+  deactivateAuthor: 'Author deactivated'
+};
+
+/**
+ * Moderation Queue Component
+ * 
+ * @returns {JSX.Element} - The moderation queue component
+ */
+export default function ModerationQueue() {
+  // Which reports are listed
+  const [status, setStatus] = useState('open');
+  const [targetType, setTargetType] = useState('');
+
+  // State for the loaded reports and the cursor of the next page
+  const [reports, setReports] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Moderator notes being typed, by report ID
+  const [notes, setNotes] = useState({});
+
+  /**
+   * Fetch a page of reports from the API
+   * 
+   * Without a cursor the reports are replaced with the first page; with a
+   * cursor the next page is appended.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load
+   */
+  const fetchReports = useCallback(async (cursor = null) => {
+    setLoading(true);
+
+    try {
+      const res = await API.get('/moderation/reports', {
+        params: { status, ...(targetType && { targetType }), ...(cursor && { cursor }) }
+      });
+
+      setReports(prev => cursor ? [...prev, ...res.data.reports] : res.data.reports);
+      setNextCursor(res.data.nextCursor);
+      setError('');
+    } catch (err) {
+      setError(err.response?.status === 403
+        ? 'Only moderators and admins can see the moderation queue'
+        : err.response?.data?.message || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, targetType]);
+
+  // Reload the first page whenever the filters change
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  /**
+   * Resolve a report, and with it every open report on the same content
+   * 
+   * @param {Object} report - Report being resolved
+   * @param {string} action - Moderation action
+   */
+  const resolve = async (report, action) => {
+    if (action === 'deactivateAuthor' && !window.confirm(`Deactivate ${report.author?.username || 'the author'}?`)) {
+      return;
+    }
+
+    try {
+      await API.post(`/moderation/reports/${report._id}/resolve`, { action, note: notes[report._id] });
+      setNotes(prev => ({ ...prev, [report._id]: '' }));
+      fetchReports();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Resolving the report failed');
+    }
+  };
+
+  /**
+   * Describe the reported content
+   * 
+   * @param {Object} report - Report with its poll and comment
+   * @returns {JSX.Element} - Link to the poll, with the comment for comment reports
+   */
+  const describeTarget = (report) => {
+    if (!report.poll) {
+      return <em>Deleted poll</em>;
+    }
+
+    const poll = (
+      <Link to={`/polls/${report.poll._id}`}>{report.poll.question}</Link>
+    );
+
+    if (report.targetType === 'poll') {
+      return <>Poll: {poll}{report.poll.hiddenAt && <em> (hidden)</em>}</>;
+    }
+
+    return (
+      <>
+        Comment on {poll}:{' '}
+        {report.comment?.deleted || !report.comment ? <em>[removed]</em> : <q>{report.comment.body}</q>}
+      </>
+    );
+  };
+
+  if (error) {
+    return <p>{error}</p>;
+  }
+
+  return (
+    <div>
+      <h2>Moderation</h2>
+
+      {/* Filters */}
+      <div>
+        <button onClick={() => setStatus('open')} disabled={status === 'open'}>Open</button>
+        <button onClick={() => setStatus('resolved')} disabled={status === 'resolved'}>Resolved</button>
+        <select value={targetType} onChange={e => setTargetType(e.target.value)}>
+          <option value=''>Polls and comments</option>
+          <option value='poll'>Polls</option>
+          <option value='comment'>Comments</option>
+        </select>
+      </div>
+
+      {/* Reports */}
+      <ul>
+        {reports.map(report => (
+          <li key={report._id} className='report'>
+            <p>{describeTarget(report)}</p>
+            <p>
+              <small>
+                By {report.author?.username || 'unknown'}
+                {report.author && !report.author.isActive && ' (deactivated)'}
+                {' '}— reported by {report.reportedBy?.username || 'unknown'}{' '}
+                {new Date(report.createdAt).toLocaleString()} for <strong>{report.reason}</strong>
+                {report.openReports > 1 && ` — ${report.openReports} open reports`}
+              </small>
+            </p>
+            {report.details && <p className='report-details'>{report.details}</p>}
+
+            {report.status === 'open' ? (
+              <div>
+                <input
+                  placeholder='Note (optional)'
+                  value={notes[report._id] || ''}
+                  maxLength={1000}
+                  onChange={e => setNotes(prev => ({ ...prev, [report._id]: e.target.value }))}
+                />
+                <button onClick={() => resolve(report, 'dismiss')}>Dismiss</button>
+                <button onClick={() => resolve(report, 'hide')}>
+                  {report.targetType === 'poll' ? 'Hide poll' : 'Remove comment'}
+                </button>
+                {report.author && report.author.isActive && (
+                  <button onClick={() => resolve(report, 'deactivateAuthor')}>Deactivate author</button>
+                )}
+              </div>
+            ) : (
+              <p>
+                <small>
+                  {ACTION_LABELS[report.action]} by {report.resolvedBy?.username || 'unknown'}{' '}
+                  {new Date(report.resolvedAt).toLocaleString()}
+                  {report.note && ` — ${report.note}`}
+                </small>
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p>Loading...</p>}
+      {!loading && reports.length === 0 && <p>No reports.</p>}
+      {!loading && nextCursor && (
+        <button onClick={() => fetchReports(nextCursor)}>Load more reports</button>
+      )}
+    </div>
+  );
+}
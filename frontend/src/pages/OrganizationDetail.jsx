@@ -0,0 +1,205 @@
+/**
+ * Organization Detail Component
+ * 
+ * Shows an organization and its members. Organization admins can add
+ * members, change their role and remove them; every member can leave.
+ * 
+ * Features:
+ * - Organization name, slug and member count
+ * - Member list with roles and join dates
+ * - Add members by username as members or admins (organization admins)
+ * - Promote, demote and remove members (organization admins)
+ * - Leave the organization
+ * - Error handling and user feedback
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import API from '../api';
+
+/**
+ * Organization Detail Component
+ * 
+ * @returns {JSX.Element} - The organization detail component
+ */
+export default function OrganizationDetail() {
+  // Organization ID from the URL
+  const { id } = useParams();
+  
+  // State for the organization, its members, the current user and loading errors
+  const [organization, setOrganization] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [userId, setUserId] = useState(null);
+  const [error, setError] = useState('');
+  
+  // State for the add member form
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState('member');
+  
+  // Navigation hook for programmatic routing
+  const nav = useNavigate();
+  
+  /**
+   * Fetch the organization and its members from the API
+   */
+  const fetchOrganization = useCallback(async () => {
+    try {
+      const [orgRes, membersRes, profileRes] = await Promise.all([
+        API.get(`/organizations/${id}`),
+        API.get(`/organizations/${id}/members`),
+        API.get('/auth/profile')
+      ]);
+      setOrganization(orgRes.data);
+      setMembers(membersRes.data);
+      setUserId(profileRes.data._id);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load organization');
+    }
+  }, [id]);
+  
+  // Fetch the organization whenever the ID changes
+  useEffect(() => {
+    fetchOrganization();
+  }, [fetchOrganization]);
+
+  /**
+   * Handle add member form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    
+    try {
+      await API.post(`/organizations/${id}/members`, { username, role });
+      setUsername('');
+      fetchOrganization();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add member');
+    }
+  };
+
+  /**
+   * Change a member's role
+   * 
+   * @param {string} memberId - Member's user ID
+   * @param {string} newRole - Role to give the member
+   */
+  const changeRole = async (memberId, newRole) => {
+    try {
+      await API.patch(`/organizations/${id}/members/${memberId}`, { role: newRole });
+      fetchOrganization();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  /**
+   * Remove a member, or leave the organization when it is the current user
+   * 
+   * @param {string} memberId - Member's user ID
+   */
+  const removeMember = async (memberId) => {
+    const leaving = memberId === userId;
+    if (!window.confirm(leaving ? 'Leave this organization?' : 'Remove this member?')) return;
+    
+    try {
+      await API.delete(`/organizations/${id}/members/${memberId}`);
+      if (leaving) {
+        nav('/organizations');
+      } else {
+        fetchOrganization();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  if (error) {
+    return (
+      <div>
+        <p>{error}</p>
+        <Link to='/organizations'>Back to organizations</Link>
+      </div>
+    );
+  }
+  
+  if (!organization) {
+    return <p>Loading...</p>;
+  }
+  
+  const isAdmin = organization.myRole === 'admin';
+
+  return (
+    <div>
+      <Link to='/organizations'>Back to organizations</Link>
+      
+      {/* Organization name and details */}
+      <h2>{organization.name}</h2>
+      <p>
+        <small>
+          {organization.slug} — {organization.memberCount} member{organization.memberCount === 1 ? '' : 's'}
+          {organization.myRole && ` — you are ${organization.myRole === 'admin' ? 'an admin' : 'a member'}`}
+        </small>
+      </p>
+      
+      {/* Member list */}
+      <h3>Members</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Role</th>
+            <th>Joined</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {members.map(member => (
+            <tr key={member._id}>
+              <td>{member.username}</td>
+              <td>
+                {isAdmin ? (
+                  <select value={member.role} onChange={e => changeRole(member._id, e.target.value)}>
+                    <option value='member'>Member</option>
+                    <option value='admin'>Admin</option>
+                  </select>
+                ) : member.role}
+              </td>
+              <td>{new Date(member.joinedAt).toLocaleDateString()}</td>
+              <td>
+                {(isAdmin || member._id === userId) && (
+                  <button onClick={() => removeMember(member._id)}>
+                    {member._id === userId ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      
+      {/* Add member form, for organization admins */}
+      {isAdmin && (
+        <form onSubmit={handleAddMember}>
+          <h3>Add a member</h3>
+          <input 
+            placeholder='Username' 
+            value={username} 
+            onChange={e => setUsername(e.target.value)} 
+            required
+          />
+          <select value={role} onChange={e => setRole(e.target.value)}>
+            <option value='member'>Member</option>
+            <option value='admin'>Admin</option>
+          </select>
+          <button type='submit'>Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
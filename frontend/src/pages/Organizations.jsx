@@ -0,0 +1,100 @@
+/**
+ * Organizations Component
+ * 
+ * Lists the organizations (team workspaces) the user belongs to and lets
+ * them create new ones. Polls created in an organization are only visible
+ * to its members.
+ * 
+ * Features:
+ * - Lists the user's organizations with their role in each
+ * - Links each organization to its members page
+ * - Creates an organization, with the user as its first admin
+ * - Error handling and user feedback
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import API from '../api';
+
+/**
+ * Organizations Component
+ * 
+ * @returns {JSX.Element} - The organizations component
+ */
+export default function Organizations() {
+  // State for the user's organizations and loading errors
+  const [organizations, setOrganizations] = useState([]);
+  const [error, setError] = useState('');
+  
+  // State for the new organization form
+  const [name, setName] = useState('');
+  
+  /**
+   * Fetch the user's organizations from the API
+   */
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const res = await API.get('/organizations');
+      setOrganizations(res.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load organizations');
+    }
+  }, []);
+  
+  // Fetch the organizations when the page opens
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  /**
+   * Handle organization creation form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    
+    try {
+      await API.post('/organizations', { name });
+      setName('');
+      fetchOrganizations();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Create failed');
+    }
+  };
+
+  return (
+    <div>
+      <h2>Organizations</h2>
+      
+      {error && <p>{error}</p>}
+      
+      {/* The user's organizations */}
+      {organizations.length === 0 && !error && <p>You are not in any organization yet.</p>}
+      <ul>
+        {organizations.map(org => (
+          <li key={org._id}>
+            <Link to={`/organizations/${org._id}`}>{org.name}</Link>
+            <small> ({org.myRole})</small>
+          </li>
+        ))}
+      </ul>
+      
+      {/* New organization form */}
+      <form onSubmit={handleCreate}>
+        <h3>Create an organization</h3>
+        <input 
+          placeholder='Organization name' 
+          value={name} 
+          onChange={e => setName(e.target.value)} 
+          required
+        />
+        <button type='submit'>Create</button>
+      </form>
+    </div>
+  );
+}
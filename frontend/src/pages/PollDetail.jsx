@@ -0,0 +1,390 @@
+/**
+ * Poll Detail Component
+ * 
+ * Displays a single poll and its results. Each poll has its own URL
+ * (/polls/:id) so it can be shared with colleagues.
+ * 
+ * Features:
+ * - Fetches a single poll with computed results
+ * - Bar and pie charts of the vote distribution
+ * - Round-by-round instant-runoff results for ranked polls
+ * - Mean, median and score histogram per option for score polls
+ * - Shows total votes, distinct voters, status and the current user's vote
+ * - Live results streamed from the server, with animated changes
+ * - CSV / JSON results download (poll creator and moderators) and a printable report
+ * - Voting, including on unlisted and private polls opened through a share link
+ * - Sharing settings for the poll's managers: share link, regenerate or revoke it
+ * - Invite code entry for private polls
+ * - Threaded discussion below the results
+ * - Charts left out while the poll's results visibility hides the results
+ * - Live progress toward quorum while open, and the formal outcome once closed
+ * - Timeline of the votes over time, with time to first vote and peak periods
+ * - Write-in "Other" answers: their share of the votes, and a review list
+ *   for the poll's managers to promote them to options
+ * - Option suggestions from participants, with a review queue for the
+ *   poll's managers
+ * - Reporting the poll to the moderators, and a notice on polls they hid
+ * - Error handling for missing polls
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import API from '../api';
+import { BarChart, PieChart, ScoreChart } from '../components/ResultsCharts';
+import CommentThread from '../components/CommentThread';
+import VoteTimeline from '../components/VoteTimeline';
+import WriteInReview from '../components/WriteInReview';
+import OptionSuggestions from '../components/OptionSuggestions';
+import AnimatedCount from '../components/AnimatedCount';
+import PollBallot from '../components/PollBallot';
+import ReportButton from '../components/ReportButton';
+import { subscribeToPollEvents } from '../pollEvents';
+import { downloadFile } from '../downloads';
+import { describeOutcome, describeQuorum } from '../outcomes';
+
+/**
+ * Poll Detail Component
+ * 
+ * @returns {JSX.Element} - The poll detail component
+ */
+export default function PollDetail() {
+  // Poll ID and share code (from share links) from the URL
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const shareCode = searchParams.get('code');
+  
+  // State for the poll data and loading errors
+  const [poll, setPoll] = useState(null);
+  const [error, setError] = useState('');
+  
+  // State for the invite code form shown when a poll cannot be opened
+  const [inviteCode, setInviteCode] = useState('');
+  
+  /**
+   * Fetch the poll with its results from the API
+   */
+  const fetchPoll = useCallback(async () => {
+    try {
+      const res = await API.get(`/polls/${id}`, { params: shareCode ? { code: shareCode } : {} });
+      setPoll(res.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load poll');
+    }
+  }, [id, shareCode]);
+  
+  // Fetch the poll whenever the ID changes
+  useEffect(() => {
+    fetchPoll();
+  }, [fetchPoll]);
+  
+  // Keep the results up to date while the page is open
+  useEffect(() => {
+    // Set once the initial snapshot has been received
+    let live = false;
+    
+    const query = shareCode ? `?code=${encodeURIComponent(shareCode)}` : '';
+    
+    return subscribeToPollEvents(`/polls/${id}/stream${query}`, {
+      tally: snapshot => {
+        // The runoff is computed from every ballot, so ranked polls are reloaded
+        if (snapshot.type === 'ranked') {
+          if (live) fetchPoll();
+          return;
+        }
+        setPoll(prev => prev && { ...prev, ...snapshot });
+      },
+      ready: () => {
+        live = true;
+      },
+      deleted: () => setError('This poll has been deleted'),
+      // Only the creator and staff can still open a hidden poll
+      hidden: () => fetchPoll()
+    });
+  }, [id, shareCode, fetchPoll]);
+
+  /**
+   * Download the poll's results
+   * 
+   * @param {string} format - Export format (csv or json)
+   */
+  const downloadResults = async (format) => {
+    try {
+      await downloadFile(`/polls/${id}/export`, { format }, `poll-${id}.${format}`);
+    } catch (err) {
+      // Blob responses carry no parsed error body, so fall back to the status
+      alert(err.response?.status === 403
+        ? 'Only the poll creator and moderators can export results'
+        : 'Export failed');
+    }
+  };
+
+  /**
+   * Redeem an invite code for a private poll, then load the poll
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const joinPoll = async (e) => {
+    e.preventDefault();
+    
+    try {
+      await API.post(`/polls/${id}/join`, { code: inviteCode.trim() });
+      setInviteCode('');
+      fetchPoll();
+    } catch (err) {
+      alert(err.response?.status === 404 ? 'Invalid invite code' : 'Joining the poll failed');
+    }
+  };
+
+  /**
+   * Regenerate or revoke the poll's share link
+   * 
+   * @param {boolean} revoke - Revoke the link instead of generating a new one
+   */
+  const updateShareLink = async (revoke) => {
+    try {
+      const res = revoke
+        ? await API.delete(`/polls/${id}/share`)
+        : await API.post(`/polls/${id}/share`);
+      
+      setPoll(prev => ({ ...prev, sharing: res.data }));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Updating the share link failed');
+    }
+  };
+
+  /**
+   * Build the share link of the poll
+   * 
+   * @param {string} code - Share code
+   * @returns {string} - Absolute URL of the poll including the share code
+   */
+  const getShareLink = (code) => `${window.location.origin}/polls/${id}?code=${encodeURIComponent(code)}`;
+
+  /**
+   * Describe the outcome of an instant-runoff tally
+   * 
+   * @param {Object} runoff - Runoff result ({ winner, tied })
+   * @returns {string} - Human readable outcome
+   */
+  const describeRunoff = (runoff) => {
+    if (runoff.winner !== null) {
+      return `Winner: ${poll.options[runoff.winner].text}`;
+    }
+    if (runoff.tied.length > 0) {
+      return `Tie between ${runoff.tied.map(index => poll.options[index].text).join(', ')}`;
+    }
+    return 'No ballots yet';
+  };
+
+  if (error) {
+    return (
+      <div>
+        <p>{error}</p>
+        
+        {/* Private polls can be opened by redeeming an invite code */}
+        {localStorage.getItem('token') && (
+          <form onSubmit={joinPoll}>
+            <input 
+              placeholder='Invite code' 
+              value={inviteCode} 
+              onChange={e => setInviteCode(e.target.value)} 
+              required
+            />
+            <button type='submit'>Join private poll</button>
+          </form>
+        )}
+        
+        <Link to='/'>Back to polls</Link>
+      </div>
+    );
+  }
+  
+  if (!poll) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div>
+      <Link to='/' className='no-print'>Back to polls</Link>
+      
+      {/* Result downloads and printable report */}
+      <div className='no-print'>
+        <button onClick={() => downloadResults('csv')}>Download CSV</button>
+        <button onClick={() => downloadResults('json')}>Download JSON</button>
+        <button onClick={() => window.print()}>Print report</button>
+        {localStorage.getItem('token') && !poll.sharing && (
+          <ReportButton url={`/polls/${id}/reports`} shareCode={shareCode} />
+        )}
+      </div>
+      
+      {/* Poll question and metadata */}
+      <h2>{poll.question}</h2>
+      <p>
+        <small>
+          Created by {poll.createdBy?.username || 'unknown'}
+          {poll.organization?.name && ` in ${poll.organization.name}`} — Status: {poll.status}
+          {poll.visibility && poll.visibility !== 'public' && ` — ${poll.visibility}`}
+          {poll.closesAt && ` — closes ${new Date(poll.closesAt).toLocaleString()}`}
+        </small>
+      </p>
+      
+      {/* Polls hidden by a moderator stay visible to their creator and staff */}
+      {poll.hiddenAt && <p><strong>This poll has been hidden by a moderator.</strong></p>}
+      
+      {/* Decision: quorum progress while open, the outcome once closed */}
+      {poll.status !== 'closed' && describeQuorum(poll) && <p>{describeQuorum(poll)}</p>}
+      {poll.outcome && <p><strong>Outcome: {describeOutcome(poll)}</strong></p>}
+      
+      {/* Sharing settings, for the poll's creator and moderators */}
+      {poll.sharing && poll.sharing.visibility !== 'public' && (
+        <div className='no-print'>
+          <h3>Sharing</h3>
+          {poll.sharing.shareCode ? (
+            <p>
+              Share link: <input readOnly value={getShareLink(poll.sharing.shareCode)} onFocus={e => e.target.select()} />
+              {poll.sharing.visibility === 'private' && <small>Invite code: {poll.sharing.shareCode}</small>}
+            </p>
+          ) : (
+            <p><small>The share link has been revoked.</small></p>
+          )}
+          {poll.sharing.visibility === 'private' && (
+            <p>
+              <small>
+                Allowed users: {poll.sharing.allowedUsers.map(user => user.username).join(', ') || 'none'}
+              </small>
+            </p>
+          )}
+          <button onClick={() => updateShareLink(false)}>
+            {poll.sharing.shareCode ? 'Regenerate link' : 'Create link'}
+          </button>
+          {poll.sharing.shareCode && <button onClick={() => updateShareLink(true)}>Revoke link</button>}
+        </div>
+      )}
+      
+      {/* Voting controls; the results below refresh after voting */}
+      <div className='no-print'>
+        <PollBallot poll={poll} onUpdate={fetchPoll} shareCode={shareCode} />
+      </div>
+      
+      {/* Totals and the current user's vote */}
+      <p>
+        {poll.resultsHidden && (
+          <><strong><AnimatedCount value={poll.totalVotes} /></strong> votes cast</>
+        )}
+        {!poll.resultsHidden && poll.type === 'approval' && (
+          <><strong><AnimatedCount value={poll.results.totalVotes} /></strong> approvals from <strong><AnimatedCount value={poll.results.voters} /></strong> voters</>
+        )}
+        {!poll.resultsHidden && poll.type === 'score' && (
+          <><strong><AnimatedCount value={poll.results.voters} /></strong> voters, scoring from {poll.results.scoreMin} to {poll.results.scoreMax}</>
+        )}
+        {!poll.resultsHidden && poll.type !== 'approval' && poll.type !== 'score' && (
+          <><strong><AnimatedCount value={poll.results.totalVotes} /></strong> total votes</>
+        )}
+        {typeof poll.myVote === 'number' && poll.type === 'single' && ` — you voted for "${poll.options[poll.myVote]?.text}"`}
+        {typeof poll.myVote === 'string' && ` — you wrote in "${poll.myVote}"`}
+        {poll.myVote !== null && poll.type === 'approval' &&
+          ` — you selected ${poll.myVote.map(index => poll.options[index]?.text).join(', ')}`}
+        {poll.myVote !== null && poll.type === 'ranked' &&
+          ` — your ranking: ${poll.myVote.map(index => poll.options[index]?.text).join(' > ')}`}
+        {poll.myVote !== null && poll.type === 'score' &&
+          ` — your scores: ${poll.myVote.map((score, index) => `${poll.options[index]?.text} ${score}`).join(', ')}`}
+      </p>
+      
+      {/* Result charts (first preferences for ranked polls, score statistics for score polls) */}
+      {!poll.resultsHidden && (
+        <>
+          <h3>{poll.type === 'ranked' ? 'First preferences' : 'Results'}</h3>
+          {poll.type === 'score' ? (
+            <ScoreChart 
+              options={poll.results.options} 
+              scoreMin={poll.results.scoreMin} 
+              scoreMax={poll.results.scoreMax} 
+            />
+          ) : (
+            <>
+              <BarChart options={poll.results.options} />
+              <PieChart options={poll.results.options} />
+            </>
+          )}
+          {poll.results.writeIns && (
+            <p>Other (write-in): {poll.results.writeIns.votes} votes ({poll.results.writeIns.percentage}%)</p>
+          )}
+        </>
+      )}
+      
+      {/* Write-in review, for the poll's creator and moderators */}
+      {poll.sharing && (poll.allowWriteIn || poll.writeInVotes > 0) && (
+        <WriteInReview 
+          pollId={poll._id} 
+          writeInVotes={poll.writeInVotes} 
+          canPromote={poll.status !== 'closed'} 
+          onPromote={fetchPoll} 
+        />
+      )}
+      
+      {/* Instant-runoff rounds for ranked polls */}
+      {poll.results?.runoff && (
+        <>
+          <h3>Instant runoff</h3>
+          <p><strong>{describeRunoff(poll.results.runoff)}</strong></p>
+          <table>
+            <thead>
+              <tr>
+                <th>Option</th>
+                {poll.results.runoff.rounds.map(round => (
+                  <th key={round.round}>Round {round.round}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {poll.options.map((option, index) => (
+                <tr key={index}>
+                  <td>{option.text}</td>
+                  {poll.results.runoff.rounds.map(round => (
+                    <td key={round.round}>
+                      {round.counts[index]}
+                      {round.eliminated === index && ' (eliminated)'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td><em>Exhausted</em></td>
+                {poll.results.runoff.rounds.map(round => (
+                  <td key={round.round}>{round.exhausted}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </>
+      )}
+      
+      {/* Votes over time, under the same results visibility as the charts */}
+      {!poll.resultsHidden && (
+        <VoteTimeline 
+          pollId={poll._id} 
+          labels={poll.options.map(option => option.text)} 
+          totalVotes={poll.totalVotes} 
+          shareCode={shareCode} 
+        />
+      )}
+      
+      {/* Suggested options, and their review queue for the poll's managers */}
+      {(poll.allowSuggestions || poll.sharing) && (
+        <OptionSuggestions 
+          pollId={poll._id} 
+          acceptsSuggestions={poll.allowSuggestions && poll.status !== 'closed'} 
+          shareCode={shareCode} 
+          onApprove={fetchPoll} 
+        />
+      )}
+      
+      {/* Discussion */}
+      <CommentThread pollId={poll._id} shareCode={shareCode} />
+    </div>
+  );
+}
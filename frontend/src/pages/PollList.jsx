@@ -1,22 +1,39 @@
 /**
  * Poll List Component
  * 
- * Displays all available polls with voting functionality.
- * Fetches polls from the API and allows users to vote on poll options.
+ * Displays available polls with voting functionality.
+ * Fetches polls from the API page by page and allows users to vote on poll options.
  * 
  * Features:
- * - Fetches and displays all polls
+ * - Infinite scroll over the paginated poll list
+ * - Text search, sort order and status / "voted in" / organization filters
+ * - Shows the organization of organization polls
  * - Shows poll questions and options with vote counts
- * - Voting functionality for each poll option
+ * - Voting functionality per poll type (single choice, ranking, approval checkboxes or scores)
+ * - Highlights the current user's vote and allows changing or withdrawing it
+ * - Shows poll status and closing deadline; voting is disabled outside the window
+ * - Shows the formal outcome of closed polls
  * - Error handling for API calls
- * - Automatic refresh after voting
+ * - Updates the voted poll in place after voting
+ * - Live vote counts streamed from the server, with animated changes
+ * - Links each poll to its detail page
+ * - Bulk CSV / JSON export of the user's own polls matching the filters
  * 
  * @author PulseVote Team
  * @version 1.0.0
  */
 
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
 import API from '../api';
+import PollBallot from '../components/PollBallot';
+import { subscribeToPollEvents } from '../pollEvents';
+import { downloadFile } from '../downloads';
+import { useMyOrganizations } from '../organizations';
+import { describeOutcome } from '../outcomes';
+
+// Number of polls requested per page
+const PAGE_SIZE = 20;
 
 /**
  * Poll List Component
@@ -24,75 +41,231 @@ import API from '../api';
  * @returns {JSX.Element} - The poll list component
  */
 export default function PollList() {
-  // State for storing polls data
+  // State for storing the loaded polls and the cursor of the next page
   const [polls, setPolls] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  
+  // State for the search box and the active list filters
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({ q: '', sort: 'newest', status: '', votedByMe: false, organization: '' });
+  
+  // Organizations the user can filter the list by
+  const organizations = useMyOrganizations();
+  
+  // Element at the bottom of the list that triggers loading the next page
+  const sentinelRef = useRef(null);
+  
+  // Identifies the latest request so responses for outdated filters are ignored
+  const requestIdRef = useRef(0);
   
-  // Fetch polls on component mount
-  useEffect(() => { 
-    fetchPolls() 
-  }, []);
+  // Latest fetchPolls, so the live stream can reload without reconnecting
+  const fetchPollsRef = useRef(null);
 
   /**
-   * Fetch all polls from the API
+   * Fetch a page of polls from the API
    * 
-   * Retrieves the list of all polls and updates the component state.
+   * Without a cursor the list is replaced with the first page for the
+   * current filters; with a cursor the next page is appended.
    * Handles errors by logging them to the console.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load
    */
-  const fetchPolls = async () => {
+  const fetchPolls = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    
     try {
-      const res = await API.get('/polls');
-      setPolls(res.data);
+      const params = { limit: PAGE_SIZE, sort: filters.sort };
+      if (filters.q) params.q = filters.q;
+      if (filters.status) params.status = filters.status;
+      if (filters.votedByMe) params.votedByMe = true;
+      if (filters.organization) params.organization = filters.organization;
+      if (cursor) params.cursor = cursor;
+      
+      const res = await API.get('/polls', { params });
+      
+      // Ignore responses superseded by a newer request
+      if (requestId !== requestIdRef.current) return;
+      
+      setPolls(prev => cursor ? [...prev, ...res.data.polls] : res.data.polls);
+      setNextCursor(res.data.nextCursor);
     } catch (err) {
       // Log error for debugging purposes
       // eslint-disable-next-line no-console
       console.error('Error fetching polls:', err);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
     }
+  }, [filters]);
+  
+  // Load the first page whenever the filters change
+  useEffect(() => {
+    fetchPollsRef.current = fetchPolls;
+    fetchPolls();
+  }, [fetchPolls]);
+  
+  // Apply live tally updates from the server to the polls on screen
+  useEffect(() => subscribeToPollEvents('/polls/stream', {
+    tally: snapshot => replacePoll(snapshot),
+    deleted: ({ _id }) => setPolls(prev => prev.filter(poll => poll._id !== _id)),
+    hidden: ({ _id }) => setPolls(prev => prev.filter(poll => poll._id !== _id)),
+    // Updates were missed while disconnected, so reload the list
+    resync: () => fetchPollsRef.current()
+  }), []);
+  
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading) return;
+    
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        fetchPolls(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    
+    return () => observer.disconnect();
+  }, [fetchPolls, nextCursor, loading]);
+
+  /**
+   * Update a single filter, which reloads the list from the first page
+   * 
+   * @param {string} name - Filter name
+   * @param {string|boolean} value - New filter value
+   */
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
   };
 
   /**
-   * Handle voting on a poll option
+   * Handle search form submission
    * 
-   * Sends a vote request to the API for the specified poll and option.
-   * Refreshes the poll list after successful voting.
+   * @param {Event} e - Form submission event
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('q', searchInput.trim());
+  };
+
+  /**
+   * Download the results of the user's own polls matching the current filters
    * 
-   * @param {string} id - Poll ID
-   * @param {number} idx - Option index to vote for
+   * @param {string} format - Export format (csv or json)
    */
-  const vote = async (id, idx) => {
+  const exportMyPolls = async (format) => {
     try {
-      await API.post(`/polls/${id}/vote`, { optionIndex: idx });
+      const params = { format, mine: true, sort: filters.sort };
+      if (filters.q) params.q = filters.q;
+      if (filters.status) params.status = filters.status;
+      if (filters.organization) params.organization = filters.organization;
       
-      // Refresh polls to show updated vote counts
-      fetchPolls();
+      await downloadFile('/polls/export', params, `my-polls.${format}`);
     } catch (err) {
-      // Display error message to user
-      alert(err.response?.data?.message || 'Vote failed');
+      alert(err.response?.status === 401 ? 'Log in to export your polls' : 'Export failed');
     }
   };
 
+  /**
+   * Replace a poll in the list with the version returned by the API
+   * 
+   * Keeps the populated creator and organization from the list, since vote
+   * responses only contain their IDs. Polls that are not loaded are ignored.
+   * 
+   * @param {Object} updated - Updated poll (or live tally snapshot) from the API
+   */
+  const replacePoll = (updated) => {
+    setPolls(prev => prev.map(poll => (
+      poll._id === updated._id
+        ? { ...poll, ...updated, createdBy: poll.createdBy, organization: poll.organization }
+        : poll
+    )));
+  };
+
   return (
     <div>
       <h2>Polls</h2>
       
+      {/* Search box */}
+      <form onSubmit={handleSearch}>
+        <input 
+          placeholder='Search polls' 
+          value={searchInput} 
+          onChange={e => setSearchInput(e.target.value)} 
+        />
+        <button type='submit'>Search</button>
+      </form>
+      
+      {/* Sort order and filters */}
+      <div>
+        <select value={filters.sort} onChange={e => updateFilter('sort', e.target.value)}>
+          <option value='newest'>Newest</option>
+          <option value='mostVotes'>Most votes</option>
+          <option value='closingSoon'>Closing soon</option>
+        </select>
+        <select value={filters.status} onChange={e => updateFilter('status', e.target.value)}>
+          <option value=''>Any status</option>
+          <option value='draft'>Draft</option>
+          <option value='open'>Open</option>
+          <option value='closed'>Closed</option>
+        </select>
+        <label>
+          <input 
+            type='checkbox' 
+            checked={filters.votedByMe} 
+            onChange={e => updateFilter('votedByMe', e.target.checked)} 
+          />
+          Polls I voted in
+        </label>
+        {organizations.length > 0 && (
+          <select value={filters.organization} onChange={e => updateFilter('organization', e.target.value)}>
+            <option value=''>All my organizations</option>
+            {organizations.map(org => (
+              <option key={org._id} value={org._id}>{org.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      
+      {/* Bulk export of the user's own polls */}
+      <div>
+        <small>Export my polls:</small>
+        <button onClick={() => exportMyPolls('csv')}>CSV</button>
+        <button onClick={() => exportMyPolls('json')}>JSON</button>
+      </div>
+      
       {/* Render each poll */}
       {polls.map(poll => (
         <div key={poll._id} style={{ border: '1px solid #ccc', padding: 8, margin: 8 }}>
-          {/* Poll question */}
-          <strong>{poll.question}</strong>
+          {/* Poll question, linking to the poll's results page */}
+          <Link to={`/polls/${poll._id}`}>
+            <strong>{poll.question}</strong>
+          </Link>
           
-          {/* Poll options with vote counts and voting buttons */}
-          <ul>
-            {poll.options.map((option, index) => (
-              <li key={index}>
-                {option.text} — {option.votes} votes
-                <button onClick={() => vote(poll._id, index)}>
-                  Vote
-                </button>
-              </li>
-            ))}
-          </ul>
+          {/* Poll status and voting window */}
+          <div>
+            <small>
+              {poll.organization?.name && `${poll.organization.name} · `}
+              Status: {poll.status}
+              {poll.status === 'draft' && poll.opensAt && ` — opens ${new Date(poll.opensAt).toLocaleString()}`}
+              {poll.status === 'open' && poll.closesAt && ` — closes ${new Date(poll.closesAt).toLocaleString()}`}
+              {poll.status === 'closed' && poll.closedAt && ` — closed ${new Date(poll.closedAt).toLocaleString()}`}
+              {poll.outcome && ` — ${describeOutcome(poll)}`}
+            </small>
+          </div>
+          
+          {/* Poll options, vote counts and voting controls */}
+          <PollBallot poll={poll} onUpdate={replacePoll} />
         </div>
       ))}
+      
+      {/* Infinite scroll trigger and list status */}
+      <div ref={sentinelRef} />
+      {loading && <p>Loading...</p>}
+      {!loading && polls.length === 0 && <p>No polls found.</p>}
     </div>
   );
 }
@@ -0,0 +1,161 @@
+/**
+ * Profile Page Component
+ * 
+ * Shows the logged-in user's account details and, in its Security
+ * section, the devices they are logged in on.
+ * 
+ * Features:
+ * - Username, email, role, organizations and last login
+ * - Active sessions with device, IP address, login and last-seen times
+ * - Logging out a single session, or every session but the current one
+ * - Error handling and user feedback
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import API, { clearTokens } from '../api';
+import { useProfile } from '../profile';
+
+/**
+ * Profile Page Component
+ * 
+ * @returns {JSX.Element} - The profile page component
+ */
+export default function ProfilePage() {
+  const profile = useProfile();
+  const nav = useNavigate();
+
+  // State for the user's sessions and loading errors
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch the user's active sessions from the API
+   */
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await API.get('/auth/sessions');
+      setSessions(res.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load sessions');
+    }
+  }, []);
+
+  // Fetch the sessions when the page opens
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  /**
+   * Log out one session; logging out the current one ends this login
+   * 
+   * @param {Object} session - Session to log out
+   */
+  const revokeSession = async (session) => {
+    if (session.current && !window.confirm('Log out of this device?')) {
+      return;
+    }
+
+    try {
+      await API.delete(`/auth/sessions/${session._id}`);
+
+      if (session.current) {
+        clearTokens();
+        nav('/login');
+        return;
+      }
+
+      fetchSessions();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Logging out the session failed');
+    }
+  };
+
+  /**
+   * Log out every session except the current one
+   */
+  const revokeOtherSessions = async () => {
+    if (!window.confirm('Log out of all other devices?')) {
+      return;
+    }
+
+    try {
+      await API.delete('/auth/sessions');
+      fetchSessions();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Logging out the other sessions failed');
+    }
+  };
+
+  return (
+    <div>
+      <h2>Profile</h2>
+
+      {/* Account details */}
+      {profile && (
+        <dl>
+          <dt>Username</dt>
+          <dd>{profile.username}</dd>
+          <dt>Email</dt>
+          <dd>{profile.email}</dd>
+          <dt>Role</dt>
+          <dd>{profile.role}</dd>
+          <dt>Organizations</dt>
+          <dd>
+            {profile.organizations.length === 0 && 'None'}
+            {profile.organizations.map((org, index) => (
+              <span key={org._id}>
+                {index > 0 && ', '}
+                <Link to={`/organizations/${org._id}`}>{org.name}</Link> ({org.role})
+              </span>
+            ))}
+          </dd>
+          <dt>Last login</dt>
+          <dd>{profile.lastLogin ? new Date(profile.lastLogin).toLocaleString() : 'never'}</dd>
+        </dl>
+      )}
+
+      {/* Security: where the user is logged in */}
+      <h3>Security</h3>
+      <p>You are logged in on these devices. Log out any you do not recognize.</p>
+
+      {error && <p>{error}</p>}
+
+      <table className='admin-users'>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>IP address</th>
+            <th>Logged in</th>
+            <th>Last seen</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map(session => (
+            <tr key={session._id}>
+              <td title={session.userAgent}>
+                {session.device}
+                {session.current && <strong> (this device)</strong>}
+              </td>
+              <td>{session.ip}</td>
+              <td>{new Date(session.createdAt).toLocaleString()}</td>
+              <td>{new Date(session.lastSeenAt).toLocaleString()}</td>
+              <td>
+                <button onClick={() => revokeSession(session)}>Log out</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {sessions.some(session => !session.current) && (
+        <button onClick={revokeOtherSessions}>Log out all other devices</button>
+      )}
+    </div>
+  );
+}
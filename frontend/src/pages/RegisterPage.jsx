@@ -7,7 +7,7 @@
  * Features:
  * - Username and password input fields
  * - Form submission with API call
- * - JWT token storage on successful registration
+ * - Access and refresh token storage on successful registration
  * - Error handling and user feedback
  * - Automatic navigation to home page on success
  * 
@@ -16,7 +16,7 @@
  */
 
 import { useState } from 'react';
-import API from '../api';
+import API, { storeTokens } from '../api';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -36,7 +36,7 @@ export default function RegisterPage() {
    * Handle registration form submission
    * 
    * Sends registration data to the API and handles the response.
-   * On success, stores JWT token and redirects to home page.
+   * On success, stores the tokens and redirects to home page.
    * On failure, displays error message to user.
    * 
    * @param {Event} e - Form submission event
@@ -48,8 +48,8 @@ export default function RegisterPage() {
       // Send registration request to API
       const res = await API.post('/auth/register', { username, password });
       
-      // Store JWT token in localStorage for future requests
-      localStorage.setItem('token', res.data.token);
+      // Store the session's tokens in localStorage for future requests
+      storeTokens(res.data);
       
       // Show success message and redirect to home page
       alert('Registered');
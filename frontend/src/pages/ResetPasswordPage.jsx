@@ -0,0 +1,93 @@
+/**
+ * Reset Password Page Component
+ * 
+ * Lets users whose password reset was forced by an admin choose a new
+ * password with the reset token the admin gave them.
+ * 
+ * Features:
+ * - Reset token and new password fields (token prefilled from ?token=)
+ * - Password confirmation
+ * - Navigation to the login page once the password has changed
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import API from '../api';
+
+/**
+ * Reset Password Page Component
+ * 
+ * @returns {JSX.Element} - The reset password page component
+ */
+export default function ResetPasswordPage() {
+  // Reset token, prefilled from a link the admin may have shared
+  const [searchParams] = useSearchParams();
+  const [token, setToken] = useState(searchParams.get('token') || '');
+
+  // State for the new password and its confirmation
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+
+  // Navigation hook for programmatic routing
+  const nav = useNavigate();
+
+  /**
+   * Handle reset form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmation) {
+      alert('The passwords do not match');
+      return;
+    }
+
+    try {
+      const res = await API.post('/auth/reset-password', { token: token.trim(), password });
+
+      // Any session from before the reset no longer works
+      localStorage.removeItem('token');
+
+      alert(res.data.message);
+      nav('/login');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Resetting the password failed');
+    }
+  };
+
+  return (
+    <form onSubmit={handleReset}>
+      <h2>Choose a new password</h2>
+      <p><small>Enter the reset token you received from your administrator.</small></p>
+
+      <input
+        placeholder='Reset token'
+        value={token}
+        onChange={e => setToken(e.target.value)}
+        required
+      />
+      <input
+        placeholder='New password'
+        type='password'
+        value={password}
+        minLength={6}
+        onChange={e => setPassword(e.target.value)}
+        required
+      />
+      <input
+        placeholder='Confirm new password'
+        type='password'
+        value={confirmation}
+        onChange={e => setConfirmation(e.target.value)}
+        required
+      />
+
+      <button type='submit'>Set password</button>
+    </form>
+  );
+}
@@ -0,0 +1,278 @@
+/**
+ * Survey Builder Component
+ * 
+ * Lets authenticated users compose a multi-question survey, as opposed to
+ * the single question of a poll (see CreatePoll).
+ * 
+ * Features:
+ * - Survey title, introduction and optional closing deadline
+ * - Ordered list of questions: add, remove and move them up or down
+ * - Question types: single choice, multiple choice, rating and free text
+ * - Options of choice questions and the range of rating questions
+ * - Required or optional questions
+ * - Organization the survey belongs to (visible to its members only)
+ * - Navigation to the new survey on success
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api';
+import { useMyOrganizations } from '../organizations';
+
+// Question types offered by the builder
+const QUESTION_TYPES = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multiple choice' },
+  { value: 'rating', label: 'Rating' },
+  { value: 'text', label: 'Free text' }
+];
+
+/**
+ * Create an empty question for the builder
+ * 
+ * @returns {Object} - Question with a prompt, type, options, rating range and required flag
+ */
+const emptyQuestion = () => ({
+  prompt: '',
+  type: 'single',
+  options: ['', ''],
+  ratingMin: 1,
+  ratingMax: 5,
+  required: true
+});
+
+/**
+ * Turn a question being edited into the format the API expects
+ * 
+ * @param {Object} question - Question from the builder state
+ * @returns {Object} - Question with only the fields its type uses
+ */
+const toRequestQuestion = (question) => ({
+  prompt: question.prompt,
+  type: question.type,
+  required: question.required,
+  ...((question.type === 'single' || question.type === 'multiple') && {
+    options: question.options.filter(option => option.trim())
+  }),
+  ...(question.type === 'rating' && {
+    ratingMin: Number(question.ratingMin),
+    ratingMax: Number(question.ratingMax)
+  })
+});
+
+/**
+ * Survey Builder Component
+ * 
+ * @returns {JSX.Element} - The survey builder component
+ */
+export default function SurveyBuilder() {
+  // State for the survey details
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [closesAt, setClosesAt] = useState('');
+
+  // State for the organization the survey belongs to (blank for none)
+  const [organization, setOrganization] = useState('');
+  const organizations = useMyOrganizations();
+
+  // State for the questions, in survey order
+  const [questions, setQuestions] = useState([emptyQuestion()]);
+
+  // Navigation hook for programmatic routing
+  const nav = useNavigate();
+
+  /**
+   * Change fields of a question
+   * 
+   * @param {number} index - Index of the question
+   * @param {Object} changes - Fields to change
+   */
+  const updateQuestion = (index, changes) => {
+    setQuestions(questions.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  /**
+   * Move a question one place up or down
+   * 
+   * @param {number} index - Index of the question
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveQuestion = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= questions.length) return;
+
+    const reordered = [...questions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setQuestions(reordered);
+  };
+
+  /**
+   * Change the text of one option of a choice question
+   * 
+   * @param {number} index - Index of the question
+   * @param {number} optionIndex - Index of the option
+   * @param {string} value - New option text
+   */
+  const updateOption = (index, optionIndex, value) => {
+    const options = [...questions[index].options];
+    options[optionIndex] = value;
+    updateQuestion(index, { options });
+  };
+
+  /**
+   * Handle survey creation form submission
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await API.post('/surveys', {
+        title,
+        description: description || undefined,
+        questions: questions.map(toRequestQuestion),
+        organization: organization || undefined,
+        // Convert the local date-time input to an ISO timestamp
+        closesAt: closesAt ? new Date(closesAt).toISOString() : undefined
+      });
+
+      nav(`/surveys/${res.data._id}`);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Create failed');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className='survey-builder'>
+      <h2>Create Survey</h2>
+
+      {/* Survey details */}
+      <input
+        placeholder='Title'
+        value={title}
+        onChange={e => setTitle(e.target.value)}
+        required
+      />
+      <textarea
+        placeholder='Introduction (optional)'
+        value={description}
+        onChange={e => setDescription(e.target.value)}
+      />
+
+      {/* Organization, for members-only surveys */}
+      {organizations.length > 0 && (
+        <label>
+          Organization
+          <select value={organization} onChange={e => setOrganization(e.target.value)}>
+            <option value=''>None (open to every user)</option>
+            {organizations.map(org => (
+              <option key={org._id} value={org._id}>{org.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label>
+        Closes at (optional)
+        <input
+          type='datetime-local'
+          value={closesAt}
+          onChange={e => setClosesAt(e.target.value)}
+        />
+      </label>
+
+      {/* Questions */}
+      <ol>
+        {questions.map((question, index) => (
+          <li key={index} className='survey-question'>
+            <input
+              placeholder='Question'
+              value={question.prompt}
+              onChange={e => updateQuestion(index, { prompt: e.target.value })}
+              required
+            />
+            <select value={question.type} onChange={e => updateQuestion(index, { type: e.target.value })}>
+              {QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <label>
+              <input
+                type='checkbox'
+                checked={question.required}
+                onChange={e => updateQuestion(index, { required: e.target.checked })}
+              />
+              Required
+            </label>
+
+            {/* Options of choice questions */}
+            {(question.type === 'single' || question.type === 'multiple') && (
+              <>
+                {question.options.map((option, optionIndex) => (
+                  <input
+                    key={optionIndex}
+                    placeholder={`Option ${optionIndex + 1}`}
+                    value={option}
+                    onChange={e => updateOption(index, optionIndex, e.target.value)}
+                  />
+                ))}
+                <button type='button' onClick={() => updateQuestion(index, { options: [...question.options, ''] })}>
+                  Add option
+                </button>
+              </>
+            )}
+
+            {/* Range of rating questions */}
+            {question.type === 'rating' && (
+              <>
+                <label>
+                  Lowest rating
+                  <input
+                    type='number'
+                    step='1'
+                    value={question.ratingMin}
+                    onChange={e => updateQuestion(index, { ratingMin: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Highest rating
+                  <input
+                    type='number'
+                    step='1'
+                    value={question.ratingMax}
+                    onChange={e => updateQuestion(index, { ratingMax: e.target.value })}
+                  />
+                </label>
+              </>
+            )}
+
+            <div>
+              <button type='button' onClick={() => moveQuestion(index, -1)} disabled={index === 0}>Move up</button>
+              <button type='button' onClick={() => moveQuestion(index, 1)} disabled={index === questions.length - 1}>
+                Move down
+              </button>
+              <button
+                type='button'
+                onClick={() => setQuestions(questions.filter((_, i) => i !== index))}
+                disabled={questions.length === 1}
+              >
+                Remove question
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <button type='button' onClick={() => setQuestions([...questions, emptyQuestion()])}>
+        Add question
+      </button>
+
+      {/* Submit button */}
+      <button type='submit'>Create</button>
+    </form>
+  );
+}
@@ -0,0 +1,377 @@
+/**
+ * Survey Detail Component
+ * 
+ * Shows a single survey (/surveys/:id) with all its questions and lets the
+ * user answer them in one response.
+ * 
+ * Features:
+ * - Answer form for single choice, multiple choice, rating and free-text questions
+ * - All answers submitted together as a single response, once per user
+ * - The user's own answers once they have responded
+ * - For the survey's managers: per-question results, CSV export, closing and deleting
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import API from '../api';
+import { BarChart } from '../components/ResultsCharts';
+import { downloadFile } from '../downloads';
+
+/**
+ * Build the range of ratings a rating question offers
+ * 
+ * @param {Object} question - Rating question ({ ratingMin, ratingMax })
+ * @returns {number[]} - Every rating from lowest to highest
+ */
+const ratingsOf = (question) => Array.from(
+  { length: question.ratingMax - question.ratingMin + 1 },
+  (_, step) => question.ratingMin + step
+);
+
+/**
+ * Describe the answer the user gave to a question
+ * 
+ * @param {Object} question - Survey question
+ * @param {Object|undefined} answer - Answer given, if any
+ * @returns {string} - Human readable answer
+ */
+const describeAnswer = (question, answer) => {
+  if (!answer) return '(skipped)';
+  if (question.type === 'rating') return String(answer.rating);
+  if (question.type === 'text') return answer.text;
+  return answer.choices.map(index => question.options[index]).join(', ');
+};
+
+/**
+ * Input for the answer to a single question
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.question - Survey question
+ * @param {Object} props.answer - Current answer ({ choices, rating, text }), if any
+ * @param {Function} props.onChange - Called with the new answer
+ * @returns {JSX.Element} - Inputs matching the question type
+ */
+function AnswerInput({ question, answer = {}, onChange }) {
+  if (question.type === 'text') {
+    return (
+      <textarea value={answer.text || ''} onChange={e => onChange({ text: e.target.value })} />
+    );
+  }
+
+  if (question.type === 'rating') {
+    return (
+      <div>
+        {ratingsOf(question).map(rating => (
+          <label key={rating}>
+            <input
+              type='radio'
+              name={question._id}
+              checked={answer.rating === rating}
+              onChange={() => onChange({ rating })}
+            />
+            {rating}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  const choices = answer.choices || [];
+
+  /**
+   * Pick an option, replacing the choice of single-choice questions
+   * 
+   * @param {number} index - Option index
+   * @param {boolean} checked - Whether the option is now chosen
+   */
+  const choose = (index, checked) => {
+    if (question.type === 'single') {
+      onChange({ choices: [index] });
+    } else {
+      onChange({ choices: checked ? [...choices, index] : choices.filter(choice => choice !== index) });
+    }
+  };
+
+  return (
+    <div>
+      {question.options.map((option, index) => (
+        <label key={index}>
+          <input
+            type={question.type === 'single' ? 'radio' : 'checkbox'}
+            name={question._id}
+            checked={choices.includes(index)}
+            onChange={e => choose(index, e.target.checked)}
+          />
+          {option}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Results of a single question, for the survey's managers
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.summary - Question results from the API
+ * @returns {JSX.Element} - Chart or answer list matching the question type
+ */
+function QuestionResults({ summary }) {
+  if (summary.type === 'text') {
+    return (
+      <ul>
+        {summary.answers.map((text, index) => <li key={index}>{text}</li>)}
+      </ul>
+    );
+  }
+
+  if (summary.type === 'rating') {
+    const total = Math.max(1, summary.answered);
+
+    return (
+      <>
+        <p>Mean rating: {summary.mean ?? '—'}</p>
+        <BarChart
+          options={summary.histogram.map((bucket, index) => ({
+            index,
+            text: String(bucket.rating),
+            votes: bucket.count,
+            percentage: Math.round((bucket.count / total) * 1000) / 10
+          }))}
+        />
+      </>
+    );
+  }
+
+  return (
+    <BarChart
+      options={summary.options.map(option => ({ ...option, votes: option.count }))}
+    />
+  );
+}
+
+/**
+ * Survey Detail Component
+ * 
+ * @returns {JSX.Element} - The survey detail component
+ */
+export default function SurveyDetail() {
+  const { id } = useParams();
+  const nav = useNavigate();
+
+  // State for the survey, its results (managers only) and loading errors
+  const [survey, setSurvey] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  // State for the answers being filled in, keyed by question ID
+  const [answers, setAnswers] = useState({});
+
+  /**
+   * Fetch the survey, and its results for the survey's managers
+   */
+  const fetchSurvey = useCallback(async () => {
+    try {
+      const res = await API.get(`/surveys/${id}`);
+      setSurvey(res.data);
+      setError('');
+
+      if (res.data.canManage) {
+        const resultsRes = await API.get(`/surveys/${id}/results`);
+        setResults(resultsRes.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load survey');
+    }
+  }, [id]);
+
+  // Fetch the survey whenever the ID changes
+  useEffect(() => {
+    fetchSurvey();
+  }, [fetchSurvey]);
+
+  /**
+   * Submit every answer as a single response
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Leave out questions without an answer; the API checks required ones
+    const submitted = survey.questions
+      .filter(question => {
+        const answer = answers[question._id];
+        if (!answer) return false;
+        if (question.type === 'text') return !!answer.text?.trim();
+        return question.type === 'rating' || answer.choices?.length > 0;
+      })
+      .map(question => ({ question: question._id, ...answers[question._id] }));
+
+    try {
+      await API.post(`/surveys/${id}/responses`, { answers: submitted });
+      setAnswers({});
+      fetchSurvey();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Submitting your response failed');
+    }
+  };
+
+  /**
+   * Close the survey to further responses
+   */
+  const closeSurvey = async () => {
+    try {
+      await API.post(`/surveys/${id}/close`);
+      fetchSurvey();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Closing the survey failed');
+    }
+  };
+
+  /**
+   * Delete the survey and its responses
+   */
+  const deleteSurvey = async () => {
+    if (!window.confirm('Delete this survey and all its responses?')) return;
+
+    try {
+      await API.delete(`/surveys/${id}`);
+      nav('/surveys');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Deleting the survey failed');
+    }
+  };
+
+  /**
+   * Download every response, one row per respondent
+   */
+  const downloadResponses = async () => {
+    try {
+      await downloadFile(`/surveys/${id}/export`, { format: 'csv' }, `survey-${id}.csv`);
+    } catch (err) {
+      alert('Export failed');
+    }
+  };
+
+  if (error) {
+    return (
+      <div>
+        <p>{error}</p>
+        <Link to='/surveys'>Back to surveys</Link>
+      </div>
+    );
+  }
+
+  if (!survey) {
+    return <p>Loading...</p>;
+  }
+
+  const isOpen = survey.status === 'open' && (!survey.closesAt || new Date(survey.closesAt) > new Date());
+  const myAnswers = new Map((survey.myResponse?.answers || []).map(answer => [answer.question, answer]));
+
+  return (
+    <div>
+      <Link to='/surveys'>Back to surveys</Link>
+
+      <h2>{survey.title}</h2>
+      <p>
+        <small>
+          Created by {survey.createdBy?.username || 'unknown'} — {isOpen ? 'open' : 'closed'}
+          {isOpen && survey.closesAt && ` — closes ${new Date(survey.closesAt).toLocaleString()}`}
+          {` — ${survey.responseCount} responses`}
+        </small>
+      </p>
+      {survey.description && <p>{survey.description}</p>}
+
+      {/* The user's response, or the form to submit one */}
+      {survey.myResponse && (
+        <>
+          <p>You responded on {new Date(survey.myResponse.submittedAt).toLocaleString()}.</p>
+          <ol>
+            {survey.questions.map(question => (
+              <li key={question._id}>
+                {question.prompt}: <strong>{describeAnswer(question, myAnswers.get(question._id))}</strong>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+      {!survey.myResponse && isOpen && (
+        <form onSubmit={handleSubmit}>
+          <ol>
+            {survey.questions.map(question => (
+              <li key={question._id} className='survey-question'>
+                <p>{question.prompt}{question.required && ' *'}</p>
+                <AnswerInput
+                  question={question}
+                  answer={answers[question._id]}
+                  onChange={answer => setAnswers(prev => ({ ...prev, [question._id]: answer }))}
+                />
+              </li>
+            ))}
+          </ol>
+          <button type='submit'>Submit response</button>
+        </form>
+      )}
+      {!survey.myResponse && !isOpen && <p>This survey is closed.</p>}
+
+      {/* Results and management, for the survey's managers */}
+      {survey.canManage && (
+        <>
+          <h3>Results</h3>
+          <div>
+            <button onClick={downloadResponses}>Download CSV</button>
+            {survey.status === 'open' && <button onClick={closeSurvey}>Close survey</button>}
+            <button onClick={deleteSurvey}>Delete survey</button>
+          </div>
+          {results?.questions.map((summary, index) => (
+            <div key={summary._id}>
+              <h4>Q{index + 1}. {summary.prompt} <small>({summary.answered} answers)</small></h4>
+              <QuestionResults summary={summary} />
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+AnswerInput.propTypes = {
+  question: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    options: PropTypes.arrayOf(PropTypes.string),
+    ratingMin: PropTypes.number,
+    ratingMax: PropTypes.number
+  }).isRequired,
+  answer: PropTypes.shape({
+    choices: PropTypes.arrayOf(PropTypes.number),
+    rating: PropTypes.number,
+    text: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired
+};
+
+QuestionResults.propTypes = {
+  summary: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    answered: PropTypes.number.isRequired,
+    options: PropTypes.arrayOf(PropTypes.shape({
+      index: PropTypes.number.isRequired,
+      text: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+      percentage: PropTypes.number.isRequired
+    })),
+    mean: PropTypes.number,
+    histogram: PropTypes.arrayOf(PropTypes.shape({
+      rating: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired
+    })),
+    answers: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired
+};
@@ -0,0 +1,81 @@
+/**
+ * Survey List Component
+ * 
+ * Lists the surveys the logged-in user can answer, newest first.
+ * 
+ * Features:
+ * - Cursor-paginated list with a "Load more" button
+ * - Organization, status, deadline and response count of each survey
+ * - Marks the surveys the user has already responded to
+ * - Link to the survey builder
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import API from '../api';
+
+/**
+ * Survey List Component
+ * 
+ * @returns {JSX.Element} - The survey list component
+ */
+export default function SurveyList() {
+  // State for the loaded surveys and the cursor of the next page
+  const [surveys, setSurveys] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch a page of surveys
+   * 
+   * @param {string|null} cursor - Cursor of the page, or null for the first page
+   */
+  const fetchSurveys = useCallback(async (cursor = null) => {
+    try {
+      const res = await API.get('/surveys', { params: cursor ? { cursor } : {} });
+
+      setSurveys(prev => (cursor ? [...prev, ...res.data.surveys] : res.data.surveys));
+      setNextCursor(res.data.nextCursor);
+      setError('');
+    } catch (err) {
+      setError(err.response?.status === 401
+        ? 'Log in to see surveys'
+        : err.response?.data?.message || 'Failed to load surveys');
+    }
+  }, []);
+
+  // Fetch the first page on mount
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  return (
+    <div>
+      <h2>Surveys</h2>
+      <Link to='/surveys/new'>Create survey</Link>
+
+      {error && <p>{error}</p>}
+      {!error && surveys.length === 0 && <p>No surveys yet.</p>}
+
+      <ul>
+        {surveys.map(survey => (
+          <li key={survey._id}>
+            <Link to={`/surveys/${survey._id}`}>{survey.title}</Link>
+            <small>
+              {survey.organization?.name && ` — ${survey.organization.name}`}
+              {` — ${survey.status}`}
+              {survey.status === 'open' && survey.closesAt && ` — closes ${new Date(survey.closesAt).toLocaleString()}`}
+              {` — ${survey.responseCount} responses`}
+              {survey.responded && ' — you responded'}
+            </small>
+          </li>
+        ))}
+      </ul>
+
+      {nextCursor && <button onClick={() => fetchSurveys(nextCursor)}>Load more</button>}
+    </div>
+  );
+}
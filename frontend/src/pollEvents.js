@@ -0,0 +1,92 @@
+/**
+ * Poll Event Stream Client
+ * 
+ * Subscribes to the live poll update streams (Server-Sent Events) served
+ * by the PulseVote backend.
+ * 
+ * Features:
+ * - Uses the same base URL as the API client
+ * - Automatic reconnection, resuming from the last received event
+ * - One handler per event type (tally, deleted, hidden, ready, resync)
+ * - Logged-in users authenticate with a short-lived stream token, so
+ *   updates from their organizations and private polls are included
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import API from './api';
+
+// Delay before reopening a stream the browser gave up on
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Get a stream token for the logged-in user
+ * 
+ * EventSource cannot send the Authorization header, so the stream URL
+ * carries a short-lived token instead.
+ * 
+ * @returns {Promise<string|null>} - Stream token, or null when logged out or unavailable
+ */
+const getStreamToken = async () => {
+  if (!localStorage.getItem('token')) return null;
+
+  try {
+    const res = await API.post('/polls/stream-token');
+    return res.data.token;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subscribe to a poll event stream
+ * 
+ * The browser reconnects dropped streams by itself and sends the ID of the
+ * last received event, so the server can replay the updates that were missed.
+ * Streams the server rejects (for instance because the stream token has
+ * expired) are reopened with a new token, resuming from the last event.
+ * 
+ * @param {string} path - Stream path relative to the API base URL (e.g. '/polls/stream')
+ * @param {Object} handlers - Functions keyed by event type, called with the parsed event data
+ * @returns {Function} - Closes the stream
+ */
+export const subscribeToPollEvents = (path, handlers) => {
+  let source = null;
+  let closed = false;
+  let lastEventId = null;
+  let retryTimer = null;
+
+  const connect = async () => {
+    const token = await getStreamToken();
+    if (closed) return;
+
+    const url = new URL(`${API.defaults.baseURL}${path}`, window.location.href);
+    if (token) url.searchParams.set('token', token);
+    if (lastEventId) url.searchParams.set('lastEventId', lastEventId);
+
+    source = new EventSource(url, { withCredentials: true });
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+      source.addEventListener(type, event => {
+        lastEventId = event.lastEventId || lastEventId;
+        handler(JSON.parse(event.data));
+      });
+    });
+
+    // The browser only gives up on a stream when the server rejected it
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED && !closed) {
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * Profile Helpers
+ * 
+ * Loads the logged-in user's profile, for parts of the interface that
+ * depend on who the user is (such as staff-only navigation).
+ * 
+ * @author PulseVote Team
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import API from './api';
+
+// Platform roles that can work through the moderation queue
+const STAFF_ROLES = ['moderator', 'admin'];
+
+/**
+ * Hook returning the logged-in user's profile
+ * 
+ * The profile is reloaded whenever the stored token changes, so it follows
+ * logins and logouts on the next render.
+ * 
+ * @returns {Object|null} - The user's profile, or null when logged out
+ */
+export const useProfile = () => {
+  const [profile, setProfile] = useState(null);
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    if (!token) {
+      setProfile(null);
+      return;
+    }
+
+    API.get('/auth/profile')
+      .then(res => setProfile(res.data))
+      .catch(() => setProfile(null));
+  }, [token]);
+
+  return profile;
+};
+
+/**
+ * Check whether a profile belongs to a moderator or an admin
+ * 
+ * @param {Object|null} profile - User profile
+ * @returns {boolean} - True for platform staff
+ */
+export const isStaff = (profile) => STAFF_ROLES.includes(profile?.role);
+
+/**
+ * Check whether a profile belongs to an admin
+ * 
+ * @param {Object|null} profile - User profile
+ * @returns {boolean} - True for admins
+ */
+export const isAdmin = (profile) => profile?.role === 'admin';
@@ -82,9 +82,52 @@ db.users.createIndex({ username: 1 }, { unique: true });
 db.users.createIndex({ email: 1 }, { unique: true });
 db.users.createIndex({ role: 1 });
 db.users.createIndex({ isActive: 1 });
+db.users.createIndex({ 'memberships.organization': 1 });
+db.users.createIndex({ passwordResetToken: 1 }, { sparse: true });
+
+db.organizations.createIndex({ slug: 1 }, { unique: true });
 
 db.polls.createIndex({ createdBy: 1 });
 db.polls.createIndex({ createdAt: -1 });
 db.polls.createIndex({ isActive: 1 });
+db.polls.createIndex({ status: 1, opensAt: 1 });
+db.polls.createIndex({ status: 1, closesAt: 1 });
+db.polls.createIndex({ createdAt: -1, _id: -1 });
+db.polls.createIndex({ totalVotes: -1, _id: -1 });
+db.polls.createIndex({ closesAt: 1, _id: 1 });
+db.polls.createIndex({ createdBy: 1, createdAt: -1 });
+db.polls.createIndex({ visibility: 1, createdAt: -1 });
+db.polls.createIndex({ allowedUsers: 1 });
+db.polls.createIndex({ organization: 1, createdAt: -1 });
+db.polls.createIndex({ question: 'text', 'options.text': 'text' });
+
+db.votes.createIndex({ poll: 1, user: 1 }, { unique: true });
+db.votes.createIndex({ poll: 1, writeInKey: 1 }, { partialFilterExpression: { writeInKey: { $exists: true } } });
+
+db.comments.createIndex({ poll: 1, parent: 1, createdAt: 1, _id: 1 });
+db.comments.createIndex({ root: 1, createdAt: 1 });
+
+db.optionsuggestions.createIndex({ poll: 1, suggestedBy: 1, slot: 1 }, { unique: true });
+db.optionsuggestions.createIndex({ poll: 1, status: 1, createdAt: 1 });
+
+db.reports.createIndex({ reportedBy: 1, poll: 1, comment: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+db.reports.createIndex({ status: 1, createdAt: 1, _id: 1 });
+db.reports.createIndex({ status: 1, resolvedAt: -1, _id: -1 });
+db.reports.createIndex({ poll: 1, comment: 1, status: 1 });
+
+db.surveys.createIndex({ createdAt: -1, _id: -1 });
+db.surveys.createIndex({ organization: 1, createdAt: -1 });
+
+db.surveyresponses.createIndex({ survey: 1, user: 1 }, { unique: true });
+db.surveyresponses.createIndex({ survey: 1, createdAt: 1 });
+
+db.sessions.createIndex({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+db.sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+db.auditentries.createIndex({ seq: 1 }, { unique: true });
+db.auditentries.createIndex({ actor: 1, seq: -1 });
+db.auditentries.createIndex({ action: 1, seq: -1 });
+db.auditentries.createIndex({ targetType: 1, targetId: 1, seq: -1 });
+db.auditentries.createIndex({ createdAt: -1 });
 
 print('Database initialized successfully');